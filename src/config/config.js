@@ -9,6 +9,23 @@ const __dirname = dirname(__filename);
 // Load environment variables from .env file
 dotenv.config({ path: resolve(__dirname, '../../.env') });
 
+/**
+ * Parse a JSON environment variable
+ * @param {String} name - Environment variable name
+ * @param {*} fallback - Value used when the variable is not set
+ * @returns {*} - Parsed value
+ */
+const parseJsonEnv = (name, fallback) => {
+  if (!process.env[name]) {
+    return fallback;
+  }
+  try {
+    return JSON.parse(process.env[name]);
+  } catch (error) {
+    throw new Error(`Environment variable ${name} must be valid JSON: ${error.message}`);
+  }
+};
+
 /**
  * Application configuration object
  * Centralizes all configuration settings loaded from environment variables
@@ -25,7 +42,185 @@ const config = {
   // JWT configuration
   jwt: {
     secret: process.env.JWT_SECRET || 'development_secret_key_change_in_production',
-    expiresIn: process.env.JWT_EXPIRE || '24h'
+    expiresIn: process.env.JWT_EXPIRE || '15m',
+    refreshExpiresInDays: parseInt(process.env.JWT_REFRESH_EXPIRE_DAYS, 10) || 30,
+    // Where revoked token IDs are kept: 'mongo' or 'memory'
+    denylistStore: process.env.TOKEN_DENYLIST_STORE || 'mongo',
+    // Signing algorithm: HS256 (shared secret), RS256 or ES256 (rotated key pairs)
+    algorithm: process.env.JWT_ALGORITHM || 'HS256',
+    keyRotationDays: parseInt(process.env.JWT_KEY_ROTATION_DAYS, 10) || 30,
+    // How long a retired key still verifies tokens and stays in the JWKS
+    keyOverlapHours: parseInt(process.env.JWT_KEY_OVERLAP_HOURS, 10) || 48,
+    // Keep accepting tokens signed with the HS256 secret while migrating
+    acceptLegacyHs256: process.env.JWT_ACCEPT_LEGACY_HS256 !== 'false'
+  },
+  
+  // Multi-factor authentication configuration
+  mfa: {
+    issuer: process.env.MFA_ISSUER || 'Secure User Auth',
+    // Comma-separated roles that must enroll in MFA before they get an access token
+    requiredRoles: (process.env.MFA_REQUIRED_ROLES || '').split(',').map(role => role.trim()).filter(Boolean),
+    challengeExpiresIn: process.env.MFA_CHALLENGE_EXPIRE || '5m'
+  },
+  
+  // OpenID Connect login configuration
+  oidc: {
+    // Map of provider name to { issuer, clientId, clientSecret, scopes, redirectUri, allowSignup }
+    providers: parseJsonEnv('OIDC_PROVIDERS', {}),
+    // Default redirect URI is `${callbackBaseUrl}/${provider}/callback`
+    callbackBaseUrl: process.env.OIDC_CALLBACK_BASE_URL || 'http://localhost:5000/api/auth/oidc',
+    stateExpiresMinutes: parseInt(process.env.OIDC_STATE_EXPIRE_MINUTES, 10) || 10,
+    // Requests to a provider give up after this long
+    requestTimeoutMs: parseInt(process.env.OIDC_REQUEST_TIMEOUT_MS, 10) || 5000
+  },
+  
+  // OAuth 2.0 / OpenID Connect authorization server configuration
+  oauth: {
+    // Public base URL of this service; used as `iss` and in the discovery document
+    issuer: (process.env.OAUTH_ISSUER || `http://localhost:${parseInt(process.env.PORT, 10) || 5000}`).replace(/\/+$/, ''),
+    codeExpiresSeconds: parseInt(process.env.OAUTH_CODE_EXPIRE_SECONDS, 10) || 60,
+    accessTokenExpiresSeconds: parseInt(process.env.OAUTH_ACCESS_TOKEN_EXPIRE_SECONDS, 10) || 3600,
+    idTokenExpiresSeconds: parseInt(process.env.OAUTH_ID_TOKEN_EXPIRE_SECONDS, 10) || 3600,
+    // Page that signs the user in and asks for consent; browsers opening the
+    // authorization endpoint are sent there with the request's parameters
+    consentUrl: process.env.OAUTH_CONSENT_URL || 'http://localhost:3000/oauth/consent'
+  },
+  
+  // WebAuthn (passkey) configuration
+  webauthn: {
+    rpName: process.env.WEBAUTHN_RP_NAME || 'Secure User Auth',
+    // Domain the passkeys are bound to; must match the front end's host
+    rpId: process.env.WEBAUTHN_RP_ID || 'localhost',
+    // Comma-separated origins allowed to run the ceremonies
+    origins: (process.env.WEBAUTHN_ORIGINS || 'http://localhost:3000').split(',').map(origin => origin.trim()).filter(Boolean),
+    challengeExpiresMinutes: parseInt(process.env.WEBAUTHN_CHALLENGE_EXPIRE_MINUTES, 10) || 5
+  },
+  
+  // API key configuration
+  apiKeys: {
+    // Keys look like `<prefix>_<id>_<secret>`; the prefix makes leaked keys easy to scan for
+    prefix: process.env.API_KEY_PREFIX || 'sua',
+    // Minimum time between lastUsedAt writes
+    touchIntervalSeconds: parseInt(process.env.API_KEY_TOUCH_INTERVAL_SECONDS, 10) || 60
+  },
+  
+  // Email verification configuration
+  emailVerification: {
+    // 'off': never enforced, 'routes': enforced on account and admin routes using
+    // requireVerifiedEmail (listed in the README),
+    // 'login': unverified users cannot log in at all
+    mode: process.env.EMAIL_VERIFICATION_MODE || 'off',
+    tokenExpiresHours: parseInt(process.env.EMAIL_VERIFICATION_EXPIRE_HOURS, 10) || 24
+  },
+  
+  // Mail configuration
+  mail: {
+    // 'smtp', 'file' (writes to outboxDir) or 'memory' (used by tests);
+    // production must set 'smtp' explicitly
+    driver: process.env.MAIL_DRIVER || (process.env.NODE_ENV === 'test' ? 'memory' : 'file'),
+    from: process.env.MAIL_FROM || 'Secure User Auth <no-reply@localhost>',
+    outboxDir: process.env.MAIL_OUTBOX_DIR || 'mail-outbox',
+    smtp: {
+      host: process.env.SMTP_HOST || 'localhost',
+      port: parseInt(process.env.SMTP_PORT, 10) || 587,
+      secure: process.env.SMTP_SECURE === 'true',
+      user: process.env.SMTP_USER,
+      pass: process.env.SMTP_PASS
+    },
+    // Base URLs of the pages that handle links; the token is appended as a path segment
+    links: {
+      resetPassword: process.env.MAIL_RESET_PASSWORD_URL || 'http://localhost:3000/reset-password',
+      verifyEmail: process.env.MAIL_VERIFY_EMAIL_URL || 'http://localhost:3000/verify-email',
+      magicLink: process.env.MAIL_MAGIC_LINK_URL || 'http://localhost:3000/magic-link',
+      invitation: process.env.MAIL_INVITATION_URL || 'http://localhost:3000/invitation'
+    }
+  },
+  
+  // Password policy applied wherever a password is set
+  passwordPolicy: {
+    minLength: parseInt(process.env.PASSWORD_MIN_LENGTH, 10) || 8,
+    maxLength: parseInt(process.env.PASSWORD_MAX_LENGTH, 10) || 128,
+    requireUppercase: process.env.PASSWORD_REQUIRE_UPPERCASE !== 'false',
+    requireLowercase: process.env.PASSWORD_REQUIRE_LOWERCASE !== 'false',
+    requireNumber: process.env.PASSWORD_REQUIRE_NUMBER !== 'false',
+    requireSymbol: process.env.PASSWORD_REQUIRE_SYMBOL !== 'false',
+    // Reject passwords containing the user's name or the local part of their email
+    blockPersonalInfo: process.env.PASSWORD_BLOCK_PERSONAL_INFO !== 'false',
+    // Minimum strength score from 0 (very weak) to 4 (very strong)
+    minStrength: process.env.PASSWORD_MIN_STRENGTH ? parseInt(process.env.PASSWORD_MIN_STRENGTH, 10) : 2,
+    // Directory of SHA-1 range files (<PREFIX>.txt with SUFFIX:COUNT lines); empty disables the check
+    breachedPasswordsDir: process.env.PASSWORD_BREACHED_DIR || '',
+    // Number of recent passwords (including the current one) that cannot be reused; 0 disables
+    historySize: process.env.PASSWORD_HISTORY_SIZE ? parseInt(process.env.PASSWORD_HISTORY_SIZE, 10) : 5,
+    // Days after which a password must be changed at the next login; 0 disables
+    maxAgeDays: parseInt(process.env.PASSWORD_MAX_AGE_DAYS, 10) || 0,
+    // Lifetime of the restricted token used to change an expired password
+    changeTokenExpiresIn: process.env.PASSWORD_CHANGE_TOKEN_EXPIRE || '10m'
+  },
+  
+  // Password hashing; stored hashes using other settings are upgraded at login
+  passwordHashing: {
+    algorithm: process.env.PASSWORD_HASH_ALGORITHM || 'bcrypt', // bcrypt or scrypt
+    bcryptRounds: parseInt(process.env.PASSWORD_BCRYPT_ROUNDS, 10) || 12,
+    // scrypt CPU/memory cost as a power of two (N = 2^15)
+    scryptLogCost: parseInt(process.env.PASSWORD_SCRYPT_LOG_COST, 10) || 15,
+    scryptBlockSize: parseInt(process.env.PASSWORD_SCRYPT_BLOCK_SIZE, 10) || 8,
+    scryptParallelization: parseInt(process.env.PASSWORD_SCRYPT_PARALLELIZATION, 10) || 1
+  },
+  
+  // Passwordless (magic link) login configuration
+  magicLink: {
+    expiresMinutes: parseInt(process.env.MAGIC_LINK_EXPIRE_MINUTES, 10) || 15
+  },
+  
+  // Invitations sent by admins to new users
+  invitations: {
+    expiresHours: parseInt(process.env.INVITATION_EXPIRE_HOURS, 10) || 72
+  },
+  
+  // Deleted accounts can be restored until they are purged
+  accountDeletion: {
+    // Days before a deleted account is removed for good; 0 keeps deleted accounts
+    retentionDays: process.env.DELETED_USER_RETENTION_DAYS
+      ? parseInt(process.env.DELETED_USER_RETENTION_DAYS, 10)
+      : 30,
+    // 'reserve' keeps the email of a deleted account taken until it is purged,
+    // 'release' frees it at once for a new account
+    emailPolicy: process.env.DELETED_USER_EMAIL_POLICY || 'reserve',
+    // Days users can cancel a deletion they asked for before it is carried out
+    coolingOffDays: process.env.ACCOUNT_DELETION_COOLING_OFF_DAYS
+      ? parseInt(process.env.ACCOUNT_DELETION_COOLING_OFF_DAYS, 10)
+      : 14,
+    // What happens then: 'erase' removes the account, 'anonymize' keeps it
+    // deleted with every personal detail removed
+    selfServiceMode: process.env.ACCOUNT_DELETION_MODE || 'erase'
+  },
+  
+  // Admins signing in as a user to see what they see
+  impersonation: {
+    expiresIn: process.env.IMPERSONATION_TOKEN_EXPIRE || '15m'
+  },
+  
+  // Bulk user import
+  userImport: {
+    // Rows read from one import; the rest of the upload is left unprocessed
+    maxRows: parseInt(process.env.USER_IMPORT_MAX_ROWS, 10) || 5000
+  },
+  
+  // Audit log of security-relevant actions
+  audit: {
+    // Chain events by hash so edits and deletions can be detected
+    hashChain: process.env.AUDIT_HASH_CHAIN === 'true'
+  },
+  
+  // Account lockout configuration
+  lockout: {
+    // Failed attempts before the account is locked
+    threshold: parseInt(process.env.LOCKOUT_THRESHOLD, 10) || 5,
+    durationMinutes: parseInt(process.env.LOCKOUT_DURATION_MINUTES, 10) || 15,
+    // Delay before the next attempt doubles with each failure
+    baseDelaySeconds: parseInt(process.env.LOCKOUT_BASE_DELAY_SECONDS, 10) || 1,
+    maxDelaySeconds: parseInt(process.env.LOCKOUT_MAX_DELAY_SECONDS, 10) || 30
   },
   
   // Logging configuration
@@ -47,7 +242,7 @@ const config = {
  * Ensures that required environment variables are set
  */
 const validateConfig = () => {
-  const requiredEnvVars = ['JWT_SECRET'];
+  const requiredEnvVars = ['JWT_SECRET', 'MAIL_DRIVER'];
   
   for (const envVar of requiredEnvVars) {
     if (!process.env[envVar] && config.nodeEnv === 'production') {
@@ -55,6 +250,15 @@ const validateConfig = () => {
     }
   }
   
+  // Tokens in emails must never end up on disk or in memory instead of being sent
+  if (config.nodeEnv === 'production' && config.mail.driver !== 'smtp') {
+    throw new Error(`MAIL_DRIVER=${config.mail.driver} is not allowed in production mode, use smtp`);
+  }
+
+  if (!['HS256', 'RS256', 'ES256'].includes(config.jwt.algorithm)) {
+    throw new Error(`Unsupported JWT_ALGORITHM: ${config.jwt.algorithm}`);
+  }
+  
   // Warn about using default JWT secret in development
   if (process.env.NODE_ENV !== 'production' && 
       process.env.JWT_SECRET === 'development_secret_key_change_in_production') {
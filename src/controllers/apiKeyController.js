@@ -0,0 +1,242 @@
+import ApiKey from '../models/apiKeyModel.js';
+import User from '../models/userModel.js';
+import { ApiError } from '../middleware/errorHandler.js';
+import { logger } from '../utils/logger.js';
+import { createApiKey as issueApiKey } from '../services/apiKeyService.js';
+import { findRole, assertPermissionsGrantable } from '../services/roleService.js';
+import { memberFilter, assertAccountManageable } from '../services/organizationService.js';
+import { AUDIT_ACTIONS, recordAuditEvent, diffFields } from '../services/auditService.js';
+
+/**
+ * Describe an API key as the target of an audit event
+ * @param {Object} apiKey - ApiKey document
+ * @returns {Object} - Target fields
+ */
+const apiKeyTarget = (apiKey) => ({ type: 'api_key', id: String(apiKey._id), label: apiKey.prefix });
+
+/**
+ * Get the values of an API key that the audit log tracks changes to
+ * @param {Object} apiKey - ApiKey document
+ * @returns {Object} - name, user, scopes and expiry
+ */
+const auditedValues = (apiKey) => ({
+  name: apiKey.name,
+  user: apiKey.user,
+  scopes: [...apiKey.scopes],
+  expiresAt: apiKey.expiresAt
+});
+
+/**
+ * Limit an API key query to keys of the active organization's members
+ * Outside an organization the query is not limited.
+ * @param {Object} req - Express request object (after protect)
+ * @returns {Promise<Object>} - MongoDB filter to merge into the query
+ */
+const ownerFilter = async (req) => {
+  if (!req.organization) {
+    return {};
+  }
+
+  const members = await User.find(memberFilter(req)).distinct('_id');
+  return { user: { $in: members } };
+};
+
+/**
+ * Refuse keys that would act with permissions the caller does not hold
+ * A scoped key is limited to its scopes, an unscoped one has every
+ * permission of the service account's role.
+ * @param {Object} req - Express request object (after protect)
+ * @param {Object} user - Service account the key belongs to
+ * @param {String[]} scopes - Scopes of the key, empty for none
+ * @throws {ApiError} - 403 if the key would grant more than the caller holds
+ */
+const assertKeyGrantable = async (req, user, scopes) => {
+  if (scopes && scopes.length > 0) {
+    return assertPermissionsGrantable(req, scopes);
+  }
+
+  const role = user.role ? await findRole(user.role) : null;
+  await assertPermissionsGrantable(req, role ? role.permissions : []);
+};
+
+/**
+ * @desc    Create an API key for a service account
+ * @route   POST /api/api-keys
+ * @access  Private (api-keys:write)
+ */
+const createApiKey = async (req, res, next) => {
+  try {
+    const { name, user: userId, scopes, expiresAt } = req.body;
+
+    const user = await User.findOne({ _id: userId, ...memberFilter(req) });
+    if (!user) {
+      return next(new ApiError(404, 'User not found'));
+    }
+
+    // Humans sign in with their own credentials (and MFA)
+    if (user.accountType !== 'service') {
+      return next(new ApiError(400, 'API keys can only be issued to service accounts'));
+    }
+
+    // A key acts as the whole service account
+    await assertAccountManageable(req, user);
+    await assertKeyGrantable(req, user, scopes);
+
+    const { apiKey, key } = await issueApiKey(user, { name, scopes, expiresAt }, req.user);
+
+    logger.info(`Admin ${req.user.email} created API key ${apiKey.prefix} for ${user.email}`);
+    await recordAuditEvent(req, {
+      action: AUDIT_ACTIONS.API_KEY_CREATE,
+      target: apiKeyTarget(apiKey),
+      changes: diffFields({}, auditedValues(apiKey))
+    });
+
+    // The plain key is only ever shown in this response
+    res.status(201).json({
+      success: true,
+      data: { apiKey, key }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    List API keys, optionally for one user
+ * @route   GET /api/api-keys
+ * @access  Private (api-keys:read)
+ */
+const getApiKeys = async (req, res, next) => {
+  try {
+    const filters = [await ownerFilter(req)];
+    if (req.query.user) {
+      filters.push({ user: req.query.user });
+    }
+    const apiKeys = await ApiKey.find({ $and: filters }).sort({ createdAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      count: apiKeys.length,
+      data: { apiKeys }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get an API key
+ * @route   GET /api/api-keys/:id
+ * @access  Private (api-keys:read)
+ */
+const getApiKey = async (req, res, next) => {
+  try {
+    const apiKey = await ApiKey.findOne({ _id: req.params.id, ...(await ownerFilter(req)) });
+
+    if (!apiKey) {
+      return next(new ApiError(404, 'API key not found'));
+    }
+
+    res.status(200).json({
+      success: true,
+      data: { apiKey }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Update the name, scopes or expiry of an API key
+ * @route   PUT /api/api-keys/:id
+ * @access  Private (api-keys:write)
+ */
+const updateApiKey = async (req, res, next) => {
+  try {
+    const apiKey = await ApiKey.findOne({ _id: req.params.id, ...(await ownerFilter(req)) });
+
+    if (!apiKey) {
+      return next(new ApiError(404, 'API key not found'));
+    }
+
+    if (apiKey.revokedAt) {
+      return next(new ApiError(400, 'API key has been revoked'));
+    }
+
+    const { name, scopes, expiresAt } = req.body;
+    if (scopes || req.organization) {
+      const user = await User.findById(apiKey.user);
+      if (!user) {
+        return next(new ApiError(404, 'User not found'));
+      }
+      await assertAccountManageable(req, user);
+      if (scopes) {
+        await assertKeyGrantable(req, user, scopes);
+      }
+    }
+
+    const before = auditedValues(apiKey);
+    if (name) apiKey.name = name;
+    if (scopes) apiKey.scopes = scopes;
+    if (expiresAt !== undefined) apiKey.expiresAt = expiresAt || undefined;
+
+    await apiKey.save();
+
+    logger.info(`Admin ${req.user.email} updated API key ${apiKey.prefix}`);
+    await recordAuditEvent(req, {
+      action: AUDIT_ACTIONS.API_KEY_UPDATE,
+      target: apiKeyTarget(apiKey),
+      changes: diffFields(before, auditedValues(apiKey))
+    });
+
+    res.status(200).json({
+      success: true,
+      data: { apiKey }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Revoke an API key
+ * @route   DELETE /api/api-keys/:id
+ * @access  Private (api-keys:write)
+ */
+const revokeApiKey = async (req, res, next) => {
+  try {
+    const filter = { _id: req.params.id, revokedAt: null, ...(await ownerFilter(req)) };
+
+    if (req.organization) {
+      const existing = await ApiKey.findOne(filter);
+      if (!existing) {
+        return next(new ApiError(404, 'API key not found'));
+      }
+      await assertAccountManageable(req, await User.findById(existing.user));
+    }
+
+    const apiKey = await ApiKey.findOneAndUpdate(filter, { revokedAt: Date.now() }, { new: true });
+
+    if (!apiKey) {
+      return next(new ApiError(404, 'API key not found'));
+    }
+
+    logger.info(`Admin ${req.user.email} revoked API key ${apiKey.prefix}`);
+    await recordAuditEvent(req, { action: AUDIT_ACTIONS.API_KEY_REVOKE, target: apiKeyTarget(apiKey) });
+
+    res.status(200).json({
+      success: true,
+      data: {}
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+export {
+  createApiKey,
+  getApiKeys,
+  getApiKey,
+  updateApiKey,
+  revokeApiKey
+};
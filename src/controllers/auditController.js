@@ -0,0 +1,120 @@
+import AuditEvent from '../models/auditEventModel.js';
+import { logger } from '../utils/logger.js';
+import { createChainVerifier, verifyAuditChain } from '../services/auditService.js';
+
+/**
+ * Build an audit event query from request filters
+ * @param {Object} query - Request query string values
+ * @returns {Object} - MongoDB filter
+ */
+const buildAuditFilter = ({ action, outcome, actor, target, targetType, from, to }) => {
+  const filter = {};
+  if (action) filter.action = action;
+  if (outcome) filter.outcome = outcome;
+  if (actor) filter['actor.user'] = actor;
+  if (target) filter['target.id'] = target;
+  if (targetType) filter['target.type'] = targetType;
+  if (from || to) {
+    filter.createdAt = {
+      ...(from && { $gte: new Date(from) }),
+      ...(to && { $lte: new Date(to) })
+    };
+  }
+  return filter;
+};
+
+/**
+ * @desc    List audit events, newest first
+ * @route   GET /api/audit
+ * @access  Private (audit:read)
+ */
+const getAuditEvents = async (req, res, next) => {
+  try {
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = parseInt(req.query.limit, 10) || 20;
+    const filter = buildAuditFilter(req.query);
+
+    const total = await AuditEvent.countDocuments(filter);
+    const events = await AuditEvent.find(filter)
+      .sort({ createdAt: -1, _id: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit);
+
+    res.status(200).json({
+      success: true,
+      count: events.length,
+      pagination: {
+        total,
+        pages: Math.ceil(total / limit),
+        currentPage: page,
+        limit
+      },
+      data: { events }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Export the whole audit log as NDJSON, checking the hash chain
+ * @route   GET /api/audit/export
+ * @access  Private (audit:read)
+ */
+const exportAuditEvents = async (req, res, next) => {
+  try {
+    const verifier = createChainVerifier();
+
+    // Events from before the chain was enabled come first, then the chain in order
+    const cursor = AuditEvent.find().sort({ sequence: 1, _id: 1 }).cursor();
+
+    res.status(200);
+    res.type('application/x-ndjson');
+    res.set('Content-Disposition', 'attachment; filename="audit-log.ndjson"');
+
+    for await (const event of cursor) {
+      verifier.check(event);
+      res.write(`${JSON.stringify(event)}\n`);
+    }
+
+    // The last line reports whether the exported chain is intact
+    const verification = verifier.result();
+    res.end(`${JSON.stringify({ verification })}\n`);
+
+    logger.info(`Admin ${req.user.email} exported the audit log`, { verification });
+  } catch (error) {
+    if (!res.headersSent) {
+      return next(error);
+    }
+    logger.error(`Audit log export failed: ${error.message}`);
+    res.end();
+  }
+};
+
+/**
+ * @desc    Check the audit log hash chain for tampering
+ * @route   GET /api/audit/verify
+ * @access  Private (audit:read)
+ */
+const verifyAuditLog = async (req, res, next) => {
+  try {
+    const verification = await verifyAuditChain();
+
+    if (!verification.valid) {
+      logger.warn(`Audit log hash chain is broken at event ${verification.brokenAt}: ${verification.reason}`);
+    }
+
+    res.status(200).json({
+      success: true,
+      data: { verification }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+export {
+  getAuditEvents,
+  exportAuditEvents,
+  verifyAuditLog
+};
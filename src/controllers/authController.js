@@ -2,6 +2,27 @@ import crypto from 'crypto';
 import User from '../models/userModel.js';
 import { ApiError } from '../middleware/errorHandler.js';
 import { logger } from '../utils/logger.js';
+import { config } from '../config/config.js';
+import { issueAuthTokens, rotateRefreshToken } from '../services/tokenService.js';
+import {
+  formatAuthUser,
+  completeLogin,
+  finishLogin,
+  assertLoginAllowed,
+  recordFailedLogin,
+  findLoginThrottle,
+  recordUnknownEmailLogin
+} from '../services/authService.js';
+import { revokeSession, revokeUserSessions } from '../services/sessionService.js';
+import { revokeToken } from '../services/tokenDenylist.js';
+import { assertPasswordAllowed, getPasswordPolicy } from '../services/passwordPolicyService.js';
+import { getRequestPermissions } from '../services/roleService.js';
+import { AUDIT_ACTIONS, recordAuditEvent, userTarget } from '../services/auditService.js';
+import {
+  sendPasswordResetEmail,
+  sendVerificationEmail,
+  sendMagicLinkEmail
+} from '../services/mail/mailService.js';
 
 /**
  * @desc    Register a new user
@@ -18,15 +39,23 @@ const register = async (req, res, next) => {
       return next(new ApiError(409, 'User with this email already exists'));
     }
 
-    // Create new user
-    const user = await User.create({
+    await assertPasswordAllowed(password, { name, email });
+
+    // Create new user with a pending email verification
+    const user = new User({
       name,
       email,
       password
     });
+    const verificationToken = user.generateEmailVerificationToken();
+    await user.save();
+    await sendVerificationEmail(user, verificationToken);
 
-    // Generate JWT token
-    const token = user.generateAuthToken();
+    // Sign the new user in unless login waits for email verification
+    // (or ask for MFA enrollment if their role requires it)
+    const data = config.emailVerification.mode === 'login'
+      ? { user: formatAuthUser(user), emailVerificationRequired: true }
+      : await completeLogin(user, req);
 
     // Log successful registration
     logger.info(`New user registered: ${email}`);
@@ -34,15 +63,7 @@ const register = async (req, res, next) => {
     // Return user data and token
     res.status(201).json({
       success: true,
-      data: {
-        user: {
-          id: user._id,
-          name: user.name,
-          email: user.email,
-          role: user.role
-        },
-        token
-      }
+      data
     });
   } catch (error) {
     next(error);
@@ -66,10 +87,22 @@ const login = async (req, res, next) => {
     // Find user by email and include password field
     const user = await User.findOne({ email }).select('+password');
 
+    // Refuse attempts on locked or throttled accounts before checking the password;
+    // emails without an account are throttled alike, so this does not reveal them
+    const throttle = user || await findLoginThrottle(email);
+    if (throttle) {
+      assertLoginAllowed(throttle);
+    }
+
     // Check if user exists and password is correct
     if (!user || !(await user.matchPassword(password))) {
       // Log failed login attempt
       logger.warn(`Failed login attempt for email: ${email}`);
+      if (user) {
+        await recordFailedLogin(user, req, 'invalid_password');
+      } else {
+        await recordUnknownEmailLogin(email, req);
+      }
       return next(new ApiError(401, 'Invalid credentials'));
     }
 
@@ -78,27 +111,55 @@ const login = async (req, res, next) => {
       return next(new ApiError(401, 'Your account has been deactivated'));
     }
 
-    // Update last login timestamp
-    user.lastLogin = Date.now();
-    await user.save({ validateBeforeSave: false });
+    // Checked after the password so it does not reveal which accounts use passkeys
+    if (user.passwordLoginDisabled) {
+      return next(new ApiError(401, 'Password login is disabled for this account, sign in with a passkey', {
+        code: 'PASSWORD_LOGIN_DISABLED'
+      }));
+    }
+
+    // Upgrade a hash made with older settings while the password is known
+    if (await user.upgradePasswordHash(password)) {
+      logger.info(`Password hash upgraded for user: ${email}`);
+    }
 
-    // Generate JWT token
-    const token = user.generateAuthToken();
+    // Issue tokens, or a challenge token if a second factor is needed
+    const data = await completeLogin(user, req);
 
     // Log successful login
-    logger.info(`User logged in: ${email}`);
+    if (data.token) {
+      logger.info(`User logged in: ${email}`);
+    } else {
+      logger.info(`Password verified, second factor pending for: ${email}`);
+    }
+
+    // Return user data and token (or MFA challenge)
+    res.status(200).json({
+      success: true,
+      data
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Exchange a refresh token for a new token pair
+ * @route   POST /api/auth/refresh
+ * @access  Public
+ */
+const refresh = async (req, res, next) => {
+  try {
+    const { refreshToken } = req.body;
+
+    // Rotate the refresh token; reuse of an old token revokes its family
+    const tokens = await rotateRefreshToken(refreshToken, req);
 
-    // Return user data and token
     res.status(200).json({
       success: true,
       data: {
-        user: {
-          id: user._id,
-          name: user.name,
-          email: user.email,
-          role: user.role
-        },
-        token
+        token: tokens.token,
+        refreshToken: tokens.refreshToken
       }
     });
   } catch (error) {
@@ -124,8 +185,14 @@ const getMe = async (req, res, next) => {
           name: user.name,
           email: user.email,
           role: user.role,
+          permissions: await getRequestPermissions(req),
+          emailVerified: user.emailVerified,
           createdAt: user.createdAt,
-          lastLogin: user.lastLogin
+          lastLogin: user.lastLogin,
+          // Set while a deletion the user asked for can still be cancelled
+          deletionScheduledFor: user.deletionRequest && user.deletionRequest.scheduledFor,
+          // Set while an admin is impersonating the user
+          impersonatedBy: req.impersonator && { id: req.impersonator._id, email: req.impersonator.email }
         }
       }
     });
@@ -134,6 +201,182 @@ const getMe = async (req, res, next) => {
   }
 };
 
+/**
+ * @desc    Verify email address
+ * @route   GET|POST /api/auth/verify-email/:token
+ * @access  Public
+ */
+const verifyEmail = async (req, res, next) => {
+  try {
+    // Hash the token to compare with stored hash
+    const hashedToken = crypto
+      .createHash('sha256')
+      .update(req.params.token)
+      .digest('hex');
+
+    const user = await User.findOne({
+      emailVerificationToken: hashedToken,
+      emailVerificationExpires: { $gt: Date.now() }
+    });
+
+    if (!user) {
+      return next(new ApiError(400, 'Invalid or expired token'));
+    }
+
+    user.emailVerified = true;
+    user.emailVerifiedAt = Date.now();
+    user.emailVerificationToken = undefined;
+    user.emailVerificationExpires = undefined;
+    await user.save({ validateBeforeSave: false });
+
+    // Log email verification
+    logger.info(`Email verified for: ${user.email}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Email verified successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Resend email verification
+ * @route   POST /api/auth/verify-email/resend
+ * @access  Public
+ */
+const resendVerificationEmail = async (req, res, next) => {
+  try {
+    const { email } = req.body;
+
+    const user = await User.findOne({ email });
+
+    // Only unverified accounts get a new token
+    if (user && !user.emailVerified) {
+      const verificationToken = user.generateEmailVerificationToken();
+      await user.save({ validateBeforeSave: false });
+      await sendVerificationEmail(user, verificationToken);
+      logger.info(`Email verification resent to: ${email}`);
+    }
+
+    // Same response either way so the endpoint cannot be used to probe accounts
+    res.status(200).json({
+      success: true,
+      message: 'If the account exists and is not verified yet, a verification email has been sent'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Email a single-use login link
+ * @route   POST /api/auth/magic-link
+ * @access  Public
+ */
+const requestMagicLink = async (req, res, next) => {
+  try {
+    const { email, bindToBrowser } = req.body;
+
+    // The caller keeps this key and sends it back with the token, so the
+    // link only works in the browser that asked for it
+    const browserKey = bindToBrowser ? crypto.randomBytes(32).toString('hex') : undefined;
+
+    // Service accounts, passkey-only accounts and pending invitations cannot sign in by email
+    const user = await User.findOne({ email });
+    if (user && user.isActive && user.accountType !== 'service' && !user.passwordLoginDisabled &&
+      !user.isInvitationPending()) {
+      const magicToken = user.generateMagicLinkToken(browserKey);
+      await user.save({ validateBeforeSave: false });
+
+      try {
+        await sendMagicLinkEmail(user, magicToken);
+        logger.info(`Magic link sent to: ${email}`);
+      } catch (mailError) {
+        // Not reported to the caller, so the response stays the same
+        logger.error(`Magic link email to ${email} failed: ${mailError.message}`);
+      }
+    }
+
+    // Same response either way so the endpoint cannot be used to probe accounts
+    res.status(200).json({
+      success: true,
+      message: 'If an account exists for that email, a login link has been sent',
+      ...(browserKey && { data: { browserKey } })
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Log in with a magic link token
+ * @route   POST /api/auth/magic-link/consume
+ * @access  Public
+ */
+const consumeMagicLink = async (req, res, next) => {
+  try {
+    const { token, browserKey } = req.body;
+    const tokenHash = crypto.createHash('sha256').update(token).digest('hex');
+
+    // Atomically clear the token so a link can only be used once
+    const user = await User.findOneAndUpdate(
+      { magicLinkToken: tokenHash, magicLinkExpires: { $gt: Date.now() } },
+      { $unset: { magicLinkToken: 1, magicLinkExpires: 1, magicLinkBrowserHash: 1 } }
+    );
+
+    if (!user) {
+      return next(new ApiError(400, 'Invalid or expired login link'));
+    }
+
+    // A bound link needs the key held by the browser that requested it
+    if (user.magicLinkBrowserHash) {
+      const presented = crypto.createHash('sha256').update(browserKey || '').digest();
+      const expected = Buffer.from(user.magicLinkBrowserHash, 'hex');
+      if (!crypto.timingSafeEqual(presented, expected)) {
+        logger.warn(`Magic link for ${user.email} used from another browser`, { ip: req.ip });
+        return next(new ApiError(401, 'This login link must be opened in the browser that requested it'));
+      }
+    }
+
+    if (!user.isActive || user.passwordLoginDisabled) {
+      return next(new ApiError(401, 'Login link is no longer valid for this account'));
+    }
+
+    // Opening the link proves the user controls the mailbox
+    if (!user.emailVerified) {
+      user.emailVerified = true;
+      user.emailVerifiedAt = Date.now();
+      await user.save({ validateBeforeSave: false });
+    }
+
+    // Issue tokens, or a challenge token if a second factor is needed
+    const data = await completeLogin(user, req);
+
+    logger.info(`User logged in with a magic link: ${user.email}`);
+
+    res.status(200).json({
+      success: true,
+      data
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get the password policy
+ * @route   GET /api/auth/password-policy
+ * @access  Public
+ */
+const passwordPolicy = (req, res) => {
+  res.status(200).json({
+    success: true,
+    data: { policy: getPasswordPolicy() }
+  });
+};
+
 /**
  * @desc    Forgot password - send reset email
  * @route   POST /api/auth/forgotpassword
@@ -143,9 +386,10 @@ const forgotPassword = async (req, res, next) => {
   try {
     const { email } = req.body;
 
-    // Find user by email
+    // Find user by email (service accounts, pending invitations and accounts
+    // that sign in with passkeys only have no password to reset)
     const user = await User.findOne({ email });
-    if (!user) {
+    if (!user || user.accountType === 'service' || user.isInvitationPending() || user.passwordLoginDisabled) {
       return next(new ApiError(404, 'No user found with that email'));
     }
 
@@ -153,16 +397,28 @@ const forgotPassword = async (req, res, next) => {
     const resetToken = user.generatePasswordResetToken();
     await user.save({ validateBeforeSave: false });
 
-    // In a real application, you would send an email with the reset token
-    // For this example, we'll just return the token in the response
+    // Email the reset link; the token is never part of the response
+    try {
+      await sendPasswordResetEmail(user, resetToken);
+    } catch (mailError) {
+      user.passwordResetToken = undefined;
+      user.passwordResetExpires = undefined;
+      await user.save({ validateBeforeSave: false });
+
+      logger.error(`Password reset email to ${email} failed: ${mailError.message}`);
+      return next(new ApiError(500, 'Email could not be sent'));
+    }
+
     logger.info(`Password reset requested for: ${email}`);
+    await recordAuditEvent(req, {
+      action: AUDIT_ACTIONS.PASSWORD_RESET_REQUEST,
+      actor: { email },
+      target: userTarget(user)
+    });
 
     res.status(200).json({
       success: true,
-      message: 'Password reset token generated',
-      data: {
-        resetToken // In production, this would be sent via email, not in response
-      }
+      message: 'Password reset email sent'
     });
   } catch (error) {
     next(error);
@@ -191,28 +447,46 @@ const resetPassword = async (req, res, next) => {
       passwordResetExpires: { $gt: Date.now() }
     });
 
-    if (!user) {
+    // Passkey-only accounts may have been switched over after the link was sent
+    if (!user || user.passwordLoginDisabled) {
       return next(new ApiError(400, 'Invalid or expired token'));
     }
 
+    await assertPasswordAllowed(password, user);
+
     // Set new password and clear reset token fields
     user.password = password;
     user.passwordResetToken = undefined;
     user.passwordResetExpires = undefined;
+
+    // Opening the link proves the user controls the mailbox
+    if (!user.emailVerified) {
+      user.emailVerified = true;
+      user.emailVerifiedAt = Date.now();
+    }
     await user.save();
 
-    // Generate new JWT token
-    const token = user.generateAuthToken();
+    // Sign out every existing session
+    await revokeUserSessions(user._id);
 
     // Log password reset
     logger.info(`Password reset successful for: ${user.email}`);
+    await recordAuditEvent(req, {
+      action: AUDIT_ACTIONS.PASSWORD_RESET,
+      actor: { user: user._id, email: user.email },
+      target: userTarget(user)
+    });
+
+    // The reset link is only one factor: sign in like a login would, with a
+    // challenge token if a second factor is needed
+    const data = user.isActive
+      ? await completeLogin(user, req)
+      : { user: formatAuthUser(user) };
 
     res.status(200).json({
       success: true,
       message: 'Password reset successful',
-      data: {
-        token
-      }
+      data
     });
   } catch (error) {
     next(error);
@@ -233,24 +507,37 @@ const updatePassword = async (req, res, next) => {
 
     // Check if current password is correct
     if (!(await user.matchPassword(currentPassword))) {
+      await recordAuditEvent(req, {
+        action: AUDIT_ACTIONS.PASSWORD_CHANGE,
+        outcome: 'failure',
+        target: userTarget(user),
+        metadata: { reason: 'invalid_current_password' }
+      });
       return next(new ApiError(401, 'Current password is incorrect'));
     }
 
+    await assertPasswordAllowed(newPassword, user);
+
     // Update password
     user.password = newPassword;
     await user.save();
 
-    // Generate new JWT token
-    const token = user.generateAuthToken();
+    // Sign out every existing session
+    await revokeUserSessions(user._id);
+
+    // Generate new access and refresh tokens
+    const { token, refreshToken } = await issueAuthTokens(user, req);
 
     // Log password update
     logger.info(`Password updated for user: ${user.email}`);
+    await recordAuditEvent(req, { action: AUDIT_ACTIONS.PASSWORD_CHANGE, target: userTarget(user) });
 
     res.status(200).json({
       success: true,
       message: 'Password updated successfully',
       data: {
-        token
+        token,
+        refreshToken
       }
     });
   } catch (error) {
@@ -259,26 +546,86 @@ const updatePassword = async (req, res, next) => {
 };
 
 /**
- * @desc    Logout user (client-side)
- * @route   GET /api/auth/logout
+ * @desc    Replace an expired password and finish signing in
+ * @route   POST /api/auth/password-change
+ * @access  Private (requires a password change token)
+ */
+const changeExpiredPassword = async (req, res, next) => {
+  try {
+    const { newPassword } = req.body;
+
+    const user = await User.findById(req.user.id);
+
+    await assertPasswordAllowed(newPassword, user);
+
+    user.password = newPassword;
+    await user.save();
+
+    // The change token is single-use, and older sessions end with the old password
+    await revokeToken(req.tokenPayload, user._id);
+    await revokeUserSessions(user._id);
+
+    await recordAuditEvent(req, {
+      action: AUDIT_ACTIONS.PASSWORD_CHANGE,
+      target: userTarget(user),
+      metadata: { expired: true }
+    });
+
+    const data = await finishLogin(user, req);
+
+    // Log expired password change
+    logger.info(`Expired password changed for user: ${user.email}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Password updated successfully',
+      data
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Logout user and revoke the current tokens
+ * @route   POST /api/auth/logout
  * @access  Private
  */
-const logout = (req, res) => {
-  // Log logout
-  logger.info(`User logged out: ${req.user.email}`);
+const logout = async (req, res, next) => {
+  try {
+    // Denylist the access token until it expires
+    await revokeToken(req.tokenPayload, req.user._id);
 
-  res.status(200).json({
-    success: true,
-    message: 'Logged out successfully'
-  });
+    // End the session so its refresh tokens stop working
+    if (req.tokenPayload.sid) {
+      await revokeSession(req.tokenPayload.sid);
+    }
+
+    // Log logout
+    logger.info(`User logged out: ${req.user.email}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Logged out successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
 };
 
 export {
   register,
   login,
+  refresh,
   getMe,
+  verifyEmail,
+  resendVerificationEmail,
+  requestMagicLink,
+  consumeMagicLink,
+  passwordPolicy,
   forgotPassword,
   resetPassword,
   updatePassword,
+  changeExpiredPassword,
   logout
 };
\ No newline at end of file
@@ -0,0 +1,261 @@
+import crypto from 'crypto';
+import User from '../models/userModel.js';
+import { ApiError } from '../middleware/errorHandler.js';
+import { logger } from '../utils/logger.js';
+import { completeLogin } from '../services/authService.js';
+import { assertPasswordAllowed } from '../services/passwordPolicyService.js';
+import { assertRoleAssignable } from '../services/roleService.js';
+import { memberFilter, getContextRole } from '../services/organizationService.js';
+import { sendInvitationEmail } from '../services/mail/mailService.js';
+import { AUDIT_ACTIONS, recordAuditEvent, userTarget } from '../services/auditService.js';
+
+/**
+ * Query matching invitations that have not been accepted
+ */
+const PENDING = { 'invitation.invitedAt': { $exists: true }, 'invitation.acceptedAt': { $exists: false } };
+
+/**
+ * Shape an invited user for API responses
+ * @param {Object} user - User document, with invitation.invitedBy populated
+ * @param {Object} req - Express request object (after protect)
+ * @returns {Object} - Public invitation fields
+ */
+const formatInvitation = (user, req) => ({
+  id: user._id,
+  email: user.email,
+  name: user.name,
+  role: getContextRole(user, req),
+  invitedBy: user.invitation.invitedBy,
+  invitedAt: user.invitation.invitedAt,
+  expiresAt: user.invitation.expires,
+  acceptedAt: user.invitation.acceptedAt,
+  expired: !user.invitation.acceptedAt && user.invitation.expires < Date.now()
+});
+
+/**
+ * @desc    Invite a user to create an account
+ * @route   POST /api/users/invitations
+ * @access  Private (users:create)
+ */
+const createInvitation = async (req, res, next) => {
+  try {
+    const { name, email, role } = req.body;
+
+    const userExists = await User.findOne({ email });
+    if (userExists) {
+      return next(new ApiError(409, userExists.isInvitationPending()
+        ? 'User has already been invited, resend the invitation instead'
+        : 'User with this email already exists'));
+    }
+
+    if (role) {
+      await assertRoleAssignable(req, role);
+    }
+
+    // Inside an organization the role is the membership's
+    const user = new User({
+      name,
+      email,
+      ...(req.organization
+        ? { memberships: [{ organization: req.organization, role }] }
+        : { role })
+    });
+    const invitationToken = user.generateInvitationToken(req.user._id);
+    await user.save();
+
+    try {
+      await sendInvitationEmail(user, invitationToken, req.user);
+    } catch (mailError) {
+      await user.deleteOne();
+
+      logger.error(`Invitation email to ${email} failed: ${mailError.message}`);
+      return next(new ApiError(500, 'Email could not be sent'));
+    }
+
+    logger.info(`Admin ${req.user.email} invited ${email}`);
+    await recordAuditEvent(req, {
+      action: AUDIT_ACTIONS.INVITATION_CREATE,
+      target: userTarget(user),
+      metadata: { role: getContextRole(user, req) }
+    });
+
+    await user.populate('invitation.invitedBy', 'name email');
+
+    res.status(201).json({
+      success: true,
+      data: { invitation: formatInvitation(user, req) }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    List invitations
+ * @route   GET /api/users/invitations
+ * @access  Private (users:read)
+ */
+const getInvitations = async (req, res, next) => {
+  try {
+    // Pending invitations by default; accepted ones show who invited whom
+    const status = req.query.status === 'accepted'
+      ? { 'invitation.acceptedAt': { $exists: true } }
+      : PENDING;
+
+    const users = await User.find({ ...status, ...memberFilter(req) })
+      .populate('invitation.invitedBy', 'name email')
+      .sort({ 'invitation.invitedAt': -1 });
+
+    res.status(200).json({
+      success: true,
+      count: users.length,
+      data: {
+        invitations: users.map(user => formatInvitation(user, req))
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Send a pending invitation again with a new token and expiry
+ * @route   POST /api/users/invitations/:id/resend
+ * @access  Private (users:create)
+ */
+const resendInvitation = async (req, res, next) => {
+  try {
+    const user = await User.findOne({ _id: req.params.id, ...PENDING, ...memberFilter(req) });
+
+    if (!user) {
+      return next(new ApiError(404, 'Invitation not found'));
+    }
+
+    // The previous link stops working
+    const invitationToken = user.generateInvitationToken(req.user._id);
+    await user.save({ validateBeforeSave: false });
+
+    try {
+      await sendInvitationEmail(user, invitationToken, req.user);
+    } catch (mailError) {
+      logger.error(`Invitation email to ${user.email} failed: ${mailError.message}`);
+      return next(new ApiError(500, 'Email could not be sent'));
+    }
+
+    logger.info(`Admin ${req.user.email} resent the invitation of ${user.email}`);
+    await recordAuditEvent(req, {
+      action: AUDIT_ACTIONS.INVITATION_CREATE,
+      target: userTarget(user),
+      metadata: { resent: true }
+    });
+
+    await user.populate('invitation.invitedBy', 'name email');
+
+    res.status(200).json({
+      success: true,
+      data: { invitation: formatInvitation(user, req) }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Revoke a pending invitation
+ * @route   DELETE /api/users/invitations/:id
+ * @access  Private (users:create)
+ */
+const revokeInvitation = async (req, res, next) => {
+  try {
+    // The invited user only exists for the invitation
+    const user = await User.findOneAndDelete({ _id: req.params.id, ...PENDING, ...memberFilter(req) });
+
+    if (!user) {
+      return next(new ApiError(404, 'Invitation not found'));
+    }
+
+    logger.info(`Admin ${req.user.email} revoked the invitation of ${user.email}`);
+    await recordAuditEvent(req, { action: AUDIT_ACTIONS.INVITATION_REVOKE, target: userTarget(user) });
+
+    res.status(200).json({
+      success: true,
+      data: {}
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Accept an invitation by choosing a password (and name)
+ * @route   POST /api/auth/invitations/accept
+ * @access  Public
+ */
+const acceptInvitation = async (req, res, next) => {
+  try {
+    const { token, name, password } = req.body;
+    const tokenHash = crypto.createHash('sha256').update(token).digest('hex');
+
+    const user = await User.findOne({
+      'invitation.token': tokenHash,
+      'invitation.expires': { $gt: Date.now() },
+      ...PENDING
+    });
+
+    if (!user) {
+      return next(new ApiError(400, 'Invalid or expired invitation'));
+    }
+
+    if (name) user.name = name;
+    if (!user.name) {
+      return next(new ApiError(400, 'Name is required'));
+    }
+
+    await assertPasswordAllowed(password, user);
+
+    // Atomically clear the token so an invitation can only be accepted once
+    const claimed = await User.findOneAndUpdate(
+      { _id: user._id, 'invitation.token': tokenHash },
+      { $unset: { 'invitation.token': 1, 'invitation.expires': 1 } }
+    );
+    if (!claimed) {
+      return next(new ApiError(400, 'Invalid or expired invitation'));
+    }
+
+    // Opening the emailed link proves the user controls the mailbox
+    user.password = password;
+    user.invitation.token = undefined;
+    user.invitation.expires = undefined;
+    user.invitation.acceptedAt = Date.now();
+    user.emailVerified = true;
+    user.emailVerifiedAt = Date.now();
+    await user.save();
+
+    await recordAuditEvent(req, {
+      action: AUDIT_ACTIONS.INVITATION_ACCEPT,
+      actor: { user: user._id, email: user.email },
+      target: userTarget(user),
+      metadata: { invitedBy: user.invitation.invitedBy }
+    });
+
+    // Issue tokens, or a challenge token if the role requires MFA
+    const data = await completeLogin(user, req);
+
+    logger.info(`User ${user.email} accepted an invitation from ${user.invitation.invitedBy}`);
+
+    res.status(200).json({
+      success: true,
+      data
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+export {
+  createInvitation,
+  getInvitations,
+  resendInvitation,
+  revokeInvitation,
+  acceptInvitation
+};
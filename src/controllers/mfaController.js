@@ -0,0 +1,294 @@
+import User from '../models/userModel.js';
+import { ApiError } from '../middleware/errorHandler.js';
+import { config } from '../config/config.js';
+import { logger } from '../utils/logger.js';
+import {
+  generateTotpSecret,
+  verifyTotp,
+  buildOtpauthUri
+} from '../utils/totp.js';
+import { TOKEN_PURPOSES, verifyPurposeToken } from '../services/tokenService.js';
+import {
+  finishLogin,
+  isMfaRequired,
+  assertLoginAllowed,
+  recordFailedLogin
+} from '../services/authService.js';
+import { revokeToken } from '../services/tokenDenylist.js';
+import { memberFilter, assertAccountManageable } from '../services/organizationService.js';
+import { AUDIT_ACTIONS, recordAuditEvent, userTarget } from '../services/auditService.js';
+
+/**
+ * Check a TOTP code and guard against replaying an already used code
+ * The time step is claimed with a conditional update so that concurrent
+ * requests carrying the same code cannot both succeed
+ * Requires mfa.secret to be selected
+ * @param {Object} user - User document
+ * @param {String} code - Code entered by the user
+ * @returns {Promise<Boolean>} - True if the code is valid and was not used before
+ */
+const acceptTotpCode = async (user, code) => {
+  const step = verifyTotp(user.mfa.secret, code);
+  if (step === null) {
+    return false;
+  }
+
+  const { modifiedCount } = await User.updateOne(
+    { _id: user._id, 'mfa.lastUsedStep': { $not: { $gte: step } } },
+    { $set: { 'mfa.lastUsedStep': step } }
+  );
+  if (modifiedCount === 0) {
+    return false;
+  }
+
+  user.mfa.lastUsedStep = step;
+  return true;
+};
+
+/**
+ * @desc    Start TOTP enrollment
+ * @route   POST /api/auth/mfa/totp/setup
+ * @access  Private (also accepts MFA enrollment tokens)
+ */
+const setupTotp = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user._id);
+
+    if (user.mfa.enabled) {
+      return next(new ApiError(409, 'MFA is already enabled'));
+    }
+
+    // Keep the secret pending until the user proves their app has it
+    const secret = generateTotpSecret();
+    user.mfa.pendingSecret = secret;
+    await user.save({ validateBeforeSave: false });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        secret,
+        otpauthUri: buildOtpauthUri(secret, user.email, config.mfa.issuer)
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Confirm TOTP enrollment and enable MFA
+ * @route   POST /api/auth/mfa/totp/verify
+ * @access  Private (also accepts MFA enrollment tokens)
+ */
+const verifyTotpSetup = async (req, res, next) => {
+  try {
+    const { code } = req.body;
+
+    const user = await User.findById(req.user._id).select('+mfa.pendingSecret');
+
+    if (!user.mfa.pendingSecret) {
+      return next(new ApiError(400, 'No MFA setup in progress'));
+    }
+
+    const step = verifyTotp(user.mfa.pendingSecret, code);
+    if (step === null) {
+      return next(new ApiError(400, 'Invalid verification code'));
+    }
+
+    // Enable MFA and issue recovery codes (shown only once)
+    user.mfa.secret = user.mfa.pendingSecret;
+    user.mfa.pendingSecret = undefined;
+    user.mfa.lastUsedStep = step;
+    user.mfa.enabled = true;
+    user.mfa.enabledAt = Date.now();
+    const recoveryCodes = user.generateRecoveryCodes();
+    await user.save({ validateBeforeSave: false });
+
+    // Log MFA enrollment
+    logger.info(`MFA enabled for user: ${user.email}`);
+    await recordAuditEvent(req, { action: AUDIT_ACTIONS.MFA_ENABLE, target: userTarget(user) });
+
+    // Finish the sign-in that was waiting on mandatory enrollment; the
+    // enrollment token is single-use like the challenge token
+    let loginData = {};
+    if (req.tokenPayload.purpose === TOKEN_PURPOSES.MFA_ENROLLMENT) {
+      await revokeToken(req.tokenPayload, user._id);
+      loginData = await finishLogin(user, req);
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'MFA enabled',
+      data: {
+        recoveryCodes,
+        ...loginData
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Complete a sign-in with a TOTP or recovery code
+ * @route   POST /api/auth/mfa/challenge
+ * @access  Public (requires an MFA pending token)
+ */
+const mfaChallenge = async (req, res, next) => {
+  try {
+    const { mfaToken, code, recoveryCode } = req.body;
+
+    const decoded = await verifyPurposeToken(mfaToken, TOKEN_PURPOSES.MFA_PENDING);
+
+    const user = await User.findById(decoded.id)
+      .select('+mfa.secret +mfa.lastUsedStep +mfa.recoveryCodes');
+
+    if (!user || !user.isActive || !user.mfa.enabled) {
+      return next(new ApiError(401, 'Invalid token'));
+    }
+
+    // Wrong codes count towards the same lockout as wrong passwords
+    assertLoginAllowed(user);
+
+    const verified = code ? await acceptTotpCode(user, code) : user.useRecoveryCode(recoveryCode);
+    if (!verified) {
+      logger.warn(`Failed MFA challenge for user: ${user.email}`);
+      await recordFailedLogin(user, req, 'invalid_mfa_code');
+      return next(new ApiError(401, 'Invalid verification code'));
+    }
+
+    // The challenge token is single-use
+    await revokeToken(decoded, user._id);
+
+    if (recoveryCode) {
+      logger.warn(`Recovery code used by ${user.email}, ${user.mfa.recoveryCodes.length} left`);
+    }
+
+    const data = await finishLogin(user, req);
+
+    // Log successful login
+    logger.info(`User logged in with MFA: ${user.email}`);
+
+    res.status(200).json({
+      success: true,
+      data
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Replace recovery codes with a new set
+ * @route   POST /api/auth/mfa/recovery-codes
+ * @access  Private
+ */
+const regenerateRecoveryCodes = async (req, res, next) => {
+  try {
+    const { code } = req.body;
+
+    const user = await User.findById(req.user._id).select('+mfa.secret +mfa.lastUsedStep');
+
+    if (!user.mfa.enabled) {
+      return next(new ApiError(400, 'MFA is not enabled'));
+    }
+
+    if (!(await acceptTotpCode(user, code))) {
+      return next(new ApiError(401, 'Invalid verification code'));
+    }
+
+    const recoveryCodes = user.generateRecoveryCodes();
+    await user.save({ validateBeforeSave: false });
+
+    // Log recovery code regeneration
+    logger.info(`Recovery codes regenerated for user: ${user.email}`);
+    await recordAuditEvent(req, { action: AUDIT_ACTIONS.RECOVERY_CODES_REGENERATE, target: userTarget(user) });
+
+    res.status(200).json({
+      success: true,
+      data: { recoveryCodes }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Disable MFA for the current user
+ * @route   DELETE /api/auth/mfa
+ * @access  Private
+ */
+const disableMfa = async (req, res, next) => {
+  try {
+    const { password, code } = req.body;
+
+    const user = await User.findById(req.user._id)
+      .select('+password +mfa.secret +mfa.lastUsedStep');
+
+    if (!user.mfa.enabled) {
+      return next(new ApiError(400, 'MFA is not enabled'));
+    }
+
+    if (isMfaRequired(user)) {
+      return next(new ApiError(403, 'MFA is mandatory for your role'));
+    }
+
+    if (!(await user.matchPassword(password)) || !(await acceptTotpCode(user, code))) {
+      return next(new ApiError(401, 'Invalid password or verification code'));
+    }
+
+    user.resetMfa();
+    await user.save({ validateBeforeSave: false });
+
+    // Log MFA removal
+    logger.info(`MFA disabled by user: ${user.email}`);
+    await recordAuditEvent(req, { action: AUDIT_ACTIONS.MFA_DISABLE, target: userTarget(user) });
+
+    res.status(200).json({
+      success: true,
+      message: 'MFA disabled'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Reset a user's MFA so they can enroll again
+ * @route   DELETE /api/users/:id/mfa
+ * @access  Private (mfa:reset)
+ */
+const resetUserMfa = async (req, res, next) => {
+  try {
+    const user = await User.findOne({ _id: req.params.id, ...memberFilter(req) });
+
+    if (!user) {
+      return next(new ApiError(404, 'User not found'));
+    }
+
+    await assertAccountManageable(req, user);
+
+    user.resetMfa();
+    await user.save({ validateBeforeSave: false });
+
+    // Log MFA reset
+    logger.info(`Admin ${req.user.email} reset MFA for user: ${user.email}`);
+    await recordAuditEvent(req, { action: AUDIT_ACTIONS.USER_MFA_RESET, target: userTarget(user) });
+
+    res.status(200).json({
+      success: true,
+      message: 'MFA has been reset'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+export {
+  setupTotp,
+  verifyTotpSetup,
+  mfaChallenge,
+  regenerateRecoveryCodes,
+  disableMfa,
+  resetUserMfa
+};
@@ -0,0 +1,239 @@
+import crypto from 'crypto';
+import OAuthClient from '../models/oauthClientModel.js';
+import { ApiError } from '../middleware/errorHandler.js';
+import { logger } from '../utils/logger.js';
+import { generateClientSecret } from '../services/oauthService.js';
+import { AUDIT_ACTIONS, recordAuditEvent, diffFields } from '../services/auditService.js';
+
+// Fields an admin may set on a client
+const CLIENT_FIELDS = ['name', 'tokenEndpointAuthMethod', 'redirectUris', 'grantTypes', 'scopes', 'isActive'];
+
+/**
+ * Copy the editable fields present in the request body
+ * @param {Object} body - Request body
+ * @returns {Object} - Client fields to save
+ */
+const pickClientFields = (body) => {
+  const fields = {};
+  for (const field of CLIENT_FIELDS) {
+    if (body[field] !== undefined) {
+      fields[field] = body[field];
+    }
+  }
+  return fields;
+};
+
+/**
+ * Describe a client as the target of an audit event
+ * @param {Object} client - OAuthClient document
+ * @returns {Object} - Target fields
+ */
+const clientTarget = (client) => ({ type: 'oauth_client', id: String(client._id), label: client.clientId });
+
+/**
+ * Get the values of a client that the audit log tracks changes to
+ * @param {Object} client - OAuthClient document
+ * @returns {Object} - The editable fields
+ */
+const auditedValues = (client) => Object.fromEntries(CLIENT_FIELDS.map(field => {
+  const value = client[field];
+  return [field, Array.isArray(value) ? [...value] : value];
+}));
+
+/**
+ * @desc    Register an OAuth client
+ * @route   POST /api/oauth/clients
+ * @access  Private (oauth-clients:write)
+ */
+const createClient = async (req, res, next) => {
+  try {
+    const client = new OAuthClient({
+      ...pickClientFields(req.body),
+      clientId: crypto.randomBytes(16).toString('hex'),
+      createdBy: req.user._id
+    });
+
+    if (!client.isConfidential() && client.grantTypes.includes('client_credentials')) {
+      return next(new ApiError(400, 'Public clients cannot use the client credentials grant'));
+    }
+
+    // The secret is only ever shown in this response
+    let clientSecret;
+    if (client.isConfidential()) {
+      const generated = generateClientSecret();
+      clientSecret = generated.secret;
+      client.clientSecretHash = generated.hash;
+    }
+
+    await client.save();
+
+    logger.info(`OAuth client registered by admin ${req.user.email}: ${client.name} (${client.clientId})`);
+    await recordAuditEvent(req, {
+      action: AUDIT_ACTIONS.OAUTH_CLIENT_CREATE,
+      target: clientTarget(client),
+      changes: diffFields({}, auditedValues(client))
+    });
+
+    res.status(201).json({
+      success: true,
+      data: {
+        client,
+        ...(clientSecret && { clientSecret })
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    List OAuth clients
+ * @route   GET /api/oauth/clients
+ * @access  Private (oauth-clients:read)
+ */
+const getClients = async (req, res, next) => {
+  try {
+    const clients = await OAuthClient.find().sort({ createdAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      count: clients.length,
+      data: { clients }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get an OAuth client
+ * @route   GET /api/oauth/clients/:id
+ * @access  Private (oauth-clients:read)
+ */
+const getClient = async (req, res, next) => {
+  try {
+    const client = await OAuthClient.findById(req.params.id);
+
+    if (!client) {
+      return next(new ApiError(404, 'Client not found'));
+    }
+
+    res.status(200).json({
+      success: true,
+      data: { client }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Update an OAuth client
+ * @route   PUT /api/oauth/clients/:id
+ * @access  Private (oauth-clients:write)
+ */
+const updateClient = async (req, res, next) => {
+  try {
+    const client = await OAuthClient.findById(req.params.id);
+
+    if (!client) {
+      return next(new ApiError(404, 'Client not found'));
+    }
+
+    // Switching between public and confidential needs a new registration
+    const { tokenEndpointAuthMethod } = req.body;
+    if (tokenEndpointAuthMethod && (tokenEndpointAuthMethod === 'none') !== !client.isConfidential()) {
+      return next(new ApiError(400, 'Cannot change a client between public and confidential'));
+    }
+
+    const before = auditedValues(client);
+    client.set(pickClientFields(req.body));
+
+    if (!client.isConfidential() && client.grantTypes.includes('client_credentials')) {
+      return next(new ApiError(400, 'Public clients cannot use the client credentials grant'));
+    }
+
+    await client.save();
+
+    logger.info(`OAuth client ${client.clientId} updated by admin ${req.user.email}`);
+    await recordAuditEvent(req, {
+      action: AUDIT_ACTIONS.OAUTH_CLIENT_UPDATE,
+      target: clientTarget(client),
+      changes: diffFields(before, auditedValues(client))
+    });
+
+    res.status(200).json({
+      success: true,
+      data: { client }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Issue a new secret for a confidential client
+ * @route   POST /api/oauth/clients/:id/secret
+ * @access  Private (oauth-clients:write)
+ */
+const rotateClientSecret = async (req, res, next) => {
+  try {
+    const client = await OAuthClient.findById(req.params.id);
+
+    if (!client) {
+      return next(new ApiError(404, 'Client not found'));
+    }
+
+    if (!client.isConfidential()) {
+      return next(new ApiError(400, 'Public clients have no secret'));
+    }
+
+    const { secret, hash } = generateClientSecret();
+    client.clientSecretHash = hash;
+    await client.save();
+
+    logger.info(`OAuth client ${client.clientId} secret rotated by admin ${req.user.email}`);
+    await recordAuditEvent(req, { action: AUDIT_ACTIONS.OAUTH_CLIENT_SECRET_ROTATE, target: clientTarget(client) });
+
+    res.status(200).json({
+      success: true,
+      data: { clientSecret: secret }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Delete an OAuth client
+ * @route   DELETE /api/oauth/clients/:id
+ * @access  Private (oauth-clients:write)
+ */
+const deleteClient = async (req, res, next) => {
+  try {
+    const client = await OAuthClient.findByIdAndDelete(req.params.id);
+
+    if (!client) {
+      return next(new ApiError(404, 'Client not found'));
+    }
+
+    logger.info(`OAuth client ${client.clientId} deleted by admin ${req.user.email}`);
+    await recordAuditEvent(req, { action: AUDIT_ACTIONS.OAUTH_CLIENT_DELETE, target: clientTarget(client) });
+
+    res.status(200).json({
+      success: true,
+      data: {}
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+export {
+  createClient,
+  getClients,
+  getClient,
+  updateClient,
+  rotateClientSecret,
+  deleteClient
+};
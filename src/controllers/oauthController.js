@@ -0,0 +1,120 @@
+import { OAuthError } from '../middleware/errorHandler.js';
+import { config } from '../config/config.js';
+import { logger } from '../utils/logger.js';
+import { TOKEN_PURPOSES } from '../services/tokenService.js';
+import {
+  parseScope,
+  authenticateClient,
+  buildUserClaims,
+  findAuthorizationClient,
+  authorizeRequest,
+  exchangeAuthorizationCode,
+  issueClientCredentialsToken
+} from '../services/oauthService.js';
+
+/**
+ * @desc    Send a browser opening the authorization endpoint to the consent
+ *          page, which signs the user in and authorizes with their token
+ * @route   GET /api/oauth/authorize
+ * @access  Public (requests with an access token continue to authorize)
+ */
+const startAuthorization = async (req, res, next) => {
+  try {
+    if (req.headers.authorization) {
+      return next();
+    }
+
+    // Unknown clients and redirect URIs are refused before any page is shown
+    await findAuthorizationClient(req.query);
+
+    const consentUrl = new URL(config.oauth.consentUrl);
+    for (const [key, value] of Object.entries(req.query)) {
+      consentUrl.searchParams.set(key, String(value));
+    }
+
+    res.redirect(302, consentUrl.toString());
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Authorize a client for the signed-in user (authorization code + PKCE)
+ * @route   GET /api/oauth/authorize
+ * @access  Private
+ */
+const authorize = async (req, res, next) => {
+  try {
+    // Session start time is the time the user authenticated
+    const authTime = req.authSession ? req.authSession.createdAt : new Date(req.tokenPayload.iat * 1000);
+    const redirectTo = await authorizeRequest(req.user, req.query, authTime);
+
+    logger.info(`User ${req.user.email} authorized OAuth client ${req.query.client_id}`);
+
+    res.status(200).json({
+      success: true,
+      data: { redirectTo }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Token endpoint for the authorization_code and client_credentials grants
+ * @route   POST /api/oauth/token
+ * @access  Public (client authentication)
+ */
+const token = async (req, res, next) => {
+  try {
+    // Token responses must never be cached
+    res.set({ 'Cache-Control': 'no-store', Pragma: 'no-cache' });
+
+    const client = await authenticateClient(req);
+
+    let response;
+    switch (req.body.grant_type) {
+      case 'authorization_code':
+        response = await exchangeAuthorizationCode(client, req.body);
+        break;
+      case 'client_credentials':
+        response = issueClientCredentialsToken(client, req.body);
+        break;
+      default:
+        return next(new OAuthError(400, 'unsupported_grant_type', 'Unsupported grant_type'));
+    }
+
+    logger.info(`Issued ${req.body.grant_type} token to OAuth client ${client.clientId}`);
+
+    res.status(200).json(response);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Claims about the user an OAuth access token was issued for
+ * @route   GET|POST /api/oauth/userinfo
+ * @access  Private (OAuth access token with the openid scope)
+ */
+const userinfo = async (req, res, next) => {
+  try {
+    const { purpose, scope } = req.tokenPayload;
+    const scopes = parseScope(scope);
+
+    if (purpose !== TOKEN_PURPOSES.OAUTH_ACCESS || !scopes.includes('openid')) {
+      return next(new OAuthError(403, 'insufficient_scope', 'An access token with the openid scope is required'));
+    }
+
+    res.status(200).json(buildUserClaims(req.user, scopes));
+  } catch (error) {
+    next(error);
+  }
+};
+
+export {
+  startAuthorization,
+  authorize,
+  token,
+  userinfo
+};
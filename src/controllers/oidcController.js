@@ -0,0 +1,304 @@
+import User from '../models/userModel.js';
+import { ApiError } from '../middleware/errorHandler.js';
+import { config } from '../config/config.js';
+import { logger } from '../utils/logger.js';
+import { getProvider, createAuthorizationUrl, handleCallback } from '../services/oidcService.js';
+import { completeLogin } from '../services/authService.js';
+import { AUDIT_ACTIONS, recordAuditEvent, userTarget } from '../services/auditService.js';
+
+/**
+ * Shape a linked identity for API responses
+ * @param {Object} identity - Identity subdocument
+ * @returns {Object} - Public identity fields
+ */
+const formatIdentity = (identity) => ({
+  id: identity._id,
+  provider: identity.provider,
+  email: identity.email,
+  linkedAt: identity.linkedAt
+});
+
+// Holds the state of the flow the browser started, for the callback to check
+const STATE_COOKIE = 'oidc_state';
+
+/**
+ * Options of the state cookie, which is only sent to the provider's callback
+ * @param {String} providerName - Provider name
+ * @returns {Object} - Cookie options for res.cookie and res.clearCookie
+ */
+const stateCookieOptions = (providerName) => {
+  const callbackUrl = new URL(getProvider(providerName).redirectUri);
+  return {
+    httpOnly: true,
+    // Lax still sends it on the provider's top-level redirect back
+    sameSite: 'lax',
+    secure: callbackUrl.protocol === 'https:',
+    path: callbackUrl.pathname
+  };
+};
+
+/**
+ * Keep the state of a new flow in the browser that started it
+ * @param {Object} res - Express response object
+ * @param {String} providerName - Provider name
+ * @param {String} state - State of the authorization request
+ */
+const setStateCookie = (res, providerName, state) => {
+  res.cookie(STATE_COOKIE, state, {
+    ...stateCookieOptions(providerName),
+    maxAge: config.oidc.stateExpiresMinutes * 60 * 1000
+  });
+};
+
+/**
+ * Read the state cookie of a request
+ * @param {Object} req - Express request object
+ * @returns {String|undefined} - State the browser kept, if any
+ */
+const readStateCookie = (req) => {
+  const pair = (req.headers.cookie || '').split(';')
+    .map(part => part.trim())
+    .find(part => part.startsWith(`${STATE_COOKIE}=`));
+  return pair && decodeURIComponent(pair.slice(STATE_COOKIE.length + 1));
+};
+
+/**
+ * Find or create the user for a verified external identity
+ * Matches an existing link first, then an account with the same verified email.
+ * @param {Object} provider - Provider configuration
+ * @param {Object} claims - Verified ID token claims
+ * @returns {Promise<Object>} - User document
+ */
+const resolveUser = async (provider, claims) => {
+  const linked = await User.findOne({
+    identities: { $elemMatch: { provider: provider.name, subject: claims.sub } }
+  });
+
+  // Service accounts only authenticate with API keys
+  if (linked && linked.accountType === 'service') {
+    throw new ApiError(403, 'Service accounts cannot sign in with an identity provider');
+  }
+  if (linked) {
+    return linked;
+  }
+
+  // Never link on an email the provider has not verified
+  if (!claims.email || claims.email_verified !== true) {
+    throw new ApiError(401, 'The identity provider did not return a verified email');
+  }
+
+  const email = claims.email.toLowerCase();
+  const identity = { provider: provider.name, subject: claims.sub, email };
+
+  const existing = await User.findOne({ email });
+  if (existing && existing.isInvitationPending()) {
+    throw new ApiError(403, 'Please accept your invitation before signing in');
+  }
+  if (existing && existing.accountType === 'service') {
+    throw new ApiError(403, 'Service accounts cannot sign in with an identity provider');
+  }
+  if (existing) {
+    existing.identities.push(identity);
+    if (!existing.emailVerified) {
+      existing.emailVerified = true;
+      existing.emailVerifiedAt = Date.now();
+    }
+    await existing.save({ validateBeforeSave: false });
+    logger.info(`Linked ${provider.name} identity to existing user: ${email}`);
+    return existing;
+  }
+
+  if (!provider.allowSignup) {
+    throw new ApiError(403, 'No account exists for this identity');
+  }
+
+  const user = await User.create({
+    name: (claims.name || email.split('@')[0]).slice(0, 50),
+    email,
+    emailVerified: true,
+    emailVerifiedAt: Date.now(),
+    identities: [identity]
+  });
+  logger.info(`New user registered through ${provider.name}: ${email}`);
+  return user;
+};
+
+/**
+ * @desc    Start login with an external OpenID Connect provider
+ * @route   GET /api/auth/oidc/:provider/start
+ * @access  Public
+ */
+const startOidcLogin = async (req, res, next) => {
+  try {
+    const { authorizationUrl, state } = await createAuthorizationUrl(req.params.provider);
+
+    setStateCookie(res, req.params.provider, state);
+    res.redirect(302, authorizationUrl);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Handle the provider callback for login or linking
+ * @route   GET /api/auth/oidc/:provider/callback
+ * @access  Public
+ */
+const oidcCallback = async (req, res, next) => {
+  try {
+    const { code, state, error: providerError } = req.query;
+
+    if (providerError) {
+      return next(new ApiError(400, `Identity provider returned an error: ${providerError}`));
+    }
+
+    // The state is single-use either way
+    const browserState = readStateCookie(req);
+    res.clearCookie(STATE_COOKIE, stateCookieOptions(req.params.provider));
+
+    const { claims, pending, provider } = await handleCallback(req.params.provider, { code, state, browserState });
+
+    // Linking flow: attach the identity to the user who started it
+    if (pending.mode === 'link') {
+      const owner = await User.findOne({
+        identities: { $elemMatch: { provider: provider.name, subject: claims.sub } }
+      });
+      if (owner) {
+        return next(new ApiError(409, 'This identity is already linked to an account'));
+      }
+
+      const user = await User.findById(pending.user);
+      if (!user) {
+        return next(new ApiError(404, 'User not found'));
+      }
+      if (user.accountType === 'service') {
+        return next(new ApiError(403, 'Service accounts cannot sign in with an identity provider'));
+      }
+
+      user.identities.push({ provider: provider.name, subject: claims.sub, email: claims.email });
+      await user.save({ validateBeforeSave: false });
+
+      logger.info(`User ${user.email} linked ${provider.name} identity`);
+      // The callback carries no access token; the user who started the link acts
+      await recordAuditEvent(req, {
+        action: AUDIT_ACTIONS.IDENTITY_LINK,
+        actor: { user: user._id, email: user.email },
+        target: userTarget(user),
+        metadata: { provider: provider.name, email: claims.email }
+      });
+
+      return res.status(200).json({
+        success: true,
+        data: {
+          identity: formatIdentity(user.identities[user.identities.length - 1])
+        }
+      });
+    }
+
+    const user = await resolveUser(provider, claims);
+
+    if (!user.isActive) {
+      return next(new ApiError(401, 'Your account has been deactivated'));
+    }
+
+    // Issue tokens, or a challenge token if a second factor is needed
+    const data = await completeLogin(user, req);
+
+    logger.info(`User logged in through ${provider.name}: ${user.email}`);
+
+    res.status(200).json({
+      success: true,
+      data
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Start linking an external identity to the current user
+ * @route   POST /api/auth/oidc/:provider/link
+ * @access  Private
+ */
+const startOidcLink = async (req, res, next) => {
+  try {
+    const { authorizationUrl, state } = await createAuthorizationUrl(req.params.provider, {
+      mode: 'link',
+      user: req.user._id
+    });
+
+    // The browser that asked must also finish, or another user could be
+    // tricked into linking their identity to this account
+    setStateCookie(res, req.params.provider, state);
+    res.status(200).json({
+      success: true,
+      data: { authorizationUrl }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    List external identities linked to the current user
+ * @route   GET /api/auth/identities
+ * @access  Private
+ */
+const getIdentities = async (req, res, next) => {
+  try {
+    res.status(200).json({
+      success: true,
+      data: {
+        identities: req.user.identities.map(formatIdentity)
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Unlink an external identity from the current user
+ * @route   DELETE /api/auth/identities/:id
+ * @access  Private
+ */
+const unlinkIdentity = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user._id).select('+password');
+    const identity = user.identities.id(req.params.id);
+
+    if (!identity) {
+      return next(new ApiError(404, 'Identity not found'));
+    }
+
+    // Keep at least one way to sign in
+    if (!user.password && user.identities.length === 1) {
+      return next(new ApiError(400, 'Set a password before removing your last linked identity'));
+    }
+
+    identity.deleteOne();
+    await user.save({ validateBeforeSave: false });
+
+    logger.info(`User ${user.email} unlinked ${identity.provider} identity`);
+    await recordAuditEvent(req, {
+      action: AUDIT_ACTIONS.IDENTITY_UNLINK,
+      target: userTarget(user),
+      metadata: { provider: identity.provider, email: identity.email }
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {}
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+export {
+  startOidcLogin,
+  oidcCallback,
+  startOidcLink,
+  getIdentities,
+  unlinkIdentity
+};
@@ -0,0 +1,317 @@
+import Organization from '../models/organizationModel.js';
+import User from '../models/userModel.js';
+import Session from '../models/sessionModel.js';
+import { ApiError } from '../middleware/errorHandler.js';
+import { logger } from '../utils/logger.js';
+import { sessionClaims } from '../services/sessionService.js';
+import { revokeToken } from '../services/tokenDenylist.js';
+import { assertRoleAssignable } from '../services/roleService.js';
+import { findActiveOrganization } from '../services/organizationService.js';
+
+/**
+ * Derive a slug from an organization name
+ * @param {String} name - Organization name
+ * @returns {String} - Lowercase slug
+ */
+const slugify = (name) => name
+  .toLowerCase()
+  .replace(/[^a-z0-9]+/g, '-')
+  .replace(/^-+|-+$/g, '')
+  .slice(0, 50);
+
+/**
+ * Shape a member for API responses
+ * @param {Object} user - User document
+ * @param {Object} membership - Membership subdocument
+ * @returns {Object} - Public member fields
+ */
+const formatMember = (user, membership) => ({
+  id: user._id,
+  name: user.name,
+  email: user.email,
+  role: membership.role,
+  joinedAt: membership.joinedAt
+});
+
+/**
+ * @desc    Create an organization
+ * @route   POST /api/organizations
+ * @access  Private (organizations:write)
+ */
+const createOrganization = async (req, res, next) => {
+  try {
+    const { name } = req.body;
+    const slug = req.body.slug || slugify(name);
+
+    if (await Organization.exists({ slug })) {
+      return next(new ApiError(409, 'Organization with this slug already exists'));
+    }
+
+    const organization = await Organization.create({ name, slug, createdBy: req.user._id });
+
+    logger.info(`Admin ${req.user.email} created organization ${organization.slug}`);
+
+    res.status(201).json({
+      success: true,
+      data: { organization }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    List organizations
+ * @route   GET /api/organizations
+ * @access  Private (organizations:read)
+ */
+const getOrganizations = async (req, res, next) => {
+  try {
+    const organizations = await Organization.find().sort({ name: 1 });
+
+    res.status(200).json({
+      success: true,
+      count: organizations.length,
+      data: { organizations }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get an organization
+ * @route   GET /api/organizations/:id
+ * @access  Private (organizations:read)
+ */
+const getOrganization = async (req, res, next) => {
+  try {
+    const organization = await Organization.findById(req.params.id);
+
+    if (!organization) {
+      return next(new ApiError(404, 'Organization not found'));
+    }
+
+    res.status(200).json({
+      success: true,
+      data: { organization }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Rename, activate or deactivate an organization
+ * @route   PUT /api/organizations/:id
+ * @access  Private (organizations:write)
+ */
+const updateOrganization = async (req, res, next) => {
+  try {
+    const organization = await Organization.findById(req.params.id);
+
+    if (!organization) {
+      return next(new ApiError(404, 'Organization not found'));
+    }
+
+    const { name, isActive } = req.body;
+    if (name) organization.name = name;
+    if (isActive !== undefined) organization.isActive = isActive;
+
+    await organization.save();
+
+    logger.info(`Admin ${req.user.email} updated organization ${organization.slug}`);
+
+    res.status(200).json({
+      success: true,
+      data: { organization }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    List the members of an organization
+ * @route   GET /api/organizations/:id/members
+ * @access  Private (organizations:read)
+ */
+const getMembers = async (req, res, next) => {
+  try {
+    const organization = await Organization.findById(req.params.id);
+
+    if (!organization) {
+      return next(new ApiError(404, 'Organization not found'));
+    }
+
+    const users = await User.find({ 'memberships.organization': organization._id }).sort({ name: 1 });
+
+    res.status(200).json({
+      success: true,
+      count: users.length,
+      data: {
+        members: users.map(user => formatMember(user, user.getMembership(organization._id)))
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Add a user to an organization or change their role in it
+ * @route   PUT /api/organizations/:id/members/:userId
+ * @access  Private (organizations:write)
+ */
+const setMember = async (req, res, next) => {
+  try {
+    const organization = await Organization.findById(req.params.id);
+
+    if (!organization) {
+      return next(new ApiError(404, 'Organization not found'));
+    }
+
+    const user = await User.findById(req.params.userId);
+    if (!user) {
+      return next(new ApiError(404, 'User not found'));
+    }
+
+    const { role = 'user' } = req.body;
+    let membership = user.getMembership(organization._id);
+    await assertRoleAssignable(req, role, membership && membership.role);
+
+    if (membership) {
+      membership.role = role;
+    } else {
+      user.memberships.push({ organization: organization._id, role });
+      membership = user.memberships[user.memberships.length - 1];
+    }
+    await user.save({ validateBeforeSave: false });
+
+    logger.info(`Admin ${req.user.email} set role ${role} for ${user.email} in organization ${organization.slug}`);
+
+    res.status(200).json({
+      success: true,
+      data: { member: formatMember(user, membership) }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Remove a user from an organization
+ * @route   DELETE /api/organizations/:id/members/:userId
+ * @access  Private (organizations:write)
+ */
+const removeMember = async (req, res, next) => {
+  try {
+    const user = await User.findOneAndUpdate(
+      { _id: req.params.userId, 'memberships.organization': req.params.id },
+      { $pull: { memberships: { organization: req.params.id } } }
+    );
+
+    if (!user) {
+      return next(new ApiError(404, 'Member not found'));
+    }
+
+    logger.info(`Admin ${req.user.email} removed ${user.email} from organization ${req.params.id}`);
+
+    res.status(200).json({
+      success: true,
+      data: {}
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    List the organizations of the current user
+ * @route   GET /api/auth/organizations
+ * @access  Private
+ */
+const getMyOrganizations = async (req, res, next) => {
+  try {
+    const organizations = await Organization.find({
+      _id: { $in: req.user.memberships.map(membership => membership.organization) },
+      isActive: true
+    }).sort({ name: 1 });
+
+    res.status(200).json({
+      success: true,
+      count: organizations.length,
+      data: {
+        organizations: organizations.map(organization => ({
+          id: organization._id,
+          name: organization.name,
+          slug: organization.slug,
+          role: req.user.getMembership(organization._id).role,
+          current: Boolean(req.organization && req.organization.equals(organization._id))
+        }))
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Switch the current session to another organization (or none)
+ * @route   POST /api/auth/organizations/switch
+ * @access  Private
+ */
+const switchOrganization = async (req, res, next) => {
+  try {
+    const { organization: organizationId } = req.body;
+
+    if (!req.authSession) {
+      return next(new ApiError(400, 'Organizations can only be switched within a session'));
+    }
+
+    let organization = null;
+    if (organizationId) {
+      if (!req.user.getMembership(organizationId)) {
+        return next(new ApiError(403, 'You are not a member of this organization'));
+      }
+      organization = await findActiveOrganization(organizationId);
+    }
+
+    // Later refreshes keep the organization of the session
+    const session = await Session.findById(req.authSession._id);
+    session.organization = organization ? organization._id : undefined;
+    await session.save();
+
+    // The old access token still names the previous organization
+    await revokeToken(req.tokenPayload, req.user._id);
+
+    logger.info(`User ${req.user.email} switched to organization ${organization ? organization.slug : 'none'}`);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        token: req.user.generateAuthToken(sessionClaims(session)),
+        organization: organization && {
+          id: organization._id,
+          name: organization.name,
+          slug: organization.slug,
+          role: req.user.getMembership(organization._id).role
+        }
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+export {
+  createOrganization,
+  getOrganizations,
+  getOrganization,
+  updateOrganization,
+  getMembers,
+  setMember,
+  removeMember,
+  getMyOrganizations,
+  switchOrganization
+};
@@ -0,0 +1,186 @@
+import Role from '../models/roleModel.js';
+import User from '../models/userModel.js';
+import { ApiError } from '../middleware/errorHandler.js';
+import { logger } from '../utils/logger.js';
+import { PERMISSIONS, assertPermissionsGrantable } from '../services/roleService.js';
+import { AUDIT_ACTIONS, recordAuditEvent, diffFields } from '../services/auditService.js';
+
+/**
+ * @desc    List roles and the permissions they can grant
+ * @route   GET /api/roles
+ * @access  Private (roles:read)
+ */
+const getRoles = async (req, res, next) => {
+  try {
+    const roles = await Role.find().sort({ name: 1 });
+
+    res.status(200).json({
+      success: true,
+      count: roles.length,
+      data: { roles, permissions: PERMISSIONS }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get a role
+ * @route   GET /api/roles/:id
+ * @access  Private (roles:read)
+ */
+const getRole = async (req, res, next) => {
+  try {
+    const role = await Role.findById(req.params.id);
+
+    if (!role) {
+      return next(new ApiError(404, 'Role not found'));
+    }
+
+    res.status(200).json({
+      success: true,
+      data: { role }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Describe a role as the target of an audit event
+ * @param {Object} role - Role document
+ * @returns {Object} - Target fields
+ */
+const roleTarget = (role) => ({ type: 'role', id: String(role._id), label: role.name });
+
+/**
+ * Get the values of a role that the audit log tracks changes to
+ * @param {Object} role - Role document
+ * @returns {Object} - description and permissions
+ */
+const auditedValues = (role) => ({ description: role.description, permissions: [...role.permissions] });
+
+/**
+ * @desc    Create a role
+ * @route   POST /api/roles
+ * @access  Private (roles:write)
+ */
+const createRole = async (req, res, next) => {
+  try {
+    const { name, description, permissions = [] } = req.body;
+
+    if (await Role.exists({ name })) {
+      return next(new ApiError(409, 'Role with this name already exists'));
+    }
+
+    // A role cannot be used to hand out more than its creator holds
+    await assertPermissionsGrantable(req, permissions);
+
+    const role = await Role.create({ name, description, permissions });
+
+    logger.info(`Admin ${req.user.email} created role ${role.name}`);
+    await recordAuditEvent(req, {
+      action: AUDIT_ACTIONS.ROLE_CREATE,
+      target: roleTarget(role),
+      changes: diffFields({}, auditedValues(role))
+    });
+
+    res.status(201).json({
+      success: true,
+      data: { role }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Update the description or permissions of a role
+ * @route   PUT /api/roles/:id
+ * @access  Private (roles:write)
+ */
+const updateRole = async (req, res, next) => {
+  try {
+    const role = await Role.findById(req.params.id);
+
+    if (!role) {
+      return next(new ApiError(404, 'Role not found'));
+    }
+
+    const { description, permissions } = req.body;
+    const before = auditedValues(role);
+
+    if (permissions) {
+      if (role.isSystem) {
+        return next(new ApiError(400, 'Permissions of built-in roles cannot be changed'));
+      }
+      // Both what is added and what is taken away must be within the caller's reach
+      await assertPermissionsGrantable(req, [...role.permissions, ...permissions]);
+      role.permissions = permissions;
+    }
+    if (description !== undefined) role.description = description;
+
+    await role.save();
+
+    logger.info(`Admin ${req.user.email} updated role ${role.name}`);
+    await recordAuditEvent(req, {
+      action: AUDIT_ACTIONS.ROLE_UPDATE,
+      target: roleTarget(role),
+      changes: diffFields(before, auditedValues(role))
+    });
+
+    res.status(200).json({
+      success: true,
+      data: { role }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Delete a role that is not assigned to anyone
+ * @route   DELETE /api/roles/:id
+ * @access  Private (roles:write)
+ */
+const deleteRole = async (req, res, next) => {
+  try {
+    const role = await Role.findById(req.params.id);
+
+    if (!role) {
+      return next(new ApiError(404, 'Role not found'));
+    }
+
+    if (role.isSystem) {
+      return next(new ApiError(400, 'Built-in roles cannot be deleted'));
+    }
+
+    // Deleted users count too, since they can be restored
+    const assigned = await User.countDocuments({
+      $or: [{ role: role.name }, { 'memberships.role': role.name }]
+    }).setOptions({ withDeleted: true });
+    if (assigned > 0) {
+      return next(new ApiError(409, `Role is assigned to ${assigned} user(s)`));
+    }
+
+    await role.deleteOne();
+
+    logger.info(`Admin ${req.user.email} deleted role ${role.name}`);
+    await recordAuditEvent(req, { action: AUDIT_ACTIONS.ROLE_DELETE, target: roleTarget(role) });
+
+    res.status(200).json({
+      success: true,
+      data: {}
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+export {
+  getRoles,
+  getRole,
+  createRole,
+  updateRole,
+  deleteRole
+};
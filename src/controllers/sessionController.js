@@ -0,0 +1,133 @@
+import User from '../models/userModel.js';
+import Session from '../models/sessionModel.js';
+import { ApiError } from '../middleware/errorHandler.js';
+import { logger } from '../utils/logger.js';
+import {
+  listUserSessions,
+  revokeSession,
+  formatSession
+} from '../services/sessionService.js';
+import { memberFilter, assertAccountManageable } from '../services/organizationService.js';
+import { AUDIT_ACTIONS, recordAuditEvent, userTarget } from '../services/auditService.js';
+
+/**
+ * @desc    List active sessions of the current user
+ * @route   GET /api/auth/sessions
+ * @access  Private
+ */
+const getMySessions = async (req, res, next) => {
+  try {
+    const sessions = await listUserSessions(req.user._id);
+    
+    res.status(200).json({
+      success: true,
+      count: sessions.length,
+      data: {
+        sessions: sessions.map(session => formatSession(session, req.tokenPayload.sid))
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Revoke one of the current user's sessions
+ * @route   DELETE /api/auth/sessions/:id
+ * @access  Private
+ */
+const revokeMySession = async (req, res, next) => {
+  try {
+    const session = await Session.findOne({ _id: req.params.id, user: req.user._id });
+    
+    if (!session) {
+      return next(new ApiError(404, 'Session not found'));
+    }
+    
+    await revokeSession(session._id);
+    
+    // Log session revocation
+    logger.info(`User ${req.user.email} revoked session: ${session._id}`);
+    await recordAuditEvent(req, {
+      action: AUDIT_ACTIONS.SESSION_REVOKE,
+      target: userTarget(req.user),
+      metadata: { session: String(session._id) }
+    });
+    
+    res.status(200).json({
+      success: true,
+      data: {}
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    List active sessions of a user
+ * @route   GET /api/users/:id/sessions
+ * @access  Private (users:read)
+ */
+const getUserSessions = async (req, res, next) => {
+  try {
+    const user = await User.findOne({ _id: req.params.id, ...memberFilter(req) });
+    
+    if (!user) {
+      return next(new ApiError(404, 'User not found'));
+    }
+    
+    const sessions = await listUserSessions(user._id);
+    
+    res.status(200).json({
+      success: true,
+      count: sessions.length,
+      data: {
+        sessions: sessions.map(session => formatSession(session))
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Revoke a session of a user
+ * @route   DELETE /api/users/:id/sessions/:sessionId
+ * @access  Private (sessions:revoke)
+ */
+const revokeUserSession = async (req, res, next) => {
+  try {
+    const user = await User.findOne({ _id: req.params.id, ...memberFilter(req) });
+    const session = user && await Session.findOne({ _id: req.params.sessionId, user: user._id });
+    
+    if (!session) {
+      return next(new ApiError(404, 'Session not found'));
+    }
+    
+    await assertAccountManageable(req, user);
+    
+    await revokeSession(session._id);
+    
+    // Log session revocation
+    logger.info(`Admin ${req.user.email} revoked session ${session._id} of user: ${req.params.id}`);
+    await recordAuditEvent(req, {
+      action: AUDIT_ACTIONS.USER_SESSION_REVOKE,
+      target: userTarget(user),
+      metadata: { session: String(session._id) }
+    });
+    
+    res.status(200).json({
+      success: true,
+      data: {}
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+export {
+  getMySessions,
+  revokeMySession,
+  getUserSessions,
+  revokeUserSession
+};
@@ -1,42 +1,137 @@
+import { Readable } from 'stream';
+import { pipeline } from 'stream/promises';
 import User from '../models/userModel.js';
 import { ApiError } from '../middleware/errorHandler.js';
+import { config } from '../config/config.js';
 import { logger } from '../utils/logger.js';
+import { revokeUserSessions } from '../services/sessionService.js';
+import { sendVerificationEmail, sendAccountDeletionEmail } from '../services/mail/mailService.js';
+import { assertPasswordAllowed } from '../services/passwordPolicyService.js';
+import {
+  assertRoleAssignable,
+  getRequestPermissions,
+  findRole,
+  expandPermissions
+} from '../services/roleService.js';
+import { issueImpersonationToken } from '../services/tokenService.js';
+import {
+  memberFilter,
+  getContextRole,
+  setContextRole,
+  scopeUser,
+  canManageAccount,
+  assertAccountManageable
+} from '../services/organizationService.js';
+import {
+  buildUserFilter,
+  decodeCursor,
+  encodeCursor,
+  cursorFilter,
+  userSort
+} from '../services/userSearchService.js';
+import {
+  softDeleteUser,
+  findDeletedUser,
+  restoreUser,
+  requestAccountDeletion,
+  cancelAccountDeletion
+} from '../services/accountDeletionService.js';
+import { buildAccountArchive } from '../services/accountDataService.js';
+import {
+  EXPORT_FIELDS,
+  importUserFile,
+  exportUserRecord
+} from '../services/userImportService.js';
+import { formatCsvRow } from '../utils/csvUtils.js';
+import {
+  AUDIT_ACTIONS,
+  recordAuditEvent,
+  diffFields,
+  userTarget
+} from '../services/auditService.js';
 
 /**
- * @desc    Get all users
+ * Get the values of a user that the audit log tracks changes to
+ * @param {Object} user - User document
+ * @param {Object} req - Express request object (after protect)
+ * @returns {Object} - name, email, role (where the request acts) and isActive
+ */
+const auditedValues = (user, req) => ({
+  name: user.name,
+  email: user.email,
+  role: getContextRole(user, req),
+  isActive: user.isActive
+});
+
+/**
+ * @desc    Search and list users (members of the active organization, if any)
  * @route   GET /api/users
- * @access  Private/Admin
+ * @access  Private (users:read)
  */
 const getUsers = async (req, res, next) => {
   try {
-    // Implement pagination
-    const page = parseInt(req.query.page, 10) || 1;
     const limit = parseInt(req.query.limit, 10) || 10;
+    const sort = req.query.sort || '-createdAt';
+    const filter = buildUserFilter(req.query, req);
+    
+    // Keyset pagination continues after the cursor and skips the count,
+    // which stays fast on large collections
+    if (req.query.cursor) {
+      const cursor = decodeCursor(req.query.cursor);
+      if (cursor.sort !== sort) {
+        return next(new ApiError(400, 'Cursor does not match the sort order'));
+      }
+      
+      const found = await User.find({ $and: [filter, cursorFilter(cursor)] })
+        .setOptions({ withDeleted: Boolean(req.query.deleted) })
+        .select('-password')
+        .sort(userSort(sort))
+        .limit(limit + 1);
+      const users = found.slice(0, limit);
+      
+      return res.status(200).json({
+        success: true,
+        count: users.length,
+        pagination: {
+          limit,
+          hasMore: found.length > limit,
+          nextCursor: found.length > limit ? encodeCursor(users[users.length - 1], sort) : null
+        },
+        data: { users: users.map(user => scopeUser(user, req)) }
+      });
+    }
+    
+    // Page-based pagination
+    const page = parseInt(req.query.page, 10) || 1;
     const startIndex = (page - 1) * limit;
     
     // Get total count for pagination
-    const total = await User.countDocuments();
+    const total = await User.countDocuments(filter).setOptions({ withDeleted: Boolean(req.query.deleted) });
     
-    // Query users with pagination
-    const users = await User.find()
+    // Query users with pagination; one extra tells whether a next page exists
+    const found = await User.find(filter)
+      .setOptions({ withDeleted: Boolean(req.query.deleted) })
       .select('-password')
-      .sort({ createdAt: -1 })
+      .sort(userSort(sort))
       .skip(startIndex)
-      .limit(limit);
+      .limit(limit + 1);
+    const users = found.slice(0, limit);
     
-    // Pagination result
+    // Pagination result; nextCursor lets clients switch to keyset pagination
     const pagination = {
       total,
       pages: Math.ceil(total / limit),
       currentPage: page,
-      limit
+      limit,
+      hasMore: found.length > limit,
+      nextCursor: found.length > limit ? encodeCursor(users[users.length - 1], sort) : null
     };
     
     res.status(200).json({
       success: true,
       count: users.length,
       pagination,
-      data: { users }
+      data: { users: users.map(user => scopeUser(user, req)) }
     });
   } catch (error) {
     next(error);
@@ -46,11 +141,11 @@ const getUsers = async (req, res, next) => {
 /**
  * @desc    Get single user by ID
  * @route   GET /api/users/:id
- * @access  Private/Admin
+ * @access  Private (users:read)
  */
 const getUserById = async (req, res, next) => {
   try {
-    const user = await User.findById(req.params.id).select('-password');
+    const user = await User.findOne({ _id: req.params.id, ...memberFilter(req) }).select('-password');
     
     if (!user) {
       return next(new ApiError(404, 'User not found'));
@@ -58,7 +153,7 @@ const getUserById = async (req, res, next) => {
     
     res.status(200).json({
       success: true,
-      data: { user }
+      data: { user: scopeUser(user, req) }
     });
   } catch (error) {
     next(error);
@@ -68,11 +163,11 @@ const getUserById = async (req, res, next) => {
 /**
  * @desc    Create new user (admin only)
  * @route   POST /api/users
- * @access  Private/Admin
+ * @access  Private (users:create)
  */
 const createUser = async (req, res, next) => {
   try {
-    const { name, email, password, role } = req.body;
+    const { name, email, password, role, accountType } = req.body;
     
     // Check if user already exists
     const userExists = await User.findOne({ email });
@@ -80,16 +175,33 @@ const createUser = async (req, res, next) => {
       return next(new ApiError(409, 'User with this email already exists'));
     }
     
-    // Create user
+    if (accountType !== 'service') {
+      await assertPasswordAllowed(password, { name, email });
+    }
+    
+    if (role) {
+      await assertRoleAssignable(req, role);
+    }
+    
+    // Create user; inside an organization the role is the membership's
     const user = await User.create({
       name,
       email,
-      password,
-      role
+      // Service accounts never get a password
+      password: accountType === 'service' ? undefined : password,
+      ...(req.organization
+        ? { memberships: [{ organization: req.organization, role }] }
+        : { role }),
+      accountType
     });
     
     // Log user creation
     logger.info(`Admin ${req.user.email} created new user: ${email}`);
+    await recordAuditEvent(req, {
+      action: AUDIT_ACTIONS.USER_CREATE,
+      target: userTarget(user),
+      changes: diffFields({}, { ...auditedValues(user, req), accountType: user.accountType })
+    });
     
     res.status(201).json({
       success: true,
@@ -98,7 +210,8 @@ const createUser = async (req, res, next) => {
           id: user._id,
           name: user.name,
           email: user.email,
-          role: user.role
+          role: getContextRole(user, req),
+          accountType: user.accountType
         }
       }
     });
@@ -107,15 +220,104 @@ const createUser = async (req, res, next) => {
   }
 };
 
+/**
+ * @desc    Import users from a CSV or NDJSON upload
+ * @route   POST /api/users/import
+ * @access  Private (users:create; onConflict=update also needs users:update)
+ */
+const importUsers = async (req, res, next) => {
+  try {
+    const { dryRun = false, onConflict = 'fail' } = req.query;
+    
+    // The upload is read as it arrives, so it must not be a body that
+    // express has already parsed
+    const format = req.query.format ||
+      (req.is('text/csv') ? 'csv' : req.is(['application/x-ndjson', 'application/jsonl']) ? 'ndjson' : null);
+    if (!format || req.is(['application/json', 'application/x-www-form-urlencoded'])) {
+      return next(new ApiError(415, 'Upload users as text/csv or application/x-ndjson'));
+    }
+    
+    if (onConflict === 'update') {
+      const permissions = await getRequestPermissions(req);
+      if (!permissions.includes('users:update')) {
+        return next(new ApiError(403, 'Missing required permission: users:update'));
+      }
+    }
+    
+    const { summary, results, aborted } = await importUserFile(req, { format, dryRun, onConflict });
+    
+    // Log the import; created and updated users are audited one by one
+    logger.info(`Admin ${req.user.email} imported users${dryRun ? ' (dry run)' : ''}`, { summary, aborted });
+    if (!dryRun) {
+      await recordAuditEvent(req, {
+        action: AUDIT_ACTIONS.USER_IMPORT,
+        metadata: { format, onConflict, ...summary, aborted }
+      });
+    }
+    
+    res.status(200).json({
+      success: true,
+      data: { dryRun, onConflict, summary, aborted, results }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Export the users GET /api/users would list, as CSV or NDJSON
+ * @route   GET /api/users/export
+ * @access  Private (users:read)
+ */
+const exportUsers = async (req, res, next) => {
+  try {
+    const format = req.query.format || 'csv';
+    const cursor = User.find(buildUserFilter(req.query, req))
+      .setOptions({ withDeleted: Boolean(req.query.deleted) })
+      .select('-password')
+      .sort(userSort(req.query.sort || '-createdAt'))
+      .cursor();
+    
+    let count = 0;
+    const lines = async function* () {
+      if (format === 'csv') {
+        yield formatCsvRow(EXPORT_FIELDS);
+      }
+      for await (const user of cursor) {
+        const record = exportUserRecord(user, req);
+        count += 1;
+        yield format === 'csv'
+          ? formatCsvRow(EXPORT_FIELDS.map(field => record[field]))
+          : `${JSON.stringify(record)}\n`;
+      }
+    };
+    
+    res.status(200);
+    res.type(format === 'csv' ? 'text/csv' : 'application/x-ndjson');
+    res.set('Content-Disposition', `attachment; filename="users.${format}"`);
+    
+    // pipeline waits for slow clients and closes the cursor if they disconnect
+    await pipeline(Readable.from(lines()), res);
+    
+    logger.info(`Admin ${req.user.email} exported ${count} users`);
+    await recordAuditEvent(req, { action: AUDIT_ACTIONS.USER_EXPORT, metadata: { format, count } });
+  } catch (error) {
+    if (!res.headersSent) {
+      return next(error);
+    }
+    logger.error(`User export failed: ${error.message}`);
+  }
+};
+
 /**
  * @desc    Update user
  * @route   PUT /api/users/:id
- * @access  Private/Admin
+ * @access  Private (users:update)
  */
 const updateUser = async (req, res, next) => {
   try {
     // Find user
-    let user = await User.findById(req.params.id);
+    let user = await User.findOne({ _id: req.params.id, ...memberFilter(req) });
     
     if (!user) {
       return next(new ApiError(404, 'User not found'));
@@ -123,18 +325,43 @@ const updateUser = async (req, res, next) => {
     
     // Fields to update
     const { name, email, role, isActive } = req.body;
+    const before = auditedValues(user, req);
+    
+    // Name, email and status are the account's, not the membership's
+    if ((name && name !== user.name) || (email && email !== user.email) ||
+      (isActive !== undefined && isActive !== user.isActive)) {
+      await assertAccountManageable(req, user);
+    }
     
     // Update fields if provided
     if (name) user.name = name;
-    if (email) user.email = email;
-    if (role) user.role = role;
+    if (email && email !== user.email) {
+      user.email = email;
+      user.emailVerified = false;
+      user.emailVerifiedAt = undefined;
+    }
+    if (role && role !== getContextRole(user, req)) {
+      await assertRoleAssignable(req, role, getContextRole(user, req));
+      setContextRole(user, req, role);
+    }
     if (isActive !== undefined) user.isActive = isActive;
+    const verificationToken = user.isModified('email') && user.generateEmailVerificationToken();
     
     // Save updated user
     await user.save();
     
+    // The new address has to be verified by its owner
+    if (verificationToken) {
+      await sendVerificationEmail(user, verificationToken);
+    }
+    
     // Log user update
     logger.info(`Admin ${req.user.email} updated user: ${user.email}`);
+    await recordAuditEvent(req, {
+      action: AUDIT_ACTIONS.USER_UPDATE,
+      target: userTarget(user),
+      changes: diffFields(before, auditedValues(user, req))
+    });
     
     res.status(200).json({
       success: true,
@@ -143,7 +370,7 @@ const updateUser = async (req, res, next) => {
           id: user._id,
           name: user.name,
           email: user.email,
-          role: user.role,
+          role: getContextRole(user, req),
           isActive: user.isActive
         }
       }
@@ -154,13 +381,13 @@ const updateUser = async (req, res, next) => {
 };
 
 /**
- * @desc    Delete user
+ * @desc    Delete user; the account can be restored until it is purged
  * @route   DELETE /api/users/:id
- * @access  Private/Admin
+ * @access  Private (users:delete)
  */
 const deleteUser = async (req, res, next) => {
   try {
-    const user = await User.findById(req.params.id);
+    const user = await User.findOne({ _id: req.params.id, ...memberFilter(req) });
     
     if (!user) {
       return next(new ApiError(404, 'User not found'));
@@ -171,10 +398,26 @@ const deleteUser = async (req, res, next) => {
       return next(new ApiError(400, 'You cannot delete your own account'));
     }
     
-    await user.deleteOne();
+    // The email may be released by the deletion
+    const target = userTarget(user);
     
-    // Log user deletion
-    logger.info(`Admin ${req.user.email} deleted user: ${user.email}`);
+    // Accounts that reach beyond the organization only leave it
+    const membershipOnly = !(await canManageAccount(req, user));
+    if (membershipOnly) {
+      user.memberships = user.memberships.filter(membership =>
+        !membership.organization.equals(req.organization)
+      );
+      await user.save({ validateBeforeSave: false });
+      logger.info(`Admin ${req.user.email} removed user ${user.email} from organization ${req.organization}`);
+    } else {
+      await softDeleteUser(user, req.user);
+      logger.info(`Admin ${req.user.email} deleted user: ${target.label}`);
+    }
+    await recordAuditEvent(req, {
+      action: AUDIT_ACTIONS.USER_DELETE,
+      target,
+      metadata: { membershipOnly }
+    });
     
     res.status(200).json({
       success: true,
@@ -185,6 +428,201 @@ const deleteUser = async (req, res, next) => {
   }
 };
 
+/**
+ * @desc    Restore a deleted user
+ * @route   POST /api/users/:id/restore
+ * @access  Private (users:delete)
+ */
+const restoreDeletedUser = async (req, res, next) => {
+  try {
+    const user = await findDeletedUser({ _id: req.params.id, ...memberFilter(req) });
+    
+    if (!user) {
+      return next(new ApiError(404, 'Deleted user not found'));
+    }
+    
+    await assertAccountManageable(req, user);
+    
+    await restoreUser(user);
+    
+    // Log user restore
+    logger.info(`Admin ${req.user.email} restored user: ${user.email}`);
+    await recordAuditEvent(req, { action: AUDIT_ACTIONS.USER_RESTORE, target: userTarget(user) });
+    
+    res.status(200).json({
+      success: true,
+      data: { user: scopeUser(user, req) }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Log a user out everywhere by invalidating all issued tokens
+ * @route   POST /api/users/:id/logout-all
+ * @access  Private (sessions:revoke)
+ */
+const logoutAllSessions = async (req, res, next) => {
+  try {
+    const user = await User.findOne({ _id: req.params.id, ...memberFilter(req) });
+    
+    if (!user) {
+      return next(new ApiError(404, 'User not found'));
+    }
+    
+    await assertAccountManageable(req, user);
+    
+    // Access tokens issued before now are rejected by protect
+    user.tokensValidAfter = Date.now();
+    await user.save({ validateBeforeSave: false });
+    
+    // Sessions and their refresh tokens are revoked so no new access tokens can be minted
+    await revokeUserSessions(user._id);
+    
+    // Log forced logout
+    logger.info(`Admin ${req.user.email} logged out all sessions of user: ${user.email}`);
+    await recordAuditEvent(req, { action: AUDIT_ACTIONS.USER_LOGOUT_ALL, target: userTarget(user) });
+    
+    res.status(200).json({
+      success: true,
+      message: 'All sessions have been logged out'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get a short-lived token to act as a user
+ * @route   POST /api/users/:id/impersonate
+ * @access  Private (users:impersonate)
+ */
+const impersonateUser = async (req, res, next) => {
+  try {
+    const user = await User.findOne({ _id: req.params.id, ...memberFilter(req) });
+    
+    if (!user) {
+      return next(new ApiError(404, 'User not found'));
+    }
+    
+    if (user._id.equals(req.user._id)) {
+      return next(new ApiError(400, 'You cannot impersonate yourself'));
+    }
+    
+    if (!user.isActive || user.accountType === 'service' || user.isInvitationPending()) {
+      return next(new ApiError(400, 'Only active user accounts can be impersonated'));
+    }
+    
+    // Impersonation must not give the admin permissions they do not hold
+    const role = await findRole(user.role);
+    const granted = await getRequestPermissions(req);
+    if (role && expandPermissions(role.permissions).some(permission => !granted.includes(permission))) {
+      return next(new ApiError(403, 'You cannot impersonate a user with permissions you do not have'));
+    }
+    
+    const token = issueImpersonationToken(user, req.user);
+    
+    // Log impersonation; requests made with the token are logged in the admin's name
+    logger.info(`Admin ${req.user.email} started impersonating user: ${user.email}`);
+    await recordAuditEvent(req, {
+      action: AUDIT_ACTIONS.USER_IMPERSONATE,
+      target: userTarget(user),
+      metadata: { reason: req.body.reason, expiresIn: config.impersonation.expiresIn }
+    });
+    
+    res.status(200).json({
+      success: true,
+      data: {
+        token,
+        expiresIn: config.impersonation.expiresIn,
+        user: {
+          id: user._id,
+          name: user.name,
+          email: user.email,
+          role: user.role
+        }
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Unlock an account locked after failed logins
+ * @route   POST /api/users/:id/unlock
+ * @access  Private (users:update)
+ */
+const unlockUser = async (req, res, next) => {
+  try {
+    const user = await User.findOne({ _id: req.params.id, ...memberFilter(req) });
+    
+    if (!user) {
+      return next(new ApiError(404, 'User not found'));
+    }
+    
+    await assertAccountManageable(req, user);
+    
+    await user.resetFailedLogins();
+    
+    // Log account unlock
+    logger.info(`Admin ${req.user.email} unlocked user: ${user.email}`);
+    await recordAuditEvent(req, { action: AUDIT_ACTIONS.USER_UNLOCK, target: userTarget(user) });
+    
+    res.status(200).json({
+      success: true,
+      message: 'Account unlocked'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Assign a role to a user
+ * @route   PUT /api/users/:id/role
+ * @access  Private (roles:assign)
+ */
+const assignRole = async (req, res, next) => {
+  try {
+    const user = await User.findOne({ _id: req.params.id, ...memberFilter(req) });
+    
+    if (!user) {
+      return next(new ApiError(404, 'User not found'));
+    }
+    
+    const { role } = req.body;
+    const previousRole = getContextRole(user, req);
+    await assertRoleAssignable(req, role, previousRole);
+    
+    setContextRole(user, req, role);
+    await user.save({ validateBeforeSave: false });
+    
+    // Log role assignment
+    logger.info(`Admin ${req.user.email} assigned role ${role} to user: ${user.email}`);
+    await recordAuditEvent(req, {
+      action: AUDIT_ACTIONS.USER_ROLE_ASSIGN,
+      target: userTarget(user),
+      changes: diffFields({ role: previousRole }, { role })
+    });
+    
+    res.status(200).json({
+      success: true,
+      data: {
+        user: {
+          id: user._id,
+          name: user.name,
+          email: user.email,
+          role: getContextRole(user, req)
+        }
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 /**
  * @desc    Update own profile (for regular users)
  * @route   PUT /api/users/profile
@@ -194,6 +632,7 @@ const updateProfile = async (req, res, next) => {
   try {
     // Get user
     const user = await User.findById(req.user.id);
+    const before = { name: user.name, email: user.email };
     
     // Update fields if provided
     const { name, email } = req.body;
@@ -206,13 +645,27 @@ const updateProfile = async (req, res, next) => {
         return next(new ApiError(409, 'Email already in use'));
       }
       user.email = email;
+      
+      // The new address has to be verified again
+      user.emailVerified = false;
+      user.emailVerifiedAt = undefined;
     }
+    const verificationToken = user.isModified('email') && user.generateEmailVerificationToken();
     
     // Save updated user
     await user.save();
     
+    if (verificationToken) {
+      await sendVerificationEmail(user, verificationToken);
+    }
+    
     // Log profile update
     logger.info(`User updated profile: ${user.email}`);
+    await recordAuditEvent(req, {
+      action: AUDIT_ACTIONS.USER_UPDATE,
+      target: userTarget(user),
+      changes: diffFields(before, { name: user.name, email: user.email })
+    });
     
     res.status(200).json({
       success: true,
@@ -230,11 +683,110 @@ const updateProfile = async (req, res, next) => {
   }
 };
 
+/**
+ * @desc    Download the data held about the current user
+ * @route   GET /api/users/me/export
+ * @access  Private
+ */
+const exportMyData = async (req, res, next) => {
+  try {
+    const archive = await buildAccountArchive(req.user);
+    
+    logger.info(`User exported their data: ${req.user.email}`);
+    await recordAuditEvent(req, { action: AUDIT_ACTIONS.USER_DATA_EXPORT, target: userTarget(req.user) });
+    
+    res.set('Content-Disposition', 'attachment; filename="account-data.json"');
+    res.status(200).json(archive);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Ask for the current user's account to be deleted
+ * @route   POST /api/users/me/deletion
+ * @access  Private (requires the password)
+ */
+const requestMyDeletion = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user.id).select('+password');
+    
+    // Accounts without a password (such as external sign-in only) set one first
+    if (!user.password) {
+      return next(new ApiError(400, 'Set a password before deleting your account'));
+    }
+    
+    if (!(await user.matchPassword(req.body.password))) {
+      await recordAuditEvent(req, {
+        action: AUDIT_ACTIONS.USER_DELETION_REQUEST,
+        outcome: 'failure',
+        target: userTarget(user),
+        metadata: { reason: 'invalid_password' }
+      });
+      return next(new ApiError(401, 'Password is incorrect'));
+    }
+    
+    const { requestedAt, scheduledFor } = await requestAccountDeletion(user);
+    await sendAccountDeletionEmail(user, scheduledFor);
+    
+    // Log deletion request
+    logger.info(`User requested deletion of their account: ${user.email}`);
+    await recordAuditEvent(req, {
+      action: AUDIT_ACTIONS.USER_DELETION_REQUEST,
+      target: userTarget(user),
+      metadata: { scheduledFor }
+    });
+    
+    res.status(202).json({
+      success: true,
+      message: 'Your account will be deleted at the end of the cooling-off period unless you cancel',
+      data: { deletionRequest: { requestedAt, scheduledFor } }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Cancel the deletion of the current user's account
+ * @route   DELETE /api/users/me/deletion
+ * @access  Private
+ */
+const cancelMyDeletion = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user.id);
+    
+    await cancelAccountDeletion(user);
+    
+    // Log cancellation
+    logger.info(`User cancelled deletion of their account: ${user.email}`);
+    await recordAuditEvent(req, { action: AUDIT_ACTIONS.USER_DELETION_CANCEL, target: userTarget(user) });
+    
+    res.status(200).json({
+      success: true,
+      message: 'Account deletion cancelled',
+      data: {}
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 export {
   getUsers,
   getUserById,
   createUser,
+  importUsers,
+  exportUsers,
   updateUser,
   deleteUser,
-  updateProfile
+  restoreDeletedUser,
+  logoutAllSessions,
+  impersonateUser,
+  unlockUser,
+  assignRole,
+  updateProfile,
+  exportMyData,
+  requestMyDeletion,
+  cancelMyDeletion
 };
\ No newline at end of file
@@ -0,0 +1,255 @@
+import User from '../models/userModel.js';
+import { ApiError } from '../middleware/errorHandler.js';
+import { logger } from '../utils/logger.js';
+import { completeLogin } from '../services/authService.js';
+import { getDeviceLabel } from '../utils/deviceUtils.js';
+import { AUDIT_ACTIONS, recordAuditEvent, diffFields, userTarget } from '../services/auditService.js';
+import {
+  createRegistrationOptions,
+  verifyRegistration,
+  createAuthenticationOptions,
+  verifyAuthentication
+} from '../services/webauthnService.js';
+
+/**
+ * Shape a passkey for API responses
+ * @param {Object} passkey - Passkey subdocument
+ * @returns {Object} - Public passkey fields
+ */
+const formatPasskey = (passkey) => ({
+  id: passkey._id,
+  name: passkey.name,
+  deviceType: passkey.deviceType,
+  backedUp: passkey.backedUp,
+  transports: passkey.transports,
+  createdAt: passkey.createdAt,
+  lastUsedAt: passkey.lastUsedAt
+});
+
+/**
+ * @desc    Get options for registering a passkey
+ * @route   POST /api/auth/webauthn/register/options
+ * @access  Private
+ */
+const registrationOptions = async (req, res, next) => {
+  try {
+    const options = await createRegistrationOptions(req.user);
+
+    res.status(200).json({
+      success: true,
+      data: { options }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Verify a passkey registration and store the credential
+ * @route   POST /api/auth/webauthn/register/verify
+ * @access  Private
+ */
+const registrationVerify = async (req, res, next) => {
+  try {
+    const { response, name } = req.body;
+    const credential = await verifyRegistration(req.user, response);
+
+    const user = await User.findById(req.user._id);
+    user.passkeys.push({
+      ...credential,
+      name: getDeviceLabel(req.get('user-agent'), name)
+    });
+    await user.save({ validateBeforeSave: false });
+
+    const passkey = user.passkeys[user.passkeys.length - 1];
+    logger.info(`User ${user.email} registered a passkey`);
+    await recordAuditEvent(req, {
+      action: AUDIT_ACTIONS.PASSKEY_REGISTER,
+      target: userTarget(user),
+      metadata: { passkey: String(passkey._id), name: passkey.name }
+    });
+
+    res.status(201).json({
+      success: true,
+      data: {
+        passkey: formatPasskey(passkey)
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get options for signing in with a passkey
+ * @route   POST /api/auth/webauthn/login/options
+ * @access  Public
+ */
+const authenticationOptions = async (req, res, next) => {
+  try {
+    // The browser lets the user pick a discoverable passkey
+    const options = await createAuthenticationOptions();
+
+    res.status(200).json({
+      success: true,
+      data: { options }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Sign in with a passkey
+ * @route   POST /api/auth/webauthn/login/verify
+ * @access  Public
+ */
+const authenticationVerify = async (req, res, next) => {
+  try {
+    const { user, userVerified } = await verifyAuthentication(req.body.response);
+
+    if (!user.isActive) {
+      return next(new ApiError(401, 'Your account has been deactivated'));
+    }
+
+    // A passkey with user verification (PIN, biometrics) already counts as two factors
+    const data = await completeLogin(user, req, { mfaSatisfied: userVerified });
+
+    logger.info(`User signed in with a passkey: ${user.email}`);
+
+    res.status(200).json({
+      success: true,
+      data
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    List the current user's passkeys
+ * @route   GET /api/auth/webauthn/passkeys
+ * @access  Private
+ */
+const getPasskeys = async (req, res, next) => {
+  try {
+    res.status(200).json({
+      success: true,
+      data: {
+        passkeys: req.user.passkeys.map(formatPasskey),
+        passwordLoginDisabled: req.user.passwordLoginDisabled
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Rename a passkey
+ * @route   PUT /api/auth/webauthn/passkeys/:id
+ * @access  Private
+ */
+const renamePasskey = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user._id);
+    const passkey = user.passkeys.id(req.params.id);
+
+    if (!passkey) {
+      return next(new ApiError(404, 'Passkey not found'));
+    }
+
+    passkey.name = req.body.name;
+    await user.save({ validateBeforeSave: false });
+
+    res.status(200).json({
+      success: true,
+      data: { passkey: formatPasskey(passkey) }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Delete a passkey
+ * @route   DELETE /api/auth/webauthn/passkeys/:id
+ * @access  Private
+ */
+const deletePasskey = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user._id);
+    const passkey = user.passkeys.id(req.params.id);
+
+    if (!passkey) {
+      return next(new ApiError(404, 'Passkey not found'));
+    }
+
+    // Keep at least one way to sign in
+    if (user.passwordLoginDisabled && user.passkeys.length === 1) {
+      return next(new ApiError(400, 'Enable password login before removing your last passkey'));
+    }
+
+    passkey.deleteOne();
+    await user.save({ validateBeforeSave: false });
+
+    logger.info(`User ${user.email} deleted a passkey`);
+    await recordAuditEvent(req, {
+      action: AUDIT_ACTIONS.PASSKEY_DELETE,
+      target: userTarget(user),
+      metadata: { passkey: String(passkey._id), name: passkey.name }
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {}
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Turn password login on or off for the current user
+ * @route   PUT /api/auth/webauthn/password-login
+ * @access  Private
+ */
+const setPasswordLogin = async (req, res, next) => {
+  try {
+    const { enabled } = req.body;
+    const user = await User.findById(req.user._id);
+
+    if (!enabled && user.passkeys.length === 0) {
+      return next(new ApiError(400, 'Register a passkey before turning off password login'));
+    }
+
+    const before = { passwordLoginDisabled: Boolean(user.passwordLoginDisabled) };
+    user.passwordLoginDisabled = !enabled;
+    await user.save({ validateBeforeSave: false });
+
+    logger.info(`User ${user.email} turned password login ${enabled ? 'on' : 'off'}`);
+    await recordAuditEvent(req, {
+      action: AUDIT_ACTIONS.PASSWORD_LOGIN_CHANGE,
+      target: userTarget(user),
+      changes: diffFields(before, { passwordLoginDisabled: user.passwordLoginDisabled })
+    });
+
+    res.status(200).json({
+      success: true,
+      data: { passwordLoginDisabled: user.passwordLoginDisabled }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+export {
+  registrationOptions,
+  registrationVerify,
+  authenticationOptions,
+  authenticationVerify,
+  getPasskeys,
+  renamePasskey,
+  deletePasskey,
+  setPasswordLogin
+};
@@ -0,0 +1,31 @@
+import { ApiError } from '../middleware/errorHandler.js';
+import { getJwks } from '../services/keyService.js';
+import { getOpenIdConfiguration, isOpenIdAvailable } from '../services/oauthService.js';
+
+/**
+ * @desc    Public keys that verify tokens issued by this service
+ * @route   GET /.well-known/jwks.json
+ * @access  Public
+ */
+const jwks = (req, res) => {
+  // Let verifiers cache the set, but pick up rotations within the overlap window
+  res.set('Cache-Control', 'public, max-age=300');
+  res.status(200).json(getJwks());
+};
+
+/**
+ * @desc    OpenID Provider configuration for client discovery
+ * @route   GET /.well-known/openid-configuration
+ * @access  Public
+ */
+const openidConfiguration = (req, res, next) => {
+  // Without asymmetric keys there are no ID tokens clients could verify
+  if (!isOpenIdAvailable()) {
+    return next(new ApiError(404, 'OpenID Connect is not enabled on this server'));
+  }
+
+  res.set('Cache-Control', 'public, max-age=3600');
+  res.status(200).json(getOpenIdConfiguration());
+};
+
+export { jwks, openidConfiguration };
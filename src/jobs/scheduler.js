@@ -0,0 +1,29 @@
+import { logger } from '../utils/logger.js';
+
+/**
+ * Run a task now and then at a fixed interval
+ * Failures are logged and do not stop later runs. The timer does not keep
+ * the process alive on shutdown.
+ * @param {String} name - Job name used in logs
+ * @param {Number} intervalMs - Interval between runs in milliseconds
+ * @param {Function} task - Async function to run
+ * @returns {Object} - Interval timer
+ */
+const scheduleJob = (name, intervalMs, task) => {
+  const run = async () => {
+    try {
+      await task();
+    } catch (error) {
+      logger.error(`Job ${name} failed: ${error.message}`, { stack: error.stack });
+    }
+  };
+
+  run();
+  const timer = setInterval(run, intervalMs);
+  timer.unref();
+
+  logger.debug(`Job ${name} scheduled every ${Math.round(intervalMs / 1000)}s`);
+  return timer;
+};
+
+export { scheduleJob };
@@ -1,14 +1,26 @@
-import jwt from 'jsonwebtoken';
 import { config } from '../config/config.js';
 import { ApiError } from './errorHandler.js';
 import User from '../models/userModel.js';
+import Organization from '../models/organizationModel.js';
 import { logger } from '../utils/logger.js';
+import { verifyToken } from '../utils/tokenUtils.js';
+import { isTokenRevoked } from '../services/tokenDenylist.js';
+import { findActiveSession, touchSession } from '../services/sessionService.js';
+import { isApiKey, authenticateApiKey } from '../services/apiKeyService.js';
+import { findRole, expandPermissions, getRequestPermissions } from '../services/roleService.js';
 
 /**
- * Authentication middleware
- * Verifies JWT token and attaches user to request object
+ * Build authentication middleware
+ * Verifies JWT token and attaches user to request object. Restricted tokens
+ * (those carrying a `purpose` claim) are only accepted if listed. API keys
+ * are accepted in the X-API-Key header or as a Bearer token. Tokens with an
+ * `org` claim also attach the organization and membership, and impersonation
+ * tokens (with an `act` claim) attach the acting admin as req.impersonator.
+ * @param {String[]} allowedPurposes - Restricted token purposes to accept
+ * @param {Object} options - allowApiKey: whether API keys are accepted
+ * @returns {Function} - Express middleware function
  */
-const protect = async (req, res, next) => {
+const authenticate = (allowedPurposes = [], { allowApiKey = true } = {}) => async (req, res, next) => {
   try {
     let token;
 
@@ -18,6 +30,19 @@ const protect = async (req, res, next) => {
       token = req.headers.authorization.split(' ')[1];
     }
 
+    // API keys authenticate a service account instead of a user session
+    const apiKey = req.headers['x-api-key'] || (isApiKey(token) ? token : null);
+    if (apiKey) {
+      if (!allowApiKey) {
+        return next(new ApiError(401, 'API keys are not accepted for this resource'));
+      }
+
+      const { apiKey: key, user } = await authenticateApiKey(apiKey, req);
+      req.user = user;
+      req.apiKey = key;
+      return next();
+    }
+
     // If no token found, return unauthorized error
     if (!token) {
       return next(new ApiError(401, 'Not authorized, no token provided'));
@@ -25,7 +50,12 @@ const protect = async (req, res, next) => {
 
     try {
       // Verify token
-      const decoded = jwt.verify(token, config.jwt.secret);
+      const decoded = await verifyToken(token);
+
+      // Restricted tokens only work on the routes meant for them
+      if (decoded.purpose && !allowedPurposes.includes(decoded.purpose)) {
+        return next(new ApiError(401, 'Token not valid for this resource'));
+      }
 
       // Find user by id from decoded token
       const user = await User.findById(decoded.id).select('-password');
@@ -40,8 +70,55 @@ const protect = async (req, res, next) => {
         return next(new ApiError(401, 'User account is deactivated'));
       }
 
-      // Attach user to request object
+      // Reject tokens issued before a password change or a forced logout
+      if (user.passwordChangedAfter(decoded.iat)) {
+        return next(new ApiError(401, 'Password recently changed, please log in again'));
+      }
+      if (user.tokensRevokedAfter(decoded.iat) || await isTokenRevoked(decoded.jti)) {
+        return next(new ApiError(401, 'Token has been revoked'));
+      }
+
+      // Reject tokens whose session was signed out or revoked
+      if (decoded.sid) {
+        const session = await findActiveSession(decoded.sid);
+        if (!session || !session.user.equals(user._id)) {
+          return next(new ApiError(401, 'Session has been revoked'));
+        }
+        await touchSession(session, req);
+        req.authSession = session;
+      }
+
+      // An admin impersonating the user must still be able to sign in and
+      // still hold users:impersonate (only granted outside organizations), and
+      // every request they make is logged in their name
+      if (decoded.act) {
+        const impersonator = await User.findById(decoded.act.sub);
+        const impersonatorRole = impersonator && impersonator.role ? await findRole(impersonator.role) : null;
+        if (!impersonator || !impersonator.isActive || impersonator.tokensRevokedAfter(decoded.iat) ||
+            !impersonatorRole || !expandPermissions(impersonatorRole.permissions).includes('users:impersonate')) {
+          return next(new ApiError(401, 'Impersonation is no longer valid'));
+        }
+        req.impersonator = impersonator;
+        logger.info(`Admin ${impersonator.email} as ${user.email}: ${req.method} ${req.originalUrl}`, {
+          impersonator: impersonator._id,
+          user: user._id,
+          requestId: req.id
+        });
+      }
+
+      // Inside an organization the user acts through their membership
+      if (decoded.org) {
+        const membership = user.getMembership(decoded.org);
+        if (!membership || !(await Organization.exists({ _id: decoded.org, isActive: true }))) {
+          return next(new ApiError(401, 'Organization membership is no longer active'));
+        }
+        req.organization = membership.organization;
+        req.membership = membership;
+      }
+
+      // Attach user and token payload to request object
       req.user = user;
+      req.tokenPayload = decoded;
       next();
     } catch (error) {
       // Handle token verification errors
@@ -59,6 +136,25 @@ const protect = async (req, res, next) => {
   }
 };
 
+/**
+ * Authentication middleware
+ * Accepts regular access tokens and API keys
+ */
+const protect = authenticate();
+
+/**
+ * Authentication middleware for routes that act on the caller's own sign-in
+ * (logout, sessions, MFA). Accepts user access tokens but not API keys.
+ */
+const protectSession = authenticate([], { allowApiKey: false });
+
+/**
+ * Authentication middleware for routes that also serve restricted tokens
+ * API keys are not accepted.
+ * @param {...String} purposes - Restricted token purposes to accept
+ */
+const protectWithPurpose = (...purposes) => authenticate(purposes, { allowApiKey: false });
+
 /**
  * Role-based authorization middleware
  * Restricts access to specified roles
@@ -80,4 +176,51 @@ const authorize = (...roles) => {
   };
 };
 
-export { protect, authorize };
\ No newline at end of file
+/**
+ * Permission-based authorization middleware
+ * The caller's role must grant every listed permission. Requests made with
+ * a scoped API key are also limited to the key's scopes.
+ * @param {...String} permissions - Required permissions
+ */
+const requirePermission = (...permissions) => {
+  return async (req, res, next) => {
+    try {
+      const granted = await getRequestPermissions(req);
+      const missing = permissions.filter(permission => !granted.includes(permission));
+
+      if (missing.length > 0) {
+        return next(new ApiError(403, `Missing required permission: ${missing.join(', ')}`));
+      }
+
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+};
+
+/**
+ * Impersonation guard
+ * Must run after protect. Blocks routes an admin impersonating a user must
+ * not use, such as those changing how the account signs in or deleting it.
+ */
+const forbidImpersonation = (req, res, next) => {
+  if (req.impersonator) {
+    return next(new ApiError(403, 'This action is not allowed while impersonating a user', { code: 'IMPERSONATION_FORBIDDEN' }));
+  }
+  next();
+};
+
+/**
+ * Email verification middleware
+ * Must run after protect. Blocks unverified users unless verification is off.
+ * Service accounts have no mailbox and are exempt.
+ */
+const requireVerifiedEmail = (req, res, next) => {
+  if (config.emailVerification.mode !== 'off' && !req.user.emailVerified && req.user.accountType !== 'service') {
+    return next(new ApiError(403, 'Please verify your email address first', { code: 'EMAIL_NOT_VERIFIED' }));
+  }
+  next();
+};
+
+export { protect, protectSession, protectWithPurpose, authorize, requirePermission, forbidImpersonation, requireVerifiedEmail };
\ No newline at end of file
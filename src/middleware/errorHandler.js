@@ -3,18 +3,39 @@ import { config } from '../config/config.js';
 
 /**
  * Custom error class for API errors
- * Allows setting status code and custom message
+ * Allows setting status code, custom message and a machine-readable code
+ * @param {Number} statusCode - HTTP status code
+ * @param {String} message - Error message
+ * @param {Object} options - Optional `code` (e.g. ACCOUNT_LOCKED), `details`
+ * (returned to the client, e.g. validation failures) and `isOperational`
  */
 class ApiError extends Error {
-  constructor(statusCode, message, isOperational = true) {
+  constructor(statusCode, message, { code, details, isOperational = true } = {}) {
     super(message);
     this.statusCode = statusCode;
+    this.errorCode = code;
+    this.details = details;
     this.isOperational = isOperational;
     this.name = this.constructor.name;
     Error.captureStackTrace(this, this.constructor);
   }
 }
 
+/**
+ * Error returned by the OAuth endpoints
+ * Rendered in the RFC 6749 format ({ error, error_description }) that
+ * OAuth client libraries expect, instead of the usual API error body
+ * @param {Number} statusCode - HTTP status code
+ * @param {String} error - OAuth error code (e.g. invalid_grant)
+ * @param {String} description - Human-readable description
+ */
+class OAuthError extends ApiError {
+  constructor(statusCode, error, description) {
+    super(statusCode, description);
+    this.oauthError = error;
+  }
+}
+
 /**
  * Global error handling middleware
  * Formats error responses and logs errors appropriately
@@ -23,7 +44,7 @@ const errorHandler = (err, req, res, next) => {
   // Default error values
   let statusCode = err.statusCode || 500;
   let message = err.message || 'Internal Server Error';
-  let errorDetails = undefined;
+  let errorDetails = err.details;
   
   // Log error with appropriate level
   if (statusCode >= 500) {
@@ -42,6 +63,16 @@ const errorHandler = (err, req, res, next) => {
     });
   }
 
+  if (err instanceof OAuthError) {
+    if (statusCode === 401) {
+      res.set('WWW-Authenticate', 'Basic realm="oauth"');
+    }
+    return res.status(statusCode).json({
+      error: err.oauthError,
+      error_description: message
+    });
+  }
+
   // Handle specific error types
   if (err.name === 'ValidationError') {
     // Mongoose validation error
@@ -73,10 +104,11 @@ const errorHandler = (err, req, res, next) => {
     success: false,
     error: {
       message,
+      ...(err.errorCode && { code: err.errorCode }),
       ...(errorDetails && { details: errorDetails }),
       ...(config.nodeEnv === 'development' && { stack: err.stack })
     }
   });
 };
 
-export { errorHandler, ApiError };
\ No newline at end of file
+export { errorHandler, ApiError, OAuthError };
\ No newline at end of file
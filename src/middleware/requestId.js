@@ -0,0 +1,21 @@
+import crypto from 'crypto';
+
+/**
+ * Accepted format for request IDs sent by proxies and clients
+ */
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+
+/**
+ * Request ID middleware
+ * Reuses a well-formed X-Request-ID header or generates one, exposes it as
+ * req.id and echoes it in the response so audit events can be matched to
+ * the request a client reports.
+ */
+const requestId = (req, res, next) => {
+  const incoming = req.get('X-Request-ID');
+  req.id = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID();
+  res.set('X-Request-ID', req.id);
+  next();
+};
+
+export { requestId };
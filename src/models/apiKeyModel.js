@@ -0,0 +1,70 @@
+import mongoose from 'mongoose';
+
+/**
+ * API Key Schema
+ * Long-lived credentials for service accounts and machine clients. The key
+ * is shown once at creation; only its SHA-256 hash is stored. `keyId` is the
+ * public part of the key used to look it up.
+ */
+const apiKeySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Please provide a key name'],
+    trim: true,
+    maxlength: [100, 'Key name cannot be more than 100 characters']
+  },
+  keyId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // Start of the key, shown in listings so a key can be recognized
+  prefix: {
+    type: String,
+    required: true
+  },
+  keyHash: {
+    type: String,
+    required: true,
+    select: false
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  // An empty list grants everything the owning user may do
+  scopes: {
+    type: [String],
+    default: []
+  },
+  expiresAt: Date,
+  lastUsedAt: Date,
+  lastUsedIp: String,
+  revokedAt: Date,
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true, // Adds createdAt and updatedAt
+  toJSON: {
+    transform: (doc, ret) => {
+      delete ret.keyHash;
+      return ret;
+    }
+  }
+});
+
+/**
+ * Check whether the key can still be used
+ * @returns {Boolean} - True if not revoked or expired
+ */
+apiKeySchema.methods.isUsable = function() {
+  return !this.revokedAt && (!this.expiresAt || this.expiresAt.getTime() > Date.now());
+};
+
+const ApiKey = mongoose.model('ApiKey', apiKeySchema);
+
+export default ApiKey;
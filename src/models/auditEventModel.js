@@ -0,0 +1,88 @@
+import mongoose from 'mongoose';
+
+/**
+ * Audit Event Schema
+ * One security-relevant action: who did what to which resource, the fields
+ * it changed and where the request came from. Events are only ever inserted.
+ * With the hash chain enabled each event also stores a sequence number and
+ * a hash covering its content and the previous event's hash.
+ */
+const auditEventSchema = new mongoose.Schema({
+  // Such as user.update or auth.login
+  action: {
+    type: String,
+    required: true,
+    index: true
+  },
+  outcome: {
+    type: String,
+    enum: ['success', 'failure'],
+    default: 'success'
+  },
+  // Who acted; the email is kept so events stay readable after deletion
+  actor: {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    email: String,
+    // Prefix of the API key used, if any
+    apiKey: String,
+    // User an admin was impersonating, if any
+    onBehalfOf: {
+      user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      },
+      email: String
+    }
+  },
+  // What was acted on
+  target: {
+    type: {
+      type: String
+    },
+    id: String,
+    label: String
+  },
+  // Changed fields with their values before and after
+  changes: [{
+    _id: false,
+    field: {
+      type: String,
+      required: true
+    },
+    before: mongoose.Schema.Types.Mixed,
+    after: mongoose.Schema.Types.Mixed
+  }],
+  organization: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization'
+  },
+  ip: String,
+  userAgent: String,
+  requestId: String,
+  // Extra details such as the login method or failure reason
+  metadata: mongoose.Schema.Types.Mixed,
+  sequence: Number,
+  previousHash: String,
+  hash: String,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+auditEventSchema.index({ 'actor.user': 1, createdAt: -1 });
+auditEventSchema.index({ 'target.id': 1, createdAt: -1 });
+auditEventSchema.index({ createdAt: -1 });
+
+// Two events can never claim the same place in the chain
+auditEventSchema.index(
+  { sequence: 1 },
+  { unique: true, partialFilterExpression: { sequence: { $exists: true } } }
+);
+
+const AuditEvent = mongoose.model('AuditEvent', auditEventSchema);
+
+export default AuditEvent;
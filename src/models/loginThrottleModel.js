@@ -0,0 +1,37 @@
+import mongoose from 'mongoose';
+import User from './userModel.js';
+
+/**
+ * Login Throttle Schema
+ * Failed login attempts for emails that have no account. They are delayed
+ * and locked by the rules of real accounts, so lockout responses do not tell
+ * which emails are registered. Entries are removed by MongoDB a day after
+ * the last failure.
+ */
+const loginThrottleSchema = new mongoose.Schema({
+  email: {
+    type: String,
+    required: true,
+    unique: true,
+    lowercase: true,
+    trim: true
+  },
+  failedLoginAttempts: {
+    type: Number,
+    default: 0
+  },
+  lastFailedLoginAt: {
+    type: Date,
+    index: { expires: '1d' }
+  },
+  lockUntil: Date
+});
+
+// The lockout rules of user accounts
+loginThrottleSchema.methods.isLocked = User.schema.methods.isLocked;
+loginThrottleSchema.methods.getLoginDelay = User.schema.methods.getLoginDelay;
+loginThrottleSchema.methods.registerFailedLogin = User.schema.methods.registerFailedLogin;
+
+const LoginThrottle = mongoose.model('LoginThrottle', loginThrottleSchema);
+
+export default LoginThrottle;
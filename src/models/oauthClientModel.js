@@ -0,0 +1,75 @@
+import mongoose from 'mongoose';
+
+/**
+ * OAuth Client Schema
+ * Applications allowed to sign users in through this service or to get
+ * tokens of their own. Registered by admins; the secret is stored hashed.
+ */
+const oauthClientSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Please provide a client name'],
+    trim: true,
+    maxlength: [100, 'Client name cannot be more than 100 characters']
+  },
+  clientId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  clientSecretHash: {
+    type: String,
+    select: false
+  },
+  // 'none' marks a public client (SPA, mobile app) that cannot keep a secret
+  tokenEndpointAuthMethod: {
+    type: String,
+    enum: ['client_secret_basic', 'client_secret_post', 'none'],
+    default: 'client_secret_basic'
+  },
+  redirectUris: {
+    type: [String],
+    default: []
+  },
+  grantTypes: {
+    type: [{
+      type: String,
+      enum: ['authorization_code', 'client_credentials']
+    }],
+    default: ['authorization_code']
+  },
+  // Scopes the client may request
+  scopes: {
+    type: [String],
+    default: ['openid', 'profile', 'email']
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true, // Adds createdAt and updatedAt
+  toJSON: {
+    // Never return the secret hash, even when it was just set
+    transform: (doc, ret) => {
+      delete ret.clientSecretHash;
+      return ret;
+    }
+  }
+});
+
+/**
+ * Check whether the client can keep a secret
+ * @returns {Boolean} - True for confidential clients
+ */
+oauthClientSchema.methods.isConfidential = function() {
+  return this.tokenEndpointAuthMethod !== 'none';
+};
+
+const OAuthClient = mongoose.model('OAuthClient', oauthClientSchema);
+
+export default OAuthClient;
@@ -0,0 +1,50 @@
+import mongoose from 'mongoose';
+
+/**
+ * OAuth Authorization Code Schema
+ * Short-lived, single-use codes issued by the authorization endpoint.
+ * Only the SHA-256 hash of the code is stored.
+ */
+const oauthCodeSchema = new mongoose.Schema({
+  codeHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  clientId: {
+    type: String,
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  redirectUri: {
+    type: String,
+    required: true
+  },
+  scope: {
+    type: String,
+    default: ''
+  },
+  nonce: String,
+  // PKCE S256 challenge the token request must satisfy
+  codeChallenge: {
+    type: String,
+    required: true
+  },
+  // When the user signed in, for the auth_time claim
+  authTime: Date,
+  expiresAt: {
+    type: Date,
+    required: true,
+    index: { expires: 0 }
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+const OAuthCode = mongoose.model('OAuthCode', oauthCodeSchema);
+
+export default OAuthCode;
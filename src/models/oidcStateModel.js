@@ -0,0 +1,47 @@
+import mongoose from 'mongoose';
+
+/**
+ * OIDC State Schema
+ * Pending OpenID Connect authorization requests, keyed by the `state`
+ * parameter. Holds the nonce and PKCE verifier until the callback.
+ */
+const oidcStateSchema = new mongoose.Schema({
+  state: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  provider: {
+    type: String,
+    required: true
+  },
+  nonce: {
+    type: String,
+    required: true
+  },
+  codeVerifier: {
+    type: String,
+    required: true
+  },
+  // 'login' signs a user in, 'link' attaches the identity to `user`
+  mode: {
+    type: String,
+    enum: ['login', 'link'],
+    default: 'login'
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+    index: { expires: 0 }
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+const OidcState = mongoose.model('OidcState', oidcStateSchema);
+
+export default OidcState;
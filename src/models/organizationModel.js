@@ -0,0 +1,38 @@
+import mongoose from 'mongoose';
+
+/**
+ * Organization Schema
+ * A tenant. Users join organizations through the memberships on their user
+ * document, with a role for each organization.
+ */
+const organizationSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Please provide an organization name'],
+    trim: true,
+    maxlength: [100, 'Organization name cannot be more than 100 characters']
+  },
+  // URL-friendly identifier, unique across the deployment
+  slug: {
+    type: String,
+    required: true,
+    unique: true,
+    lowercase: true,
+    trim: true,
+    match: [/^[a-z0-9][a-z0-9-]{1,49}$/, 'Slug can only contain letters, numbers and -']
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true // Adds createdAt and updatedAt
+});
+
+const Organization = mongoose.model('Organization', organizationSchema);
+
+export default Organization;
@@ -0,0 +1,40 @@
+import mongoose from 'mongoose';
+
+/**
+ * Refresh Token Schema
+ * Stores hashed opaque refresh tokens. Tokens issued by rotating each other
+ * share a family so a replayed token can revoke the whole chain.
+ */
+const refreshTokenSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  family: {
+    type: String,
+    required: true,
+    index: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+    index: { expires: 0 } // Let MongoDB remove expired tokens
+  },
+  revokedAt: Date,
+  replacedByHash: String,
+  createdByIp: String,
+  userAgent: String
+}, {
+  timestamps: true
+});
+
+const RefreshToken = mongoose.model('RefreshToken', refreshTokenSchema);
+
+export default RefreshToken;
@@ -0,0 +1,29 @@
+import mongoose from 'mongoose';
+
+/**
+ * Revoked Token Schema
+ * Denylist of access token IDs (jti) that were revoked before expiry.
+ * Entries are removed by MongoDB once the token would have expired anyway.
+ */
+const revokedTokenSchema = new mongoose.Schema({
+  jti: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+    index: { expires: 0 }
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+const RevokedToken = mongoose.model('RevokedToken', revokedTokenSchema);
+
+export default RevokedToken;
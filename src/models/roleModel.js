@@ -0,0 +1,38 @@
+import mongoose from 'mongoose';
+
+/**
+ * Role Schema
+ * A named set of permissions. Users reference a role by name, so the name
+ * is also what appears in the `role` claim of access tokens. Built-in roles
+ * cannot be renamed or deleted.
+ */
+const roleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Please provide a role name'],
+    unique: true,
+    lowercase: true,
+    trim: true,
+    match: [/^[a-z][a-z0-9_-]{1,29}$/, 'Role name can only contain letters, numbers, - and _']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Description cannot be more than 200 characters']
+  },
+  // Permission names such as users:read; `*` grants every permission
+  permissions: {
+    type: [String],
+    default: []
+  },
+  isSystem: {
+    type: Boolean,
+    default: false
+  }
+}, {
+  timestamps: true // Adds createdAt and updatedAt
+});
+
+const Role = mongoose.model('Role', roleSchema);
+
+export default Role;
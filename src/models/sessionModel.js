@@ -0,0 +1,43 @@
+import mongoose from 'mongoose';
+
+/**
+ * Session Schema
+ * One document per sign-in. The session ID is also the refresh token family
+ * and is embedded in access tokens as the `sid` claim. The active
+ * organization is embedded as the `org` claim.
+ */
+const sessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  deviceLabel: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Device label cannot be more than 100 characters']
+  },
+  organization: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization'
+  },
+  userAgent: String,
+  ip: String,
+  lastSeenAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+    index: { expires: 0 } // Let MongoDB remove expired sessions
+  },
+  revokedAt: Date
+}, {
+  timestamps: true // Adds createdAt and updatedAt
+});
+
+const Session = mongoose.model('Session', sessionSchema);
+
+export default Session;
@@ -0,0 +1,44 @@
+import mongoose from 'mongoose';
+
+/**
+ * Signing Key Schema
+ * Asymmetric key pairs used to sign JWTs, identified by `kid`.
+ * Retired keys are kept (and published in the JWKS) until tokens signed
+ * with them have expired, then removed by a TTL index.
+ */
+const signingKeySchema = new mongoose.Schema({
+  kid: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  alg: {
+    type: String,
+    enum: ['RS256', 'ES256'],
+    required: true
+  },
+  publicKey: {
+    type: String,
+    required: true
+  },
+  privateKey: {
+    type: String,
+    required: true,
+    select: false // Only loaded by the key service
+  },
+  activatedAt: {
+    type: Date,
+    default: Date.now
+  },
+  retiredAt: Date,
+  expiresAt: {
+    type: Date,
+    index: { expires: 0 }
+  }
+}, {
+  timestamps: true
+});
+
+const SigningKey = mongoose.model('SigningKey', signingKeySchema);
+
+export default SigningKey;
@@ -1,8 +1,8 @@
 import mongoose from 'mongoose';
-import bcrypt from 'bcryptjs';
-import jwt from 'jsonwebtoken';
 import crypto from 'crypto';
 import { config } from '../config/config.js';
+import { generateToken } from '../utils/tokenUtils.js';
+import { hashPassword, comparePassword, passwordNeedsRehash } from '../utils/securityUtils.js';
 
 /**
  * User Schema
@@ -11,7 +11,11 @@ import { config } from '../config/config.js';
 const userSchema = new mongoose.Schema({
   name: {
     type: String,
-    required: [true, 'Please provide a name'],
+    // Invited users may choose their name when they accept
+    required: [
+      function() { return !this.isInvitationPending(); },
+      'Please provide a name'
+    ],
     trim: true,
     maxlength: [50, 'Name cannot be more than 50 characters']
   },
@@ -28,31 +32,233 @@ const userSchema = new mongoose.Schema({
   },
   password: {
     type: String,
-    required: [true, 'Please provide a password'],
-    minlength: [8, 'Password must be at least 8 characters'],
+    // Service accounts, accounts created through an external identity
+    // provider and pending invitations may have no password
+    required: [
+      function() {
+        return this.accountType !== 'service' && this.identities.length === 0 && !this.isInvitationPending();
+      },
+      'Please provide a password'
+    ],
+    // Strength rules live in the password policy service, checked before a password is set
     select: false // Don't return password by default
   },
+  // Name of a Role; its permissions decide what the user may do
   role: {
     type: String,
-    enum: ['user', 'admin'],
+    lowercase: true,
+    trim: true,
+    default: 'user'
+  },
+  // Organizations the user belongs to, each with its own role
+  memberships: [{
+    organization: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Organization',
+      required: true
+    },
+    role: {
+      type: String,
+      lowercase: true,
+      trim: true,
+      default: 'user'
+    },
+    joinedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  // Service accounts are used by jobs and integrations through API keys and cannot log in
+  accountType: {
+    type: String,
+    enum: ['user', 'service'],
     default: 'user'
   },
   isActive: {
     type: Boolean,
     default: true
   },
+  emailVerified: {
+    type: Boolean,
+    default: false
+  },
+  emailVerifiedAt: Date,
+  emailVerificationToken: String,
+  emailVerificationExpires: Date,
   lastLogin: {
     type: Date
   },
+  failedLoginAttempts: {
+    type: Number,
+    default: 0
+  },
+  lastFailedLoginAt: Date,
+  lockUntil: Date,
+  identities: [{
+    provider: {
+      type: String,
+      required: true
+    },
+    subject: {
+      type: String,
+      required: true
+    },
+    email: String,
+    linkedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  passkeys: [{
+    // Base64url credential ID and COSE public key
+    credentialId: {
+      type: String,
+      required: true
+    },
+    publicKey: {
+      type: String,
+      required: true
+    },
+    counter: {
+      type: Number,
+      default: 0
+    },
+    transports: [String],
+    name: {
+      type: String,
+      trim: true,
+      maxlength: [50, 'Passkey name cannot be more than 50 characters']
+    },
+    deviceType: String,
+    backedUp: Boolean,
+    createdAt: {
+      type: Date,
+      default: Date.now
+    },
+    lastUsedAt: Date
+  }],
+  // Only passkeys can be used to sign in while this is set
+  passwordLoginDisabled: {
+    type: Boolean,
+    default: false
+  },
+  magicLinkToken: String,
+  magicLinkExpires: Date,
+  // Hash of the browser key a magic link is bound to, if any
+  magicLinkBrowserHash: String,
+  // Set for users created by an invitation; pending until acceptedAt is set
+  invitation: {
+    token: String,
+    expires: Date,
+    invitedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    invitedAt: Date,
+    acceptedAt: Date
+  },
   passwordResetToken: String,
   passwordResetExpires: Date,
-  passwordChangedAt: Date
+  passwordChangedAt: Date,
+  // Hashes of the most recent passwords, newest first, including the current one
+  passwordHistory: {
+    type: [String],
+    select: false
+  },
+  tokensValidAfter: Date,
+  // Set when the account is deleted; it can be restored until it is purged
+  deletedAt: Date,
+  deletedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Original email of a deleted account whose email was released
+  deletedEmail: String,
+  // Deletion the user asked for, carried out once scheduledFor has passed
+  // unless they cancel it first
+  deletionRequest: {
+    requestedAt: Date,
+    scheduledFor: Date
+  },
+  // Set when the account was anonymized instead of erased; it stays deleted
+  anonymizedAt: Date,
+  mfa: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    secret: {
+      type: String,
+      select: false
+    },
+    pendingSecret: {
+      type: String,
+      select: false
+    },
+    lastUsedStep: {
+      type: Number,
+      select: false
+    },
+    recoveryCodes: {
+      type: [String],
+      select: false
+    },
+    enabledAt: Date
+  }
 }, {
   timestamps: true, // Adds createdAt and updatedAt
   toJSON: { virtuals: true },
   toObject: { virtuals: true }
 });
 
+// An external identity can only belong to one user
+userSchema.index(
+  { 'identities.provider': 1, 'identities.subject': 1 },
+  { unique: true, partialFilterExpression: { 'identities.subject': { $exists: true } } }
+);
+
+// Members of an organization are listed often
+userSchema.index({ 'memberships.organization': 1 });
+
+// Sorts and keyset pagination of the user list, with _id as tie-breaker
+userSchema.index({ createdAt: -1, _id: -1 });
+userSchema.index({ lastLogin: -1, _id: -1 });
+userSchema.index({ name: 1, _id: 1 });
+userSchema.index({ email: 1, _id: 1 });
+
+// Role and status filters of the user list
+userSchema.index({ role: 1, createdAt: -1 });
+userSchema.index({ isActive: 1, createdAt: -1 });
+
+// Deleted accounts waiting to be purged
+userSchema.index({ deletedAt: 1 }, { partialFilterExpression: { deletedAt: { $exists: true } } });
+
+// Deletions users asked for, waiting for their cooling-off period to end
+userSchema.index(
+  { 'deletionRequest.scheduledFor': 1 },
+  { partialFilterExpression: { 'deletionRequest.scheduledFor': { $exists: true } } }
+);
+
+/**
+ * Query middleware hiding deleted users
+ * Set the withDeleted query option to include them.
+ */
+const excludeDeleted = function(next) {
+  if (!this.getOptions().withDeleted) {
+    this.where({ deletedAt: null });
+  }
+  next();
+};
+
+userSchema.pre(/^find/, excludeDeleted);
+userSchema.pre('countDocuments', excludeDeleted);
+
+// A passkey can only be registered once
+userSchema.index(
+  { 'passkeys.credentialId': 1 },
+  { unique: true, partialFilterExpression: { 'passkeys.credentialId': { $exists: true } } }
+);
+
 /**
  * Pre-save middleware to hash password
  * Only hashes password if it has been modified
@@ -64,10 +270,19 @@ userSchema.pre('save', async function(next) {
   }
 
   try {
-    // Generate salt with cost factor of 12
-    const salt = await bcrypt.genSalt(12);
-    // Hash password with salt
-    this.password = await bcrypt.hash(this.password, salt);
+    // Hash password with the configured algorithm
+    this.password = await hashPassword(this.password);
+
+    // Remember the new hash so it cannot be reused
+    const { historySize } = config.passwordPolicy;
+    if (historySize > 0) {
+      let history = this.passwordHistory || [];
+      if (!this.isNew && !this.isSelected('passwordHistory')) {
+        const stored = await this.constructor.findById(this._id).select('+passwordHistory');
+        history = (stored && stored.passwordHistory) || [];
+      }
+      this.passwordHistory = [this.password, ...history].slice(0, historySize);
+    }
     next();
   } catch (error) {
     next(error);
@@ -94,18 +309,112 @@ userSchema.pre('save', function(next) {
  * @returns {Promise<boolean>} - True if passwords match
  */
 userSchema.methods.matchPassword = async function(candidatePassword) {
-  return await bcrypt.compare(candidatePassword, this.password);
+  // Accounts without a password can only sign in through other methods
+  if (!this.password) {
+    return false;
+  }
+  return await comparePassword(candidatePassword, this.password);
+};
+
+/**
+ * Method to upgrade the stored hash to the current hashing settings
+ * Call after the password was verified, while the plain text is still known.
+ * Writes directly so the password does not count as changed.
+ * Requires password to be selected.
+ * @param {string} candidatePassword - Verified plain text password
+ * @returns {Promise<boolean>} - True if the hash was upgraded
+ */
+userSchema.methods.upgradePasswordHash = async function(candidatePassword) {
+  const oldHash = this.password;
+  if (!oldHash || !passwordNeedsRehash(oldHash)) {
+    return false;
+  }
+
+  const newHash = await hashPassword(candidatePassword);
+  await this.constructor.updateOne({ _id: this._id, password: oldHash }, { $set: { password: newHash } });
+  // Keep the history entry for the current password comparable at the new strength
+  await this.constructor.updateOne(
+    { _id: this._id, passwordHistory: oldHash },
+    { $set: { 'passwordHistory.$': newHash } }
+  );
+  return true;
+};
+
+/**
+ * Method to check a candidate password against recent passwords
+ * Reads the stored hashes, so it works whether or not they were selected.
+ * The current password always counts, even for accounts created before
+ * password history was kept.
+ * @param {string} candidatePassword - Plain text password to check
+ * @returns {Promise<boolean>} - True if the password was used recently
+ */
+userSchema.methods.isPasswordReused = async function(candidatePassword) {
+  const { historySize } = config.passwordPolicy;
+  if (!historySize || this.isNew) {
+    return false;
+  }
+
+  const stored = await this.constructor.findById(this._id).select('+password +passwordHistory');
+  if (!stored) {
+    return false;
+  }
+
+  const hashes = [...new Set([stored.password, ...(stored.passwordHistory || [])])]
+    .filter(Boolean)
+    .slice(0, historySize);
+
+  for (const hash of hashes) {
+    if (await comparePassword(candidatePassword, hash)) {
+      return true;
+    }
+  }
+  return false;
+};
+
+/**
+ * Method to check if the password is older than the maximum password age
+ * Accounts that cannot use a password to sign in never expire.
+ * @returns {Promise<boolean>} - True if the password must be changed
+ */
+userSchema.methods.isPasswordExpired = async function() {
+  const { maxAgeDays } = config.passwordPolicy;
+  if (!maxAgeDays || this.accountType === 'service' || this.passwordLoginDisabled) {
+    return false;
+  }
+
+  const setAt = this.passwordChangedAt || this.createdAt;
+  if (!setAt || Date.now() - setAt.getTime() < maxAgeDays * 24 * 60 * 60 * 1000) {
+    return false;
+  }
+
+  // Accounts created through an identity provider may never have set one
+  if (this.isSelected('password')) {
+    return Boolean(this.password);
+  }
+  return Boolean(await this.constructor.exists({ _id: this._id, password: { $exists: true } }));
+};
+
+/**
+ * Method to find the user's membership of an organization
+ * @param {ObjectId|string} organizationId - Organization ID
+ * @returns {Object|undefined} - Membership subdocument
+ */
+userSchema.methods.getMembership = function(organizationId) {
+  if (!organizationId) {
+    return undefined;
+  }
+  return this.memberships.find(membership => membership.organization.equals(organizationId));
 };
 
 /**
  * Method to generate JWT token
+ * @param {Object} claims - Additional claims such as the session ID (sid)
  * @returns {string} - JWT token
  */
-userSchema.methods.generateAuthToken = function() {
-  return jwt.sign(
-    { id: this._id, role: this.role },
-    config.jwt.secret,
-    { expiresIn: config.jwt.expiresIn }
+userSchema.methods.generateAuthToken = function(claims = {}) {
+  return generateToken(
+    { ...claims, id: this._id, role: this.role },
+    { jwtid: crypto.randomUUID() }
   );
 };
 
@@ -122,6 +431,20 @@ userSchema.methods.passwordChangedAfter = function(JWTTimestamp) {
   return false;
 };
 
+/**
+ * Method to check if all tokens were revoked after token was issued
+ * Set by an admin "log out everywhere" action
+ * @param {number} JWTTimestamp - Timestamp when JWT was issued
+ * @returns {boolean} - True if tokens were revoked after token was issued
+ */
+userSchema.methods.tokensRevokedAfter = function(JWTTimestamp) {
+  if (this.tokensValidAfter) {
+    const revokedTimestamp = parseInt(this.tokensValidAfter.getTime() / 1000, 10);
+    return JWTTimestamp < revokedTimestamp;
+  }
+  return false;
+};
+
 /**
  * Method to generate password reset token
  * @returns {string} - Password reset token
@@ -142,6 +465,199 @@ userSchema.methods.generatePasswordResetToken = function() {
   return resetToken;
 };
 
+/**
+ * Method to generate email verification token
+ * @returns {string} - Email verification token
+ */
+userSchema.methods.generateEmailVerificationToken = function() {
+  // Generate random token
+  const verificationToken = crypto.randomBytes(32).toString('hex');
+
+  // Hash token and set to emailVerificationToken field
+  this.emailVerificationToken = crypto
+    .createHash('sha256')
+    .update(verificationToken)
+    .digest('hex');
+
+  this.emailVerificationExpires = Date.now() + config.emailVerification.tokenExpiresHours * 60 * 60 * 1000;
+
+  return verificationToken;
+};
+
+/**
+ * Method to generate a magic login link token
+ * @param {string} browserKey - Optional key the link is bound to; it must be
+ * presented together with the token
+ * @returns {string} - Magic link token
+ */
+userSchema.methods.generateMagicLinkToken = function(browserKey) {
+  const magicToken = crypto.randomBytes(32).toString('hex');
+
+  this.magicLinkToken = crypto
+    .createHash('sha256')
+    .update(magicToken)
+    .digest('hex');
+  this.magicLinkBrowserHash = browserKey
+    ? crypto.createHash('sha256').update(browserKey).digest('hex')
+    : undefined;
+  this.magicLinkExpires = Date.now() + config.magicLink.expiresMinutes * 60 * 1000;
+
+  return magicToken;
+};
+
+/**
+ * Method to generate an invitation token
+ * Replaces any earlier token, so only the latest invitation email works.
+ * @param {ObjectId} invitedBy - User sending the invitation
+ * @returns {string} - Invitation token
+ */
+userSchema.methods.generateInvitationToken = function(invitedBy) {
+  const invitationToken = crypto.randomBytes(32).toString('hex');
+
+  this.invitation.token = crypto
+    .createHash('sha256')
+    .update(invitationToken)
+    .digest('hex');
+  this.invitation.expires = Date.now() + config.invitations.expiresHours * 60 * 60 * 1000;
+  if (!this.invitation.invitedAt) {
+    this.invitation.invitedBy = invitedBy;
+    this.invitation.invitedAt = Date.now();
+  }
+
+  return invitationToken;
+};
+
+/**
+ * Method to check if the user was invited and has not accepted yet
+ * @returns {boolean} - True while the invitation is pending
+ */
+userSchema.methods.isInvitationPending = function() {
+  return Boolean(this.invitation && this.invitation.invitedAt && !this.invitation.acceptedAt);
+};
+
+/**
+ * Method to check if the account is temporarily locked
+ * @returns {boolean} - True if login attempts are currently refused
+ */
+userSchema.methods.isLocked = function() {
+  return Boolean(this.lockUntil && this.lockUntil.getTime() > Date.now());
+};
+
+/**
+ * Method to get how long the next login attempt must wait
+ * The wait doubles with each consecutive failure
+ * @returns {number} - Remaining delay in milliseconds (0 if none)
+ */
+userSchema.methods.getLoginDelay = function() {
+  if (!this.failedLoginAttempts || !this.lastFailedLoginAt || this.lockUntil) {
+    return 0;
+  }
+
+  const { baseDelaySeconds, maxDelaySeconds } = config.lockout;
+  const delaySeconds = Math.min(
+    baseDelaySeconds * 2 ** (this.failedLoginAttempts - 1),
+    maxDelaySeconds
+  );
+
+  return Math.max(this.lastFailedLoginAt.getTime() + delaySeconds * 1000 - Date.now(), 0);
+};
+
+/**
+ * Method to record a failed login attempt
+ * Uses atomic updates so attempts from many clients are all counted
+ * @returns {Promise<boolean>} - True if this attempt locked the account
+ */
+userSchema.methods.registerFailedLogin = async function() {
+  const now = Date.now();
+  const lockExpired = this.lockUntil && this.lockUntil.getTime() <= now;
+
+  // An expired lock starts a fresh count
+  const update = lockExpired
+    ? { $set: { failedLoginAttempts: 1, lastFailedLoginAt: now }, $unset: { lockUntil: 1 } }
+    : { $inc: { failedLoginAttempts: 1 }, $set: { lastFailedLoginAt: now } };
+
+  const updated = await this.constructor.findByIdAndUpdate(this._id, update, { new: true });
+
+  // The document may have been removed since it was loaded
+  if (!updated) {
+    return false;
+  }
+
+  if (updated.failedLoginAttempts >= config.lockout.threshold && !updated.lockUntil) {
+    await this.constructor.updateOne(
+      { _id: this._id },
+      { lockUntil: now + config.lockout.durationMinutes * 60 * 1000 }
+    );
+    return true;
+  }
+  return false;
+};
+
+/**
+ * Method to clear failed login attempts and any lock
+ */
+userSchema.methods.resetFailedLogins = async function() {
+  this.failedLoginAttempts = 0;
+  this.lastFailedLoginAt = undefined;
+  this.lockUntil = undefined;
+  await this.constructor.updateOne(
+    { _id: this._id },
+    { $set: { failedLoginAttempts: 0 }, $unset: { lastFailedLoginAt: 1, lockUntil: 1 } }
+  );
+};
+
+/**
+ * Method to generate one-time MFA recovery codes
+ * Stores SHA-256 hashes and returns the plain codes to show once
+ * @param {number} count - Number of codes to generate
+ * @returns {string[]} - Plain recovery codes
+ */
+userSchema.methods.generateRecoveryCodes = function(count = 10) {
+  const codes = Array.from({ length: count }, () => {
+    const raw = crypto.randomBytes(5).toString('hex');
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+
+  this.mfa.recoveryCodes = codes.map(code =>
+    crypto.createHash('sha256').update(code).digest('hex')
+  );
+
+  return codes;
+};
+
+/**
+ * Method to consume an MFA recovery code
+ * Requires mfa.recoveryCodes to be selected
+ * @param {string} code - Recovery code entered by the user
+ * @returns {boolean} - True if the code was valid and has been used up
+ */
+userSchema.methods.useRecoveryCode = function(code) {
+  const hashedCode = crypto
+    .createHash('sha256')
+    .update(code.trim().toLowerCase())
+    .digest('hex');
+
+  const index = (this.mfa.recoveryCodes || []).indexOf(hashedCode);
+  if (index === -1) {
+    return false;
+  }
+
+  this.mfa.recoveryCodes.splice(index, 1);
+  return true;
+};
+
+/**
+ * Method to clear all MFA settings
+ */
+userSchema.methods.resetMfa = function() {
+  this.mfa.enabled = false;
+  this.mfa.secret = undefined;
+  this.mfa.pendingSecret = undefined;
+  this.mfa.lastUsedStep = undefined;
+  this.mfa.recoveryCodes = [];
+  this.mfa.enabledAt = undefined;
+};
+
 const User = mongoose.model('User', userSchema);
 
 export default User;
\ No newline at end of file
@@ -0,0 +1,35 @@
+import mongoose from 'mongoose';
+
+/**
+ * WebAuthn Challenge Schema
+ * Challenges handed out by the options endpoints, kept until the matching
+ * verify call consumes them.
+ */
+const webauthnChallengeSchema = new mongoose.Schema({
+  challenge: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  type: {
+    type: String,
+    enum: ['registration', 'authentication'],
+    required: true
+  },
+  // Set for registration; authentication challenges may be user-less (discoverable passkeys)
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+    index: { expires: 0 }
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+const WebauthnChallenge = mongoose.model('WebauthnChallenge', webauthnChallengeSchema);
+
+export default WebauthnChallenge;
@@ -0,0 +1,59 @@
+import express from 'express';
+const router = express.Router();
+import {
+  createApiKey,
+  getApiKeys,
+  getApiKey,
+  updateApiKey,
+  revokeApiKey
+} from '../controllers/apiKeyController.js';
+import { protect, requirePermission, requireVerifiedEmail } from '../middleware/authMiddleware.js';
+import {
+  createApiKeyValidation,
+  listApiKeysValidation,
+  apiKeyIdValidation,
+  updateApiKeyValidation,
+  validate
+} from '../validators/apiKeyValidator.js';
+
+/**
+ * API key routes
+ * All routes require authentication and the permission named on each route
+ */
+
+/**
+ * @route   GET /api/api-keys
+ * @desc    List API keys
+ * @access  Private (api-keys:read)
+ */
+router.get('/', protect, requireVerifiedEmail, requirePermission('api-keys:read'), validate(listApiKeysValidation), getApiKeys);
+
+/**
+ * @route   POST /api/api-keys
+ * @desc    Create an API key for a service account
+ * @access  Private (api-keys:write)
+ */
+router.post('/', protect, requireVerifiedEmail, requirePermission('api-keys:write'), validate(createApiKeyValidation), createApiKey);
+
+/**
+ * @route   GET /api/api-keys/:id
+ * @desc    Get an API key
+ * @access  Private (api-keys:read)
+ */
+router.get('/:id', protect, requireVerifiedEmail, requirePermission('api-keys:read'), validate(apiKeyIdValidation), getApiKey);
+
+/**
+ * @route   PUT /api/api-keys/:id
+ * @desc    Update an API key
+ * @access  Private (api-keys:write)
+ */
+router.put('/:id', protect, requireVerifiedEmail, requirePermission('api-keys:write'), validate(updateApiKeyValidation), updateApiKey);
+
+/**
+ * @route   DELETE /api/api-keys/:id
+ * @desc    Revoke an API key
+ * @access  Private (api-keys:write)
+ */
+router.delete('/:id', protect, requireVerifiedEmail, requirePermission('api-keys:write'), validate(apiKeyIdValidation), revokeApiKey);
+
+export default router;
@@ -0,0 +1,37 @@
+import express from 'express';
+const router = express.Router();
+import {
+  getAuditEvents,
+  exportAuditEvents,
+  verifyAuditLog
+} from '../controllers/auditController.js';
+import { protect, requirePermission, requireVerifiedEmail } from '../middleware/authMiddleware.js';
+import { listAuditEventsValidation, validate } from '../validators/auditValidator.js';
+
+/**
+ * Audit log routes
+ * All routes require authentication and the audit:read permission
+ */
+
+/**
+ * @route   GET /api/audit
+ * @desc    List audit events
+ * @access  Private (audit:read)
+ */
+router.get('/', protect, requireVerifiedEmail, requirePermission('audit:read'), validate(listAuditEventsValidation), getAuditEvents);
+
+/**
+ * @route   GET /api/audit/export
+ * @desc    Export the audit log as NDJSON
+ * @access  Private (audit:read)
+ */
+router.get('/export', protect, requireVerifiedEmail, requirePermission('audit:read'), exportAuditEvents);
+
+/**
+ * @route   GET /api/audit/verify
+ * @desc    Check the audit log hash chain
+ * @access  Private (audit:read)
+ */
+router.get('/verify', protect, requireVerifiedEmail, requirePermission('audit:read'), verifyAuditLog);
+
+export default router;
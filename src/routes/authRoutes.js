@@ -3,21 +3,88 @@ const router = express.Router();
 import {
   register,
   login,
+  refresh,
   getMe,
+  verifyEmail,
+  resendVerificationEmail,
+  requestMagicLink,
+  consumeMagicLink,
+  passwordPolicy,
   forgotPassword,
   resetPassword,
   updatePassword,
+  changeExpiredPassword,
   logout
 } from '../controllers/authController.js';
-import { protect } from '../middleware/authMiddleware.js';
+import { getMySessions, revokeMySession } from '../controllers/sessionController.js';
+import { getMyOrganizations, switchOrganization } from '../controllers/organizationController.js';
+import { acceptInvitation } from '../controllers/invitationController.js';
+import {
+  setupTotp,
+  verifyTotpSetup,
+  mfaChallenge,
+  regenerateRecoveryCodes,
+  disableMfa
+} from '../controllers/mfaController.js';
+import {
+  startOidcLogin,
+  oidcCallback,
+  startOidcLink,
+  getIdentities,
+  unlinkIdentity
+} from '../controllers/oidcController.js';
+import {
+  registrationOptions,
+  registrationVerify,
+  authenticationOptions,
+  authenticationVerify,
+  getPasskeys,
+  renamePasskey,
+  deletePasskey,
+  setPasswordLogin
+} from '../controllers/webauthnController.js';
+import {
+  protect,
+  protectSession,
+  protectWithPurpose,
+  forbidImpersonation,
+  requireVerifiedEmail
+} from '../middleware/authMiddleware.js';
+import { TOKEN_PURPOSES } from '../services/tokenService.js';
 import {
   validate,
   registerValidation,
   loginValidation,
+  refreshTokenValidation,
+  verifyEmailValidation,
+  resendVerificationValidation,
+  magicLinkValidation,
+  consumeMagicLinkValidation,
   forgotPasswordValidation,
   resetPasswordValidation,
-  updatePasswordValidation
+  updatePasswordValidation,
+  changeExpiredPasswordValidation
 } from '../validators/authValidator.js';
+import { sessionIdValidation } from '../validators/sessionValidator.js';
+import { switchOrganizationValidation } from '../validators/organizationValidator.js';
+import { acceptInvitationValidation } from '../validators/invitationValidator.js';
+import {
+  totpCodeValidation,
+  mfaChallengeValidation,
+  disableMfaValidation
+} from '../validators/mfaValidator.js';
+import {
+  oidcProviderValidation,
+  oidcCallbackValidation,
+  identityIdValidation
+} from '../validators/oidcValidator.js';
+import {
+  credentialResponseValidation,
+  registrationVerifyValidation,
+  renamePasskeyValidation,
+  passkeyIdValidation,
+  passwordLoginValidation
+} from '../validators/webauthnValidator.js';
 
 /**
  * @route   POST /api/auth/register
@@ -33,6 +100,13 @@ router.post('/register', validate(registerValidation), register);
  */
 router.post('/login', validate(loginValidation), login);
 
+/**
+ * @route   POST /api/auth/refresh
+ * @desc    Rotate refresh token and get a new access token
+ * @access  Public
+ */
+router.post('/refresh', validate(refreshTokenValidation), refresh);
+
 /**
  * @route   GET /api/auth/me
  * @desc    Get current user profile
@@ -40,6 +114,55 @@ router.post('/login', validate(loginValidation), login);
  */
 router.get('/me', protect, getMe);
 
+/**
+ * @route   POST /api/auth/verify-email/resend
+ * @desc    Resend the email verification link
+ * @access  Public
+ */
+router.post('/verify-email/resend', validate(resendVerificationValidation), resendVerificationEmail);
+
+/**
+ * @route   GET /api/auth/verify-email/:token
+ * @desc    Verify email address (link opened from the email)
+ * @access  Public
+ */
+router.get('/verify-email/:token', validate(verifyEmailValidation), verifyEmail);
+
+/**
+ * @route   POST /api/auth/verify-email/:token
+ * @desc    Verify email address
+ * @access  Public
+ */
+router.post('/verify-email/:token', validate(verifyEmailValidation), verifyEmail);
+
+/**
+ * @route   POST /api/auth/magic-link
+ * @desc    Email a single-use login link
+ * @access  Public
+ */
+router.post('/magic-link', validate(magicLinkValidation), requestMagicLink);
+
+/**
+ * @route   POST /api/auth/magic-link/consume
+ * @desc    Log in with a magic link token
+ * @access  Public
+ */
+router.post('/magic-link/consume', validate(consumeMagicLinkValidation), consumeMagicLink);
+
+/**
+ * @route   POST /api/auth/invitations/accept
+ * @desc    Accept an invitation and choose a password
+ * @access  Public
+ */
+router.post('/invitations/accept', validate(acceptInvitationValidation), acceptInvitation);
+
+/**
+ * @route   GET /api/auth/password-policy
+ * @desc    Get the password policy
+ * @access  Public
+ */
+router.get('/password-policy', passwordPolicy);
+
 /**
  * @route   POST /api/auth/forgotpassword
  * @desc    Forgot password - send reset email
@@ -59,13 +182,181 @@ router.put('/resetpassword/:resettoken', validate(resetPasswordValidation), rese
  * @desc    Update password for logged in user
  * @access  Private
  */
-router.put('/updatepassword', protect, validate(updatePasswordValidation), updatePassword);
+router.put('/updatepassword', protectSession, forbidImpersonation, validate(updatePasswordValidation), updatePassword);
+
+/**
+ * @route   POST /api/auth/password-change
+ * @desc    Replace an expired password and finish signing in
+ * @access  Private (requires a password change token)
+ */
+router.post('/password-change', protectWithPurpose(TOKEN_PURPOSES.PASSWORD_CHANGE), validate(changeExpiredPasswordValidation), changeExpiredPassword);
+
+/**
+ * @route   POST /api/auth/logout
+ * @desc    Logout user and end the current session
+ * @access  Private
+ */
+router.post('/logout', protectSession, logout);
 
 /**
  * @route   GET /api/auth/logout
- * @desc    Logout user (client-side)
+ * @desc    Logout user (kept for older clients)
+ * @access  Private
+ */
+router.get('/logout', protectSession, logout);
+
+/**
+ * @route   GET /api/auth/sessions
+ * @desc    List active sessions of the current user
+ * @access  Private
+ */
+router.get('/sessions', protectSession, getMySessions);
+
+/**
+ * @route   DELETE /api/auth/sessions/:id
+ * @desc    Revoke one of the current user's sessions
+ * @access  Private
+ */
+router.delete('/sessions/:id', protectSession, validate(sessionIdValidation), revokeMySession);
+
+/**
+ * @route   GET /api/auth/organizations
+ * @desc    List the organizations of the current user
+ * @access  Private
+ */
+router.get('/organizations', protectSession, getMyOrganizations);
+
+/**
+ * @route   POST /api/auth/organizations/switch
+ * @desc    Switch the current session to another organization
+ * @access  Private
+ */
+router.post('/organizations/switch', protectSession, forbidImpersonation, validate(switchOrganizationValidation), switchOrganization);
+
+/**
+ * @route   POST /api/auth/mfa/totp/setup
+ * @desc    Start TOTP enrollment and get an otpauth URI
+ * @access  Private (also accepts MFA enrollment tokens)
+ */
+router.post('/mfa/totp/setup', protectWithPurpose(TOKEN_PURPOSES.MFA_ENROLLMENT), forbidImpersonation, requireVerifiedEmail, setupTotp);
+
+/**
+ * @route   POST /api/auth/mfa/totp/verify
+ * @desc    Confirm TOTP enrollment and get recovery codes
+ * @access  Private (also accepts MFA enrollment tokens)
+ */
+router.post('/mfa/totp/verify', protectWithPurpose(TOKEN_PURPOSES.MFA_ENROLLMENT), forbidImpersonation, validate(totpCodeValidation), verifyTotpSetup);
+
+/**
+ * @route   POST /api/auth/mfa/challenge
+ * @desc    Complete login with a TOTP or recovery code
+ * @access  Public
+ */
+router.post('/mfa/challenge', validate(mfaChallengeValidation), mfaChallenge);
+
+/**
+ * @route   POST /api/auth/mfa/recovery-codes
+ * @desc    Regenerate MFA recovery codes
+ * @access  Private
+ */
+router.post('/mfa/recovery-codes', protectSession, forbidImpersonation, validate(totpCodeValidation), regenerateRecoveryCodes);
+
+/**
+ * @route   DELETE /api/auth/mfa
+ * @desc    Disable MFA for the current user
+ * @access  Private
+ */
+router.delete('/mfa', protectSession, forbidImpersonation, validate(disableMfaValidation), disableMfa);
+
+/**
+ * @route   GET /api/auth/oidc/:provider/start
+ * @desc    Redirect to an external OpenID Connect provider to log in
+ * @access  Public
+ */
+router.get('/oidc/:provider/start', validate(oidcProviderValidation), startOidcLogin);
+
+/**
+ * @route   GET /api/auth/oidc/:provider/callback
+ * @desc    Complete an OpenID Connect login or identity link
+ * @access  Public
+ */
+router.get('/oidc/:provider/callback', validate(oidcCallbackValidation), oidcCallback);
+
+/**
+ * @route   POST /api/auth/oidc/:provider/link
+ * @desc    Start linking an external identity to the current user
+ * @access  Private
+ */
+router.post('/oidc/:provider/link', protectSession, forbidImpersonation, requireVerifiedEmail, validate(oidcProviderValidation), startOidcLink);
+
+/**
+ * @route   GET /api/auth/identities
+ * @desc    List linked external identities
+ * @access  Private
+ */
+router.get('/identities', protectSession, getIdentities);
+
+/**
+ * @route   DELETE /api/auth/identities/:id
+ * @desc    Unlink an external identity
+ * @access  Private
+ */
+router.delete('/identities/:id', protectSession, forbidImpersonation, validate(identityIdValidation), unlinkIdentity);
+
+/**
+ * @route   POST /api/auth/webauthn/register/options
+ * @desc    Get options for registering a passkey
+ * @access  Private
+ */
+router.post('/webauthn/register/options', protectSession, forbidImpersonation, requireVerifiedEmail, registrationOptions);
+
+/**
+ * @route   POST /api/auth/webauthn/register/verify
+ * @desc    Verify and store a new passkey
+ * @access  Private
+ */
+router.post('/webauthn/register/verify', protectSession, forbidImpersonation, requireVerifiedEmail, validate(registrationVerifyValidation), registrationVerify);
+
+/**
+ * @route   POST /api/auth/webauthn/login/options
+ * @desc    Get options for signing in with a passkey
+ * @access  Public
+ */
+router.post('/webauthn/login/options', authenticationOptions);
+
+/**
+ * @route   POST /api/auth/webauthn/login/verify
+ * @desc    Sign in with a passkey
+ * @access  Public
+ */
+router.post('/webauthn/login/verify', validate(credentialResponseValidation), authenticationVerify);
+
+/**
+ * @route   GET /api/auth/webauthn/passkeys
+ * @desc    List the current user's passkeys
+ * @access  Private
+ */
+router.get('/webauthn/passkeys', protectSession, getPasskeys);
+
+/**
+ * @route   PUT /api/auth/webauthn/passkeys/:id
+ * @desc    Rename a passkey
+ * @access  Private
+ */
+router.put('/webauthn/passkeys/:id', protectSession, forbidImpersonation, validate(renamePasskeyValidation), renamePasskey);
+
+/**
+ * @route   DELETE /api/auth/webauthn/passkeys/:id
+ * @desc    Delete a passkey
+ * @access  Private
+ */
+router.delete('/webauthn/passkeys/:id', protectSession, forbidImpersonation, validate(passkeyIdValidation), deletePasskey);
+
+/**
+ * @route   PUT /api/auth/webauthn/password-login
+ * @desc    Turn password login on or off
  * @access  Private
  */
-router.get('/logout', protect, logout);
+router.put('/webauthn/password-login', protectSession, forbidImpersonation, validate(passwordLoginValidation), setPasswordLogin);
 
 export default router;
\ No newline at end of file
@@ -0,0 +1,98 @@
+import express from 'express';
+const router = express.Router();
+import { startAuthorization, authorize as authorizeClient, token, userinfo } from '../controllers/oauthController.js';
+import {
+  createClient,
+  getClients,
+  getClient,
+  updateClient,
+  rotateClientSecret,
+  deleteClient
+} from '../controllers/oauthClientController.js';
+import { protect, protectSession, protectWithPurpose, requirePermission, forbidImpersonation, requireVerifiedEmail } from '../middleware/authMiddleware.js';
+import { TOKEN_PURPOSES } from '../services/tokenService.js';
+import {
+  authorizeValidation,
+  createClientValidation,
+  updateClientValidation,
+  clientIdValidation,
+  validate
+} from '../validators/oauthValidator.js';
+
+/**
+ * @route   GET /api/oauth/authorize
+ * @desc    Send a browser to the consent page, or, with the user's access token,
+ *          authorize a client and get the redirect carrying the code
+ * @access  Public (redirect) / Private (authorize)
+ */
+router.get('/authorize', validate(authorizeValidation), startAuthorization, protectSession, forbidImpersonation, requireVerifiedEmail, authorizeClient);
+
+/**
+ * @route   POST /api/oauth/token
+ * @desc    Exchange a grant for tokens
+ * @access  Public (client authentication)
+ */
+router.post('/token', token);
+
+/**
+ * @route   GET /api/oauth/userinfo
+ * @desc    Get claims about the user of an OAuth access token
+ * @access  Private (OAuth access token)
+ */
+router.get('/userinfo', protectWithPurpose(TOKEN_PURPOSES.OAUTH_ACCESS), userinfo);
+
+/**
+ * @route   POST /api/oauth/userinfo
+ * @desc    Get claims about the user of an OAuth access token
+ * @access  Private (OAuth access token)
+ */
+router.post('/userinfo', protectWithPurpose(TOKEN_PURPOSES.OAUTH_ACCESS), userinfo);
+
+/**
+ * Client registration routes
+ * All routes require authentication and the permission named on each route
+ */
+
+/**
+ * @route   GET /api/oauth/clients
+ * @desc    List OAuth clients
+ * @access  Private (oauth-clients:read)
+ */
+router.get('/clients', protect, requireVerifiedEmail, requirePermission('oauth-clients:read'), getClients);
+
+/**
+ * @route   POST /api/oauth/clients
+ * @desc    Register an OAuth client
+ * @access  Private (oauth-clients:write)
+ */
+router.post('/clients', protect, requireVerifiedEmail, requirePermission('oauth-clients:write'), validate(createClientValidation), createClient);
+
+/**
+ * @route   GET /api/oauth/clients/:id
+ * @desc    Get an OAuth client
+ * @access  Private (oauth-clients:read)
+ */
+router.get('/clients/:id', protect, requireVerifiedEmail, requirePermission('oauth-clients:read'), validate(clientIdValidation), getClient);
+
+/**
+ * @route   PUT /api/oauth/clients/:id
+ * @desc    Update an OAuth client
+ * @access  Private (oauth-clients:write)
+ */
+router.put('/clients/:id', protect, requireVerifiedEmail, requirePermission('oauth-clients:write'), validate(updateClientValidation), updateClient);
+
+/**
+ * @route   POST /api/oauth/clients/:id/secret
+ * @desc    Rotate the secret of a confidential client
+ * @access  Private (oauth-clients:write)
+ */
+router.post('/clients/:id/secret', protect, requireVerifiedEmail, requirePermission('oauth-clients:write'), validate(clientIdValidation), rotateClientSecret);
+
+/**
+ * @route   DELETE /api/oauth/clients/:id
+ * @desc    Delete an OAuth client
+ * @access  Private (oauth-clients:write)
+ */
+router.delete('/clients/:id', protect, requireVerifiedEmail, requirePermission('oauth-clients:write'), validate(clientIdValidation), deleteClient);
+
+export default router;
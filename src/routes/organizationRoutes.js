@@ -0,0 +1,76 @@
+import express from 'express';
+const router = express.Router();
+import {
+  createOrganization,
+  getOrganizations,
+  getOrganization,
+  updateOrganization,
+  getMembers,
+  setMember,
+  removeMember
+} from '../controllers/organizationController.js';
+import { protect, requirePermission, requireVerifiedEmail } from '../middleware/authMiddleware.js';
+import {
+  createOrganizationValidation,
+  organizationIdValidation,
+  updateOrganizationValidation,
+  memberValidation,
+  setMemberValidation,
+  validate
+} from '../validators/organizationValidator.js';
+
+/**
+ * Organization routes
+ * All routes require authentication and the permission named on each route
+ */
+
+/**
+ * @route   GET /api/organizations
+ * @desc    List organizations
+ * @access  Private (organizations:read)
+ */
+router.get('/', protect, requireVerifiedEmail, requirePermission('organizations:read'), getOrganizations);
+
+/**
+ * @route   POST /api/organizations
+ * @desc    Create an organization
+ * @access  Private (organizations:write)
+ */
+router.post('/', protect, requireVerifiedEmail, requirePermission('organizations:write'), validate(createOrganizationValidation), createOrganization);
+
+/**
+ * @route   GET /api/organizations/:id
+ * @desc    Get an organization
+ * @access  Private (organizations:read)
+ */
+router.get('/:id', protect, requireVerifiedEmail, requirePermission('organizations:read'), validate(organizationIdValidation), getOrganization);
+
+/**
+ * @route   PUT /api/organizations/:id
+ * @desc    Update an organization
+ * @access  Private (organizations:write)
+ */
+router.put('/:id', protect, requireVerifiedEmail, requirePermission('organizations:write'), validate(updateOrganizationValidation), updateOrganization);
+
+/**
+ * @route   GET /api/organizations/:id/members
+ * @desc    List the members of an organization
+ * @access  Private (organizations:read)
+ */
+router.get('/:id/members', protect, requireVerifiedEmail, requirePermission('organizations:read'), validate(organizationIdValidation), getMembers);
+
+/**
+ * @route   PUT /api/organizations/:id/members/:userId
+ * @desc    Add a member or change their role
+ * @access  Private (organizations:write)
+ */
+router.put('/:id/members/:userId', protect, requireVerifiedEmail, requirePermission('organizations:write'), validate(setMemberValidation), setMember);
+
+/**
+ * @route   DELETE /api/organizations/:id/members/:userId
+ * @desc    Remove a member
+ * @access  Private (organizations:write)
+ */
+router.delete('/:id/members/:userId', protect, requireVerifiedEmail, requirePermission('organizations:write'), validate(memberValidation), removeMember);
+
+export default router;
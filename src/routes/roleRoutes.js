@@ -0,0 +1,58 @@
+import express from 'express';
+const router = express.Router();
+import {
+  getRoles,
+  getRole,
+  createRole,
+  updateRole,
+  deleteRole
+} from '../controllers/roleController.js';
+import { protect, requirePermission, requireVerifiedEmail } from '../middleware/authMiddleware.js';
+import {
+  createRoleValidation,
+  roleIdValidation,
+  updateRoleValidation,
+  validate
+} from '../validators/roleValidator.js';
+
+/**
+ * Role routes
+ * All routes require authentication and the permission named on each route
+ */
+
+/**
+ * @route   GET /api/roles
+ * @desc    List roles
+ * @access  Private (roles:read)
+ */
+router.get('/', protect, requireVerifiedEmail, requirePermission('roles:read'), getRoles);
+
+/**
+ * @route   POST /api/roles
+ * @desc    Create a role
+ * @access  Private (roles:write)
+ */
+router.post('/', protect, requireVerifiedEmail, requirePermission('roles:write'), validate(createRoleValidation), createRole);
+
+/**
+ * @route   GET /api/roles/:id
+ * @desc    Get a role
+ * @access  Private (roles:read)
+ */
+router.get('/:id', protect, requireVerifiedEmail, requirePermission('roles:read'), validate(roleIdValidation), getRole);
+
+/**
+ * @route   PUT /api/roles/:id
+ * @desc    Update a role
+ * @access  Private (roles:write)
+ */
+router.put('/:id', protect, requireVerifiedEmail, requirePermission('roles:write'), validate(updateRoleValidation), updateRole);
+
+/**
+ * @route   DELETE /api/roles/:id
+ * @desc    Delete a role
+ * @access  Private (roles:write)
+ */
+router.delete('/:id', protect, requireVerifiedEmail, requirePermission('roles:write'), validate(roleIdValidation), deleteRole);
+
+export default router;
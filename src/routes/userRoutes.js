@@ -4,69 +4,234 @@ import {
   getUsers,
   getUserById,
   createUser,
+  importUsers,
+  exportUsers,
   updateUser,
   deleteUser,
-  updateProfile
+  restoreDeletedUser,
+  logoutAllSessions,
+  impersonateUser,
+  unlockUser,
+  assignRole,
+  updateProfile,
+  exportMyData,
+  requestMyDeletion,
+  cancelMyDeletion
 } from '../controllers/userController.js';
-import { protect, authorize } from '../middleware/authMiddleware.js';
+import { getUserSessions, revokeUserSession } from '../controllers/sessionController.js';
+import { resetUserMfa } from '../controllers/mfaController.js';
 import {
+  createInvitation,
+  getInvitations,
+  resendInvitation,
+  revokeInvitation
+} from '../controllers/invitationController.js';
+import { protect, protectSession, requirePermission, forbidImpersonation, requireVerifiedEmail } from '../middleware/authMiddleware.js';
+import {
+  listUsersValidation,
+  exportUsersValidation,
+  importUsersValidation,
   createUserValidation,
   updateUserValidation,
   updateProfileValidation,
+  deletionRequestValidation,
   getUserByIdValidation,
+  impersonateUserValidation,
+  assignRoleValidation,
   validate
 } from '../validators/userValidator.js';
+import {
+  userSessionsValidation,
+  userSessionValidation
+} from '../validators/sessionValidator.js';
+import { resetMfaValidation } from '../validators/mfaValidator.js';
+import {
+  createInvitationValidation,
+  listInvitationsValidation,
+  invitationIdValidation
+} from '../validators/invitationValidator.js';
+
+/**
+ * User routes
+ * Routes for regular users to manage their own profile
+ * This, the invitation and the import/export routes are declared before
+ * /:id, which would otherwise take their paths for user IDs
+ */
+
+/**
+ * @route   PUT /api/users/profile
+ * @desc    Update own profile
+ * @access  Private
+ */
+router.put('/profile', protect, forbidImpersonation, requireVerifiedEmail, validate(updateProfileValidation), updateProfile);
+
+/**
+ * @route   GET /api/users/me/export
+ * @desc    Download the data held about the current user
+ * @access  Private
+ */
+router.get('/me/export', protectSession, forbidImpersonation, requireVerifiedEmail, exportMyData);
+
+/**
+ * @route   POST /api/users/me/deletion
+ * @desc    Ask for the current user's account to be deleted after a cooling-off period
+ * @access  Private (requires the password)
+ */
+router.post('/me/deletion', protectSession, forbidImpersonation, validate(deletionRequestValidation), requestMyDeletion);
+
+/**
+ * @route   DELETE /api/users/me/deletion
+ * @desc    Cancel a requested account deletion
+ * @access  Private
+ */
+router.delete('/me/deletion', protectSession, forbidImpersonation, cancelMyDeletion);
+
+/**
+ * Invitation routes
+ * Admin routes for inviting users who then choose their own password
+ */
+
+/**
+ * @route   GET /api/users/invitations
+ * @desc    List invitations
+ * @access  Private (users:read)
+ */
+router.get('/invitations', protect, requireVerifiedEmail, requirePermission('users:read'), validate(listInvitationsValidation), getInvitations);
+
+/**
+ * @route   POST /api/users/invitations
+ * @desc    Invite a user to create an account
+ * @access  Private (users:create)
+ */
+router.post('/invitations', protect, requireVerifiedEmail, requirePermission('users:create'), validate(createInvitationValidation), createInvitation);
+
+/**
+ * @route   POST /api/users/invitations/:id/resend
+ * @desc    Resend a pending invitation
+ * @access  Private (users:create)
+ */
+router.post('/invitations/:id/resend', protect, requireVerifiedEmail, requirePermission('users:create'), validate(invitationIdValidation), resendInvitation);
+
+/**
+ * @route   DELETE /api/users/invitations/:id
+ * @desc    Revoke a pending invitation
+ * @access  Private (users:create)
+ */
+router.delete('/invitations/:id', protect, requireVerifiedEmail, requirePermission('users:create'), validate(invitationIdValidation), revokeInvitation);
+
+/**
+ * Bulk routes
+ * Admin routes for importing and exporting users as CSV or NDJSON
+ */
+
+/**
+ * @route   GET /api/users/export
+ * @desc    Export users matching the search and filters of GET /api/users
+ * @access  Private (users:read)
+ */
+router.get('/export', protect, requireVerifiedEmail, requirePermission('users:read'), validate(exportUsersValidation), exportUsers);
+
+/**
+ * @route   POST /api/users/import
+ * @desc    Import users from a CSV or NDJSON upload, with a report per row
+ * @access  Private (users:create)
+ */
+router.post('/import', protect, requireVerifiedEmail, requirePermission('users:create'), validate(importUsersValidation), importUsers);
 
 /**
  * Admin routes
- * All routes require authentication and admin role
+ * All routes require authentication and the permission named on each route
  */
 
 /**
  * @route   GET /api/users
- * @desc    Get all users
- * @access  Private/Admin
+ * @desc    Search and list users
+ * @access  Private (users:read)
  */
-router.get('/', protect, authorize('admin'), getUsers);
+router.get('/', protect, requireVerifiedEmail, requirePermission('users:read'), validate(listUsersValidation), getUsers);
 
 /**
  * @route   GET /api/users/:id
  * @desc    Get single user by ID
- * @access  Private/Admin
+ * @access  Private (users:read)
  */
-router.get('/:id', protect, authorize('admin'), validate(getUserByIdValidation), getUserById);
+router.get('/:id', protect, requireVerifiedEmail, requirePermission('users:read'), validate(getUserByIdValidation), getUserById);
 
 /**
  * @route   POST /api/users
  * @desc    Create a new user (admin)
- * @access  Private/Admin
+ * @access  Private (users:create)
  */
-router.post('/', protect, authorize('admin'), validate(createUserValidation), createUser);
+router.post('/', protect, requireVerifiedEmail, requirePermission('users:create'), validate(createUserValidation), createUser);
 
 /**
  * @route   PUT /api/users/:id
  * @desc    Update user
- * @access  Private/Admin
+ * @access  Private (users:update)
  */
-router.put('/:id', protect, authorize('admin'), validate(updateUserValidation), updateUser);
+router.put('/:id', protect, requireVerifiedEmail, requirePermission('users:update'), validate(updateUserValidation), updateUser);
 
 /**
  * @route   DELETE /api/users/:id
- * @desc    Delete user
- * @access  Private/Admin
+ * @desc    Delete user (restorable until purged)
+ * @access  Private (users:delete)
  */
-router.delete('/:id', protect, authorize('admin'), validate(getUserByIdValidation), deleteUser);
+router.delete('/:id', protect, forbidImpersonation, requireVerifiedEmail, requirePermission('users:delete'), validate(getUserByIdValidation), deleteUser);
 
 /**
- * User routes
- * Routes for regular users to manage their own profile
+ * @route   POST /api/users/:id/restore
+ * @desc    Restore a deleted user
+ * @access  Private (users:delete)
  */
+router.post('/:id/restore', protect, requireVerifiedEmail, requirePermission('users:delete'), validate(getUserByIdValidation), restoreDeletedUser);
 
 /**
- * @route   PUT /api/users/profile
- * @desc    Update own profile
- * @access  Private
+ * @route   POST /api/users/:id/logout-all
+ * @desc    Invalidate all tokens issued to a user
+ * @access  Private (sessions:revoke)
+ */
+router.post('/:id/logout-all', protect, requireVerifiedEmail, requirePermission('sessions:revoke'), validate(getUserByIdValidation), logoutAllSessions);
+
+/**
+ * @route   POST /api/users/:id/impersonate
+ * @desc    Get a short-lived token to act as a user
+ * @access  Private (users:impersonate)
+ */
+router.post('/:id/impersonate', protectSession, forbidImpersonation, requireVerifiedEmail, requirePermission('users:impersonate'), validate(impersonateUserValidation), impersonateUser);
+
+/**
+ * @route   POST /api/users/:id/unlock
+ * @desc    Unlock an account locked after failed logins
+ * @access  Private (users:update)
+ */
+router.post('/:id/unlock', protect, requireVerifiedEmail, requirePermission('users:update'), validate(getUserByIdValidation), unlockUser);
+
+/**
+ * @route   PUT /api/users/:id/role
+ * @desc    Assign a role to a user
+ * @access  Private (roles:assign)
+ */
+router.put('/:id/role', protect, requireVerifiedEmail, requirePermission('roles:assign'), validate(assignRoleValidation), assignRole);
+
+/**
+ * @route   GET /api/users/:id/sessions
+ * @desc    List active sessions of a user
+ * @access  Private (users:read)
+ */
+router.get('/:id/sessions', protect, requireVerifiedEmail, requirePermission('users:read'), validate(userSessionsValidation), getUserSessions);
+
+/**
+ * @route   DELETE /api/users/:id/sessions/:sessionId
+ * @desc    Revoke a session of a user
+ * @access  Private (sessions:revoke)
+ */
+router.delete('/:id/sessions/:sessionId', protect, requireVerifiedEmail, requirePermission('sessions:revoke'), validate(userSessionValidation), revokeUserSession);
+
+/**
+ * @route   DELETE /api/users/:id/mfa
+ * @desc    Reset a user's MFA
+ * @access  Private (mfa:reset)
  */
-router.put('/profile', protect, validate(updateProfileValidation), updateProfile);
+router.delete('/:id/mfa', protect, requireVerifiedEmail, requirePermission('mfa:reset'), validate(resetMfaValidation), resetUserMfa);
 
 export default router;
\ No newline at end of file
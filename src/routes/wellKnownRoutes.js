@@ -0,0 +1,19 @@
+import express from 'express';
+const router = express.Router();
+import { jwks, openidConfiguration } from '../controllers/wellKnownController.js';
+
+/**
+ * @route   GET /.well-known/jwks.json
+ * @desc    JSON Web Key Set for verifying tokens
+ * @access  Public
+ */
+router.get('/jwks.json', jwks);
+
+/**
+ * @route   GET /.well-known/openid-configuration
+ * @desc    OpenID Connect discovery document
+ * @access  Public
+ */
+router.get('/openid-configuration', openidConfiguration);
+
+export default router;
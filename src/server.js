@@ -1,3 +1,4 @@
+import http from 'http';
 import express from 'express';
 import mongoose from 'mongoose';
 import cors from 'cors';
@@ -7,23 +8,27 @@ import rateLimit from 'express-rate-limit';
 import { config } from './config/config.js';
 import { logger } from './utils/logger.js';
 import { errorHandler } from './middleware/errorHandler.js';
+import { requestId } from './middleware/requestId.js';
+import { scheduleJob } from './jobs/scheduler.js';
+import { rotateKeysIfDue } from './services/keyService.js';
+import { migrateRoles } from './services/roleService.js';
+import { purgeDeletedUsers, processDeletionRequests } from './services/accountDeletionService.js';
 
 // Import routes
 import authRoutes from './routes/authRoutes.js';
 import userRoutes from './routes/userRoutes.js';
+import oauthRoutes from './routes/oauthRoutes.js';
+import apiKeyRoutes from './routes/apiKeyRoutes.js';
+import roleRoutes from './routes/roleRoutes.js';
+import organizationRoutes from './routes/organizationRoutes.js';
+import auditRoutes from './routes/auditRoutes.js';
+import wellKnownRoutes from './routes/wellKnownRoutes.js';
 
 // Initialize express app
 const app = express();
 
-// Connect to MongoDB
-mongoose.connect(config.mongoUri)
-  .then(() => {
-    logger.info('MongoDB connected successfully');
-  })
-  .catch((err) => {
-    logger.error(`MongoDB connection error: ${err.message}`);
-    process.exit(1);
-  });
+// Tag every request with an ID for logs and audit events
+app.use(requestId);
 
 // Apply security middleware
 app.use(helmet());
@@ -32,7 +37,8 @@ app.use(helmet());
 app.use(cors({
   origin: config.corsOrigin,
   methods: ['GET', 'POST', 'PUT', 'DELETE'],
-  allowedHeaders: ['Content-Type', 'Authorization']
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-API-Key', 'X-Request-ID'],
+  exposedHeaders: ['X-Request-ID']
 }));
 
 // Apply rate limiting
@@ -55,6 +61,12 @@ app.use(express.urlencoded({ extended: true }));
 // API routes
 app.use('/api/auth', authRoutes);
 app.use('/api/users', userRoutes);
+app.use('/api/oauth', oauthRoutes);
+app.use('/api/api-keys', apiKeyRoutes);
+app.use('/api/roles', roleRoutes);
+app.use('/api/organizations', organizationRoutes);
+app.use('/api/audit', auditRoutes);
+app.use('/.well-known', wellKnownRoutes);
 
 // Health check endpoint
 app.get('/health', (req, res) => {
@@ -74,10 +86,38 @@ app.use((req, res) => {
 // Error handling middleware
 app.use(errorHandler);
 
-// Start server
+// Start server once roles and signing keys are ready, so that the first
+// logins can already be authorized and signed
 const PORT = config.port || 5000;
-const server = app.listen(PORT, () => {
-  logger.info(`Server running in ${config.nodeEnv} mode on port ${PORT}`);
+const server = http.createServer(app);
+
+const start = async () => {
+  await mongoose.connect(config.mongoUri);
+  logger.info('MongoDB connected successfully');
+
+  // Store the built-in roles and upgrade data from the former role enum
+  await migrateRoles();
+
+  // Load signing keys, creating the first one if needed (no-op for HS256)
+  await rotateKeysIfDue();
+
+  // Rotate signing keys when due
+  scheduleJob('jwt-key-rotation', 60 * 60 * 1000, rotateKeysIfDue);
+
+  // Remove deleted accounts once their retention period is over
+  scheduleJob('deleted-user-purge', 60 * 60 * 1000, purgeDeletedUsers);
+
+  // Delete accounts whose users asked for it once they can no longer cancel
+  scheduleJob('account-deletion-requests', 60 * 60 * 1000, processDeletionRequests);
+
+  server.listen(PORT, () => {
+    logger.info(`Server running in ${config.nodeEnv} mode on port ${PORT}`);
+  });
+};
+
+start().catch((err) => {
+  logger.error(`Server startup failed: ${err.message}`);
+  process.exit(1);
 });
 
 // Handle unhandled promise rejections
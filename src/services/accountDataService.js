@@ -0,0 +1,122 @@
+import Session from '../models/sessionModel.js';
+import ApiKey from '../models/apiKeyModel.js';
+import AuditEvent from '../models/auditEventModel.js';
+import Organization from '../models/organizationModel.js';
+import { AUDIT_ACTIONS } from './auditService.js';
+
+/**
+ * Version of the archive layout, raised when a field changes meaning
+ */
+const ARCHIVE_VERSION = 1;
+
+/**
+ * Shape an audit event for the archive
+ * @param {Object} event - AuditEvent document
+ * @returns {Object} - What happened, when, by whom and from where
+ */
+const archivedEvent = (event) => ({
+  at: event.createdAt,
+  action: event.action,
+  outcome: event.outcome,
+  actor: event.actor && event.actor.email,
+  changes: event.changes,
+  ip: event.ip,
+  userAgent: event.userAgent,
+  metadata: event.metadata
+});
+
+/**
+ * Collect the data held about a user, for them to download
+ * Covers the profile, organizations, linked sign-in methods, sessions, API
+ * keys, and the audit events about the user, with logins listed separately.
+ * Events about other users, such as those of an admin's own actions, are
+ * left out. Secrets (password and token hashes, MFA secrets) are never included.
+ * @param {Object} user - User document
+ * @returns {Promise<Object>} - Archive, ready to serialize as JSON
+ */
+const buildAccountArchive = async (user) => {
+  const [organizations, sessions, apiKeys, events] = await Promise.all([
+    Organization.find({ _id: { $in: user.memberships.map(membership => membership.organization) } }),
+    Session.find({ user: user._id }).sort({ createdAt: -1 }),
+    ApiKey.find({ user: user._id }).sort({ createdAt: -1 }),
+    AuditEvent.find({ 'target.type': 'user', 'target.id': user._id.toString() }).sort({ createdAt: 1, _id: 1 })
+  ]);
+
+  return {
+    version: ARCHIVE_VERSION,
+    exportedAt: new Date(),
+    profile: {
+      id: user._id,
+      name: user.name,
+      email: user.email,
+      role: user.role,
+      accountType: user.accountType,
+      isActive: user.isActive,
+      emailVerified: user.emailVerified,
+      emailVerifiedAt: user.emailVerifiedAt,
+      createdAt: user.createdAt,
+      updatedAt: user.updatedAt,
+      lastLogin: user.lastLogin,
+      passwordChangedAt: user.passwordChangedAt,
+      invitedAt: user.invitation && user.invitation.invitedAt,
+      deletionScheduledFor: user.deletionRequest && user.deletionRequest.scheduledFor
+    },
+    organizations: user.memberships.map(membership => {
+      const organization = organizations.find(org => org._id.equals(membership.organization));
+      return {
+        id: membership.organization,
+        name: organization && organization.name,
+        role: membership.role,
+        joinedAt: membership.joinedAt
+      };
+    }),
+    identities: user.identities.map(({ provider, subject, email, linkedAt }) => ({
+      provider,
+      subject,
+      email,
+      linkedAt
+    })),
+    passkeys: user.passkeys.map(({ name, deviceType, backedUp, createdAt, lastUsedAt }) => ({
+      name,
+      deviceType,
+      backedUp,
+      createdAt,
+      lastUsedAt
+    })),
+    mfa: {
+      enabled: user.mfa.enabled,
+      enabledAt: user.mfa.enabledAt
+    },
+    sessions: sessions.map(session => ({
+      id: session._id,
+      deviceLabel: session.deviceLabel,
+      userAgent: session.userAgent,
+      ip: session.ip,
+      createdAt: session.createdAt,
+      lastSeenAt: session.lastSeenAt,
+      expiresAt: session.expiresAt,
+      revokedAt: session.revokedAt
+    })),
+    apiKeys: apiKeys.map(apiKey => ({
+      name: apiKey.name,
+      prefix: apiKey.prefix,
+      scopes: apiKey.scopes,
+      createdAt: apiKey.createdAt,
+      expiresAt: apiKey.expiresAt,
+      lastUsedAt: apiKey.lastUsedAt,
+      lastUsedIp: apiKey.lastUsedIp,
+      revokedAt: apiKey.revokedAt
+    })),
+    loginHistory: events
+      .filter(event => event.action === AUDIT_ACTIONS.LOGIN)
+      .map(archivedEvent),
+    auditEvents: events
+      .filter(event => event.action !== AUDIT_ACTIONS.LOGIN)
+      .map(archivedEvent)
+  };
+};
+
+export {
+  ARCHIVE_VERSION,
+  buildAccountArchive
+};
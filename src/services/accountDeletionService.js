@@ -0,0 +1,253 @@
+import User from '../models/userModel.js';
+import Session from '../models/sessionModel.js';
+import RefreshToken from '../models/refreshTokenModel.js';
+import ApiKey from '../models/apiKeyModel.js';
+import OAuthCode from '../models/oauthCodeModel.js';
+import { ApiError } from '../middleware/errorHandler.js';
+import { config } from '../config/config.js';
+import { logger } from '../utils/logger.js';
+import { revokeUserSessions } from './sessionService.js';
+import { AUDIT_ACTIONS, recordAuditEvent, userTarget } from './auditService.js';
+
+/**
+ * Domain of the placeholder addresses given to deleted accounts whose email
+ * was released (.invalid is reserved and never delivers)
+ */
+const RELEASED_EMAIL_DOMAIN = 'deleted.invalid';
+
+/**
+ * Fields cleared when an account is anonymized
+ */
+const PERSONAL_FIELDS = [
+  'password',
+  'passwordHistory',
+  'passwordChangedAt',
+  'passwordResetToken',
+  'passwordResetExpires',
+  'emailVerifiedAt',
+  'emailVerificationToken',
+  'emailVerificationExpires',
+  'magicLinkToken',
+  'magicLinkExpires',
+  'magicLinkBrowserHash',
+  'lastLogin',
+  'lastFailedLoginAt',
+  'lockUntil',
+  'invitation',
+  'deletedEmail',
+  'deletedBy',
+  'deletionRequest'
+];
+
+/**
+ * Soft-delete an account
+ * The user disappears from queries, every session ends and, depending on
+ * config.accountDeletion.emailPolicy, the email is freed for a new account.
+ * @param {Object} user - User document
+ * @param {Object} deletedBy - User performing the deletion
+ */
+const softDeleteUser = async (user, deletedBy) => {
+  user.deletedAt = Date.now();
+  user.deletedBy = deletedBy._id;
+  user.tokensValidAfter = Date.now();
+
+  if (config.accountDeletion.emailPolicy === 'release') {
+    user.deletedEmail = user.email;
+    user.email = `${user._id}@${RELEASED_EMAIL_DOMAIN}`;
+  }
+
+  await user.save({ validateBeforeSave: false });
+  await revokeUserSessions(user._id);
+};
+
+/**
+ * Find a deleted account
+ * @param {Object} filter - Additional filter, such as the organization scope
+ * @returns {Promise<Object|null>} - User document
+ */
+const findDeletedUser = (filter) => User.findOne({ ...filter, deletedAt: { $ne: null }, anonymizedAt: null })
+  .setOptions({ withDeleted: true });
+
+/**
+ * Restore a soft-deleted account
+ * @param {Object} user - Deleted user document
+ * @throws {ApiError} - 409 if its released email now belongs to another account
+ */
+const restoreUser = async (user) => {
+  if (user.deletedEmail) {
+    const taken = await User.exists({ email: user.deletedEmail }).setOptions({ withDeleted: true });
+    if (taken) {
+      throw new ApiError(409, 'The email of this account now belongs to another account');
+    }
+    user.email = user.deletedEmail;
+    user.deletedEmail = undefined;
+  }
+
+  user.deletedAt = undefined;
+  user.deletedBy = undefined;
+  await user.save({ validateBeforeSave: false });
+};
+
+/**
+ * Remove the data that only exists for a user
+ * @param {Object} user - User document
+ */
+const removeUserData = (user) => Promise.all([
+  Session.deleteMany({ user: user._id }),
+  RefreshToken.deleteMany({ user: user._id }),
+  ApiKey.deleteMany({ user: user._id }),
+  OAuthCode.deleteMany({ user: user._id })
+]);
+
+/**
+ * Remove a user and the data that only exists for them
+ * @param {Object} user - User document
+ */
+const purgeUser = async (user) => {
+  await removeUserData(user);
+  await User.deleteOne({ _id: user._id });
+};
+
+/**
+ * Remove every personal detail from an account, which stays deleted
+ * The document is kept so that what refers to it stays valid; it can no
+ * longer be restored and is never purged.
+ * @param {Object} user - User document
+ */
+const anonymizeUser = async (user) => {
+  await removeUserData(user);
+
+  const now = Date.now();
+  user.set({
+    name: 'Deleted user',
+    email: `${user._id}@${RELEASED_EMAIL_DOMAIN}`,
+    isActive: false,
+    emailVerified: false,
+    identities: [],
+    passkeys: [],
+    memberships: [],
+    mfa: { enabled: false },
+    tokensValidAfter: now,
+    deletedAt: user.deletedAt || now,
+    anonymizedAt: now
+  });
+  for (const field of PERSONAL_FIELDS) {
+    user.set(field, undefined);
+  }
+
+  await user.save({ validateBeforeSave: false });
+};
+
+/**
+ * Schedule the deletion of an account its user asked for
+ * It is carried out after config.accountDeletion.coolingOffDays unless the
+ * user cancels it first.
+ * @param {Object} user - User document
+ * @returns {Promise<Object>} - requestedAt and scheduledFor
+ * @throws {ApiError} - 409 if a deletion is already scheduled
+ */
+const requestAccountDeletion = async (user) => {
+  if (user.deletionRequest && user.deletionRequest.scheduledFor) {
+    throw new ApiError(409, 'Deletion of this account has already been requested');
+  }
+
+  const requestedAt = Date.now();
+  user.deletionRequest = {
+    requestedAt,
+    scheduledFor: requestedAt + config.accountDeletion.coolingOffDays * 24 * 60 * 60 * 1000
+  };
+  await user.save({ validateBeforeSave: false });
+
+  return user.deletionRequest;
+};
+
+/**
+ * Cancel a scheduled deletion during its cooling-off period
+ * @param {Object} user - User document
+ * @throws {ApiError} - 404 if no deletion is scheduled
+ */
+const cancelAccountDeletion = async (user) => {
+  if (!user.deletionRequest || !user.deletionRequest.scheduledFor) {
+    throw new ApiError(404, 'No account deletion has been requested');
+  }
+
+  user.deletionRequest = undefined;
+  await user.save({ validateBeforeSave: false });
+};
+
+/**
+ * Carry out the deletions users asked for once their cooling-off period is over
+ * Accounts are erased or anonymized depending on
+ * config.accountDeletion.selfServiceMode. Runs as a scheduled job; at most
+ * 500 accounts per run.
+ * @returns {Promise<Number>} - Number of accounts deleted
+ */
+const processDeletionRequests = async () => {
+  const mode = config.accountDeletion.selfServiceMode;
+  const users = await User.find({ 'deletionRequest.scheduledFor': { $lte: Date.now() } })
+    .setOptions({ withDeleted: true })
+    .limit(500);
+
+  for (const user of users) {
+    const { requestedAt } = user.deletionRequest;
+    if (mode === 'anonymize') {
+      await anonymizeUser(user);
+    } else {
+      await purgeUser(user);
+    }
+    // No label: the event must not keep the email the user asked to remove
+    await recordAuditEvent(null, {
+      action: AUDIT_ACTIONS.USER_ERASE,
+      target: { type: 'user', id: user._id.toString() },
+      metadata: { mode, requestedAt }
+    });
+  }
+
+  if (users.length > 0) {
+    logger.info(`Carried out ${users.length} account deletion request(s)`);
+  }
+  return users.length;
+};
+
+/**
+ * Purge accounts deleted longer ago than the retention period
+ * Runs as a scheduled job; at most 500 accounts per run.
+ * @returns {Promise<Number>} - Number of purged accounts
+ */
+const purgeDeletedUsers = async () => {
+  const { retentionDays } = config.accountDeletion;
+  if (!retentionDays) {
+    return 0;
+  }
+
+  const cutoff = Date.now() - retentionDays * 24 * 60 * 60 * 1000;
+  const users = await User.find({ deletedAt: { $lte: cutoff }, anonymizedAt: null })
+    .setOptions({ withDeleted: true })
+    .limit(500);
+
+  for (const user of users) {
+    await purgeUser(user);
+    await recordAuditEvent(null, {
+      action: AUDIT_ACTIONS.USER_PURGE,
+      target: { ...userTarget(user), label: user.deletedEmail || user.email },
+      metadata: { deletedAt: user.deletedAt }
+    });
+  }
+
+  if (users.length > 0) {
+    logger.info(`Purged ${users.length} deleted user(s)`);
+  }
+  return users.length;
+};
+
+export {
+  softDeleteUser,
+  findDeletedUser,
+  restoreUser,
+  purgeUser,
+  anonymizeUser,
+  requestAccountDeletion,
+  cancelAccountDeletion,
+  processDeletionRequests,
+  purgeDeletedUsers
+};
@@ -0,0 +1,94 @@
+import crypto from 'crypto';
+import ApiKey from '../models/apiKeyModel.js';
+import User from '../models/userModel.js';
+import { ApiError } from '../middleware/errorHandler.js';
+import { config } from '../config/config.js';
+import { logger } from '../utils/logger.js';
+import { hashToken } from './tokenService.js';
+import { PERMISSIONS } from './roleService.js';
+
+/**
+ * Scopes an API key can be limited to: any permission its account's role grants
+ */
+const API_KEY_SCOPES = PERMISSIONS;
+
+/**
+ * Check whether a credential looks like one of our API keys
+ * @param {String} value - Credential from a request header
+ * @returns {Boolean} - True if it carries the API key prefix
+ */
+const isApiKey = (value) => Boolean(value) && value.startsWith(`${config.apiKeys.prefix}_`);
+
+/**
+ * Create an API key for a service account
+ * @param {Object} user - Service account the key acts as
+ * @param {Object} options - name, scopes and optional expiresAt
+ * @param {Object} createdBy - Admin creating the key
+ * @returns {Promise<Object>} - ApiKey document and the plain key (only returned once)
+ */
+const createApiKey = async (user, { name, scopes = [], expiresAt }, createdBy) => {
+  const keyId = crypto.randomBytes(6).toString('hex');
+  const secret = crypto.randomBytes(32).toString('base64url');
+  const key = `${config.apiKeys.prefix}_${keyId}_${secret}`;
+
+  const apiKey = await ApiKey.create({
+    name,
+    keyId,
+    prefix: `${config.apiKeys.prefix}_${keyId}`,
+    keyHash: hashToken(key),
+    user: user._id,
+    scopes,
+    expiresAt,
+    createdBy: createdBy._id
+  });
+
+  return { apiKey, key };
+};
+
+/**
+ * Authenticate a request made with an API key
+ * Records when and from where the key was last used and logs the request.
+ * @param {String} key - Plain API key
+ * @param {Object} req - Express request object
+ * @returns {Promise<Object>} - ApiKey document and the user it acts as
+ */
+const authenticateApiKey = async (key, req) => {
+  const match = new RegExp(`^${config.apiKeys.prefix}_([0-9a-f]{12})_[\\w-]+$`).exec(key);
+  const apiKey = match && await ApiKey.findOne({ keyId: match[1] }).select('+keyHash');
+
+  // Compare hashes in constant time
+  const expected = Buffer.from(apiKey ? apiKey.keyHash : '', 'hex');
+  const actual = Buffer.from(hashToken(key), 'hex');
+  if (!apiKey || expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    logger.warn('Invalid API key presented', { ip: req.ip, path: req.originalUrl });
+    throw new ApiError(401, 'Invalid API key');
+  }
+
+  if (!apiKey.isUsable()) {
+    throw new ApiError(401, 'API key has expired or been revoked');
+  }
+
+  const user = await User.findById(apiKey.user).select('-password');
+  if (!user || !user.isActive) {
+    throw new ApiError(401, 'User account is deactivated');
+  }
+
+  // Throttle lastUsedAt writes on busy keys
+  const touchAfter = Date.now() - config.apiKeys.touchIntervalSeconds * 1000;
+  if (!apiKey.lastUsedAt || apiKey.lastUsedAt.getTime() < touchAfter) {
+    await ApiKey.updateOne({ _id: apiKey._id }, { lastUsedAt: Date.now(), lastUsedIp: req.ip });
+  }
+
+  logger.info(`API key ${apiKey.prefix} (${apiKey.name}) used by ${user.email}: ${req.method} ${req.originalUrl}`, {
+    ip: req.ip
+  });
+
+  return { apiKey, user };
+};
+
+export {
+  API_KEY_SCOPES,
+  isApiKey,
+  createApiKey,
+  authenticateApiKey
+};
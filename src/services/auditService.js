@@ -0,0 +1,288 @@
+import crypto from 'crypto';
+import AuditEvent from '../models/auditEventModel.js';
+import { config } from '../config/config.js';
+import { logger } from '../utils/logger.js';
+
+/**
+ * Actions recorded in the audit log
+ */
+const AUDIT_ACTIONS = {
+  LOGIN: 'auth.login',
+  PASSWORD_CHANGE: 'auth.password_change',
+  PASSWORD_RESET_REQUEST: 'auth.password_reset_request',
+  PASSWORD_RESET: 'auth.password_reset',
+  PASSWORD_LOGIN_CHANGE: 'auth.password_login_change',
+  MFA_ENABLE: 'auth.mfa_enable',
+  MFA_DISABLE: 'auth.mfa_disable',
+  RECOVERY_CODES_REGENERATE: 'auth.recovery_codes_regenerate',
+  PASSKEY_REGISTER: 'auth.passkey_register',
+  PASSKEY_DELETE: 'auth.passkey_delete',
+  IDENTITY_LINK: 'auth.identity_link',
+  IDENTITY_UNLINK: 'auth.identity_unlink',
+  SESSION_REVOKE: 'auth.session_revoke',
+  USER_CREATE: 'user.create',
+  USER_UPDATE: 'user.update',
+  USER_DELETE: 'user.delete',
+  USER_RESTORE: 'user.restore',
+  USER_PURGE: 'user.purge',
+  USER_ERASE: 'user.erase',
+  USER_DELETION_REQUEST: 'user.deletion_request',
+  USER_DELETION_CANCEL: 'user.deletion_cancel',
+  USER_DATA_EXPORT: 'user.data_export',
+  USER_UNLOCK: 'user.unlock',
+  USER_LOGOUT_ALL: 'user.logout_all',
+  USER_SESSION_REVOKE: 'user.session_revoke',
+  USER_ROLE_ASSIGN: 'user.role_assign',
+  USER_MFA_RESET: 'user.mfa_reset',
+  USER_IMPERSONATE: 'user.impersonate',
+  USER_IMPORT: 'user.import',
+  USER_EXPORT: 'user.export',
+  ROLE_CREATE: 'role.create',
+  ROLE_UPDATE: 'role.update',
+  ROLE_DELETE: 'role.delete',
+  INVITATION_CREATE: 'invitation.create',
+  INVITATION_ACCEPT: 'invitation.accept',
+  INVITATION_REVOKE: 'invitation.revoke',
+  API_KEY_CREATE: 'api_key.create',
+  API_KEY_UPDATE: 'api_key.update',
+  API_KEY_REVOKE: 'api_key.revoke',
+  OAUTH_CLIENT_CREATE: 'oauth_client.create',
+  OAUTH_CLIENT_UPDATE: 'oauth_client.update',
+  OAUTH_CLIENT_SECRET_ROTATE: 'oauth_client.secret_rotate',
+  OAUTH_CLIENT_DELETE: 'oauth_client.delete'
+};
+
+/**
+ * previousHash of the first event in the chain
+ */
+const GENESIS_HASH = '0'.repeat(64);
+
+/**
+ * Fields covered by an event's hash
+ */
+const HASHED_FIELDS = [
+  'sequence',
+  'action',
+  'outcome',
+  'actor',
+  'target',
+  'changes',
+  'organization',
+  'ip',
+  'userAgent',
+  'requestId',
+  'metadata',
+  'createdAt',
+  'previousHash'
+];
+
+/**
+ * Serialize a JSON value with sorted keys, leaving out empty values
+ * Gives the same string for an event before it is stored and after it is
+ * read back, whatever order MongoDB returns the keys in.
+ * @param {*} value - JSON-compatible value
+ * @returns {String} - Canonical JSON
+ */
+const canonicalJson = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    const entries = Object.keys(value)
+      .sort()
+      .filter(key => value[key] !== null && value[key] !== undefined)
+      .map(key => [key, canonicalJson(value[key])])
+      .filter(([, json]) => json !== '{}');
+    return `{${entries.map(([key, json]) => `${JSON.stringify(key)}:${json}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+};
+
+/**
+ * Compute the chain hash of an event
+ * @param {Object} event - Audit event document
+ * @returns {String} - Hex SHA-256 hash
+ */
+const hashEvent = (event) => {
+  const plain = JSON.parse(JSON.stringify(event.toObject()));
+  const content = Object.fromEntries(HASHED_FIELDS.map(field => [field, plain[field]]));
+  return crypto.createHash('sha256').update(canonicalJson(content)).digest('hex');
+};
+
+/**
+ * Compare audited values before and after a change
+ * Arrays and IDs are compared by their string form.
+ * @param {Object} before - Values before the change ({} for a new resource)
+ * @param {Object} after - Values after the change ({} for a removed resource)
+ * @returns {Object[]} - { field, before, after } for each changed field
+ */
+const diffFields = (before, after) => Object.keys({ ...before, ...after })
+  .filter(field => String(before[field]) !== String(after[field]))
+  .map(field => ({ field, before: before[field], after: after[field] }));
+
+/**
+ * Describe the caller of a request
+ * @param {Object} req - Express request object
+ * @returns {Object} - Actor fields
+ */
+const actorFromRequest = (req) => {
+  if (!req || !req.user) {
+    return {};
+  }
+  // During impersonation the admin acts, on behalf of the user
+  if (req.impersonator) {
+    return {
+      user: req.impersonator._id,
+      email: req.impersonator.email,
+      onBehalfOf: { user: req.user._id, email: req.user.email }
+    };
+  }
+  return {
+    user: req.user._id,
+    email: req.user.email,
+    ...(req.apiKey && { apiKey: req.apiKey.prefix })
+  };
+};
+
+/**
+ * Describe a user as the target of an event
+ * @param {Object} user - User document
+ * @returns {Object} - Target fields
+ */
+const userTarget = (user) => ({ type: 'user', id: String(user._id), label: user.email });
+
+// Appends from this process wait for each other instead of racing for sequence numbers
+let chainTail = Promise.resolve();
+
+/**
+ * Store an event at the end of the hash chain
+ * Another instance may take the same sequence number first, in which case
+ * the unique index rejects the insert and the next number is tried.
+ * @param {Object} event - Unsaved audit event document
+ * @returns {Promise<Object>} - Saved event
+ */
+const insertChained = async (event) => {
+  for (let attempt = 1; ; attempt += 1) {
+    const last = await AuditEvent.findOne({ sequence: { $exists: true } })
+      .sort({ sequence: -1 })
+      .select('sequence hash');
+
+    event.sequence = last ? last.sequence + 1 : 1;
+    event.previousHash = last ? last.hash : GENESIS_HASH;
+    event.hash = hashEvent(event);
+
+    try {
+      return await event.save();
+    } catch (error) {
+      if (error.code !== 11000 || attempt >= 5) {
+        throw error;
+      }
+    }
+  }
+};
+
+/**
+ * Record an audit event
+ * Failures are logged and never fail the audited action.
+ * @param {Object} req - Express request object (null outside a request)
+ * @param {Object} event - action, and optionally outcome, actor (defaults to
+ * the authenticated caller), target, changes and metadata
+ */
+const recordAuditEvent = async (req, { action, outcome = 'success', actor, target, changes, metadata }) => {
+  try {
+    const event = new AuditEvent({
+      action,
+      outcome,
+      actor: actor || actorFromRequest(req),
+      target,
+      changes,
+      metadata,
+      ...(req && {
+        organization: req.organization,
+        ip: req.ip,
+        userAgent: req.get('User-Agent'),
+        requestId: req.id
+      })
+    });
+
+    if (!config.audit.hashChain) {
+      await event.save();
+      return;
+    }
+
+    const append = chainTail.then(() => insertChained(event));
+    chainTail = append.catch(() => {});
+    await append;
+  } catch (error) {
+    logger.error(`Audit event ${action} could not be recorded: ${error.message}`);
+  }
+};
+
+/**
+ * Create a checker that is fed chained events in sequence order
+ * Detects edited events (hash mismatch), removed events (sequence gap) and
+ * reordered or replaced events (previousHash mismatch).
+ * @returns {Object} - check(event) and result()
+ */
+const createChainVerifier = () => {
+  let count = 0;
+  let last = null;
+  let failure = null;
+
+  return {
+    check(event) {
+      if (event.sequence === undefined || event.sequence === null) {
+        return;
+      }
+      count += 1;
+      if (failure) {
+        return;
+      }
+
+      const expectedSequence = last ? last.sequence + 1 : 1;
+      const expectedPrevious = last ? last.hash : GENESIS_HASH;
+
+      if (event.sequence !== expectedSequence) {
+        failure = { sequence: expectedSequence, reason: 'Event is missing' };
+      } else if (event.previousHash !== expectedPrevious) {
+        failure = { sequence: event.sequence, reason: 'Previous hash does not match' };
+      } else if (event.hash !== hashEvent(event)) {
+        failure = { sequence: event.sequence, reason: 'Event content does not match its hash' };
+      }
+      last = event;
+    },
+    result() {
+      return {
+        valid: !failure,
+        count,
+        ...(failure && { brokenAt: failure.sequence, reason: failure.reason })
+      };
+    }
+  };
+};
+
+/**
+ * Check the whole hash chain
+ * @returns {Promise<Object>} - valid, count of chained events and, when
+ * broken, brokenAt (sequence number) and reason
+ */
+const verifyAuditChain = async () => {
+  const verifier = createChainVerifier();
+  const cursor = AuditEvent.find({ sequence: { $exists: true } }).sort({ sequence: 1 }).cursor();
+
+  for await (const event of cursor) {
+    verifier.check(event);
+  }
+  return verifier.result();
+};
+
+export {
+  AUDIT_ACTIONS,
+  canonicalJson,
+  hashEvent,
+  diffFields,
+  userTarget,
+  recordAuditEvent,
+  createChainVerifier,
+  verifyAuditChain
+};
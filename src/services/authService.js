@@ -0,0 +1,219 @@
+import LoginThrottle from '../models/loginThrottleModel.js';
+import { config } from '../config/config.js';
+import { ApiError } from '../middleware/errorHandler.js';
+import { logger } from '../utils/logger.js';
+import {
+  TOKEN_PURPOSES,
+  issueAuthTokens,
+  issuePurposeToken
+} from './tokenService.js';
+import { AUDIT_ACTIONS, recordAuditEvent, userTarget } from './auditService.js';
+
+/**
+ * Shape a user for authentication responses
+ * @param {Object} user - User document
+ * @returns {Object} - Public user fields
+ */
+const formatAuthUser = (user) => ({
+  id: user._id,
+  name: user.name,
+  email: user.email,
+  role: user.role
+});
+
+/**
+ * Start a session and build the standard authentication response data
+ * @param {Object} user - User document
+ * @param {Object} req - Express request object
+ * @returns {Promise<Object>} - Response data with user, token and refreshToken
+ */
+const buildAuthPayload = async (user, req) => {
+  const { token, refreshToken, session } = await issueAuthTokens(user, req);
+
+  return {
+    user: formatAuthUser(user),
+    token,
+    refreshToken,
+    ...(session.organization && { organization: session.organization })
+  };
+};
+
+/**
+ * Refuse a login attempt while the account is locked or throttled
+ * @param {Object} user - User document, or the LoginThrottle of an email without an account
+ * @throws {ApiError} - 423 ACCOUNT_LOCKED or 429 LOGIN_THROTTLED
+ */
+const assertLoginAllowed = (user) => {
+  if (user.isLocked()) {
+    throw new ApiError(423, 'Account is temporarily locked due to too many failed login attempts', {
+      code: 'ACCOUNT_LOCKED'
+    });
+  }
+
+  const delay = user.getLoginDelay();
+  if (delay > 0) {
+    throw new ApiError(429, `Too many failed login attempts, try again in ${Math.ceil(delay / 1000)} seconds`, {
+      code: 'LOGIN_THROTTLED'
+    });
+  }
+};
+
+/**
+ * Record a failed credential check against the account
+ * @param {Object} user - User document
+ * @param {Object} req - Express request object
+ * @param {String} reason - What failed, for the audit log
+ */
+const recordFailedLogin = async (user, req, reason) => {
+  const locked = await user.registerFailedLogin();
+  if (locked) {
+    logger.warn(`Account locked after ${config.lockout.threshold} failed login attempts: ${user.email}`);
+  }
+
+  await recordAuditEvent(req, {
+    action: AUDIT_ACTIONS.LOGIN,
+    outcome: 'failure',
+    actor: { user: user._id, email: user.email },
+    target: userTarget(user),
+    metadata: { reason, locked }
+  });
+};
+
+/**
+ * Get the failed logins of an email that has no account
+ * @param {String} email - Email address tried
+ * @returns {Promise<Object|null>} - LoginThrottle document, if any attempt failed
+ */
+const findLoginThrottle = (email) => LoginThrottle.findOne({ email });
+
+/**
+ * Record a failed login for an email that has no account
+ * It is counted like a failure on a real account, so that the email gets the
+ * same delays and lock.
+ * @param {String} email - Email address tried
+ * @param {Object} req - Express request object
+ */
+const recordUnknownEmailLogin = async (email, req) => {
+  const upsertThrottle = () => LoginThrottle.findOneAndUpdate(
+    { email },
+    { $setOnInsert: { email } },
+    { upsert: true, new: true }
+  );
+
+  // Concurrent upserts for a new email can race on the unique index; the
+  // loser finds the document the winner inserted on a second try
+  let throttle;
+  try {
+    throttle = await upsertThrottle();
+  } catch (error) {
+    if (error.code !== 11000) {
+      throw error;
+    }
+    throttle = await upsertThrottle();
+  }
+  await throttle.registerFailedLogin();
+
+  await recordAuditEvent(req, {
+    action: AUDIT_ACTIONS.LOGIN,
+    outcome: 'failure',
+    actor: { email },
+    metadata: { reason: 'unknown_email' }
+  });
+};
+
+/**
+ * Check whether a user's role, or their role in any organization, must use MFA
+ * @param {Object} user - User document
+ * @returns {Boolean} - True if MFA is mandatory
+ */
+const isMfaRequired = (user) => [user.role, ...(user.memberships || []).map(membership => membership.role)]
+  .some(role => config.mfa.requiredRoles.includes(role));
+
+/**
+ * Finish a sign-in once every factor has been checked
+ * An expired password gets a restricted token to change it instead of an
+ * access token.
+ * @param {Object} user - User document
+ * @param {Object} req - Express request object
+ * @returns {Promise<Object>} - Standard authentication response data
+ */
+const finishLogin = async (user, req) => {
+  // Every factor passed, so earlier failures no longer count
+  user.failedLoginAttempts = 0;
+  user.lastFailedLoginAt = undefined;
+  user.lockUntil = undefined;
+
+  if (await user.isPasswordExpired()) {
+    await user.save({ validateBeforeSave: false });
+    return {
+      passwordChangeRequired: true,
+      passwordChangeToken: issuePurposeToken(
+        user,
+        TOKEN_PURPOSES.PASSWORD_CHANGE,
+        config.passwordPolicy.changeTokenExpiresIn
+      )
+    };
+  }
+
+  user.lastLogin = Date.now();
+  await user.save({ validateBeforeSave: false });
+
+  await recordAuditEvent(req, {
+    action: AUDIT_ACTIONS.LOGIN,
+    actor: { user: user._id, email: user.email },
+    target: userTarget(user),
+    metadata: { endpoint: `${req.baseUrl}${req.route.path}` }
+  });
+
+  return buildAuthPayload(user, req);
+};
+
+/**
+ * Continue a sign-in after the first factor has been verified
+ * Returns a restricted token instead of an access token when a second
+ * factor is needed or must first be enrolled.
+ * @param {Object} user - User document
+ * @param {Object} req - Express request object
+ * @param {Object} options - mfaSatisfied: the first factor was already
+ * multi-factor (e.g. a user-verified passkey)
+ * @returns {Promise<Object>} - Response data
+ */
+const completeLogin = async (user, req, { mfaSatisfied = false } = {}) => {
+  if (config.emailVerification.mode === 'login' && !user.emailVerified) {
+    throw new ApiError(403, 'Please verify your email address before logging in', {
+      code: 'EMAIL_NOT_VERIFIED'
+    });
+  }
+
+  if (mfaSatisfied) {
+    return finishLogin(user, req);
+  }
+
+  if (user.mfa && user.mfa.enabled) {
+    return {
+      mfaRequired: true,
+      mfaToken: issuePurposeToken(user, TOKEN_PURPOSES.MFA_PENDING, config.mfa.challengeExpiresIn)
+    };
+  }
+
+  if (isMfaRequired(user)) {
+    return {
+      mfaEnrollmentRequired: true,
+      enrollmentToken: issuePurposeToken(user, TOKEN_PURPOSES.MFA_ENROLLMENT, config.mfa.challengeExpiresIn)
+    };
+  }
+
+  return finishLogin(user, req);
+};
+
+export {
+  formatAuthUser,
+  buildAuthPayload,
+  assertLoginAllowed,
+  recordFailedLogin,
+  findLoginThrottle,
+  recordUnknownEmailLogin,
+  isMfaRequired,
+  finishLogin,
+  completeLogin
+};
@@ -0,0 +1,175 @@
+import crypto from 'crypto';
+import SigningKey from '../models/signingKeyModel.js';
+import { config } from '../config/config.js';
+import { logger } from '../utils/logger.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const HOUR_MS = 60 * 60 * 1000;
+
+// Unknown kids trigger a reload at most this often
+const RELOAD_INTERVAL_MS = 30 * 1000;
+
+// Loaded keys by kid, and the kid currently used for signing
+const keys = new Map();
+let activeKid = null;
+let lastLoadedAt = 0;
+
+/**
+ * Check whether tokens are signed with an asymmetric algorithm
+ * @returns {Boolean} - True for RS256 and ES256
+ */
+const isAsymmetric = () => config.jwt.algorithm !== 'HS256';
+
+/**
+ * Generate a new key pair for an algorithm
+ * @param {String} alg - RS256 or ES256
+ * @returns {Object} - PEM encoded publicKey and privateKey
+ */
+const generateKeyPair = (alg) => {
+  const options = {
+    publicKeyEncoding: { type: 'spki', format: 'pem' },
+    privateKeyEncoding: { type: 'pkcs8', format: 'pem' }
+  };
+
+  return alg === 'ES256'
+    ? crypto.generateKeyPairSync('ec', { namedCurve: 'P-256', ...options })
+    : crypto.generateKeyPairSync('rsa', { modulusLength: 2048, ...options });
+};
+
+/**
+ * Add a key document to the in-memory cache
+ * @param {Object} doc - SigningKey document (privateKey optional)
+ */
+const cacheKey = (doc) => {
+  keys.set(doc.kid, {
+    kid: doc.kid,
+    alg: doc.alg,
+    publicKey: crypto.createPublicKey(doc.publicKey),
+    privateKey: doc.privateKey ? crypto.createPrivateKey(doc.privateKey) : null,
+    activatedAt: doc.activatedAt,
+    retiredAt: doc.retiredAt,
+    expiresAt: doc.expiresAt
+  });
+};
+
+/**
+ * Reload all unexpired keys from the database
+ * The newest non-retired key becomes the signing key.
+ */
+const loadKeys = async () => {
+  const docs = await SigningKey.find({
+    $or: [{ expiresAt: null }, { expiresAt: { $gt: Date.now() } }]
+  })
+    .select('+privateKey')
+    .sort({ activatedAt: 1 });
+
+  keys.clear();
+  activeKid = null;
+  lastLoadedAt = Date.now();
+  for (const doc of docs) {
+    cacheKey(doc);
+    if (!doc.retiredAt && doc.alg === config.jwt.algorithm) {
+      activeKid = doc.kid;
+    }
+  }
+};
+
+/**
+ * Create a new signing key and retire the previous ones
+ * Retired keys stay valid for verification during the overlap window.
+ * @returns {Promise<String>} - kid of the new key
+ */
+const rotateKeys = async () => {
+  const alg = config.jwt.algorithm;
+  const { publicKey, privateKey } = generateKeyPair(alg);
+  const kid = crypto.randomBytes(12).toString('base64url');
+  const now = Date.now();
+
+  await SigningKey.create({ kid, alg, publicKey, privateKey, activatedAt: now });
+  await SigningKey.updateMany(
+    { kid: { $ne: kid }, retiredAt: null },
+    {
+      retiredAt: now,
+      expiresAt: now + config.jwt.keyOverlapHours * HOUR_MS
+    }
+  );
+
+  logger.info(`JWT signing key rotated, new kid: ${kid}`);
+  await loadKeys();
+  return kid;
+};
+
+/**
+ * Rotate the signing key if there is none or it is older than the rotation period
+ * Safe to call repeatedly; used at startup and by the scheduled job.
+ */
+const rotateKeysIfDue = async () => {
+  if (!isAsymmetric()) {
+    return;
+  }
+
+  await loadKeys();
+  const active = activeKid && keys.get(activeKid);
+  if (!active || Date.now() - active.activatedAt.getTime() >= config.jwt.keyRotationDays * DAY_MS) {
+    await rotateKeys();
+  }
+};
+
+/**
+ * Get the key used to sign new tokens
+ * @returns {Object|null} - Cached key, or null when signing with the HS256 secret
+ */
+const getSigningKey = () => {
+  if (!isAsymmetric()) {
+    return null;
+  }
+
+  const key = activeKid && keys.get(activeKid);
+  if (!key) {
+    throw new Error('No JWT signing key loaded');
+  }
+  return key;
+};
+
+/**
+ * Get the key that verifies tokens carrying a kid
+ * Reloads from the database if another instance rotated in a new key.
+ * @param {String} kid - Key ID from the token header
+ * @returns {Promise<Object|null>} - Cached key or null if unknown
+ */
+const getVerificationKey = async (kid) => {
+  if (!keys.has(kid) && Date.now() - lastLoadedAt > RELOAD_INTERVAL_MS) {
+    await loadKeys();
+  }
+
+  const key = keys.get(kid);
+  if (!key || (key.expiresAt && key.expiresAt.getTime() <= Date.now())) {
+    return null;
+  }
+  return key;
+};
+
+/**
+ * Build the public JSON Web Key Set
+ * @returns {Object} - JWKS with all keys that may still verify tokens
+ */
+const getJwks = () => ({
+  keys: [...keys.values()]
+    .filter(key => !key.expiresAt || key.expiresAt.getTime() > Date.now())
+    .map(key => ({
+      ...key.publicKey.export({ format: 'jwk' }),
+      kid: key.kid,
+      alg: key.alg,
+      use: 'sig'
+    }))
+});
+
+export {
+  isAsymmetric,
+  loadKeys,
+  rotateKeys,
+  rotateKeysIfDue,
+  getSigningKey,
+  getVerificationKey,
+  getJwks
+};
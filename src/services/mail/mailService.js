@@ -0,0 +1,151 @@
+import { config } from '../../config/config.js';
+import { logger } from '../../utils/logger.js';
+import {
+  createSmtpTransport,
+  createFileTransport,
+  createMemoryTransport
+} from './transports.js';
+import {
+  passwordResetTemplate,
+  verifyEmailTemplate,
+  magicLinkTemplate,
+  invitationTemplate,
+  accountDeletionTemplate
+} from './templates.js';
+
+/**
+ * Create the transport selected by config.mail.driver
+ * @returns {Object} - Transport
+ */
+const createTransport = () => {
+  switch (config.mail.driver) {
+    case 'smtp':
+      return createSmtpTransport(config.mail.smtp);
+    case 'memory':
+      return createMemoryTransport();
+    case 'file':
+      return createFileTransport({ outboxDir: config.mail.outboxDir });
+    default:
+      throw new Error(`Unknown mail driver: ${config.mail.driver}`);
+  }
+};
+
+const transport = createTransport();
+
+/**
+ * Build a link by appending a token to a configured base URL
+ * @param {String} baseUrl - Link base URL
+ * @param {String} token - Token to append
+ * @returns {String} - Full link
+ */
+const buildLink = (baseUrl, token) => `${baseUrl.replace(/\/+$/, '')}/${encodeURIComponent(token)}`;
+
+/**
+ * Send an email
+ * @param {Object} message - to, subject, text and html
+ * @returns {Promise<Object>} - Transport result
+ */
+const sendMail = async (message) => {
+  const result = await transport.send({ from: config.mail.from, ...message });
+  logger.info(`Email "${message.subject}" sent to ${message.to} via ${transport.name}`);
+  return result;
+};
+
+/**
+ * Send a password reset email
+ * @param {Object} user - User document
+ * @param {String} resetToken - Plain reset token
+ */
+const sendPasswordResetEmail = async (user, resetToken) => {
+  const template = passwordResetTemplate({
+    name: user.name,
+    link: buildLink(config.mail.links.resetPassword, resetToken),
+    expiresInMinutes: 10
+  });
+
+  return sendMail({ to: user.email, ...template });
+};
+
+/**
+ * Send an email verification email
+ * @param {Object} user - User document
+ * @param {String} verificationToken - Plain verification token
+ */
+const sendVerificationEmail = async (user, verificationToken) => {
+  const template = verifyEmailTemplate({
+    name: user.name,
+    link: buildLink(config.mail.links.verifyEmail, verificationToken),
+    expiresInHours: config.emailVerification.tokenExpiresHours
+  });
+
+  return sendMail({ to: user.email, ...template });
+};
+
+/**
+ * Send a magic login link
+ * @param {Object} user - User document
+ * @param {String} magicToken - Plain magic link token
+ */
+const sendMagicLinkEmail = async (user, magicToken) => {
+  const template = magicLinkTemplate({
+    name: user.name,
+    link: buildLink(config.mail.links.magicLink, magicToken),
+    expiresInMinutes: config.magicLink.expiresMinutes
+  });
+
+  return sendMail({ to: user.email, ...template });
+};
+
+/**
+ * Send an invitation to create an account
+ * @param {Object} user - Invited user document
+ * @param {String} invitationToken - Plain invitation token
+ * @param {Object} inviter - User who sent the invitation
+ */
+const sendInvitationEmail = async (user, invitationToken, inviter) => {
+  const template = invitationTemplate({
+    inviterName: inviter.name,
+    link: buildLink(config.mail.links.invitation, invitationToken),
+    expiresInHours: config.invitations.expiresHours
+  });
+
+  return sendMail({ to: user.email, ...template });
+};
+
+/**
+ * Confirm that an account will be deleted
+ * @param {Object} user - User document
+ * @param {Date} scheduledFor - When the deletion is carried out
+ */
+const sendAccountDeletionEmail = async (user, scheduledFor) => {
+  const template = accountDeletionTemplate({ name: user.name, scheduledFor });
+
+  return sendMail({ to: user.email, ...template });
+};
+
+/**
+ * Read messages sent through the memory driver
+ * @returns {Array} - Sent messages (empty for other drivers)
+ */
+const getSentMail = () => transport.outbox || [];
+
+/**
+ * Clear messages sent through the memory driver
+ */
+const clearSentMail = () => {
+  if (transport.clear) {
+    transport.clear();
+  }
+};
+
+export {
+  buildLink,
+  sendMail,
+  sendPasswordResetEmail,
+  sendVerificationEmail,
+  sendMagicLinkEmail,
+  sendInvitationEmail,
+  sendAccountDeletionEmail,
+  getSentMail,
+  clearSentMail
+};
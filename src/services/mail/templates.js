@@ -0,0 +1,151 @@
+/**
+ * Email templates
+ * Each template returns subject, text and html for a message.
+ */
+
+/**
+ * Escape a value for safe use in HTML
+ * @param {String} value - Value to escape
+ * @returns {String} - Escaped value
+ */
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#x27;');
+
+/**
+ * Wrap template content in a minimal HTML layout
+ * @param {String} body - HTML body content
+ * @returns {String} - Complete HTML document
+ */
+const layout = (body) => `<!DOCTYPE html>
+<html>
+  <body style="font-family: Arial, sans-serif; line-height: 1.5; color: #222;">
+    ${body}
+  </body>
+</html>`;
+
+/**
+ * Password reset email
+ * @param {Object} params - name, link and expiresInMinutes
+ * @returns {Object} - subject, text and html
+ */
+const passwordResetTemplate = ({ name, link, expiresInMinutes }) => ({
+  subject: 'Reset your password',
+  text: [
+    `Hi ${name},`,
+    '',
+    'We received a request to reset your password. Open the link below to choose a new one:',
+    link,
+    '',
+    `The link expires in ${expiresInMinutes} minutes. If you did not ask for this, you can ignore this email.`
+  ].join('\n'),
+  html: layout(`
+    <p>Hi ${escapeHtml(name)},</p>
+    <p>We received a request to reset your password. Click the link below to choose a new one:</p>
+    <p><a href="${escapeHtml(link)}">Reset password</a></p>
+    <p>The link expires in ${expiresInMinutes} minutes. If you did not ask for this, you can ignore this email.</p>
+  `)
+});
+
+/**
+ * Email verification email
+ * @param {Object} params - name, link and expiresInHours
+ * @returns {Object} - subject, text and html
+ */
+const verifyEmailTemplate = ({ name, link, expiresInHours }) => ({
+  subject: 'Verify your email address',
+  text: [
+    `Hi ${name},`,
+    '',
+    'Please confirm your email address by opening the link below:',
+    link,
+    '',
+    `The link expires in ${expiresInHours} hours.`
+  ].join('\n'),
+  html: layout(`
+    <p>Hi ${escapeHtml(name)},</p>
+    <p>Please confirm your email address by clicking the link below:</p>
+    <p><a href="${escapeHtml(link)}">Verify email</a></p>
+    <p>The link expires in ${expiresInHours} hours.</p>
+  `)
+});
+
+/**
+ * Magic login link email
+ * @param {Object} params - name, link and expiresInMinutes
+ * @returns {Object} - subject, text and html
+ */
+const magicLinkTemplate = ({ name, link, expiresInMinutes }) => ({
+  subject: 'Your login link',
+  text: [
+    `Hi ${name},`,
+    '',
+    'Open the link below to log in. It can only be used once:',
+    link,
+    '',
+    `The link expires in ${expiresInMinutes} minutes. If you did not ask for this, you can ignore this email.`
+  ].join('\n'),
+  html: layout(`
+    <p>Hi ${escapeHtml(name)},</p>
+    <p>Click the link below to log in. It can only be used once:</p>
+    <p><a href="${escapeHtml(link)}">Log in</a></p>
+    <p>The link expires in ${expiresInMinutes} minutes. If you did not ask for this, you can ignore this email.</p>
+  `)
+});
+
+/**
+ * Invitation email
+ * @param {Object} params - inviterName, link and expiresInHours
+ * @returns {Object} - subject, text and html
+ */
+const invitationTemplate = ({ inviterName, link, expiresInHours }) => ({
+  subject: 'You have been invited',
+  text: [
+    'Hi,',
+    '',
+    `${inviterName} has invited you to create an account. Open the link below to choose your password:`,
+    link,
+    '',
+    `The invitation expires in ${expiresInHours} hours. If you were not expecting it, you can ignore this email.`
+  ].join('\n'),
+  html: layout(`
+    <p>Hi,</p>
+    <p>${escapeHtml(inviterName)} has invited you to create an account. Click the link below to choose your password:</p>
+    <p><a href="${escapeHtml(link)}">Accept invitation</a></p>
+    <p>The invitation expires in ${expiresInHours} hours. If you were not expecting it, you can ignore this email.</p>
+  `)
+});
+
+/**
+ * Confirmation of an account deletion request
+ * @param {Object} params - name and scheduledFor (Date)
+ * @returns {Object} - subject, text and html
+ */
+const accountDeletionTemplate = ({ name, scheduledFor }) => ({
+  subject: 'Your account will be deleted',
+  text: [
+    `Hi ${name},`,
+    '',
+    `We received your request to delete your account. It will be deleted on ${scheduledFor.toUTCString()}.`,
+    '',
+    'To keep your account, sign in and cancel the deletion before then. If you did not ask for this, cancel it and change your password.'
+  ].join('\n'),
+  html: layout(`
+    <p>Hi ${escapeHtml(name)},</p>
+    <p>We received your request to delete your account. It will be deleted on ${escapeHtml(scheduledFor.toUTCString())}.</p>
+    <p>To keep your account, sign in and cancel the deletion before then. If you did not ask for this, cancel it and change your password.</p>
+  `)
+});
+
+export {
+  escapeHtml,
+  layout,
+  passwordResetTemplate,
+  verifyEmailTemplate,
+  magicLinkTemplate,
+  invitationTemplate,
+  accountDeletionTemplate
+};
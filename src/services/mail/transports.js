@@ -0,0 +1,79 @@
+import { mkdir, writeFile } from 'fs/promises';
+import { join } from 'path';
+import crypto from 'crypto';
+import nodemailer from 'nodemailer';
+
+/**
+ * Mail transports
+ * Every transport exposes `send(message)` where message has
+ * from, to, subject, text and html fields.
+ */
+
+/**
+ * SMTP transport backed by nodemailer
+ * @param {Object} options - SMTP host, port, secure, user and pass
+ * @returns {Object} - Transport
+ */
+const createSmtpTransport = ({ host, port, secure, user, pass }) => {
+  const transporter = nodemailer.createTransport({
+    host,
+    port,
+    secure,
+    ...(user && { auth: { user, pass } })
+  });
+
+  return {
+    name: 'smtp',
+    send: async (message) => {
+      const info = await transporter.sendMail(message);
+      return { id: info.messageId };
+    }
+  };
+};
+
+/**
+ * File transport
+ * Writes each message as a JSON file to an outbox directory, for local development
+ * @param {Object} options - outboxDir
+ * @returns {Object} - Transport
+ */
+const createFileTransport = ({ outboxDir }) => ({
+  name: 'file',
+  send: async (message) => {
+    await mkdir(outboxDir, { recursive: true });
+
+    const id = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}`;
+    const file = join(outboxDir, `${id}.json`);
+    await writeFile(file, JSON.stringify({ id, date: new Date(), ...message }, null, 2));
+
+    return { id, file };
+  }
+});
+
+/**
+ * In-memory transport
+ * Keeps sent messages in an array so tests can read them
+ * @returns {Object} - Transport with `outbox` and `clear()`
+ */
+const createMemoryTransport = () => {
+  const outbox = [];
+
+  return {
+    name: 'memory',
+    outbox,
+    send: async (message) => {
+      const id = `${Date.now()}-${outbox.length}`;
+      outbox.push({ id, date: new Date(), ...message });
+      return { id };
+    },
+    clear: () => {
+      outbox.length = 0;
+    }
+  };
+};
+
+export {
+  createSmtpTransport,
+  createFileTransport,
+  createMemoryTransport
+};
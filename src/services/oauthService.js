@@ -0,0 +1,350 @@
+import crypto from 'crypto';
+import OAuthClient from '../models/oauthClientModel.js';
+import OAuthCode from '../models/oauthCodeModel.js';
+import User from '../models/userModel.js';
+import { ApiError, OAuthError } from '../middleware/errorHandler.js';
+import { config } from '../config/config.js';
+import { generateToken } from '../utils/tokenUtils.js';
+import { hashToken, TOKEN_PURPOSES } from './tokenService.js';
+import { isAsymmetric } from './keyService.js';
+
+// Scopes that release user claims in ID tokens and from /userinfo
+const SCOPE_CLAIMS = {
+  profile: ['name', 'updated_at'],
+  email: ['email', 'email_verified']
+};
+
+/**
+ * Generate a client secret
+ * @returns {Object} - Plain secret (shown once) and its hash
+ */
+const generateClientSecret = () => {
+  const secret = crypto.randomBytes(32).toString('base64url');
+  return { secret, hash: hashToken(secret) };
+};
+
+/**
+ * Split a space-delimited scope parameter
+ * @param {String} scope - Scope parameter
+ * @returns {String[]} - Unique scopes
+ */
+const parseScope = (scope) => [...new Set(String(scope || '').split(' ').filter(Boolean))];
+
+/**
+ * Check the requested scopes against those the client may use
+ * @param {Object} client - OAuthClient document
+ * @param {String} scope - Requested scope parameter (defaults to all allowed)
+ * @returns {String[]} - Granted scopes
+ */
+const resolveScopes = (client, scope) => {
+  const requested = scope === undefined ? client.scopes : parseScope(scope);
+  const unknown = requested.filter(s => !client.scopes.includes(s));
+
+  if (unknown.length > 0) {
+    throw new OAuthError(400, 'invalid_scope', `Scope not allowed for this client: ${unknown.join(' ')}`);
+  }
+  return requested;
+};
+
+/**
+ * Authenticate the client calling the token endpoint
+ * Confidential clients send their secret with the method they registered,
+ * HTTP Basic or client_secret in the body; public clients only identify
+ * themselves with client_id.
+ * @param {Object} req - Express request object
+ * @returns {Promise<Object>} - OAuthClient document
+ */
+const authenticateClient = async (req) => {
+  let clientId = req.body.client_id;
+  let clientSecret = req.body.client_secret;
+  let method = clientSecret ? 'client_secret_post' : 'none';
+
+  const header = req.headers.authorization;
+  if (header && header.startsWith('Basic ')) {
+    const decoded = Buffer.from(header.slice(6), 'base64').toString();
+    const separator = decoded.indexOf(':');
+    if (separator < 0) {
+      throw new OAuthError(401, 'invalid_client', 'Client authentication failed');
+    }
+    try {
+      clientId = decodeURIComponent(decoded.slice(0, separator));
+      clientSecret = decodeURIComponent(decoded.slice(separator + 1));
+    } catch (error) {
+      throw new OAuthError(401, 'invalid_client', 'Client authentication failed');
+    }
+    method = 'client_secret_basic';
+  }
+
+  if (!clientId) {
+    throw new OAuthError(401, 'invalid_client', 'Client authentication failed');
+  }
+
+  const client = await OAuthClient.findOne({ clientId, isActive: true }).select('+clientSecretHash');
+  if (!client) {
+    throw new OAuthError(401, 'invalid_client', 'Client authentication failed');
+  }
+
+  if (!client.isConfidential()) {
+    if (method !== 'none') {
+      throw new OAuthError(401, 'invalid_client', 'Public clients must not send a secret');
+    }
+    return client;
+  }
+
+  // Only the method the client registered, and hashes compared in constant time
+  const expected = Buffer.from(client.clientSecretHash || '', 'hex');
+  const actual = Buffer.from(hashToken(clientSecret || ''), 'hex');
+  if (method !== client.tokenEndpointAuthMethod || expected.length !== actual.length ||
+      !crypto.timingSafeEqual(expected, actual)) {
+    throw new OAuthError(401, 'invalid_client', 'Client authentication failed');
+  }
+
+  return client;
+};
+
+/**
+ * Build the user claims released for a set of scopes
+ * @param {Object} user - User document
+ * @param {String[]} scopes - Granted scopes
+ * @returns {Object} - Standard OpenID Connect claims
+ */
+const buildUserClaims = (user, scopes) => {
+  const available = {
+    name: user.name,
+    updated_at: Math.floor(new Date(user.updatedAt || user.createdAt).getTime() / 1000),
+    email: user.email,
+    email_verified: Boolean(user.emailVerified)
+  };
+
+  const claims = { sub: user._id.toString() };
+  for (const scope of scopes) {
+    for (const claim of SCOPE_CLAIMS[scope] || []) {
+      claims[claim] = available[claim];
+    }
+  }
+  return claims;
+};
+
+/**
+ * Check that ID tokens can be signed without the shared HS256 secret
+ * Clients could only verify an HS256 ID token with the secret that also
+ * signs every access token of this service.
+ * @returns {Boolean} - True when tokens are signed with RS256 or ES256
+ */
+const isOpenIdAvailable = () => isAsymmetric();
+
+/**
+ * Find the client and redirect URI of an authorization request
+ * @param {Object} params - Authorization request query parameters
+ * @returns {Promise<Object>} - client (OAuthClient document) and redirectUri
+ * @throws {ApiError} - 400 for an unknown client or unregistered redirect URI
+ */
+const findAuthorizationClient = async (params) => {
+  const client = await OAuthClient.findOne({ clientId: params.client_id, isActive: true });
+  if (!client) {
+    throw new ApiError(400, 'Unknown or disabled client');
+  }
+
+  // Only a registered redirect URI may receive the response
+  let redirectUri = params.redirect_uri;
+  if (!redirectUri && client.redirectUris.length === 1) {
+    redirectUri = client.redirectUris[0];
+  }
+  if (!redirectUri || !client.redirectUris.includes(redirectUri)) {
+    throw new ApiError(400, 'Invalid redirect URI');
+  }
+
+  return { client, redirectUri };
+};
+
+/**
+ * Handle an authorization request for the signed-in user
+ * Errors about the client or redirect URI are returned to the caller; all
+ * others are reported to the client through the redirect, as RFC 6749 requires.
+ * @param {Object} user - Signed-in user
+ * @param {Object} params - Authorization request query parameters
+ * @param {Date} authTime - When the user signed in
+ * @returns {Promise<String>} - URL to redirect the user agent to
+ */
+const authorizeRequest = async (user, params, authTime) => {
+  const { client, redirectUri } = await findAuthorizationClient(params);
+
+  const redirect = (query) => {
+    const url = new URL(redirectUri);
+    for (const [key, value] of Object.entries({ ...query, state: params.state })) {
+      if (value !== undefined) {
+        url.searchParams.set(key, value);
+      }
+    }
+    return url.toString();
+  };
+
+  if (params.response_type !== 'code') {
+    return redirect({ error: 'unsupported_response_type', error_description: 'Only response_type=code is supported' });
+  }
+  if (!client.grantTypes.includes('authorization_code')) {
+    return redirect({ error: 'unauthorized_client', error_description: 'Client may not use the authorization code grant' });
+  }
+  if (!params.code_challenge || params.code_challenge_method !== 'S256') {
+    return redirect({ error: 'invalid_request', error_description: 'PKCE with code_challenge_method=S256 is required' });
+  }
+
+  let scopes;
+  try {
+    scopes = resolveScopes(client, params.scope);
+  } catch (error) {
+    return redirect({ error: error.oauthError, error_description: error.message });
+  }
+  if (scopes.includes('openid') && !isOpenIdAvailable()) {
+    return redirect({ error: 'invalid_scope', error_description: 'OpenID Connect is not enabled on this server' });
+  }
+
+  const code = crypto.randomBytes(32).toString('base64url');
+  await OAuthCode.create({
+    codeHash: hashToken(code),
+    clientId: client.clientId,
+    user: user._id,
+    redirectUri,
+    scope: scopes.join(' '),
+    nonce: params.nonce,
+    codeChallenge: params.code_challenge,
+    authTime,
+    expiresAt: Date.now() + config.oauth.codeExpiresSeconds * 1000
+  });
+
+  return redirect({ code });
+};
+
+/**
+ * Issue an access token for a user or for the client itself
+ * @param {Object} client - OAuthClient document
+ * @param {String[]} scopes - Granted scopes
+ * @param {Object} user - User document (omitted for client credentials)
+ * @returns {String} - Signed access token
+ */
+const issueAccessToken = (client, scopes, user) => {
+  return generateToken({
+    ...(user ? { id: user._id, sub: user._id.toString() } : { sub: client.clientId }),
+    client_id: client.clientId,
+    scope: scopes.join(' '),
+    purpose: TOKEN_PURPOSES.OAUTH_ACCESS
+  }, {
+    expiresIn: config.oauth.accessTokenExpiresSeconds,
+    issuer: config.oauth.issuer,
+    jwtid: crypto.randomUUID()
+  });
+};
+
+/**
+ * Redeem an authorization code (authorization_code grant)
+ * @param {Object} client - Authenticated client
+ * @param {Object} params - code, redirect_uri and code_verifier
+ * @returns {Promise<Object>} - Token response
+ */
+const exchangeAuthorizationCode = async (client, params) => {
+  if (!client.grantTypes.includes('authorization_code')) {
+    throw new OAuthError(400, 'unauthorized_client', 'Client may not use the authorization code grant');
+  }
+  if (!params.code || !params.code_verifier) {
+    throw new OAuthError(400, 'invalid_request', 'code and code_verifier are required');
+  }
+
+  // Codes are single-use
+  const grant = await OAuthCode.findOneAndDelete({
+    codeHash: hashToken(params.code),
+    expiresAt: { $gt: Date.now() }
+  });
+
+  const challenge = crypto.createHash('sha256').update(params.code_verifier).digest('base64url');
+  if (!grant || grant.clientId !== client.clientId || grant.redirectUri !== params.redirect_uri ||
+      grant.codeChallenge !== challenge) {
+    throw new OAuthError(400, 'invalid_grant', 'Invalid authorization code');
+  }
+
+  const user = await User.findById(grant.user);
+  if (!user || !user.isActive) {
+    throw new OAuthError(400, 'invalid_grant', 'User not found or deactivated');
+  }
+
+  const scopes = parseScope(grant.scope);
+  const response = {
+    access_token: issueAccessToken(client, scopes, user),
+    token_type: 'Bearer',
+    expires_in: config.oauth.accessTokenExpiresSeconds,
+    scope: grant.scope
+  };
+
+  if (scopes.includes('openid')) {
+    // Only asymmetric keys, which clients verify against the JWKS
+    if (!isOpenIdAvailable()) {
+      throw new OAuthError(500, 'server_error', 'OpenID Connect is not enabled on this server');
+    }
+    response.id_token = generateToken({
+      ...buildUserClaims(user, scopes),
+      ...(grant.nonce && { nonce: grant.nonce }),
+      ...(grant.authTime && { auth_time: Math.floor(grant.authTime.getTime() / 1000) })
+    }, {
+      expiresIn: config.oauth.idTokenExpiresSeconds,
+      issuer: config.oauth.issuer,
+      audience: client.clientId
+    });
+  }
+
+  return response;
+};
+
+/**
+ * Issue a token to the client itself (client_credentials grant)
+ * @param {Object} client - Authenticated client
+ * @param {Object} params - Optional scope
+ * @returns {Object} - Token response
+ */
+const issueClientCredentialsToken = (client, params) => {
+  if (!client.isConfidential() || !client.grantTypes.includes('client_credentials')) {
+    throw new OAuthError(400, 'unauthorized_client', 'Client may not use the client credentials grant');
+  }
+
+  const scopes = resolveScopes(client, params.scope);
+  return {
+    access_token: issueAccessToken(client, scopes),
+    token_type: 'Bearer',
+    expires_in: config.oauth.accessTokenExpiresSeconds,
+    scope: scopes.join(' ')
+  };
+};
+
+/**
+ * Build the OpenID Provider configuration document
+ * @returns {Object} - Discovery metadata
+ */
+const getOpenIdConfiguration = () => {
+  const { issuer } = config.oauth;
+  return {
+    issuer,
+    authorization_endpoint: `${issuer}/api/oauth/authorize`,
+    token_endpoint: `${issuer}/api/oauth/token`,
+    userinfo_endpoint: `${issuer}/api/oauth/userinfo`,
+    jwks_uri: `${issuer}/.well-known/jwks.json`,
+    response_types_supported: ['code'],
+    grant_types_supported: ['authorization_code', 'client_credentials'],
+    subject_types_supported: ['public'],
+    id_token_signing_alg_values_supported: [config.jwt.algorithm],
+    scopes_supported: ['openid', ...Object.keys(SCOPE_CLAIMS)],
+    claims_supported: ['sub', 'iss', 'aud', 'exp', 'iat', 'auth_time', 'nonce', ...Object.values(SCOPE_CLAIMS).flat()],
+    token_endpoint_auth_methods_supported: ['client_secret_basic', 'client_secret_post', 'none'],
+    code_challenge_methods_supported: ['S256']
+  };
+};
+
+export {
+  generateClientSecret,
+  parseScope,
+  authenticateClient,
+  buildUserClaims,
+  isOpenIdAvailable,
+  findAuthorizationClient,
+  authorizeRequest,
+  exchangeAuthorizationCode,
+  issueClientCredentialsToken,
+  getOpenIdConfiguration
+};
@@ -0,0 +1,220 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import OidcState from '../models/oidcStateModel.js';
+import { ApiError } from '../middleware/errorHandler.js';
+import { config } from '../config/config.js';
+import { logger } from '../utils/logger.js';
+
+// Provider metadata and key sets are cached for an hour
+const CACHE_TTL_MS = 60 * 60 * 1000;
+const discoveryCache = new Map();
+const jwksCache = new Map();
+
+/**
+ * Get the configuration of a provider
+ * @param {String} name - Provider name from config.oidc.providers
+ * @returns {Object} - Provider configuration with defaults applied
+ */
+const getProvider = (name) => {
+  const provider = Object.prototype.hasOwnProperty.call(config.oidc.providers, name)
+    && config.oidc.providers[name];
+  if (!provider) {
+    throw new ApiError(404, `Unknown identity provider: ${name}`);
+  }
+
+  return {
+    name,
+    scopes: 'openid email profile',
+    redirectUri: `${config.oidc.callbackBaseUrl}/${name}/callback`,
+    allowSignup: true,
+    ...provider
+  };
+};
+
+/**
+ * Fetch JSON from a provider endpoint
+ * @param {String} url - URL to fetch
+ * @param {Object} options - fetch options
+ * @returns {Promise<Object>} - Parsed response body
+ */
+const fetchJson = async (url, options) => {
+  let response;
+  try {
+    response = await fetch(url, { ...options, signal: AbortSignal.timeout(config.oidc.requestTimeoutMs) });
+  } catch (error) {
+    logger.warn(`OIDC request to ${url} failed: ${error.message}`);
+    throw new ApiError(502, 'Identity provider request failed');
+  }
+  const body = await response.json().catch(() => ({}));
+
+  if (!response.ok) {
+    logger.warn(`OIDC request to ${url} failed with ${response.status}`, { error: body.error });
+    throw new ApiError(502, 'Identity provider request failed');
+  }
+  return body;
+};
+
+/**
+ * Load the provider's OpenID configuration (discovery document)
+ * @param {Object} provider - Provider configuration
+ * @returns {Promise<Object>} - Discovery document
+ */
+const discover = async (provider) => {
+  const cached = discoveryCache.get(provider.issuer);
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.metadata;
+  }
+
+  const issuer = provider.issuer.replace(/\/+$/, '');
+  const metadata = await fetchJson(`${issuer}/.well-known/openid-configuration`);
+  discoveryCache.set(provider.issuer, { metadata, expiresAt: Date.now() + CACHE_TTL_MS });
+  return metadata;
+};
+
+/**
+ * Find the provider key that signed an ID token
+ * Refetches the key set once if the kid is unknown (the provider rotated keys)
+ * @param {Object} metadata - Discovery document
+ * @param {String} kid - Key ID from the token header
+ * @returns {Promise<Object>} - Public KeyObject
+ */
+const getProviderKey = async (metadata, kid) => {
+  const findKey = (jwks) => jwks.keys.find(key => !kid || key.kid === kid);
+
+  let cached = jwksCache.get(metadata.jwks_uri);
+  let jwk = cached && cached.expiresAt > Date.now() && findKey(cached.jwks);
+
+  if (!jwk) {
+    const jwks = await fetchJson(metadata.jwks_uri);
+    cached = { jwks, expiresAt: Date.now() + CACHE_TTL_MS };
+    jwksCache.set(metadata.jwks_uri, cached);
+    jwk = findKey(jwks);
+  }
+
+  if (!jwk) {
+    throw new ApiError(401, 'ID token signed with an unknown key');
+  }
+  return crypto.createPublicKey({ key: jwk, format: 'jwk' });
+};
+
+/**
+ * Start an authorization request
+ * Stores state, nonce and PKCE verifier, and returns the URL to send the user
+ * to. The caller keeps the state in the browser, so the callback can check
+ * that the same browser started the flow.
+ * @param {String} providerName - Provider name
+ * @param {Object} options - mode ('login' or 'link') and user (for linking)
+ * @returns {Promise<Object>} - authorizationUrl and state
+ */
+const createAuthorizationUrl = async (providerName, { mode = 'login', user } = {}) => {
+  const provider = getProvider(providerName);
+  const metadata = await discover(provider);
+
+  const state = crypto.randomBytes(32).toString('base64url');
+  const nonce = crypto.randomBytes(32).toString('base64url');
+  const codeVerifier = crypto.randomBytes(48).toString('base64url');
+  const codeChallenge = crypto.createHash('sha256').update(codeVerifier).digest('base64url');
+
+  await OidcState.create({
+    state,
+    provider: provider.name,
+    nonce,
+    codeVerifier,
+    mode,
+    user,
+    expiresAt: Date.now() + config.oidc.stateExpiresMinutes * 60 * 1000
+  });
+
+  const params = new URLSearchParams({
+    response_type: 'code',
+    client_id: provider.clientId,
+    redirect_uri: provider.redirectUri,
+    scope: provider.scopes,
+    state,
+    nonce,
+    code_challenge: codeChallenge,
+    code_challenge_method: 'S256'
+  });
+
+  return { authorizationUrl: `${metadata.authorization_endpoint}?${params.toString()}`, state };
+};
+
+/**
+ * Complete an authorization request
+ * Consumes the state, redeems the code with the PKCE verifier and verifies the ID token
+ * @param {String} providerName - Provider name
+ * @param {Object} params - code and state from the callback, and browserState
+ * kept by the browser when the flow started
+ * @returns {Promise<Object>} - ID token claims and the stored state
+ */
+const handleCallback = async (providerName, { code, state, browserState }) => {
+  const provider = getProvider(providerName);
+
+  // A callback in another browser than the one that started the flow could
+  // sign the victim into the attacker's account, or link the victim's identity to it
+  if (!state || !browserState || !crypto.timingSafeEqual(
+    crypto.createHash('sha256').update(String(state)).digest(),
+    crypto.createHash('sha256').update(browserState).digest()
+  )) {
+    throw new ApiError(400, 'Authorization was not started in this browser');
+  }
+
+  // State is single-use
+  const pending = await OidcState.findOneAndDelete({
+    state,
+    provider: provider.name,
+    expiresAt: { $gt: Date.now() }
+  });
+  if (!pending) {
+    throw new ApiError(400, 'Invalid or expired state');
+  }
+
+  const metadata = await discover(provider);
+  const tokens = await fetchJson(metadata.token_endpoint, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded', Accept: 'application/json' },
+    body: new URLSearchParams({
+      grant_type: 'authorization_code',
+      code,
+      redirect_uri: provider.redirectUri,
+      client_id: provider.clientId,
+      ...(provider.clientSecret && { client_secret: provider.clientSecret }),
+      code_verifier: pending.codeVerifier
+    })
+  });
+
+  if (!tokens.id_token) {
+    throw new ApiError(502, 'Identity provider did not return an ID token');
+  }
+
+  const { header } = jwt.decode(tokens.id_token, { complete: true }) || {};
+  if (!header) {
+    throw new ApiError(401, 'Invalid ID token');
+  }
+
+  let claims;
+  try {
+    claims = jwt.verify(tokens.id_token, await getProviderKey(metadata, header.kid), {
+      algorithms: ['RS256', 'ES256'],
+      issuer: metadata.issuer,
+      audience: provider.clientId
+    });
+  } catch (error) {
+    if (error instanceof ApiError) {
+      throw error;
+    }
+    throw new ApiError(401, `Invalid ID token: ${error.message}`);
+  }
+
+  if (claims.nonce !== pending.nonce) {
+    throw new ApiError(401, 'ID token nonce mismatch');
+  }
+
+  return { claims, pending, provider };
+};
+
+export {
+  getProvider,
+  createAuthorizationUrl,
+  handleCallback
+};
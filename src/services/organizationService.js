@@ -0,0 +1,118 @@
+import Organization from '../models/organizationModel.js';
+import { ApiError } from '../middleware/errorHandler.js';
+import { findRole, expandPermissions, getRequestPermissions } from './roleService.js';
+
+/**
+ * Limit a user query to members of the request's active organization
+ * Outside an organization the query is not limited.
+ * @param {Object} req - Express request object (after protect)
+ * @returns {Object} - MongoDB filter to merge into the query
+ */
+const memberFilter = (req) => (
+  req.organization ? { 'memberships.organization': req.organization } : {}
+);
+
+/**
+ * Get the role of a user where the request is acting
+ * @param {Object} user - User document
+ * @param {Object} req - Express request object (after protect)
+ * @returns {String} - Membership role inside an organization, otherwise the user's role
+ */
+const getContextRole = (user, req) => {
+  const membership = user.getMembership(req.organization);
+  return membership ? membership.role : user.role;
+};
+
+/**
+ * Set the role of a user where the request is acting
+ * @param {Object} user - User document
+ * @param {Object} req - Express request object (after protect)
+ * @param {String} role - Role name
+ */
+const setContextRole = (user, req, role) => {
+  const membership = user.getMembership(req.organization);
+  if (membership) {
+    membership.role = role;
+  } else {
+    user.role = role;
+  }
+};
+
+/**
+ * Shape a user for a response, hiding memberships of other organizations
+ * @param {Object} user - User document
+ * @param {Object} req - Express request object (after protect)
+ * @returns {Object} - User document or plain object
+ */
+const scopeUser = (user, req) => {
+  if (!req.organization) {
+    return user;
+  }
+
+  const scoped = user.toJSON();
+  scoped.memberships = scoped.memberships.filter(membership =>
+    req.organization.equals(membership.organization)
+  );
+  return scoped;
+};
+
+/**
+ * Check whether an organization admin may change a member's whole account
+ * The email, status, sign-in methods and sessions of an account are shared by
+ * every organization it belongs to, so inside an organization they can only
+ * be changed for users who belong to this organization alone and whose own
+ * role grants nothing the caller lacks. Outside an organization this is left
+ * to the route's permission.
+ * @param {Object} req - Express request object (after protect)
+ * @param {Object} user - User document, a member of the active organization
+ * @returns {Promise<Boolean>} - Whether account-wide changes are allowed
+ */
+const canManageAccount = async (req, user) => {
+  if (!req.organization) {
+    return true;
+  }
+
+  if (user.memberships.some(membership => !membership.organization.equals(req.organization))) {
+    return false;
+  }
+
+  const role = user.role ? await findRole(user.role) : null;
+  const granted = await getRequestPermissions(req);
+  return !role || expandPermissions(role.permissions).every(permission => granted.includes(permission));
+};
+
+/**
+ * Refuse account-wide changes an organization admin may not make
+ * @param {Object} req - Express request object (after protect)
+ * @param {Object} user - User document, a member of the active organization
+ * @throws {ApiError} - 403 if the account reaches beyond the organization
+ */
+const assertAccountManageable = async (req, user) => {
+  if (!(await canManageAccount(req, user))) {
+    throw new ApiError(403, 'This account belongs to more than this organization; only its membership can be changed here');
+  }
+};
+
+/**
+ * Load an organization that members can act in
+ * @param {ObjectId|String} organizationId - Organization ID
+ * @returns {Promise<Object>} - Organization document
+ * @throws {ApiError} - 404 if it does not exist or is deactivated
+ */
+const findActiveOrganization = async (organizationId) => {
+  const organization = await Organization.findOne({ _id: organizationId, isActive: true });
+  if (!organization) {
+    throw new ApiError(404, 'Organization not found');
+  }
+  return organization;
+};
+
+export {
+  memberFilter,
+  getContextRole,
+  setContextRole,
+  scopeUser,
+  canManageAccount,
+  assertAccountManageable,
+  findActiveOrganization
+};
@@ -0,0 +1,184 @@
+import crypto from 'crypto';
+import { readFile } from 'fs/promises';
+import { join } from 'path';
+import User from '../models/userModel.js';
+import { ApiError } from '../middleware/errorHandler.js';
+import { config } from '../config/config.js';
+import { logger } from '../utils/logger.js';
+
+// Character classes and the number of characters each adds to the search space
+const CHARACTER_CLASSES = [
+  { code: 'MISSING_LOWERCASE', option: 'requireLowercase', label: 'lowercase letter', pattern: /[a-z]/, size: 26 },
+  { code: 'MISSING_UPPERCASE', option: 'requireUppercase', label: 'uppercase letter', pattern: /[A-Z]/, size: 26 },
+  { code: 'MISSING_NUMBER', option: 'requireNumber', label: 'number', pattern: /\d/, size: 10 },
+  { code: 'MISSING_SYMBOL', option: 'requireSymbol', label: 'special character', pattern: /[^a-zA-Z\d\s]/, size: 33 }
+];
+
+// Entropy (bits) needed for strength scores 1 to 4
+const STRENGTH_THRESHOLDS = [28, 36, 50, 70];
+
+/**
+ * Estimate the entropy of a password in bits
+ * Repeated characters and ascending/descending runs ("aaa", "1234", "cba")
+ * count as their first two characters, since the rest adds almost nothing
+ * for an attacker.
+ * @param {String} password - Password to score
+ * @returns {Number} - Estimated entropy in bits
+ */
+const estimateEntropy = (password) => {
+  const poolSize = CHARACTER_CLASSES
+    .filter(({ pattern }) => pattern.test(password))
+    .reduce((total, { size }) => total + size, 0) || 1;
+
+  // A character continuing a run of the same step (0 or ±1) adds nothing
+  let effectiveLength = Math.min(password.length, 2);
+  for (let i = 2; i < password.length; i++) {
+    const step = password.charCodeAt(i) - password.charCodeAt(i - 1);
+    const previousStep = password.charCodeAt(i - 1) - password.charCodeAt(i - 2);
+    if (Math.abs(step) > 1 || step !== previousStep) {
+      effectiveLength++;
+    }
+  }
+
+  return effectiveLength * Math.log2(poolSize);
+};
+
+/**
+ * Score the strength of a password
+ * @param {String} password - Password to score
+ * @returns {Number} - Score from 0 (very weak) to 4 (very strong)
+ */
+const scorePassword = (password) => {
+  const entropy = estimateEntropy(password);
+  return STRENGTH_THRESHOLDS.filter(threshold => entropy >= threshold).length;
+};
+
+/**
+ * Find personal details of the user that appear in the password
+ * @param {String} password - Password to check
+ * @param {Object} user - name and email of the user
+ * @returns {Boolean} - True if the password contains the name or email
+ */
+const containsPersonalInfo = (password, { name, email } = {}) => {
+  const lower = password.toLowerCase();
+  const parts = [
+    ...String(name || '').toLowerCase().split(/\s+/),
+    ...String(email || '').toLowerCase().split('@')[0].split(/[._+-]/)
+  ].filter(part => part.length >= 3);
+
+  return parts.some(part => lower.includes(part));
+};
+
+/**
+ * Look a password up in the local breached-password range files
+ * Files use the k-anonymity range format: the first five hex characters of
+ * the SHA-1 hash name the file, which lists the remaining suffixes.
+ * @param {String} password - Password to check
+ * @returns {Promise<Boolean>} - True if the password has been breached
+ */
+const isBreachedPassword = async (password) => {
+  if (!config.passwordPolicy.breachedPasswordsDir) {
+    return false;
+  }
+
+  const hash = crypto.createHash('sha1').update(password).digest('hex').toUpperCase();
+  const prefix = hash.slice(0, 5);
+  const suffix = hash.slice(5);
+
+  let contents;
+  try {
+    contents = await readFile(join(config.passwordPolicy.breachedPasswordsDir, `${prefix}.txt`), 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return false;
+    }
+    // Don't block password changes because the list is unreadable
+    logger.error(`Breached password list could not be read: ${error.message}`);
+    return false;
+  }
+
+  return contents.split(/\r?\n/).some(line => {
+    const [lineSuffix, count] = line.trim().split(':');
+    return lineSuffix && lineSuffix.toUpperCase() === suffix && Number(count || 1) > 0;
+  });
+};
+
+/**
+ * Check a password against the configured policy
+ * @param {String} password - Candidate password
+ * @param {Object} user - name and email used for the personal information
+ * rule; an existing User document is also checked for password reuse
+ * @returns {Promise<Object>} - valid, strength score and the reasons it was rejected
+ */
+const evaluatePassword = async (password, user = {}) => {
+  const policy = config.passwordPolicy;
+  const reasons = [];
+  const reject = (code, message) => reasons.push({ code, message });
+
+  if (password.length < policy.minLength) {
+    reject('TOO_SHORT', `Password must be at least ${policy.minLength} characters`);
+  }
+  if (password.length > policy.maxLength) {
+    reject('TOO_LONG', `Password cannot be more than ${policy.maxLength} characters`);
+  }
+
+  for (const { code, option, label, pattern } of CHARACTER_CLASSES) {
+    if (policy[option] && !pattern.test(password)) {
+      reject(code, `Password must contain at least one ${label}`);
+    }
+  }
+
+  if (policy.blockPersonalInfo && containsPersonalInfo(password, user)) {
+    reject('CONTAINS_PERSONAL_INFO', 'Password cannot contain your name or email address');
+  }
+
+  const strength = scorePassword(password);
+  if (strength < policy.minStrength) {
+    reject('TOO_WEAK', 'Password is too easy to guess, use a longer or less predictable password');
+  }
+
+  if (await isBreachedPassword(password)) {
+    reject('BREACHED', 'This password has appeared in a data breach, choose a different one');
+  }
+
+  if (user instanceof User && await user.isPasswordReused(password)) {
+    reject('REUSED', `Password cannot be one of your last ${policy.historySize} passwords`);
+  }
+
+  return { valid: reasons.length === 0, strength, reasons };
+};
+
+/**
+ * Refuse a password that does not meet the policy
+ * @param {String} password - Candidate password
+ * @param {Object} user - name and email of the user the password is for
+ * @throws {ApiError} - 400 PASSWORD_POLICY with the reasons as details
+ */
+const assertPasswordAllowed = async (password, user) => {
+  const { valid, reasons } = await evaluatePassword(password, user);
+
+  if (!valid) {
+    throw new ApiError(400, 'Password does not meet the password policy', {
+      code: 'PASSWORD_POLICY',
+      details: reasons
+    });
+  }
+};
+
+/**
+ * Describe the policy for clients that check passwords as they are typed
+ * @returns {Object} - Public policy settings
+ */
+const getPasswordPolicy = () => {
+  const { breachedPasswordsDir, changeTokenExpiresIn, ...policy } = config.passwordPolicy;
+  return { ...policy, checksBreachedPasswords: Boolean(breachedPasswordsDir) };
+};
+
+export {
+  estimateEntropy,
+  scorePassword,
+  isBreachedPassword,
+  evaluatePassword,
+  assertPasswordAllowed,
+  getPasswordPolicy
+};
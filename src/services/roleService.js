@@ -0,0 +1,212 @@
+import Role from '../models/roleModel.js';
+import User from '../models/userModel.js';
+import ApiKey from '../models/apiKeyModel.js';
+import { ApiError } from '../middleware/errorHandler.js';
+import { logger } from '../utils/logger.js';
+
+/**
+ * Permissions that routes can require and roles can grant
+ */
+const PERMISSIONS = [
+  'users:read',
+  'users:create',
+  'users:update',
+  'users:delete',
+  'users:impersonate',
+  'sessions:revoke',
+  'mfa:reset',
+  'roles:read',
+  'roles:write',
+  'roles:assign',
+  'api-keys:read',
+  'api-keys:write',
+  'oauth-clients:read',
+  'oauth-clients:write',
+  'organizations:read',
+  'organizations:write',
+  'audit:read'
+];
+
+/**
+ * Permissions a role grants inside an organization, limited to its members
+ */
+const ORGANIZATION_PERMISSIONS = [
+  'users:read',
+  'users:create',
+  'users:update',
+  'users:delete',
+  'sessions:revoke',
+  'mfa:reset',
+  'roles:assign'
+];
+
+/**
+ * Grants every permission, including ones added later
+ */
+const ALL_PERMISSIONS = '*';
+
+/**
+ * Roles that always exist; they match the values of the former role enum
+ */
+const BUILT_IN_ROLES = [
+  { name: 'admin', description: 'Full administrative access', permissions: [ALL_PERMISSIONS] },
+  { name: 'user', description: 'Regular account without administrative access', permissions: [] }
+];
+
+/**
+ * API key scopes from before permissions existed and what they allowed
+ */
+const LEGACY_SCOPES = {
+  'users:write': ['users:create', 'users:update', 'users:delete', 'sessions:revoke', 'mfa:reset', 'roles:assign']
+};
+
+/**
+ * Turn the permissions stored on a role into concrete permission names
+ * @param {String[]} permissions - Stored permissions, possibly `*`
+ * @returns {String[]} - Known permissions granted
+ */
+const expandPermissions = (permissions) => {
+  if (permissions.includes(ALL_PERMISSIONS)) {
+    return [...PERMISSIONS];
+  }
+  return PERMISSIONS.filter(permission => permissions.includes(permission));
+};
+
+/**
+ * Get the permissions a role grants where the request is acting
+ * @param {String[]} permissions - Stored permissions of the role
+ * @param {ObjectId} organization - Active organization, if any
+ * @returns {String[]} - Permission names
+ */
+const permissionsInContext = (permissions, organization) => {
+  const expanded = expandPermissions(permissions);
+  return organization
+    ? expanded.filter(permission => ORGANIZATION_PERMISSIONS.includes(permission))
+    : expanded;
+};
+
+/**
+ * Find a role by name, falling back to the built-in definition
+ * Built-in roles work before the migration has stored them.
+ * @param {String} name - Role name
+ * @returns {Promise<Object|null>} - Role document, built-in role or null
+ */
+const findRole = async (name) => {
+  const role = await Role.findOne({ name });
+  if (role) {
+    return role;
+  }
+  return BUILT_IN_ROLES.find(builtIn => builtIn.name === name) || null;
+};
+
+/**
+ * Get the permissions the current request may use
+ * The user's role grants permissions, or inside an organization the role of
+ * their membership; a scoped API key narrows them to its scopes. The result
+ * is cached on the request.
+ * @param {Object} req - Express request object (after protect)
+ * @returns {Promise<String[]>} - Permission names
+ */
+const getRequestPermissions = async (req) => {
+  if (req.permissions) {
+    return req.permissions;
+  }
+
+  const roleName = req.membership ? req.membership.role : req.user.role;
+  const role = roleName ? await findRole(roleName) : null;
+  let permissions = role ? permissionsInContext(role.permissions, req.organization) : [];
+
+  if (req.apiKey && req.apiKey.scopes.length > 0) {
+    permissions = permissions.filter(permission => req.apiKey.scopes.includes(permission));
+  }
+
+  req.permissions = permissions;
+  return permissions;
+};
+
+/**
+ * Refuse to hand out permissions the caller does not hold
+ * @param {Object} req - Express request object (after protect)
+ * @param {String[]} permissions - Permissions being granted
+ * @throws {ApiError} - 403 if any permission is missing
+ */
+const assertPermissionsGrantable = async (req, permissions) => {
+  const granted = await getRequestPermissions(req);
+  const missing = permissionsInContext(permissions, req.organization)
+    .filter(permission => !granted.includes(permission));
+
+  if (missing.length > 0) {
+    throw new ApiError(403, `You cannot grant permissions you do not have: ${missing.join(', ')}`);
+  }
+};
+
+/**
+ * Check that the caller may give a user a role
+ * Inside an organization this is the role of the user's membership.
+ * @param {Object} req - Express request object (after protect)
+ * @param {String} name - Role name to assign
+ * @param {String} currentName - Role the user has now, if any
+ * @throws {ApiError} - 400 for an unknown role, 403 without roles:assign or
+ * if either role grants more than the caller holds
+ */
+const assertRoleAssignable = async (req, name, currentName) => {
+  const role = await findRole(name);
+  if (!role) {
+    throw new ApiError(400, `Role ${name} does not exist`);
+  }
+
+  const granted = await getRequestPermissions(req);
+  if (!granted.includes('roles:assign')) {
+    throw new ApiError(403, 'Missing required permission: roles:assign');
+  }
+
+  await assertPermissionsGrantable(req, role.permissions);
+
+  // Nobody can demote an account that holds more than they do
+  const currentRole = currentName ? await findRole(currentName) : null;
+  if (currentRole && permissionsInContext(currentRole.permissions, req.organization)
+    .some(permission => !granted.includes(permission))) {
+    throw new ApiError(403, 'You cannot change the role of a user with permissions you do not have');
+  }
+};
+
+/**
+ * Migrate from the former user/admin role enum
+ * Stores the built-in roles, gives users without a role the user role and
+ * replaces legacy API key scopes with the permissions they covered. Safe to
+ * run on every start.
+ */
+const migrateRoles = async () => {
+  for (const role of BUILT_IN_ROLES) {
+    await Role.updateOne(
+      { name: role.name },
+      { $setOnInsert: { ...role, isSystem: true } },
+      { upsert: true }
+    );
+  }
+
+  const { modifiedCount } = await User.updateMany({ role: { $exists: false } }, { role: 'user' });
+  if (modifiedCount > 0) {
+    logger.info(`Assigned the user role to ${modifiedCount} users without a role`);
+  }
+
+  const legacyKeys = await ApiKey.find({ scopes: { $in: Object.keys(LEGACY_SCOPES) } });
+  for (const apiKey of legacyKeys) {
+    apiKey.scopes = [...new Set(apiKey.scopes.flatMap(scope => LEGACY_SCOPES[scope] || [scope]))];
+    await apiKey.save();
+    logger.info(`Migrated legacy scopes of API key ${apiKey.prefix}`);
+  }
+};
+
+export {
+  PERMISSIONS,
+  ORGANIZATION_PERMISSIONS,
+  ALL_PERMISSIONS,
+  BUILT_IN_ROLES,
+  expandPermissions,
+  findRole,
+  getRequestPermissions,
+  assertPermissionsGrantable,
+  assertRoleAssignable,
+  migrateRoles
+};
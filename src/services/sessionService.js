@@ -0,0 +1,168 @@
+import Session from '../models/sessionModel.js';
+import RefreshToken from '../models/refreshTokenModel.js';
+import { config } from '../config/config.js';
+import { ApiError } from '../middleware/errorHandler.js';
+import { getDeviceLabel } from '../utils/deviceUtils.js';
+import { findRole, expandPermissions } from './roleService.js';
+import { findActiveOrganization } from './organizationService.js';
+
+// Avoid a write on every request: last-seen is refreshed at most once a minute
+const LAST_SEEN_RESOLUTION_MS = 60 * 1000;
+
+/**
+ * Compute the expiry of a session from now
+ * Sessions live as long as their newest refresh token
+ * @returns {Number} - Expiry timestamp in milliseconds
+ */
+const sessionExpiry = () => Date.now() + config.jwt.refreshExpiresInDays * 24 * 60 * 60 * 1000;
+
+/**
+ * Pick the organization a new session starts in
+ * Only members of a single active organization whose own role grants no
+ * permissions start in it; everyone else starts outside and may switch.
+ * @param {Object} user - User document
+ * @returns {Promise<ObjectId|undefined>} - Organization ID, if any
+ */
+const initialOrganization = async (user) => {
+  const memberships = user.memberships || [];
+  if (memberships.length !== 1) {
+    return undefined;
+  }
+
+  // Entering would hide the permissions of a global role
+  const role = user.role ? await findRole(user.role) : null;
+  if (role && expandPermissions(role.permissions).length > 0) {
+    return undefined;
+  }
+
+  try {
+    const organization = await findActiveOrganization(memberships[0].organization);
+    return organization._id;
+  } catch (error) {
+    if (error instanceof ApiError && error.statusCode === 404) {
+      return undefined;
+    }
+    throw error;
+  }
+};
+
+/**
+ * Record a new sign-in
+ * @param {Object} user - User document
+ * @param {Object} req - Express request object
+ * @returns {Promise<Object>} - Session document
+ */
+const createSession = async (user, req) => {
+  const userAgent = req.get('user-agent');
+
+  return Session.create({
+    user: user._id,
+    organization: await initialOrganization(user),
+    deviceLabel: getDeviceLabel(userAgent, req.body && req.body.deviceName),
+    userAgent,
+    ip: req.ip,
+    expiresAt: sessionExpiry()
+  });
+};
+
+/**
+ * Build the access token claims of a session
+ * @param {Object} session - Session document
+ * @returns {Object} - sid and, inside an organization, org claims
+ */
+const sessionClaims = (session) => ({
+  sid: session.id,
+  ...(session.organization && { org: session.organization.toString() })
+});
+
+/**
+ * Update last-seen details of a session
+ * @param {Object} session - Session document
+ * @param {Object} req - Express request object
+ * @param {Boolean} extend - Whether to push the expiry forward (on refresh)
+ */
+const touchSession = async (session, req, extend = false) => {
+  if (!extend && Date.now() - session.lastSeenAt.getTime() < LAST_SEEN_RESOLUTION_MS) {
+    return;
+  }
+
+  const update = { lastSeenAt: Date.now(), ip: req.ip };
+  if (extend) {
+    update.expiresAt = sessionExpiry();
+  }
+  await Session.updateOne({ _id: session._id }, update);
+};
+
+/**
+ * Find an active (not revoked, not expired) session
+ * @param {String} sessionId - Session ID
+ * @returns {Promise<Object|null>} - Session document or null
+ */
+const findActiveSession = async (sessionId) => {
+  return Session.findOne({
+    _id: sessionId,
+    revokedAt: null,
+    expiresAt: { $gt: Date.now() }
+  });
+};
+
+/**
+ * List active sessions of a user, most recently used first
+ * @param {ObjectId} userId - User ID
+ * @returns {Promise<Array>} - Session documents
+ */
+const listUserSessions = async (userId) => {
+  return Session.find({
+    user: userId,
+    revokedAt: null,
+    expiresAt: { $gt: Date.now() }
+  }).sort({ lastSeenAt: -1 });
+};
+
+/**
+ * Revoke a session and every refresh token issued for it
+ * @param {String} sessionId - Session ID (also the refresh token family)
+ */
+const revokeSession = async (sessionId) => {
+  const now = Date.now();
+  await Session.updateOne({ _id: sessionId, revokedAt: null }, { revokedAt: now });
+  await RefreshToken.updateMany({ family: String(sessionId), revokedAt: null }, { revokedAt: now });
+};
+
+/**
+ * Revoke all sessions and refresh tokens of a user
+ * @param {ObjectId} userId - User ID
+ */
+const revokeUserSessions = async (userId) => {
+  const now = Date.now();
+  await Session.updateMany({ user: userId, revokedAt: null }, { revokedAt: now });
+  await RefreshToken.updateMany({ user: userId, revokedAt: null }, { revokedAt: now });
+};
+
+/**
+ * Shape a session for API responses
+ * @param {Object} session - Session document
+ * @param {String} currentSessionId - Session ID of the current request, if any
+ * @returns {Object} - Public session fields
+ */
+const formatSession = (session, currentSessionId) => ({
+  id: session._id,
+  deviceLabel: session.deviceLabel,
+  userAgent: session.userAgent,
+  ip: session.ip,
+  organization: session.organization,
+  createdAt: session.createdAt,
+  lastSeenAt: session.lastSeenAt,
+  current: session._id.toString() === currentSessionId
+});
+
+export {
+  createSession,
+  sessionClaims,
+  touchSession,
+  findActiveSession,
+  listUserSessions,
+  revokeSession,
+  revokeUserSessions,
+  formatSession
+};
@@ -0,0 +1,72 @@
+import RevokedToken from '../models/revokedTokenModel.js';
+import { config } from '../config/config.js';
+
+/**
+ * MongoDB-backed denylist
+ * Shared by all instances; expired entries are purged by a TTL index
+ */
+const createMongoStore = () => ({
+  add: async (jti, expiresAt, userId) => {
+    await RevokedToken.updateOne(
+      { jti },
+      { $setOnInsert: { jti, expiresAt, user: userId } },
+      { upsert: true }
+    );
+  },
+  has: async (jti) => {
+    return Boolean(await RevokedToken.exists({ jti }));
+  }
+});
+
+/**
+ * In-memory denylist
+ * Only suitable for single-instance deployments and tests
+ */
+const createMemoryStore = () => {
+  const entries = new Map();
+
+  return {
+    add: async (jti, expiresAt) => {
+      entries.set(jti, new Date(expiresAt).getTime());
+    },
+    has: async (jti) => {
+      const expiresAt = entries.get(jti);
+      if (expiresAt === undefined) {
+        return false;
+      }
+      if (expiresAt <= Date.now()) {
+        entries.delete(jti);
+        return false;
+      }
+      return true;
+    }
+  };
+};
+
+const store = config.jwt.denylistStore === 'memory' ? createMemoryStore() : createMongoStore();
+
+/**
+ * Revoke an access token until it expires
+ * @param {Object} payload - Decoded token payload (needs jti and exp)
+ * @param {ObjectId} userId - Owner of the token
+ */
+const revokeToken = async (payload, userId) => {
+  if (!payload || !payload.jti) {
+    return;
+  }
+  await store.add(payload.jti, new Date(payload.exp * 1000), userId);
+};
+
+/**
+ * Check whether an access token has been revoked
+ * @param {String} jti - Token ID
+ * @returns {Promise<Boolean>} - True if the token is denylisted
+ */
+const isTokenRevoked = async (jti) => {
+  if (!jti) {
+    return false;
+  }
+  return store.has(jti);
+};
+
+export { revokeToken, isTokenRevoked };
@@ -0,0 +1,202 @@
+import crypto from 'crypto';
+import RefreshToken from '../models/refreshTokenModel.js';
+import User from '../models/userModel.js';
+import { ApiError } from '../middleware/errorHandler.js';
+import { config } from '../config/config.js';
+import { logger } from '../utils/logger.js';
+import { generateToken, verifyToken } from '../utils/tokenUtils.js';
+import {
+  createSession,
+  sessionClaims,
+  findActiveSession,
+  touchSession,
+  revokeSession
+} from './sessionService.js';
+
+/**
+ * Purposes of restricted tokens
+ * A restricted token proves part of a sign-in, or was issued to another
+ * application through OAuth, and is rejected by `protect`
+ */
+const TOKEN_PURPOSES = {
+  MFA_PENDING: 'mfa_pending',
+  MFA_ENROLLMENT: 'mfa_enrollment',
+  PASSWORD_CHANGE: 'password_change',
+  OAUTH_ACCESS: 'oauth_access'
+};
+
+/**
+ * Hash an opaque token for storage and lookup
+ * @param {String} token - Plain token
+ * @returns {String} - SHA-256 hex digest
+ */
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * Create and persist a new refresh token
+ * @param {ObjectId} userId - Owner of the token
+ * @param {String} family - Rotation family the token belongs to
+ * @param {Object} req - Express request object
+ * @returns {Promise<String>} - Plain refresh token (only returned once)
+ */
+const createRefreshToken = async (userId, family, req) => {
+  const refreshToken = crypto.randomBytes(40).toString('hex');
+
+  await RefreshToken.create({
+    user: userId,
+    tokenHash: hashToken(refreshToken),
+    family,
+    expiresAt: Date.now() + config.jwt.refreshExpiresInDays * 24 * 60 * 60 * 1000,
+    createdByIp: req.ip,
+    userAgent: req.get('user-agent')
+  });
+
+  return refreshToken;
+};
+
+/**
+ * Start a session and issue its first access and refresh tokens
+ * @param {Object} user - User document
+ * @param {Object} req - Express request object
+ * @returns {Promise<Object>} - Object containing token, refreshToken and session
+ */
+const issueAuthTokens = async (user, req) => {
+  const session = await createSession(user, req);
+  const token = user.generateAuthToken(sessionClaims(session));
+  const refreshToken = await createRefreshToken(user._id, session.id, req);
+
+  return { token, refreshToken, session };
+};
+
+/**
+ * Issue a short-lived restricted token
+ * @param {Object} user - User document
+ * @param {String} purpose - One of TOKEN_PURPOSES
+ * @param {String|Number} expiresIn - Token expiration time
+ * @returns {String} - JWT token
+ */
+const issuePurposeToken = (user, purpose, expiresIn) => {
+  return generateToken(
+    { id: user._id, purpose },
+    { expiresIn, jwtid: crypto.randomUUID() }
+  );
+};
+
+/**
+ * Issue a token for an admin to act as another user
+ * The token carries the user as usual plus an `act` claim (RFC 8693) naming
+ * the admin. It has no session or refresh token and cannot be renewed.
+ * @param {Object} user - User document being impersonated
+ * @param {Object} actor - Admin user document
+ * @returns {String} - JWT token
+ */
+const issueImpersonationToken = (user, actor) => {
+  return generateToken(
+    { id: user._id, role: user.role, act: { sub: String(actor._id) } },
+    { expiresIn: config.impersonation.expiresIn, jwtid: crypto.randomUUID() }
+  );
+};
+
+/**
+ * Verify a restricted token and check its purpose
+ * @param {String} token - JWT token
+ * @param {String} purpose - Expected purpose
+ * @returns {Promise<Object>} - Decoded token payload
+ */
+const verifyPurposeToken = async (token, purpose) => {
+  let decoded;
+  try {
+    decoded = await verifyToken(token);
+  } catch (error) {
+    throw new ApiError(401, error.name === 'TokenExpiredError' ? 'Token expired' : 'Invalid token');
+  }
+
+  if (decoded.purpose !== purpose) {
+    throw new ApiError(401, 'Invalid token');
+  }
+  return decoded;
+};
+
+/**
+ * Revoke every active token in a refresh token family
+ * The family is the session, so the session is revoked with it.
+ * @param {String} family - Rotation family to revoke
+ */
+const revokeTokenFamily = async (family) => {
+  await revokeSession(family);
+};
+
+/**
+ * Exchange a refresh token for a new token pair
+ * The presented token is consumed; presenting it again is treated as theft
+ * and revokes the whole family.
+ * @param {String} refreshToken - Plain refresh token
+ * @param {Object} req - Express request object
+ * @returns {Promise<Object>} - Object containing user, token and refreshToken
+ */
+const rotateRefreshToken = async (refreshToken, req) => {
+  const tokenHash = hashToken(refreshToken);
+
+  // Atomically claim the token so concurrent requests cannot both rotate it
+  const current = await RefreshToken.findOneAndUpdate(
+    { tokenHash, revokedAt: null },
+    { revokedAt: Date.now() }
+  );
+
+  if (!current) {
+    const existing = await RefreshToken.findOne({ tokenHash });
+
+    if (existing) {
+      // A consumed or revoked token was replayed: kill the whole family
+      await revokeTokenFamily(existing.family);
+      logger.warn(`Refresh token reuse detected for user ${existing.user}, family ${existing.family} revoked`, {
+        ip: req.ip
+      });
+    }
+
+    throw new ApiError(401, 'Invalid refresh token');
+  }
+
+  if (current.expiresAt.getTime() <= Date.now()) {
+    throw new ApiError(401, 'Refresh token expired');
+  }
+
+  const session = await findActiveSession(current.family);
+  if (!session) {
+    throw new ApiError(401, 'Session has been revoked');
+  }
+
+  const user = await User.findById(current.user);
+  if (!user || !user.isActive) {
+    await revokeTokenFamily(current.family);
+    throw new ApiError(401, 'User not found or deactivated');
+  }
+
+  // Leave the organization if the user was removed from it meanwhile
+  if (session.organization && !user.getMembership(session.organization)) {
+    session.organization = undefined;
+    await session.save();
+  }
+
+  const newRefreshToken = await createRefreshToken(user._id, current.family, req);
+  current.replacedByHash = hashToken(newRefreshToken);
+  await current.save();
+  await touchSession(session, req, true);
+
+  return {
+    user,
+    token: user.generateAuthToken(sessionClaims(session)),
+    refreshToken: newRefreshToken
+  };
+};
+
+export {
+  TOKEN_PURPOSES,
+  hashToken,
+  issuePurposeToken,
+  issueImpersonationToken,
+  verifyPurposeToken,
+  issueAuthTokens,
+  rotateRefreshToken,
+  revokeTokenFamily
+};
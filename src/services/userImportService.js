@@ -0,0 +1,327 @@
+import { validationResult } from 'express-validator';
+import User from '../models/userModel.js';
+import { ApiError } from '../middleware/errorHandler.js';
+import { config } from '../config/config.js';
+import { createUserValidation } from '../validators/userValidator.js';
+import { readLines, parseCsv } from '../utils/csvUtils.js';
+import { assertPasswordAllowed } from './passwordPolicyService.js';
+import { assertRoleAssignable } from './roleService.js';
+import { getContextRole, setContextRole, canManageAccount } from './organizationService.js';
+import {
+  AUDIT_ACTIONS,
+  recordAuditEvent,
+  diffFields,
+  userTarget
+} from './auditService.js';
+
+/**
+ * Columns read from each imported row; the same fields as POST /api/users
+ */
+const IMPORT_FIELDS = ['name', 'email', 'password', 'role', 'accountType'];
+
+/**
+ * Columns of an export, in order
+ */
+const EXPORT_FIELDS = [
+  'id',
+  'name',
+  'email',
+  'role',
+  'accountType',
+  'isActive',
+  'emailVerified',
+  'createdAt',
+  'lastLogin',
+  'deletedAt'
+];
+
+/**
+ * Read the rows of an import file
+ * CSV starts with a header naming the columns; NDJSON has one JSON object
+ * per line. Rows are numbered from 1, not counting the header.
+ * @param {AsyncIterable<Buffer>} stream - Uploaded file
+ * @param {String} format - csv or ndjson
+ * @returns {AsyncGenerator<Object>} - row and either values or an error
+ * @throws {Error} - If the file cannot be parsed any further
+ */
+async function* readImportRows(stream, format) {
+  let row = 0;
+
+  if (format === 'csv') {
+    let header = null;
+    for await (const record of parseCsv(stream)) {
+      if (!header) {
+        header = record.map(name => name.trim());
+        continue;
+      }
+      row += 1;
+      yield { row, values: Object.fromEntries(header.map((name, index) => [name, record[index]])) };
+    }
+    return;
+  }
+
+  for await (const line of readLines(stream)) {
+    if (line.trim() === '') {
+      continue;
+    }
+    row += 1;
+    let values;
+    try {
+      values = JSON.parse(line);
+    } catch (error) {
+      yield { row, error: 'Row is not valid JSON' };
+      continue;
+    }
+    yield values && typeof values === 'object' && !Array.isArray(values)
+      ? { row, values }
+      : { row, error: 'Row must be a JSON object' };
+  }
+}
+
+/**
+ * Validate a row with the rules of POST /api/users
+ * Empty CSV cells count as missing values.
+ * @param {Object} values - Row values by column name
+ * @returns {Promise<Object>} - Sanitized name, email, password, role and accountType
+ * @throws {ApiError} - 400 with the failed rules as details
+ */
+const validateRow = async (values) => {
+  const context = {
+    body: Object.fromEntries(IMPORT_FIELDS
+      .filter(field => values[field] !== undefined && values[field] !== null && values[field] !== '')
+      .map(field => [field, values[field]]))
+  };
+
+  await Promise.all(createUserValidation.map(validation => validation.run(context)));
+
+  const errors = validationResult(context);
+  if (!errors.isEmpty()) {
+    throw new ApiError(400, 'Validation Error', {
+      details: errors.array().map(err => ({ [err.path]: err.msg }))
+    });
+  }
+  return context.body;
+};
+
+/**
+ * Create the user of an imported row
+ * @param {Object} req - Express request object (after protect)
+ * @param {Object} data - Validated row
+ * @param {Boolean} dryRun - Check the row without creating the user
+ * @returns {Promise<Object>} - Row result
+ */
+const createImportedUser = async (req, data, dryRun) => {
+  const { name, email, password, role, accountType } = data;
+
+  if (accountType !== 'service') {
+    await assertPasswordAllowed(password, { name, email });
+  }
+
+  if (role) {
+    await assertRoleAssignable(req, role);
+  }
+
+  if (dryRun) {
+    return { status: 'created' };
+  }
+
+  // Inside an organization the role is the membership's, as in createUser
+  const user = await User.create({
+    name,
+    email,
+    password: accountType === 'service' ? undefined : password,
+    ...(req.organization
+      ? { memberships: [{ organization: req.organization, role }] }
+      : { role }),
+    accountType
+  });
+
+  await recordAuditEvent(req, {
+    action: AUDIT_ACTIONS.USER_CREATE,
+    target: userTarget(user),
+    changes: diffFields({}, {
+      name: user.name,
+      email: user.email,
+      role: getContextRole(user, req),
+      isActive: user.isActive,
+      accountType: user.accountType
+    }),
+    metadata: { import: true }
+  });
+
+  return { status: 'created', id: user._id };
+};
+
+/**
+ * Update an existing user from an imported row
+ * @param {Object} req - Express request object (after protect)
+ * @param {Object} user - User document with the row's email
+ * @param {Object} data - Validated row
+ * @param {Boolean} dryRun - Check the row without saving the user
+ * @returns {Promise<Object>} - Row result
+ */
+const updateImportedUser = async (req, user, data, dryRun) => {
+  const before = { name: user.name, role: getContextRole(user, req) };
+
+  user.name = data.name;
+  if (data.role && data.role !== before.role) {
+    await assertRoleAssignable(req, data.role, before.role);
+    setContextRole(user, req, data.role);
+  }
+
+  if (dryRun) {
+    return { status: 'updated', id: user._id };
+  }
+
+  await user.save();
+
+  await recordAuditEvent(req, {
+    action: AUDIT_ACTIONS.USER_UPDATE,
+    target: userTarget(user),
+    changes: diffFields(before, { name: user.name, role: getContextRole(user, req) }),
+    metadata: { import: true }
+  });
+
+  return { status: 'updated', id: user._id };
+};
+
+/**
+ * Import one row
+ * @param {Object} req - Express request object (after protect)
+ * @param {Object} values - Row values by column name
+ * @param {Object} options - dryRun, onConflict and the emails seen so far
+ * @returns {Promise<Object>} - Row result with a status
+ * @throws {ApiError} - If the row cannot be imported
+ */
+const importRow = async (req, values, { dryRun, onConflict, seen }) => {
+  const data = await validateRow(values);
+
+  // Rows are not checked against each other in a dry run otherwise
+  if (seen.has(data.email)) {
+    throw new ApiError(409, 'Email appears more than once in this import');
+  }
+  seen.add(data.email);
+
+  // Deleted users still hold their email until they are purged
+  const existing = await User.findOne({ email: data.email }).setOptions({ withDeleted: true });
+  if (!existing) {
+    return createImportedUser(req, data, dryRun);
+  }
+
+  if (onConflict === 'skip') {
+    return { status: 'skipped' };
+  }
+
+  // Only users whose name the caller could change through PUT /api/users/:id
+  const updatable = !existing.deletedAt &&
+    (!req.organization || Boolean(existing.getMembership(req.organization))) &&
+    await canManageAccount(req, existing);
+  if (onConflict === 'fail' || !updatable) {
+    throw new ApiError(409, 'User with this email already exists');
+  }
+
+  return updateImportedUser(req, existing, data, dryRun);
+};
+
+/**
+ * Describe why a row failed
+ * @param {Error} error - Error thrown while importing the row
+ * @returns {Object} - error message and details, if any
+ * @throws {Error} - Errors that are not about the row, such as a lost database
+ */
+const rowError = (error) => {
+  if (error instanceof ApiError) {
+    return { error: error.message, ...(error.details && { details: error.details }) };
+  }
+  if (error.name === 'ValidationError') {
+    return { error: Object.values(error.errors).map(err => err.message).join(', ') };
+  }
+  if (error.code === 11000) {
+    return { error: 'User with this email already exists' };
+  }
+  throw error;
+};
+
+/**
+ * Import users from an uploaded file
+ * Rows are read and imported one at a time, so the file is never held in
+ * memory. A failed row does not stop the import; reading stops after
+ * config.userImport.maxRows rows or at a line that cannot be parsed, and
+ * `aborted` says why.
+ * @param {Object} req - Express request object (after protect), also the stream read
+ * @param {Object} options - format, dryRun and onConflict (see CONFLICT_STRATEGIES in userValidator.js)
+ * @returns {Promise<Object>} - summary, a result for each row, and aborted
+ */
+const importUserFile = async (req, { format, dryRun = false, onConflict = 'fail' }) => {
+  const summary = { total: 0, created: 0, updated: 0, skipped: 0, failed: 0 };
+  const results = [];
+  const seen = new Set();
+  let aborted = null;
+
+  // Not a for await loop: leaving one early would destroy the request
+  // stream, and with it the connection the report is sent on
+  const rows = readImportRows(req, format);
+  while (!aborted) {
+    let next;
+    try {
+      next = await rows.next();
+    } catch (error) {
+      aborted = { row: summary.total + 1, reason: error.message };
+      break;
+    }
+    if (next.done) {
+      break;
+    }
+
+    const { row, values, error } = next.value;
+    if (row > config.userImport.maxRows) {
+      aborted = { row, reason: `Imports are limited to ${config.userImport.maxRows} rows` };
+      break;
+    }
+
+    let result;
+    if (error) {
+      result = { status: 'failed', error };
+    } else {
+      try {
+        result = await importRow(req, values, { dryRun, onConflict, seen });
+      } catch (err) {
+        result = { status: 'failed', ...rowError(err) };
+      }
+    }
+
+    summary.total += 1;
+    summary[result.status] += 1;
+    results.push({ row, email: values && typeof values.email === 'string' ? values.email : undefined, ...result });
+  }
+
+  return { summary, results, aborted };
+};
+
+/**
+ * Get the exported columns of a user
+ * @param {Object} user - User document
+ * @param {Object} req - Express request object (after protect)
+ * @returns {Object} - Values by column, with the role where the request acts
+ */
+const exportUserRecord = (user, req) => ({
+  id: user._id.toString(),
+  name: user.name,
+  email: user.deletedEmail || user.email,
+  role: getContextRole(user, req),
+  accountType: user.accountType,
+  isActive: user.isActive,
+  emailVerified: user.emailVerified,
+  createdAt: user.createdAt,
+  lastLogin: user.lastLogin || null,
+  deletedAt: user.deletedAt || null
+});
+
+export {
+  IMPORT_FIELDS,
+  EXPORT_FIELDS,
+  readImportRows,
+  validateRow,
+  importUserFile,
+  exportUserRecord
+};
@@ -0,0 +1,160 @@
+import mongoose from 'mongoose';
+import { ApiError } from '../middleware/errorHandler.js';
+import { memberFilter } from './organizationService.js';
+
+/**
+ * Fields GET /api/users can sort by; each sort is backed by an index
+ */
+const USER_SORT_FIELDS = ['createdAt', 'lastLogin', 'name', 'email'];
+
+/**
+ * Sort fields holding dates, restored from cursors as Date objects
+ */
+const DATE_FIELDS = ['createdAt', 'lastLogin'];
+
+/**
+ * Escape a string for literal use in a regular expression
+ * @param {String} value - User input
+ * @returns {String} - Escaped pattern
+ */
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Parse a sort parameter such as `-createdAt`
+ * @param {String} sort - Field name, prefixed with - for descending order
+ * @returns {Object} - field and direction (1 or -1)
+ */
+const parseSort = (sort = '-createdAt') => {
+  const direction = sort.startsWith('-') ? -1 : 1;
+  return { field: sort.replace(/^-/, ''), direction };
+};
+
+/**
+ * Build the user query from search and filter parameters
+ * Inside an organization only its members match, and the role filter
+ * applies to their membership role.
+ * @param {Object} query - Validated query string values
+ * @param {Object} req - Express request object (after protect)
+ * @returns {Object} - MongoDB filter
+ */
+const buildUserFilter = (query, req) => {
+  const conditions = [memberFilter(req)];
+
+  if (query.q) {
+    const pattern = escapeRegex(query.q);
+    conditions.push({
+      $or: [
+        { name: { $regex: pattern, $options: 'i' } },
+        { email: { $regex: pattern, $options: 'i' } }
+      ]
+    });
+  }
+
+  if (query.role) {
+    conditions.push(req.organization
+      ? { memberships: { $elemMatch: { organization: req.organization, role: query.role } } }
+      : { role: query.role });
+  }
+
+  if (query.isActive !== undefined) {
+    conditions.push({ isActive: query.isActive });
+  }
+
+  // Deleted users are hidden unless they are what is asked for (the query
+  // must then set the withDeleted option)
+  if (query.deleted) {
+    conditions.push({ deletedAt: { $ne: null } });
+  }
+
+  const ranges = [
+    ['createdAt', query.createdFrom, query.createdTo],
+    ['lastLogin', query.lastLoginFrom, query.lastLoginTo]
+  ];
+  for (const [field, from, to] of ranges) {
+    if (from || to) {
+      conditions.push({ [field]: { ...(from && { $gte: from }), ...(to && { $lte: to }) } });
+    }
+  }
+
+  return { $and: conditions };
+};
+
+/**
+ * Encode the position after a user as an opaque cursor
+ * @param {Object} user - Last user of the page
+ * @param {String} sort - Sort parameter the page was read with
+ * @returns {String} - Base64url cursor
+ */
+const encodeCursor = (user, sort) => {
+  const { field } = parseSort(sort);
+  const value = user.get(field);
+  return Buffer.from(JSON.stringify({ s: sort, v: value === undefined ? null : value, id: user._id }))
+    .toString('base64url');
+};
+
+/**
+ * Decode a cursor made by encodeCursor
+ * @param {String} cursor - Base64url cursor
+ * @returns {Object} - sort, value and id
+ * @throws {ApiError} - 400 if the cursor is malformed
+ */
+const decodeCursor = (cursor) => {
+  let decoded;
+  try {
+    decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+  } catch (error) {
+    throw new ApiError(400, 'Invalid cursor');
+  }
+  if (!decoded || typeof decoded.s !== 'string' || !mongoose.isValidObjectId(decoded.id)) {
+    throw new ApiError(400, 'Invalid cursor');
+  }
+
+  const { field } = parseSort(decoded.s);
+  const value = decoded.v !== null && DATE_FIELDS.includes(field) ? new Date(decoded.v) : decoded.v;
+  return { sort: decoded.s, value, id: new mongoose.Types.ObjectId(decoded.id) };
+};
+
+/**
+ * Build the keyset condition for the users after a cursor
+ * Ties are broken by _id. Users without a value for the sort field (such as
+ * lastLogin for users who never logged in) come first in ascending and last
+ * in descending order, as MongoDB sorts them.
+ * @param {Object} cursor - Decoded cursor
+ * @returns {Object} - MongoDB filter
+ */
+const cursorFilter = ({ sort, value, id }) => {
+  const { field, direction } = parseSort(sort);
+  const after = direction === 1 ? '$gt' : '$lt';
+  const sameValue = { [field]: value, _id: { [after]: id } };
+
+  if (value === null) {
+    return direction === 1 ? { $or: [{ [field]: { $ne: null } }, sameValue] } : sameValue;
+  }
+  return {
+    $or: [
+      { [field]: { [after]: value } },
+      ...(direction === -1 ? [{ [field]: null }] : []),
+      sameValue
+    ]
+  };
+};
+
+/**
+ * Get the MongoDB sort for a sort parameter, with _id as tie-breaker
+ * @param {String} sort - Sort parameter
+ * @returns {Object} - MongoDB sort
+ */
+const userSort = (sort) => {
+  const { field, direction } = parseSort(sort);
+  return { [field]: direction, _id: direction };
+};
+
+export {
+  USER_SORT_FIELDS,
+  parseSort,
+  buildUserFilter,
+  encodeCursor,
+  decodeCursor,
+  cursorFilter,
+  userSort
+};
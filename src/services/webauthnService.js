@@ -0,0 +1,203 @@
+import {
+  generateRegistrationOptions,
+  verifyRegistrationResponse,
+  generateAuthenticationOptions,
+  verifyAuthenticationResponse
+} from '@simplewebauthn/server';
+import { isoBase64URL, isoUint8Array } from '@simplewebauthn/server/helpers';
+import User from '../models/userModel.js';
+import WebauthnChallenge from '../models/webauthnChallengeModel.js';
+import { ApiError } from '../middleware/errorHandler.js';
+import { config } from '../config/config.js';
+import { logger } from '../utils/logger.js';
+
+/**
+ * Store a challenge until the matching verify call
+ * @param {String} challenge - Base64url challenge from the options
+ * @param {String} type - 'registration' or 'authentication'
+ * @param {Object} user - User the challenge belongs to, if known
+ */
+const saveChallenge = async (challenge, type, user) => {
+  await WebauthnChallenge.create({
+    challenge,
+    type,
+    user: user && user._id,
+    expiresAt: Date.now() + config.webauthn.challengeExpiresMinutes * 60 * 1000
+  });
+};
+
+/**
+ * Consume the challenge a ceremony response was signed over
+ * Challenges are single-use and must match the ceremony type (and user).
+ * @param {Object} response - Credential from navigator.credentials
+ * @param {String} type - 'registration' or 'authentication'
+ * @param {Object} user - User expected to own the challenge
+ * @returns {Promise<String>} - The expected challenge
+ */
+const consumeChallenge = async (response, type, user) => {
+  let clientData;
+  try {
+    clientData = JSON.parse(Buffer.from(response.response.clientDataJSON, 'base64url').toString());
+  } catch (error) {
+    throw new ApiError(400, 'Malformed WebAuthn response');
+  }
+
+  const stored = await WebauthnChallenge.findOneAndDelete({
+    challenge: String(clientData.challenge),
+    type,
+    ...(user && { user: user._id }),
+    expiresAt: { $gt: Date.now() }
+  });
+  if (!stored) {
+    throw new ApiError(400, 'Invalid or expired challenge');
+  }
+  return stored.challenge;
+};
+
+/**
+ * Describe a stored passkey to the browser
+ * @param {Object} passkey - Passkey subdocument
+ * @returns {Object} - PublicKeyCredentialDescriptor
+ */
+const toDescriptor = (passkey) => ({
+  id: passkey.credentialId,
+  transports: passkey.transports
+});
+
+/**
+ * Build options for registering a new passkey
+ * @param {Object} user - User document
+ * @returns {Promise<Object>} - PublicKeyCredentialCreationOptions (JSON)
+ */
+const createRegistrationOptions = async (user) => {
+  const options = await generateRegistrationOptions({
+    rpName: config.webauthn.rpName,
+    rpID: config.webauthn.rpId,
+    userID: isoUint8Array.fromUTF8String(user._id.toString()),
+    userName: user.email,
+    userDisplayName: user.name,
+    attestationType: 'none',
+    // Don't register the same authenticator twice
+    excludeCredentials: user.passkeys.map(toDescriptor),
+    // Passkeys must be discoverable: sign-in never names the account's credentials
+    authenticatorSelection: {
+      residentKey: 'required',
+      userVerification: 'preferred'
+    }
+  });
+
+  await saveChallenge(options.challenge, 'registration', user);
+  return options;
+};
+
+/**
+ * Verify a registration response
+ * @param {Object} user - User registering the passkey
+ * @param {Object} response - RegistrationResponseJSON from the browser
+ * @returns {Promise<Object>} - Passkey fields to store
+ */
+const verifyRegistration = async (user, response) => {
+  const expectedChallenge = await consumeChallenge(response, 'registration', user);
+
+  let verification;
+  try {
+    verification = await verifyRegistrationResponse({
+      response,
+      expectedChallenge,
+      expectedOrigin: config.webauthn.origins,
+      expectedRPID: config.webauthn.rpId,
+      requireUserVerification: false
+    });
+  } catch (error) {
+    logger.warn(`Passkey registration failed for ${user.email}: ${error.message}`);
+    throw new ApiError(400, 'Passkey registration could not be verified');
+  }
+
+  if (!verification.verified) {
+    throw new ApiError(400, 'Passkey registration could not be verified');
+  }
+
+  const { credential, credentialDeviceType, credentialBackedUp } = verification.registrationInfo;
+  return {
+    credentialId: credential.id,
+    publicKey: isoBase64URL.fromBuffer(credential.publicKey),
+    counter: credential.counter,
+    transports: response.response.transports || [],
+    deviceType: credentialDeviceType,
+    backedUp: credentialBackedUp
+  };
+};
+
+/**
+ * Build options for signing in with a discoverable passkey
+ * Credentials are never listed, so the options do not reveal which accounts
+ * exist or have passkeys.
+ * @returns {Promise<Object>} - PublicKeyCredentialRequestOptions (JSON)
+ */
+const createAuthenticationOptions = async () => {
+  const options = await generateAuthenticationOptions({
+    rpID: config.webauthn.rpId,
+    allowCredentials: [],
+    userVerification: 'preferred'
+  });
+
+  await saveChallenge(options.challenge, 'authentication');
+  return options;
+};
+
+/**
+ * Verify an authentication response and update the passkey's counter
+ * A counter that does not increase means the credential may have been cloned.
+ * @param {Object} response - AuthenticationResponseJSON from the browser
+ * @returns {Promise<Object>} - user, passkey and whether the user was verified
+ */
+const verifyAuthentication = async (response) => {
+  const expectedChallenge = await consumeChallenge(response, 'authentication');
+
+  const user = await User.findOne({ 'passkeys.credentialId': String(response.id) });
+  const passkey = user && user.passkeys.find(p => p.credentialId === response.id);
+  if (!passkey) {
+    throw new ApiError(401, 'Unknown passkey');
+  }
+
+  let verification;
+  try {
+    verification = await verifyAuthenticationResponse({
+      response,
+      expectedChallenge,
+      expectedOrigin: config.webauthn.origins,
+      expectedRPID: config.webauthn.rpId,
+      credential: {
+        id: passkey.credentialId,
+        publicKey: isoBase64URL.toBuffer(passkey.publicKey),
+        counter: passkey.counter,
+        transports: passkey.transports
+      },
+      requireUserVerification: false
+    });
+  } catch (error) {
+    logger.warn(`Passkey authentication failed for ${user.email}: ${error.message}`);
+    throw new ApiError(401, 'Passkey could not be verified');
+  }
+
+  if (!verification.verified) {
+    throw new ApiError(401, 'Passkey could not be verified');
+  }
+
+  passkey.counter = verification.authenticationInfo.newCounter;
+  passkey.lastUsedAt = Date.now();
+  await user.save({ validateBeforeSave: false });
+
+  return {
+    user,
+    passkey,
+    userVerified: verification.authenticationInfo.userVerified
+  };
+};
+
+export {
+  createRegistrationOptions,
+  verifyRegistration,
+  createAuthenticationOptions,
+  verifyAuthentication
+};
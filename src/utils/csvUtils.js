@@ -0,0 +1,146 @@
+import { StringDecoder } from 'string_decoder';
+
+/**
+ * Longest record the parser accepts, so one malformed line cannot fill memory
+ */
+const MAX_RECORD_LENGTH = 64 * 1024;
+
+/**
+ * Split a stream into text, decoding UTF-8 across chunk boundaries
+ * @param {AsyncIterable<Buffer|String>} stream - Readable stream
+ * @returns {AsyncGenerator<String>} - Decoded text, without a leading byte order mark
+ */
+async function* decodeStream(stream) {
+  const decoder = new StringDecoder('utf8');
+  let first = true;
+
+  for await (const chunk of stream) {
+    let text = typeof chunk === 'string' ? chunk : decoder.write(chunk);
+    if (first && text.length > 0) {
+      text = text.replace(/^\uFEFF/, '');
+      first = false;
+    }
+    yield text;
+  }
+
+  yield decoder.end();
+}
+
+/**
+ * Read the lines of a stream
+ * Lines may end in \n or \r\n.
+ * @param {AsyncIterable<Buffer|String>} stream - Readable stream
+ * @returns {AsyncGenerator<String>} - Lines without their line break
+ * @throws {Error} - If a line is longer than MAX_RECORD_LENGTH
+ */
+async function* readLines(stream) {
+  let line = '';
+
+  for await (const text of decodeStream(stream)) {
+    const parts = (line + text).split('\n');
+    line = parts.pop();
+    for (const part of parts) {
+      yield part.replace(/\r$/, '');
+    }
+    if (line.length > MAX_RECORD_LENGTH) {
+      throw new Error(`Line is longer than ${MAX_RECORD_LENGTH} characters`);
+    }
+  }
+
+  if (line.length > 0) {
+    yield line.replace(/\r$/, '');
+  }
+}
+
+/**
+ * Parse CSV (RFC 4180) from a stream, one record at a time
+ * Quoted fields may contain commas, line breaks and doubled quotes. Blank
+ * lines are skipped.
+ * @param {AsyncIterable<Buffer|String>} stream - Readable stream
+ * @returns {AsyncGenerator<String[]>} - Fields of each record
+ * @throws {Error} - For an unterminated quoted field or an oversized record
+ */
+async function* parseCsv(stream) {
+  let record = [];
+  let field = '';
+  let length = 0;
+  let quoted = false;
+  // The field was quoted and its closing quote has been read
+  let closed = false;
+
+  for await (const text of decodeStream(stream)) {
+    for (const char of text) {
+      if (quoted) {
+        if (char === '"') {
+          quoted = false;
+          closed = true;
+        } else {
+          field += char;
+        }
+      } else if (char === '"' && closed) {
+        // A doubled quote inside a quoted field
+        field += char;
+        quoted = true;
+        closed = false;
+      } else if (char === '"' && field === '') {
+        quoted = true;
+      } else if (char === ',') {
+        record.push(field);
+        field = '';
+        closed = false;
+      } else if (char === '\n') {
+        record.push(field);
+        if (record.length > 1 || record[0] !== '') {
+          yield record;
+        }
+        record = [];
+        field = '';
+        length = 0;
+        closed = false;
+        continue;
+      } else if (char !== '\r') {
+        field += char;
+        closed = false;
+      }
+
+      if (++length > MAX_RECORD_LENGTH) {
+        throw new Error(`Record is longer than ${MAX_RECORD_LENGTH} characters`);
+      }
+    }
+  }
+
+  if (quoted) {
+    throw new Error('Unterminated quoted field');
+  }
+  record.push(field);
+  if (record.length > 1 || record[0] !== '') {
+    yield record;
+  }
+}
+
+/**
+ * Format one CSV record
+ * Fields are quoted where needed, and ones a spreadsheet would run as a
+ * formula are prefixed with an apostrophe.
+ * @param {Array} values - Field values; null and undefined become empty fields
+ * @returns {String} - CSV line ending in \r\n
+ */
+const formatCsvRow = (values) => {
+  const fields = values.map(value => {
+    let field = value === null || value === undefined
+      ? ''
+      : value instanceof Date ? value.toISOString() : String(value);
+    if (/^[=+\-@\t\r]/.test(field)) {
+      field = `'${field}`;
+    }
+    return /[",\r\n]/.test(field) ? `"${field.replace(/"/g, '""')}"` : field;
+  });
+  return `${fields.join(',')}\r\n`;
+};
+
+export {
+  MAX_RECORD_LENGTH,
+  readLines,
+  parseCsv,
+  formatCsvRow
+};
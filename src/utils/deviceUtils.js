@@ -0,0 +1,62 @@
+/**
+ * Utility functions for describing client devices
+ */
+
+// Longest label a session stores; labels from clients are cut to fit
+const MAX_LABEL_LENGTH = 100;
+
+// Checked in order: more specific names must come before the engines they embed
+const BROWSERS = [
+  ['Edge', /Edg(e|A|iOS)?\//],
+  ['Opera', /OPR\/|Opera/],
+  ['Chrome', /Chrome\/|CriOS\//],
+  ['Firefox', /Firefox\/|FxiOS\//],
+  ['Safari', /Safari\//]
+];
+
+const OPERATING_SYSTEMS = [
+  ['iOS', /iPhone|iPad|iPod/],
+  ['Android', /Android/],
+  ['Windows', /Windows/],
+  ['macOS', /Mac OS X|Macintosh/],
+  ['Linux', /Linux/]
+];
+
+/**
+ * Find the first matching name in a list of patterns
+ * @param {Array} patterns - List of [name, regex] pairs
+ * @param {String} userAgent - User agent string
+ * @returns {String|null} - Matching name or null
+ */
+const matchName = (patterns, userAgent) => {
+  const match = patterns.find(([, pattern]) => pattern.test(userAgent));
+  return match ? match[0] : null;
+};
+
+/**
+ * Build a human readable device label
+ * Every login route passes the client's label through here unchecked, so
+ * anything but a non-empty string is ignored and long labels are cut.
+ * @param {String} userAgent - User agent string
+ * @param {String} providedLabel - Label supplied by the client, preferred if present
+ * @returns {String} - Device label such as "Chrome on Windows"
+ */
+const getDeviceLabel = (userAgent, providedLabel) => {
+  const label = typeof providedLabel === 'string' ? providedLabel.trim() : '';
+  if (label) {
+    return label.slice(0, MAX_LABEL_LENGTH);
+  }
+  if (!userAgent) {
+    return 'Unknown device';
+  }
+
+  const browser = matchName(BROWSERS, userAgent);
+  const os = matchName(OPERATING_SYSTEMS, userAgent);
+
+  if (browser && os) {
+    return `${browser} on ${os}`;
+  }
+  return browser || os || 'Unknown device';
+};
+
+export { getDeviceLabel, MAX_LABEL_LENGTH };
@@ -1,6 +1,7 @@
 import crypto from 'crypto';
 import bcrypt from 'bcryptjs';
-import { logger } from './logger';
+import { config } from '../config/config.js';
+import { logger } from './logger.js';
 
 /**
  * Generate a secure random string
@@ -17,15 +18,86 @@ const generateRandomString = (length = 32) => {
   }
 };
 
+// Length of scrypt salts and derived keys in bytes
+const SCRYPT_SALT_LENGTH = 16;
+const SCRYPT_KEY_LENGTH = 64;
+
+/**
+ * Derive a key with scrypt
+ * @param {String} password - Plain text password
+ * @param {Buffer} salt - Random salt
+ * @param {Object} params - ln (log2 of N), r and p
+ * @returns {Promise<Buffer>} - Derived key
+ */
+const scrypt = (password, salt, { ln, r, p }) => new Promise((resolve, reject) => {
+  const N = 2 ** ln;
+  // Node refuses to use more than 32 MB unless told otherwise
+  const maxmem = 256 * N * r;
+  crypto.scrypt(password, salt, SCRYPT_KEY_LENGTH, { N, r, p, maxmem }, (error, key) => {
+    if (error) {
+      reject(error);
+    } else {
+      resolve(key);
+    }
+  });
+});
+
+/**
+ * Read the algorithm and parameters recorded in a password hash
+ * bcrypt hashes use their own modular crypt format ($2b$<cost>$...), scrypt
+ * hashes use the PHC string format ($scrypt$ln=15,r=8,p=1$<salt>$<key>).
+ * @param {String} hash - Stored password hash
+ * @returns {Object|null} - algorithm and params, or null if unrecognised
+ */
+const parsePasswordHash = (hash) => {
+  if (typeof hash !== 'string') {
+    return null;
+  }
+
+  const bcryptMatch = hash.match(/^\$2[abxy]\$(\d{2})\$/);
+  if (bcryptMatch) {
+    return { algorithm: 'bcrypt', params: { rounds: parseInt(bcryptMatch[1], 10) } };
+  }
+
+  const scryptMatch = hash.match(/^\$scrypt\$ln=(\d+),r=(\d+),p=(\d+)\$([A-Za-z0-9+/]+)\$([A-Za-z0-9+/]+)$/);
+  if (scryptMatch) {
+    const [, ln, r, p, salt, key] = scryptMatch;
+    return {
+      algorithm: 'scrypt',
+      params: { ln: parseInt(ln, 10), r: parseInt(r, 10), p: parseInt(p, 10) },
+      salt: Buffer.from(salt, 'base64'),
+      key: Buffer.from(key, 'base64')
+    };
+  }
+
+  return null;
+};
+
 /**
- * Hash a password using bcrypt
+ * Hash a password with the configured algorithm and parameters
  * @param {String} password - Plain text password
- * @param {Number} saltRounds - Number of salt rounds for bcrypt
- * @returns {Promise<String>} - Hashed password
+ * @param {Object} options - Hashing settings, defaults to config.passwordHashing
+ * @returns {Promise<String>} - Encoded password hash
  */
-const hashPassword = async (password, saltRounds = 12) => {
+const hashPassword = async (password, options = config.passwordHashing) => {
   try {
-    const salt = await bcrypt.genSalt(saltRounds);
+    if (options.algorithm === 'scrypt') {
+      const params = {
+        ln: options.scryptLogCost,
+        r: options.scryptBlockSize,
+        p: options.scryptParallelization
+      };
+      const salt = crypto.randomBytes(SCRYPT_SALT_LENGTH);
+      const key = await scrypt(password, salt, params);
+      // PHC strings use base64 without padding
+      const encode = (buffer) => buffer.toString('base64').replace(/=+$/, '');
+      return `$scrypt$ln=${params.ln},r=${params.r},p=${params.p}$${encode(salt)}$${encode(key)}`;
+    }
+
+    if (options.algorithm !== 'bcrypt') {
+      throw new Error(`Unsupported password hash algorithm: ${options.algorithm}`);
+    }
+    const salt = await bcrypt.genSalt(options.bcryptRounds);
     return await bcrypt.hash(password, salt);
   } catch (error) {
     logger.error('Error hashing password:', error);
@@ -34,13 +106,22 @@ const hashPassword = async (password, saltRounds = 12) => {
 };
 
 /**
- * Compare a password with a hash
+ * Compare a password with a hash made by any supported algorithm
  * @param {String} password - Plain text password
- * @param {String} hash - Hashed password
+ * @param {String} hash - Encoded password hash
  * @returns {Promise<Boolean>} - True if passwords match
  */
 const comparePassword = async (password, hash) => {
+  const parsed = parsePasswordHash(hash);
+  if (!parsed) {
+    return false;
+  }
+
   try {
+    if (parsed.algorithm === 'scrypt') {
+      const key = await scrypt(password, parsed.salt, parsed.params);
+      return key.length === parsed.key.length && crypto.timingSafeEqual(key, parsed.key);
+    }
     return await bcrypt.compare(password, hash);
   } catch (error) {
     logger.error('Error comparing password:', error);
@@ -48,6 +129,29 @@ const comparePassword = async (password, hash) => {
   }
 };
 
+/**
+ * Check whether a hash was made with other settings than the current ones
+ * @param {String} hash - Encoded password hash
+ * @param {Object} options - Hashing settings, defaults to config.passwordHashing
+ * @returns {Boolean} - True if the password should be hashed again
+ */
+const passwordNeedsRehash = (hash, options = config.passwordHashing) => {
+  const parsed = parsePasswordHash(hash);
+  if (!parsed) {
+    return false;
+  }
+  if (parsed.algorithm !== options.algorithm) {
+    return true;
+  }
+
+  if (parsed.algorithm === 'bcrypt') {
+    return parsed.params.rounds !== options.bcryptRounds;
+  }
+  return parsed.params.ln !== options.scryptLogCost ||
+    parsed.params.r !== options.scryptBlockSize ||
+    parsed.params.p !== options.scryptParallelization;
+};
+
 /**
  * Generate a hash of a string using SHA-256
  * @param {String} data - Data to hash
@@ -107,8 +211,10 @@ const generateResetToken = () => {
 
 export {
   generateRandomString,
+  parsePasswordHash,
   hashPassword,
   comparePassword,
+  passwordNeedsRehash,
   hashData,
   sanitizeInput,
   generateResetToken
@@ -1,17 +1,25 @@
 import jwt from 'jsonwebtoken';
-import { config } from '../config/config';
-import { logger } from './logger';
+import { config } from '../config/config.js';
+import { logger } from './logger.js';
+import { getSigningKey, getVerificationKey, isAsymmetric } from '../services/keyService.js';
 
 /**
  * Generate JWT token
+ * Signs with the active asymmetric key (RS256/ES256, `kid` in the header)
+ * or with the shared HS256 secret, depending on config.jwt.algorithm
  * @param {Object} payload - Data to be included in token
- * @param {String} secret - Secret key for signing token
- * @param {String|Number} expiresIn - Token expiration time
+ * @param {Object} options - jsonwebtoken sign options (expiresIn, jwtid, ...)
  * @returns {String} - JWT token
  */
-const generateToken = (payload, secret = config.jwt.secret, expiresIn = config.jwt.expiresIn) => {
+const generateToken = (payload, options = {}) => {
   try {
-    return jwt.sign(payload, secret, { expiresIn });
+    const signOptions = { expiresIn: config.jwt.expiresIn, ...options };
+    const key = getSigningKey();
+
+    if (key) {
+      return jwt.sign(payload, key.privateKey, { ...signOptions, algorithm: key.alg, keyid: key.kid });
+    }
+    return jwt.sign(payload, config.jwt.secret, { ...signOptions, algorithm: 'HS256' });
   } catch (error) {
     logger.error('Error generating token:', error);
     throw new Error('Error generating authentication token');
@@ -20,15 +28,35 @@ const generateToken = (payload, secret = config.jwt.secret, expiresIn = config.j
 
 /**
  * Verify JWT token
+ * Tokens with a `kid` are checked against the matching public key. Tokens
+ * without one are legacy HS256 tokens, accepted while HS256 is the signing
+ * algorithm or config.jwt.acceptLegacyHs256 is on.
  * @param {String} token - JWT token to verify
- * @param {String} secret - Secret key for verification
- * @returns {Object} - Decoded token payload
+ * @param {Object} options - jsonwebtoken verify options (audience, issuer, ...)
+ * @returns {Promise<Object>} - Decoded token payload
  */
-const verifyToken = (token, secret = config.jwt.secret) => {
+const verifyToken = async (token, options = {}) => {
   try {
-    return jwt.verify(token, secret);
+    const decoded = jwt.decode(token, { complete: true });
+    if (!decoded) {
+      throw new jwt.JsonWebTokenError('jwt malformed');
+    }
+
+    const { kid } = decoded.header;
+    if (kid) {
+      const key = await getVerificationKey(kid);
+      if (!key) {
+        throw new jwt.JsonWebTokenError('unknown signing key');
+      }
+      return jwt.verify(token, key.publicKey, { ...options, algorithms: [key.alg] });
+    }
+
+    if (isAsymmetric() && !config.jwt.acceptLegacyHs256) {
+      throw new jwt.JsonWebTokenError('legacy HS256 tokens are no longer accepted');
+    }
+    return jwt.verify(token, config.jwt.secret, { ...options, algorithms: ['HS256'] });
   } catch (error) {
-    logger.error('Token verification failed:', error.name);
+    logger.debug(`Token verification failed: ${error.name}`);
     throw error;
   }
 };
@@ -65,4 +93,4 @@ export {
   verifyToken,
   extractTokenFromHeader,
   decodeToken
-};
\ No newline at end of file
+};
@@ -0,0 +1,163 @@
+import crypto from 'crypto';
+
+/**
+ * RFC 6238 time-based one-time passwords (TOTP)
+ * Uses HMAC-SHA1, 30 second steps and 6 digits, which is what common
+ * authenticator apps expect.
+ */
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+
+/**
+ * Encode a buffer as RFC 4648 base32 without padding
+ * @param {Buffer} buffer - Data to encode
+ * @returns {String} - Base32 string
+ */
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+};
+
+/**
+ * Decode an RFC 4648 base32 string (padding and case are ignored)
+ * @param {String} input - Base32 string
+ * @returns {Buffer} - Decoded data
+ */
+const base32Decode = (input) => {
+  const cleaned = input.toUpperCase().replace(/=+$/, '').replace(/\s/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of cleaned) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('Invalid base32 character');
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+};
+
+/**
+ * Generate a new random TOTP secret
+ * @returns {String} - Base32 encoded 160-bit secret
+ */
+const generateTotpSecret = () => base32Encode(crypto.randomBytes(20));
+
+/**
+ * Get the time step for a timestamp
+ * @param {Number} timestamp - Time in milliseconds
+ * @returns {Number} - Time step counter
+ */
+const getTimeStep = (timestamp = Date.now()) => Math.floor(timestamp / 1000 / STEP_SECONDS);
+
+/**
+ * Generate the HOTP value for a counter (RFC 4226)
+ * @param {String} secret - Base32 encoded secret
+ * @param {Number} counter - Counter value
+ * @param {Number} digits - Number of digits in the code
+ * @returns {String} - Zero-padded one-time password
+ */
+const generateHotp = (secret, counter, digits = DIGITS) => {
+  const counterBuffer = Buffer.alloc(8);
+  counterBuffer.writeBigUInt64BE(BigInt(counter));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counterBuffer).digest();
+
+  // Dynamic truncation
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const binary = ((hmac[offset] & 0x7f) << 24)
+    | (hmac[offset + 1] << 16)
+    | (hmac[offset + 2] << 8)
+    | hmac[offset + 3];
+
+  return String(binary % 10 ** digits).padStart(digits, '0');
+};
+
+/**
+ * Generate the TOTP code for a point in time
+ * @param {String} secret - Base32 encoded secret
+ * @param {Number} timestamp - Time in milliseconds
+ * @param {Number} digits - Number of digits in the code
+ * @returns {String} - One-time password
+ */
+const generateTotp = (secret, timestamp = Date.now(), digits = DIGITS) => {
+  return generateHotp(secret, getTimeStep(timestamp), digits);
+};
+
+/**
+ * Verify a TOTP code, allowing for clock drift
+ * @param {String} secret - Base32 encoded secret
+ * @param {String} code - Code entered by the user
+ * @param {Number} window - Number of steps accepted before and after now
+ * @param {Number} timestamp - Time in milliseconds
+ * @returns {Number|null} - Matching time step, or null if the code is invalid
+ */
+const verifyTotp = (secret, code, window = 1, timestamp = Date.now()) => {
+  if (typeof code !== 'string' || !/^\d{6}$/.test(code)) {
+    return null;
+  }
+
+  const currentStep = getTimeStep(timestamp);
+  for (let step = currentStep - window; step <= currentStep + window; step++) {
+    const expected = generateHotp(secret, step);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(code))) {
+      return step;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Build an otpauth:// URI for authenticator apps
+ * @param {String} secret - Base32 encoded secret
+ * @param {String} accountName - Account shown in the app (usually the email)
+ * @param {String} issuer - Service name shown in the app
+ * @returns {String} - otpauth URI
+ */
+const buildOtpauthUri = (secret, accountName, issuer) => {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(DIGITS),
+    period: String(STEP_SECONDS)
+  });
+
+  return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+export {
+  base32Encode,
+  base32Decode,
+  generateTotpSecret,
+  generateTotp,
+  verifyTotp,
+  buildOtpauthUri
+};
@@ -0,0 +1,84 @@
+import { body, param, query } from 'express-validator';
+import { validate } from './authValidator.js';
+import { API_KEY_SCOPES } from '../services/apiKeyService.js';
+
+/**
+ * Validation rules shared by key creation and updates
+ */
+const apiKeyFieldsValidation = [
+  body('scopes')
+    .optional()
+    .isArray()
+    .withMessage('Scopes must be an array'),
+  
+  body('scopes.*')
+    .isIn(API_KEY_SCOPES)
+    .withMessage(`Scope must be one of: ${API_KEY_SCOPES.join(', ')}`),
+  
+  body('expiresAt')
+    .optional({ values: 'null' })
+    .isISO8601()
+    .withMessage('Expiry must be an ISO 8601 date')
+    .custom(value => new Date(value).getTime() > Date.now())
+    .withMessage('Expiry must be in the future')
+];
+
+/**
+ * Validation rules for creating an API key
+ */
+const createApiKeyValidation = [
+  body('name')
+    .trim()
+    .notEmpty()
+    .withMessage('Name is required')
+    .isLength({ max: 100 })
+    .withMessage('Name cannot be more than 100 characters'),
+  
+  body('user')
+    .isMongoId()
+    .withMessage('Invalid user ID format'),
+  
+  ...apiKeyFieldsValidation
+];
+
+/**
+ * Validation rules for listing API keys
+ */
+const listApiKeysValidation = [
+  query('user')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid user ID format')
+];
+
+/**
+ * Validation rules for routes that take an API key ID
+ */
+const apiKeyIdValidation = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid API key ID format')
+];
+
+/**
+ * Validation rules for updating an API key
+ */
+const updateApiKeyValidation = [
+  ...apiKeyIdValidation,
+  
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Name must be between 1 and 100 characters'),
+  
+  ...apiKeyFieldsValidation
+];
+
+export {
+  createApiKeyValidation,
+  listApiKeysValidation,
+  apiKeyIdValidation,
+  updateApiKeyValidation,
+  validate
+};
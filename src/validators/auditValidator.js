@@ -0,0 +1,52 @@
+import { query } from 'express-validator';
+import { validate } from './authValidator.js';
+
+/**
+ * Validation rules for listing audit events
+ */
+const listAuditEventsValidation = [
+  query('action')
+    .optional()
+    .matches(/^[a-z_]+\.[a-z_]+$/)
+    .withMessage('Invalid action'),
+  
+  query('outcome')
+    .optional()
+    .isIn(['success', 'failure'])
+    .withMessage('Outcome must be either success or failure'),
+  
+  query('actor')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid actor ID format'),
+  
+  query('target')
+    .optional()
+    .isLength({ max: 100 })
+    .withMessage('Invalid target ID'),
+  
+  query('targetType')
+    .optional()
+    .isAlpha()
+    .withMessage('Invalid target type'),
+  
+  query(['from', 'to'])
+    .optional()
+    .isISO8601()
+    .withMessage('Dates must be in ISO 8601 format'),
+  
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+  
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100')
+];
+
+export {
+  listAuditEventsValidation,
+  validate
+};
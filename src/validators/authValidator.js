@@ -1,4 +1,4 @@
-import { body, validationResult } from 'express-validator';
+import { body, param, validationResult } from 'express-validator';
 import { ApiError } from '../middleware/errorHandler.js';
 
 /**
@@ -21,11 +21,11 @@ const validate = (validations) => {
 
     // Format validation errors
     const extractedErrors = errors.array().map(err => {
-      return { [err.param]: err.msg };
+      return { [err.path]: err.msg };
     });
 
     // Return validation errors
-    return next(new ApiError(400, 'Validation Error', extractedErrors));
+    return next(new ApiError(400, 'Validation Error', { details: extractedErrors }));
   };
 };
 
@@ -52,10 +52,6 @@ const registerValidation = [
     .trim()
     .notEmpty()
     .withMessage('Password is required')
-    .isLength({ min: 8 })
-    .withMessage('Password must be at least 8 characters')
-    .matches(/^(?=.*\d)(?=.*[a-z])(?=.*[A-Z])(?=.*[!@#$%^&*])/)
-    .withMessage('Password must contain at least one uppercase letter, one lowercase letter, one number, and one special character')
 ];
 
 /**
@@ -73,7 +69,78 @@ const loginValidation = [
   body('password')
     .trim()
     .notEmpty()
-    .withMessage('Password is required')
+    .withMessage('Password is required'),
+  
+  body('deviceName')
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Device name cannot be more than 100 characters')
+];
+
+/**
+ * Validation rules for refreshing tokens
+ */
+const refreshTokenValidation = [
+  body('refreshToken')
+    .trim()
+    .notEmpty()
+    .withMessage('Refresh token is required')
+];
+
+/**
+ * Validation rules for verifying an email address
+ */
+const verifyEmailValidation = [
+  param('token')
+    .isHexadecimal()
+    .withMessage('Invalid verification token')
+];
+
+/**
+ * Validation rules for resending the verification email
+ */
+const resendVerificationValidation = [
+  body('email')
+    .trim()
+    .notEmpty()
+    .withMessage('Email is required')
+    .isEmail()
+    .withMessage('Please provide a valid email')
+    .normalizeEmail()
+];
+
+/**
+ * Validation rules for requesting a magic login link
+ */
+const magicLinkValidation = [
+  body('email')
+    .trim()
+    .notEmpty()
+    .withMessage('Email is required')
+    .isEmail()
+    .withMessage('Please provide a valid email')
+    .normalizeEmail(),
+  
+  body('bindToBrowser')
+    .optional()
+    .isBoolean()
+    .withMessage('bindToBrowser must be a boolean value')
+    .toBoolean()
+];
+
+/**
+ * Validation rules for logging in with a magic link
+ */
+const consumeMagicLinkValidation = [
+  body('token')
+    .isHexadecimal()
+    .withMessage('Invalid login link'),
+  
+  body('browserKey')
+    .optional()
+    .isHexadecimal()
+    .withMessage('Invalid browser key')
 ];
 
 /**
@@ -97,10 +164,6 @@ const resetPasswordValidation = [
     .trim()
     .notEmpty()
     .withMessage('Password is required')
-    .isLength({ min: 8 })
-    .withMessage('Password must be at least 8 characters')
-    .matches(/^(?=.*\d)(?=.*[a-z])(?=.*[A-Z])(?=.*[!@#$%^&*])/)
-    .withMessage('Password must contain at least one uppercase letter, one lowercase letter, one number, and one special character')
 ];
 
 /**
@@ -116,10 +179,6 @@ const updatePasswordValidation = [
     .trim()
     .notEmpty()
     .withMessage('New password is required')
-    .isLength({ min: 8 })
-    .withMessage('New password must be at least 8 characters')
-    .matches(/^(?=.*\d)(?=.*[a-z])(?=.*[A-Z])(?=.*[!@#$%^&*])/)
-    .withMessage('New password must contain at least one uppercase letter, one lowercase letter, one number, and one special character')
     .custom((value, { req }) => {
       if (value === req.body.currentPassword) {
         throw new Error('New password cannot be the same as current password');
@@ -128,11 +187,27 @@ const updatePasswordValidation = [
     })
 ];
 
+/**
+ * Validation rules for changing an expired password
+ */
+const changeExpiredPasswordValidation = [
+  body('newPassword')
+    .trim()
+    .notEmpty()
+    .withMessage('New password is required')
+];
+
 export {
   validate,
   registerValidation,
   loginValidation,
+  refreshTokenValidation,
+  verifyEmailValidation,
+  resendVerificationValidation,
+  magicLinkValidation,
+  consumeMagicLinkValidation,
   forgotPasswordValidation,
   resetPasswordValidation,
-  updatePasswordValidation
+  updatePasswordValidation,
+  changeExpiredPasswordValidation
 };
\ No newline at end of file
@@ -0,0 +1,77 @@
+import { body, param, query } from 'express-validator';
+import { validate } from './authValidator.js';
+import { ROLE_NAME_PATTERN } from './roleValidator.js';
+
+/**
+ * Validation rules for inviting a user
+ */
+const createInvitationValidation = [
+  body('email')
+    .trim()
+    .notEmpty()
+    .withMessage('Email is required')
+    .isEmail()
+    .withMessage('Please provide a valid email')
+    .normalizeEmail(),
+  
+  // The invitee can choose their name when they accept
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ min: 2, max: 50 })
+    .withMessage('Name must be between 2 and 50 characters'),
+  
+  body('role')
+    .optional()
+    .trim()
+    .toLowerCase()
+    .matches(ROLE_NAME_PATTERN)
+    .withMessage('Invalid role name')
+];
+
+/**
+ * Validation rules for listing invitations
+ */
+const listInvitationsValidation = [
+  query('status')
+    .optional()
+    .isIn(['pending', 'accepted'])
+    .withMessage('Status must be either pending or accepted')
+];
+
+/**
+ * Validation rules for routes that take an invitation ID
+ */
+const invitationIdValidation = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid invitation ID format')
+];
+
+/**
+ * Validation rules for accepting an invitation
+ */
+const acceptInvitationValidation = [
+  body('token')
+    .isHexadecimal()
+    .withMessage('Invalid invitation link'),
+  
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ min: 2, max: 50 })
+    .withMessage('Name must be between 2 and 50 characters'),
+  
+  body('password')
+    .trim()
+    .notEmpty()
+    .withMessage('Password is required')
+];
+
+export {
+  createInvitationValidation,
+  listInvitationsValidation,
+  invitationIdValidation,
+  acceptInvitationValidation,
+  validate
+};
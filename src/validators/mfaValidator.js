@@ -0,0 +1,73 @@
+import { body, param } from 'express-validator';
+import { validate } from './authValidator.js';
+
+/**
+ * Validation rules for endpoints that take a TOTP code
+ */
+const totpCodeValidation = [
+  body('code')
+    .trim()
+    .notEmpty()
+    .withMessage('Verification code is required')
+    .matches(/^\d{6}$/)
+    .withMessage('Verification code must be 6 digits')
+];
+
+/**
+ * Validation rules for answering an MFA challenge
+ */
+const mfaChallengeValidation = [
+  body('mfaToken')
+    .trim()
+    .notEmpty()
+    .withMessage('MFA token is required'),
+  
+  body('code')
+    .optional()
+    .trim()
+    .matches(/^\d{6}$/)
+    .withMessage('Verification code must be 6 digits'),
+  
+  body('recoveryCode')
+    .optional()
+    .trim()
+    .notEmpty()
+    .withMessage('Recovery code cannot be empty'),
+  
+  body()
+    .custom(value => {
+      if (!value.code && !value.recoveryCode) {
+        throw new Error('Provide either a verification code or a recovery code');
+      }
+      return true;
+    })
+];
+
+/**
+ * Validation rules for disabling MFA
+ */
+const disableMfaValidation = [
+  body('password')
+    .trim()
+    .notEmpty()
+    .withMessage('Password is required'),
+  
+  ...totpCodeValidation
+];
+
+/**
+ * Validation rules for resetting a user's MFA (admin)
+ */
+const resetMfaValidation = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid user ID format')
+];
+
+export {
+  totpCodeValidation,
+  mfaChallengeValidation,
+  disableMfaValidation,
+  resetMfaValidation,
+  validate
+};
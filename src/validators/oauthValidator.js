@@ -0,0 +1,98 @@
+import { body, param, query } from 'express-validator';
+import { validate } from './authValidator.js';
+
+/**
+ * Validation rules for an authorization request
+ * Only client_id is checked here; the other parameters are reported to the
+ * client through its redirect URI.
+ */
+const authorizeValidation = [
+  query('client_id')
+    .notEmpty()
+    .withMessage('client_id is required')
+];
+
+/**
+ * Validation rules shared by client registration and updates
+ */
+const clientFieldsValidation = [
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage('Name must be between 2 and 100 characters'),
+  
+  body('tokenEndpointAuthMethod')
+    .optional()
+    .isIn(['client_secret_basic', 'client_secret_post', 'none'])
+    .withMessage('Invalid token endpoint auth method'),
+  
+  body('redirectUris')
+    .optional()
+    .isArray()
+    .withMessage('Redirect URIs must be an array'),
+  
+  body('redirectUris.*')
+    .isURL({ require_tld: false, require_protocol: true, protocols: ['http', 'https'] })
+    .withMessage('Each redirect URI must be an absolute http(s) URL'),
+  
+  body('grantTypes')
+    .optional()
+    .isArray({ min: 1 })
+    .withMessage('Grant types must be a non-empty array'),
+  
+  body('grantTypes.*')
+    .isIn(['authorization_code', 'client_credentials'])
+    .withMessage('Grant type must be authorization_code or client_credentials'),
+  
+  body('scopes')
+    .optional()
+    .isArray()
+    .withMessage('Scopes must be an array'),
+  
+  body('scopes.*')
+    .matches(/^[\x21\x23-\x5B\x5D-\x7E]+$/)
+    .withMessage('Invalid scope'),
+  
+  body('isActive')
+    .optional()
+    .isBoolean()
+    .withMessage('isActive must be a boolean')
+];
+
+/**
+ * Validation rules for registering a client
+ */
+const createClientValidation = [
+  body('name')
+    .trim()
+    .notEmpty()
+    .withMessage('Name is required'),
+  
+  ...clientFieldsValidation
+];
+
+/**
+ * Validation rules for routes that take a client ID
+ */
+const clientIdValidation = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid client ID format')
+];
+
+/**
+ * Validation rules for updating a client
+ */
+const updateClientValidation = [
+  ...clientIdValidation,
+  ...clientFieldsValidation
+];
+
+export {
+  authorizeValidation,
+  createClientValidation,
+  updateClientValidation,
+  clientIdValidation,
+  validate
+};
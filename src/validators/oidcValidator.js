@@ -0,0 +1,44 @@
+import { param, query } from 'express-validator';
+import { validate } from './authValidator.js';
+
+/**
+ * Validation rules for starting an OpenID Connect flow
+ */
+const oidcProviderValidation = [
+  param('provider')
+    .matches(/^[a-z0-9_-]+$/i)
+    .withMessage('Invalid provider name')
+];
+
+/**
+ * Validation rules for the provider callback
+ * Providers report failures with an error parameter instead of a code.
+ */
+const oidcCallbackValidation = [
+  ...oidcProviderValidation,
+
+  query('state')
+    .notEmpty()
+    .withMessage('State is required'),
+
+  query('code')
+    .if(query('error').not().exists())
+    .notEmpty()
+    .withMessage('Authorization code is required')
+];
+
+/**
+ * Validation rules for unlinking an identity
+ */
+const identityIdValidation = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid identity ID format')
+];
+
+export {
+  oidcProviderValidation,
+  oidcCallbackValidation,
+  identityIdValidation,
+  validate
+};
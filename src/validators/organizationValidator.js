@@ -0,0 +1,94 @@
+import { body, param } from 'express-validator';
+import { validate } from './authValidator.js';
+import { ROLE_NAME_PATTERN } from './roleValidator.js';
+
+/**
+ * Validation rules for creating an organization
+ */
+const createOrganizationValidation = [
+  body('name')
+    .trim()
+    .notEmpty()
+    .withMessage('Name is required')
+    .isLength({ max: 100 })
+    .withMessage('Name cannot be more than 100 characters'),
+  
+  body('slug')
+    .optional()
+    .trim()
+    .toLowerCase()
+    .matches(/^[a-z0-9][a-z0-9-]{1,49}$/)
+    .withMessage('Slug must be 2-50 characters: letters, numbers and -')
+];
+
+/**
+ * Validation rules for routes that take an organization ID
+ */
+const organizationIdValidation = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid organization ID format')
+];
+
+/**
+ * Validation rules for updating an organization
+ */
+const updateOrganizationValidation = [
+  ...organizationIdValidation,
+  
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Name must be between 1 and 100 characters'),
+  
+  body('isActive')
+    .optional()
+    .isBoolean()
+    .withMessage('isActive must be a boolean value')
+];
+
+/**
+ * Validation rules for routes that take an organization and a user ID
+ */
+const memberValidation = [
+  ...organizationIdValidation,
+  
+  param('userId')
+    .isMongoId()
+    .withMessage('Invalid user ID format')
+];
+
+/**
+ * Validation rules for adding a member or changing their role
+ */
+const setMemberValidation = [
+  ...memberValidation,
+  
+  body('role')
+    .optional()
+    .trim()
+    .toLowerCase()
+    .matches(ROLE_NAME_PATTERN)
+    .withMessage('Invalid role name')
+];
+
+/**
+ * Validation rules for switching organization
+ */
+const switchOrganizationValidation = [
+  body('organization')
+    .optional({ values: 'null' })
+    .isMongoId()
+    .withMessage('Invalid organization ID format')
+];
+
+export {
+  createOrganizationValidation,
+  organizationIdValidation,
+  updateOrganizationValidation,
+  memberValidation,
+  setMemberValidation,
+  switchOrganizationValidation,
+  validate
+};
@@ -0,0 +1,66 @@
+import { body, param } from 'express-validator';
+import { validate } from './authValidator.js';
+import { PERMISSIONS } from '../services/roleService.js';
+
+/**
+ * Role names: lowercase letters, numbers, - and _
+ */
+const ROLE_NAME_PATTERN = /^[a-z][a-z0-9_-]{1,29}$/;
+
+/**
+ * Validation rules shared by role creation and updates
+ */
+const roleFieldsValidation = [
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Description cannot be more than 200 characters'),
+  
+  body('permissions')
+    .optional()
+    .isArray()
+    .withMessage('Permissions must be an array'),
+  
+  body('permissions.*')
+    .isIn(PERMISSIONS)
+    .withMessage(`Permission must be one of: ${PERMISSIONS.join(', ')}`)
+];
+
+/**
+ * Validation rules for creating a role
+ */
+const createRoleValidation = [
+  body('name')
+    .trim()
+    .toLowerCase()
+    .matches(ROLE_NAME_PATTERN)
+    .withMessage('Role name must be 2-30 characters: letters, numbers, - and _'),
+  
+  ...roleFieldsValidation
+];
+
+/**
+ * Validation rules for routes that take a role ID
+ */
+const roleIdValidation = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid role ID format')
+];
+
+/**
+ * Validation rules for updating a role
+ */
+const updateRoleValidation = [
+  ...roleIdValidation,
+  ...roleFieldsValidation
+];
+
+export {
+  ROLE_NAME_PATTERN,
+  createRoleValidation,
+  roleIdValidation,
+  updateRoleValidation,
+  validate
+};
@@ -0,0 +1,40 @@
+import { param } from 'express-validator';
+import { validate } from './authValidator.js';
+
+/**
+ * Validation rules for revoking one of your own sessions
+ */
+const sessionIdValidation = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid session ID format')
+];
+
+/**
+ * Validation rules for listing a user's sessions (admin)
+ */
+const userSessionsValidation = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid user ID format')
+];
+
+/**
+ * Validation rules for revoking a user's session (admin)
+ */
+const userSessionValidation = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid user ID format'),
+  
+  param('sessionId')
+    .isMongoId()
+    .withMessage('Invalid session ID format')
+];
+
+export {
+  sessionIdValidation,
+  userSessionsValidation,
+  userSessionValidation,
+  validate
+};
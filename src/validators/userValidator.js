@@ -1,5 +1,124 @@
-import { body, param } from 'express-validator';
+import { body, param, query } from 'express-validator';
 import { validate } from './authValidator.js';
+import { ROLE_NAME_PATTERN } from './roleValidator.js';
+import { USER_SORT_FIELDS, decodeCursor } from '../services/userSearchService.js';
+
+/**
+ * Formats users can be imported from and exported to
+ */
+const USER_FILE_FORMATS = ['csv', 'ndjson'];
+
+/**
+ * What an import does with a row whose email already belongs to a user
+ * - fail: report the row as failed (the default, like POST /api/users)
+ * - skip: leave the user as it is
+ * - update: set the name and role of the user; passwords are never changed
+ */
+const CONFLICT_STRATEGIES = ['fail', 'skip', 'update'];
+
+/**
+ * Validation rules for the user search and filters, shared by list and export
+ */
+const userFilterValidation = [
+  query('q')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Search must be between 1 and 100 characters'),
+  
+  query('role')
+    .optional()
+    .trim()
+    .toLowerCase()
+    .matches(ROLE_NAME_PATTERN)
+    .withMessage('Invalid role name'),
+  
+  query('isActive')
+    .optional()
+    .isBoolean()
+    .withMessage('isActive must be a boolean value')
+    .toBoolean(),
+  
+  // List deleted users, which can be restored, instead of active accounts
+  query('deleted')
+    .optional()
+    .isBoolean()
+    .withMessage('deleted must be a boolean value')
+    .toBoolean(),
+  
+  query(['createdFrom', 'createdTo', 'lastLoginFrom', 'lastLoginTo'])
+    .optional()
+    .isISO8601()
+    .withMessage('Dates must be in ISO 8601 format')
+    .toDate(),
+  
+  query('sort')
+    .optional()
+    .isIn(USER_SORT_FIELDS.flatMap(field => [field, `-${field}`]))
+    .withMessage(`Sort must be one of: ${USER_SORT_FIELDS.join(', ')} (prefix with - for descending)`)
+];
+
+/**
+ * Validation rules for listing and searching users (admin)
+ */
+const listUsersValidation = [
+  ...userFilterValidation,
+  
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100'),
+  
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+  
+  // Keyset pagination: pass the nextCursor of the previous page instead of page
+  query('cursor')
+    .optional()
+    .custom((value, { req }) => {
+      if (req.query.page) {
+        throw new Error('Use either page or cursor');
+      }
+      decodeCursor(value);
+      return true;
+    })
+];
+
+/**
+ * Validation rules for exporting users (admin)
+ */
+const exportUsersValidation = [
+  ...userFilterValidation,
+  
+  query('format')
+    .optional()
+    .isIn(USER_FILE_FORMATS)
+    .withMessage(`Format must be one of: ${USER_FILE_FORMATS.join(', ')}`)
+];
+
+/**
+ * Validation rules for importing users (admin)
+ * The rows themselves are checked with createUserValidation as they are read.
+ */
+const importUsersValidation = [
+  query('format')
+    .optional()
+    .isIn(USER_FILE_FORMATS)
+    .withMessage(`Format must be one of: ${USER_FILE_FORMATS.join(', ')}`),
+  
+  query('dryRun')
+    .optional()
+    .isBoolean()
+    .withMessage('dryRun must be a boolean value')
+    .toBoolean(),
+  
+  query('onConflict')
+    .optional()
+    .isIn(CONFLICT_STRATEGIES)
+    .withMessage(`onConflict must be one of: ${CONFLICT_STRATEGIES.join(', ')}`)
+];
 
 /**
  * Validation rules for creating a user (admin)
@@ -20,19 +139,24 @@ const createUserValidation = [
     .withMessage('Please provide a valid email')
     .normalizeEmail(),
   
+  body('accountType')
+    .optional()
+    .isIn(['user', 'service'])
+    .withMessage('Account type must be either user or service'),
+  
+  // Service accounts authenticate with API keys only
   body('password')
+    .if(body('accountType').not().equals('service'))
     .trim()
     .notEmpty()
-    .withMessage('Password is required')
-    .isLength({ min: 8 })
-    .withMessage('Password must be at least 8 characters')
-    .matches(/^(?=.*\d)(?=.*[a-z])(?=.*[A-Z])(?=.*[!@#$%^&*])/)
-    .withMessage('Password must contain at least one uppercase letter, one lowercase letter, one number, and one special character'),
+    .withMessage('Password is required'),
   
   body('role')
     .optional()
-    .isIn(['user', 'admin'])
-    .withMessage('Role must be either user or admin')
+    .trim()
+    .toLowerCase()
+    .matches(ROLE_NAME_PATTERN)
+    .withMessage('Invalid role name')
 ];
 
 /**
@@ -58,8 +182,10 @@ const updateUserValidation = [
   
   body('role')
     .optional()
-    .isIn(['user', 'admin'])
-    .withMessage('Role must be either user or admin'),
+    .trim()
+    .toLowerCase()
+    .matches(ROLE_NAME_PATTERN)
+    .withMessage('Invalid role name'),
   
   body('isActive')
     .optional()
@@ -85,6 +211,15 @@ const updateProfileValidation = [
     .normalizeEmail()
 ];
 
+/**
+ * Validation rules for requesting deletion of one's own account
+ */
+const deletionRequestValidation = [
+  body('password')
+    .notEmpty()
+    .withMessage('Password is required')
+];
+
 /**
  * Validation rules for getting a user by ID
  */
@@ -94,10 +229,49 @@ const getUserByIdValidation = [
     .withMessage('Invalid user ID format')
 ];
 
+/**
+ * Validation rules for impersonating a user (admin)
+ */
+const impersonateUserValidation = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid user ID format'),
+  
+  // Such as the support ticket; recorded in the audit log
+  body('reason')
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Reason cannot be more than 200 characters')
+];
+
+/**
+ * Validation rules for assigning a role (admin)
+ */
+const assignRoleValidation = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid user ID format'),
+  
+  body('role')
+    .trim()
+    .toLowerCase()
+    .matches(ROLE_NAME_PATTERN)
+    .withMessage('Invalid role name')
+];
+
 export {
+  USER_FILE_FORMATS,
+  CONFLICT_STRATEGIES,
+  listUsersValidation,
+  exportUsersValidation,
+  importUsersValidation,
   createUserValidation,
   updateUserValidation,
   updateProfileValidation,
+  deletionRequestValidation,
   getUserByIdValidation,
+  impersonateUserValidation,
+  assignRoleValidation,
   validate
 };
\ No newline at end of file
@@ -0,0 +1,76 @@
+import { body, param } from 'express-validator';
+import { validate } from './authValidator.js';
+
+/**
+ * Validation rules for the credential sent to a verify endpoint
+ */
+const credentialResponseValidation = [
+  body('response')
+    .isObject()
+    .withMessage('WebAuthn response is required'),
+  
+  body('response.id')
+    .isBase64({ urlSafe: true })
+    .withMessage('Invalid credential ID'),
+  
+  body('response.response.clientDataJSON')
+    .isBase64({ urlSafe: true })
+    .withMessage('Invalid client data')
+];
+
+/**
+ * Validation rules for verifying a passkey registration
+ */
+const registrationVerifyValidation = [
+  ...credentialResponseValidation,
+  
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Name must be between 1 and 50 characters')
+];
+
+/**
+ * Validation rules for renaming a passkey
+ */
+const renamePasskeyValidation = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid passkey ID format'),
+  
+  body('name')
+    .trim()
+    .notEmpty()
+    .withMessage('Name is required')
+    .isLength({ max: 50 })
+    .withMessage('Name cannot be more than 50 characters')
+];
+
+/**
+ * Validation rules for deleting a passkey
+ */
+const passkeyIdValidation = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid passkey ID format')
+];
+
+/**
+ * Validation rules for turning password login on or off
+ */
+const passwordLoginValidation = [
+  body('enabled')
+    .isBoolean()
+    .withMessage('enabled must be a boolean value')
+    .toBoolean()
+];
+
+export {
+  credentialResponseValidation,
+  registrationVerifyValidation,
+  renamePasskeyValidation,
+  passkeyIdValidation,
+  passwordLoginValidation,
+  validate
+};
@@ -0,0 +1,156 @@
+import request from 'supertest';
+import mongoose from 'mongoose';
+import { app, server } from '../src/server.js';
+import User from '../src/models/userModel.js';
+import AuditEvent from '../src/models/auditEventModel.js';
+import { config } from '../src/config/config.js';
+import { getSentMail, clearSentMail } from '../src/services/mail/mailService.js';
+import { processDeletionRequests, findDeletedUser } from '../src/services/accountDeletionService.js';
+
+let user;
+let userToken;
+
+// Connect to test database before tests
+beforeAll(async () => {
+  await mongoose.connect(config.mongoUri + '-test');
+  await Promise.all([User.deleteMany({}), AuditEvent.deleteMany({})]);
+
+  user = await User.create({
+    name: 'Data Subject',
+    email: 'subject@example.com',
+    password: 'Subject@123456'
+  });
+  userToken = user.generateAuthToken();
+});
+
+// Close database connection after tests
+afterAll(async () => {
+  await mongoose.connection.close();
+  server.close();
+});
+
+describe('Personal data export', () => {
+  it('should return the profile, login history and audit events of the user', async () => {
+    await request(app)
+      .post('/api/auth/login')
+      .send({ email: 'subject@example.com', password: 'Wrong@123456' });
+    await request(app)
+      .post('/api/auth/login')
+      .send({ email: 'subject@example.com', password: 'Subject@123456' });
+    await request(app)
+      .put('/api/users/profile')
+      .set('Authorization', `Bearer ${userToken}`)
+      .send({ name: 'Renamed Subject' });
+
+    const res = await request(app)
+      .get('/api/users/me/export')
+      .set('Authorization', `Bearer ${userToken}`);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.headers['content-disposition']).toContain('account-data.json');
+    expect(res.body.profile).toMatchObject({ email: 'subject@example.com', name: 'Renamed Subject' });
+    expect(res.body.profile).not.toHaveProperty('password');
+    expect(res.body.loginHistory.map(event => event.outcome)).toEqual(['failure', 'success']);
+    expect(res.body.sessions).toHaveLength(1);
+    expect(res.body.auditEvents.find(event => event.action === 'user.update').changes).toEqual([
+      { field: 'name', before: 'Data Subject', after: 'Renamed Subject' }
+    ]);
+
+    expect(await AuditEvent.exists({ action: 'user.data_export', 'target.id': user._id.toString() })).not.toBeNull();
+  });
+});
+
+describe('Self-service account deletion', () => {
+  it('should require the password', async () => {
+    const res = await request(app)
+      .post('/api/users/me/deletion')
+      .set('Authorization', `Bearer ${userToken}`)
+      .send({ password: 'Wrong@123456' });
+
+    expect(res.statusCode).toBe(401);
+    expect((await User.findById(user._id)).deletionRequest.scheduledFor).toBeUndefined();
+  });
+
+  it('should schedule the deletion after the cooling-off period and email the user', async () => {
+    clearSentMail();
+
+    const res = await request(app)
+      .post('/api/users/me/deletion')
+      .set('Authorization', `Bearer ${userToken}`)
+      .send({ password: 'Subject@123456' });
+
+    expect(res.statusCode).toBe(202);
+    const { requestedAt, scheduledFor } = res.body.data.deletionRequest;
+    expect(new Date(scheduledFor) - new Date(requestedAt))
+      .toBe(config.accountDeletion.coolingOffDays * 24 * 60 * 60 * 1000);
+    expect(getSentMail()[0].subject).toBe('Your account will be deleted');
+
+    const me = await request(app)
+      .get('/api/auth/me')
+      .set('Authorization', `Bearer ${userToken}`);
+    expect(me.body.data.user.deletionScheduledFor).toBe(scheduledFor);
+
+    const again = await request(app)
+      .post('/api/users/me/deletion')
+      .set('Authorization', `Bearer ${userToken}`)
+      .send({ password: 'Subject@123456' });
+    expect(again.statusCode).toBe(409);
+
+    // Nothing happens before the cooling-off period is over
+    expect(await processDeletionRequests()).toBe(0);
+  });
+
+  it('should let the user cancel during the cooling-off period', async () => {
+    const res = await request(app)
+      .delete('/api/users/me/deletion')
+      .set('Authorization', `Bearer ${userToken}`);
+
+    expect(res.statusCode).toBe(200);
+    expect((await User.findById(user._id)).deletionRequest.scheduledFor).toBeUndefined();
+
+    const again = await request(app)
+      .delete('/api/users/me/deletion')
+      .set('Authorization', `Bearer ${userToken}`);
+    expect(again.statusCode).toBe(404);
+  });
+
+  it('should erase the account once the cooling-off period is over', async () => {
+    await User.updateOne({ _id: user._id }, {
+      deletionRequest: { requestedAt: new Date(Date.now() - 1000), scheduledFor: new Date(Date.now() - 1) }
+    });
+
+    expect(await processDeletionRequests()).toBe(1);
+    expect(await User.findById(user._id).setOptions({ withDeleted: true })).toBeNull();
+
+    const event = await AuditEvent.findOne({ action: 'user.erase' });
+    expect(event.target.id).toBe(user._id.toString());
+    expect(event.target.label).toBeUndefined();
+  });
+
+  it('should anonymize the account instead when configured to', async () => {
+    const { selfServiceMode } = config.accountDeletion;
+    config.accountDeletion.selfServiceMode = 'anonymize';
+
+    try {
+      const anonymous = await User.create({
+        name: 'Anonymous Subject',
+        email: 'anonymous@example.com',
+        password: 'Subject@123456',
+        deletionRequest: { requestedAt: new Date(Date.now() - 1000), scheduledFor: new Date(Date.now() - 1) }
+      });
+
+      expect(await processDeletionRequests()).toBe(1);
+
+      const stored = await User.findById(anonymous._id).select('+password').setOptions({ withDeleted: true });
+      expect(stored.name).toBe('Deleted user');
+      expect(stored.email).not.toContain('anonymous');
+      expect(stored.password).toBeUndefined();
+      expect(stored.anonymizedAt).toBeDefined();
+
+      // Anonymized accounts cannot be restored
+      expect(await findDeletedUser({ _id: anonymous._id })).toBeNull();
+    } finally {
+      config.accountDeletion.selfServiceMode = selfServiceMode;
+    }
+  });
+});
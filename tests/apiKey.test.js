@@ -0,0 +1,243 @@
+import request from 'supertest';
+import mongoose from 'mongoose';
+import { app, server } from '../src/server.js';
+import User from '../src/models/userModel.js';
+import ApiKey from '../src/models/apiKeyModel.js';
+import Role from '../src/models/roleModel.js';
+import AuditEvent from '../src/models/auditEventModel.js';
+import Organization from '../src/models/organizationModel.js';
+import { config } from '../src/config/config.js';
+
+let adminToken;
+let serviceAccountId;
+let apiKeyId;
+let key;
+
+// Connect to test database and create an admin
+beforeAll(async () => {
+  await mongoose.connect(config.mongoUri + '-test');
+  await User.deleteMany({});
+  await ApiKey.deleteMany({});
+  await Role.deleteMany({ isSystem: false });
+  await AuditEvent.deleteMany({});
+  await Organization.deleteMany({});
+
+  const admin = await User.create({
+    name: 'Key Admin',
+    email: 'key-admin@example.com',
+    password: 'Admin@123456',
+    role: 'admin'
+  });
+  adminToken = admin.generateAuthToken();
+});
+
+// Close database connection after tests
+afterAll(async () => {
+  await mongoose.connection.close();
+  server.close();
+});
+
+describe('Service accounts', () => {
+  it('should create a service account without a password', async () => {
+    const res = await request(app)
+      .post('/api/users')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ name: 'Nightly Cron', email: 'cron@example.com', accountType: 'service', role: 'admin' });
+
+    expect(res.statusCode).toBe(201);
+    expect(res.body.data.user.accountType).toBe('service');
+    serviceAccountId = res.body.data.user.id;
+  });
+
+  it('should not issue API keys to regular users', async () => {
+    const admin = await User.findOne({ email: 'key-admin@example.com' });
+
+    const res = await request(app)
+      .post('/api/api-keys')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ name: 'Borrowed', user: admin._id.toString() });
+
+    expect(res.statusCode).toBe(400);
+  });
+});
+
+describe('API keys', () => {
+  it('should create a key and show it only once', async () => {
+    const res = await request(app)
+      .post('/api/api-keys')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ name: 'Reporting job', user: serviceAccountId, scopes: ['users:read'] });
+
+    expect(res.statusCode).toBe(201);
+    key = res.body.data.key;
+    apiKeyId = res.body.data.apiKey._id;
+    expect(key.startsWith(`${config.apiKeys.prefix}_`)).toBe(true);
+    expect(key.startsWith(res.body.data.apiKey.prefix)).toBe(true);
+    expect(res.body.data.apiKey.keyHash).toBeUndefined();
+
+    const stored = await ApiKey.findById(apiKeyId).select('+keyHash');
+    expect(stored.keyHash).not.toContain(key);
+
+    const show = await request(app)
+      .get(`/api/api-keys/${apiKeyId}`)
+      .set('Authorization', `Bearer ${adminToken}`);
+    expect(show.body.data.key).toBeUndefined();
+  });
+
+  it('should authenticate with the X-API-Key header and record usage', async () => {
+    const res = await request(app)
+      .get('/api/users')
+      .set('X-API-Key', key);
+
+    expect(res.statusCode).toBe(200);
+    const stored = await ApiKey.findById(apiKeyId);
+    expect(stored.lastUsedAt).toBeDefined();
+  });
+
+  it('should authenticate with a Bearer API key', async () => {
+    const res = await request(app)
+      .get('/api/auth/me')
+      .set('Authorization', `Bearer ${key}`);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.data.user.email).toBe('cron@example.com');
+  });
+
+  it('should enforce key scopes', async () => {
+    const res = await request(app)
+      .post('/api/users')
+      .set('X-API-Key', key)
+      .send({ name: 'Another', email: 'another@example.com', password: 'Another@123' });
+
+    expect(res.statusCode).toBe(403);
+  });
+
+  it('should not accept keys on session routes', async () => {
+    const res = await request(app)
+      .get('/api/auth/sessions')
+      .set('X-API-Key', key);
+
+    expect(res.statusCode).toBe(401);
+  });
+
+  it('should reject a tampered key', async () => {
+    const res = await request(app)
+      .get('/api/users')
+      .set('X-API-Key', `${key.slice(0, -4)}AAAA`);
+
+    expect(res.statusCode).toBe(401);
+  });
+
+  it('should reject a revoked key', async () => {
+    const revoke = await request(app)
+      .delete(`/api/api-keys/${apiKeyId}`)
+      .set('Authorization', `Bearer ${adminToken}`);
+    expect(revoke.statusCode).toBe(200);
+
+    const res = await request(app)
+      .get('/api/users')
+      .set('X-API-Key', key);
+
+    expect(res.statusCode).toBe(401);
+  });
+
+  it('should audit the creation and revocation of keys', async () => {
+    const created = await AuditEvent.findOne({ action: 'api_key.create', 'target.id': apiKeyId });
+    expect(created.actor.email).toBe('key-admin@example.com');
+    expect(created.changes.map(change => change.toObject())).toEqual(expect.arrayContaining([
+      expect.objectContaining({ field: 'scopes', after: ['users:read'] })
+    ]));
+
+    const revoked = await AuditEvent.findOne({ action: 'api_key.revoke', 'target.id': apiKeyId });
+    expect(revoked).not.toBeNull();
+  });
+
+  it('should reject an expired key', async () => {
+    const created = await request(app)
+      .post('/api/api-keys')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ name: 'Short lived', user: serviceAccountId });
+    await ApiKey.findByIdAndUpdate(created.body.data.apiKey._id, { expiresAt: Date.now() - 1000 });
+
+    const res = await request(app)
+      .get('/api/users')
+      .set('X-API-Key', created.body.data.key);
+
+    expect(res.statusCode).toBe(401);
+  });
+});
+
+describe('API key permissions', () => {
+  let managerToken;
+
+  beforeAll(async () => {
+    await Role.create({ name: 'key-manager', permissions: ['users:read', 'api-keys:read', 'api-keys:write'] });
+    const manager = await User.create({
+      name: 'Key Manager',
+      email: 'key-manager@example.com',
+      password: 'Manager@123456',
+      role: 'key-manager'
+    });
+    managerToken = manager.generateAuthToken();
+  });
+
+  it('should not issue unscoped keys for roles beyond the caller', async () => {
+    const res = await request(app)
+      .post('/api/api-keys')
+      .set('Authorization', `Bearer ${managerToken}`)
+      .send({ name: 'Escalation', user: serviceAccountId });
+
+    expect(res.statusCode).toBe(403);
+  });
+
+  it('should not issue keys with scopes beyond the caller', async () => {
+    const res = await request(app)
+      .post('/api/api-keys')
+      .set('Authorization', `Bearer ${managerToken}`)
+      .send({ name: 'Escalation', user: serviceAccountId, scopes: ['users:read', 'roles:assign'] });
+
+    expect(res.statusCode).toBe(403);
+  });
+
+  it('should issue keys within the caller\'s permissions', async () => {
+    const res = await request(app)
+      .post('/api/api-keys')
+      .set('Authorization', `Bearer ${managerToken}`)
+      .send({ name: 'Read only', user: serviceAccountId, scopes: ['users:read'] });
+
+    expect(res.statusCode).toBe(201);
+
+    const update = await request(app)
+      .put(`/api/api-keys/${res.body.data.apiKey._id}`)
+      .set('Authorization', `Bearer ${managerToken}`)
+      .send({ scopes: ['users:read', 'users:delete'] });
+
+    expect(update.statusCode).toBe(403);
+    const stored = await ApiKey.findById(res.body.data.apiKey._id);
+    expect(stored.scopes).toEqual(['users:read']);
+  });
+
+  it('should not expose keys to organization admins acting inside their organization', async () => {
+    const organization = await Organization.create({ name: 'Key Org', slug: 'key-org' });
+    const orgAdmin = await User.create({
+      name: 'Key Org Admin',
+      email: 'key-org-admin@example.com',
+      password: 'OrgAdmin@123456',
+      role: 'admin',
+      memberships: [{ organization: organization._id, role: 'admin' }]
+    });
+    const orgToken = orgAdmin.generateAuthToken({ org: organization._id.toString() });
+
+    const list = await request(app)
+      .get(`/api/api-keys?user=${serviceAccountId}`)
+      .set('Authorization', `Bearer ${orgToken}`);
+
+    expect(list.statusCode).toBe(403);
+
+    const single = await request(app)
+      .get(`/api/api-keys/${apiKeyId}`)
+      .set('Authorization', `Bearer ${orgToken}`);
+
+    expect(single.statusCode).toBe(403);
+  });
+});
@@ -0,0 +1,139 @@
+import request from 'supertest';
+import mongoose from 'mongoose';
+import { app, server } from '../src/server.js';
+import User from '../src/models/userModel.js';
+import AuditEvent from '../src/models/auditEventModel.js';
+import { config } from '../src/config/config.js';
+
+let admin;
+let adminToken;
+let createdUserId;
+
+// Connect to test database before tests
+beforeAll(async () => {
+  await mongoose.connect(config.mongoUri + '-test');
+  await Promise.all([User.deleteMany({}), AuditEvent.deleteMany({})]);
+  config.audit.hashChain = true;
+
+  admin = await User.create({
+    name: 'Audit Admin',
+    email: 'audit-admin@example.com',
+    password: 'Admin@123456',
+    role: 'admin'
+  });
+  adminToken = admin.generateAuthToken();
+});
+
+// Close database connection after tests
+afterAll(async () => {
+  config.audit.hashChain = false;
+  await mongoose.connection.close();
+  server.close();
+});
+
+describe('Audit log', () => {
+  it('should record user changes with the fields that changed', async () => {
+    const created = await request(app)
+      .post('/api/users')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .set('X-Request-ID', 'audit-test-1')
+      .set('User-Agent', 'audit-test')
+      .send({ name: 'Audited User', email: 'audited@example.com', password: 'Audited@123456' });
+    createdUserId = created.body.data.user.id;
+    expect(created.headers['x-request-id']).toBe('audit-test-1');
+
+    await request(app)
+      .put(`/api/users/${createdUserId}`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ name: 'Renamed User', isActive: false });
+
+    const event = await AuditEvent.findOne({ action: 'user.update' });
+    expect(event.actor.email).toBe(admin.email);
+    expect(event.target.id).toBe(createdUserId);
+    expect(event.changes.map(change => change.toObject())).toEqual([
+      { field: 'name', before: 'Audited User', after: 'Renamed User' },
+      { field: 'isActive', before: true, after: false }
+    ]);
+
+    const create = await AuditEvent.findOne({ action: 'user.create' });
+    expect(create.requestId).toBe('audit-test-1');
+    expect(create.userAgent).toBe('audit-test');
+  });
+
+  it('should record failed and successful logins', async () => {
+    await request(app)
+      .post('/api/auth/login')
+      .send({ email: 'audit-admin@example.com', password: 'Wrong@123456' });
+    await request(app)
+      .post('/api/auth/login')
+      .send({ email: 'nobody@example.com', password: 'Wrong@123456' });
+    await request(app)
+      .post('/api/auth/login')
+      .send({ email: 'audit-admin@example.com', password: 'Admin@123456' });
+
+    const events = await AuditEvent.find({ action: 'auth.login' }).sort({ sequence: 1 });
+    expect(events.map(event => event.outcome)).toEqual(['failure', 'failure', 'success']);
+    expect(events[0].metadata.reason).toBe('invalid_password');
+    expect(events[1].actor.email).toBe('nobody@example.com');
+    expect(events[2].metadata.endpoint).toBe('/api/auth/login');
+  });
+
+  it('should filter and paginate audit events', async () => {
+    const res = await request(app)
+      .get(`/api/audit?target=${createdUserId}&limit=1`)
+      .set('Authorization', `Bearer ${adminToken}`);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.pagination.total).toBe(2);
+    expect(res.body.data.events).toHaveLength(1);
+    expect(res.body.data.events[0].action).toBe('user.update');
+
+    const failures = await request(app)
+      .get('/api/audit?action=auth.login&outcome=failure')
+      .set('Authorization', `Bearer ${adminToken}`);
+    expect(failures.body.pagination.total).toBe(2);
+  });
+
+  it('should require the audit:read permission', async () => {
+    const regular = await User.create({
+      name: 'Regular Auditee',
+      email: 'regular-auditee@example.com',
+      password: 'Regular@123456'
+    });
+    const forbidden = await request(app)
+      .get('/api/audit')
+      .set('Authorization', `Bearer ${regular.generateAuthToken()}`);
+    expect(forbidden.statusCode).toBe(403);
+  });
+
+  it('should detect tampering through the hash chain', async () => {
+    const intact = await request(app)
+      .get('/api/audit/verify')
+      .set('Authorization', `Bearer ${adminToken}`);
+    expect(intact.body.data.verification.valid).toBe(true);
+    expect(intact.body.data.verification.count).toBeGreaterThan(0);
+
+    await AuditEvent.updateOne({ action: 'user.update' }, { $set: { 'changes.0.after': 'Someone Else' } });
+    const tampered = await AuditEvent.findOne({ action: 'user.update' });
+
+    const res = await request(app)
+      .get('/api/audit/verify')
+      .set('Authorization', `Bearer ${adminToken}`);
+    expect(res.body.data.verification.valid).toBe(false);
+    expect(res.body.data.verification.brokenAt).toBe(tampered.sequence);
+
+    const exported = await request(app)
+      .get('/api/audit/export')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .buffer(true)
+      .parse((response, callback) => {
+        let body = '';
+        response.on('data', chunk => { body += chunk; });
+        response.on('end', () => callback(null, body));
+      });
+    expect(exported.statusCode).toBe(200);
+    const lines = exported.body.trim().split('\n').map(line => JSON.parse(line));
+    expect(lines[lines.length - 1].verification.valid).toBe(false);
+    expect(lines.length - 1).toBe(await AuditEvent.countDocuments());
+  });
+});
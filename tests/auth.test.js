@@ -1,26 +1,30 @@
-const request = require('supertest');
-const mongoose = require('mongoose');
-const { app, server } = require('../src/server');
-const User = require('../src/models/userModel');
-const { config } = require('../src/config/config');
+import request from 'supertest';
+import mongoose from 'mongoose';
+import { app, server } from '../src/server.js';
+import User from '../src/models/userModel.js';
+import LoginThrottle from '../src/models/loginThrottleModel.js';
+import { config } from '../src/config/config.js';
+import { getSentMail, clearSentMail } from '../src/services/mail/mailService.js';
 
 // Test user data
 const testUser = {
   name: 'Test User',
   email: 'test@example.com',
-  password: 'Test@123456'
+  password: 'Secure@123456'
 };
 
 // Store JWT token for authenticated requests
 let authToken;
+let refreshToken;
 
 // Connect to test database before tests
 beforeAll(async () => {
   // Use a separate test database
   await mongoose.connect(config.mongoUri + '-test');
   
-  // Clear users collection
+  // Clear users collection and failed logins of unknown emails
   await User.deleteMany({});
+  await LoginThrottle.deleteMany({});
 });
 
 // Close database connection after tests
@@ -62,6 +66,18 @@ describe('Authentication API', () => {
       expect(res.statusCode).toBe(400);
       expect(res.body.success).toBe(false);
     });
+
+    it('should reject passwords that break the password policy', async () => {
+      const res = await request(app)
+        .post('/api/auth/register')
+        .send({ name: 'Policy User', email: 'policy@example.com', password: 'policy123' });
+
+      expect(res.statusCode).toBe(400);
+      expect(res.body.error.code).toBe('PASSWORD_POLICY');
+      expect(res.body.error.details.map(reason => reason.code)).toEqual(
+        expect.arrayContaining(['MISSING_UPPERCASE', 'MISSING_SYMBOL', 'CONTAINS_PERSONAL_INFO'])
+      );
+    });
   });
 
   // Test user login
@@ -78,8 +94,11 @@ describe('Authentication API', () => {
       expect(res.body.success).toBe(true);
       expect(res.body.data.token).toBeDefined();
       
-      // Save token for authenticated requests
+      expect(res.body.data.refreshToken).toBeDefined();
+      
+      // Save tokens for authenticated requests
       authToken = res.body.data.token;
+      refreshToken = res.body.data.refreshToken;
     });
 
     it('should not login with invalid credentials', async () => {
@@ -95,6 +114,49 @@ describe('Authentication API', () => {
     });
   });
 
+  // Test refresh token rotation
+  describe('POST /api/auth/refresh', () => {
+    it('should rotate refresh token and return a new token pair', async () => {
+      const res = await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken });
+      
+      expect(res.statusCode).toBe(200);
+      expect(res.body.success).toBe(true);
+      expect(res.body.data.token).toBeDefined();
+      expect(res.body.data.refreshToken).not.toBe(refreshToken);
+      
+      // Keep the previous token to replay it below
+      const reusedToken = refreshToken;
+      refreshToken = res.body.data.refreshToken;
+
+      const replay = await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken: reusedToken });
+      
+      expect(replay.statusCode).toBe(401);
+      expect(replay.body.success).toBe(false);
+    });
+
+    it('should revoke the whole family after reuse is detected', async () => {
+      const res = await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken });
+      
+      expect(res.statusCode).toBe(401);
+      expect(res.body.success).toBe(false);
+    });
+
+    it('should require a refresh token', async () => {
+      const res = await request(app)
+        .post('/api/auth/refresh')
+        .send({});
+      
+      expect(res.statusCode).toBe(400);
+      expect(res.body.success).toBe(false);
+    });
+  });
+
   // Test get current user
   describe('GET /api/auth/me', () => {
     it('should get current user profile', async () => {
@@ -115,6 +177,123 @@ describe('Authentication API', () => {
     });
   });
 
+  // Test session management
+  describe('Sessions /api/auth/sessions', () => {
+    let otherToken;
+    let otherSessionId;
+
+    it('should list active sessions and flag the current one', async () => {
+      // Sign in from a second device
+      const login = await request(app)
+        .post('/api/auth/login')
+        .set('User-Agent', 'Mozilla/5.0 (iPhone; CPU iPhone OS 17_0 like Mac OS X) Safari/604.1')
+        .send({ email: testUser.email, password: testUser.password });
+      otherToken = login.body.data.token;
+
+      const res = await request(app)
+        .get('/api/auth/sessions')
+        .set('Authorization', `Bearer ${authToken}`);
+      
+      expect(res.statusCode).toBe(200);
+      expect(res.body.success).toBe(true);
+      expect(res.body.data.sessions.filter(session => session.current)).toHaveLength(1);
+
+      const other = res.body.data.sessions.find(session => session.deviceLabel === 'Safari on iOS');
+      expect(other).toBeDefined();
+      otherSessionId = other.id;
+    });
+
+    it('should revoke another session and reject its token', async () => {
+      const res = await request(app)
+        .delete(`/api/auth/sessions/${otherSessionId}`)
+        .set('Authorization', `Bearer ${authToken}`);
+      
+      expect(res.statusCode).toBe(200);
+      expect(res.body.success).toBe(true);
+
+      const me = await request(app)
+        .get('/api/auth/me')
+        .set('Authorization', `Bearer ${otherToken}`);
+      
+      expect(me.statusCode).toBe(401);
+    });
+  });
+
+  // Test email verification
+  describe('GET /api/auth/verify-email/:token', () => {
+    it('should verify the email with a valid token', async () => {
+      const user = await User.findOne({ email: testUser.email });
+      const verificationToken = user.generateEmailVerificationToken();
+      await user.save({ validateBeforeSave: false });
+
+      const res = await request(app).get(`/api/auth/verify-email/${verificationToken}`);
+      
+      expect(res.statusCode).toBe(200);
+      expect(res.body.success).toBe(true);
+
+      const me = await request(app)
+        .get('/api/auth/me')
+        .set('Authorization', `Bearer ${authToken}`);
+      
+      expect(me.body.data.user.emailVerified).toBe(true);
+    });
+
+    it('should reject an unknown token', async () => {
+      const res = await request(app).get(`/api/auth/verify-email/${'ab'.repeat(32)}`);
+      
+      expect(res.statusCode).toBe(400);
+      expect(res.body.success).toBe(false);
+    });
+
+    it('should answer resend requests the same way for unknown emails', async () => {
+      const res = await request(app)
+        .post('/api/auth/verify-email/resend')
+        .send({ email: 'nobody@example.com' });
+      
+      expect(res.statusCode).toBe(200);
+      expect(res.body.success).toBe(true);
+    });
+
+    it('should block account and admin routes until the email is verified', async () => {
+      const originalMode = config.emailVerification.mode;
+      config.emailVerification.mode = 'routes';
+      try {
+        const user = await User.create({
+          name: 'Unverified Admin',
+          email: 'unverified-admin@example.com',
+          password: 'Unverified@123456',
+          role: 'admin'
+        });
+        const token = user.generateAuthToken();
+
+        const users = await request(app)
+          .get('/api/users')
+          .set('Authorization', `Bearer ${token}`);
+        expect(users.statusCode).toBe(403);
+        expect(users.body.error.code).toBe('EMAIL_NOT_VERIFIED');
+
+        const profile = await request(app)
+          .put('/api/users/profile')
+          .set('Authorization', `Bearer ${token}`)
+          .send({ name: 'Renamed Admin' });
+        expect(profile.statusCode).toBe(403);
+
+        const me = await request(app)
+          .get('/api/auth/me')
+          .set('Authorization', `Bearer ${token}`);
+        expect(me.statusCode).toBe(200);
+
+        await User.updateOne({ _id: user._id }, { emailVerified: true });
+        const verified = await request(app)
+          .get('/api/users')
+          .set('Authorization', `Bearer ${token}`);
+        expect(verified.statusCode).toBe(200);
+      } finally {
+        config.emailVerification.mode = originalMode;
+      }
+    });
+  });
+
   // Test update password
   describe('PUT /api/auth/updatepassword', () => {
     it('should update user password', async () => {
@@ -123,7 +302,7 @@ describe('Authentication API', () => {
         .set('Authorization', `Bearer ${authToken}`)
         .send({
           currentPassword: testUser.password,
-          newPassword: 'NewTest@123456'
+          newPassword: 'Changed@123456'
         });
       
       expect(res.statusCode).toBe(200);
@@ -134,7 +313,7 @@ describe('Authentication API', () => {
       authToken = res.body.data.token;
       
       // Update test user password for future tests
-      testUser.password = 'NewTest@123456';
+      testUser.password = 'Changed@123456';
     });
 
     it('should not update with incorrect current password', async () => {
@@ -143,7 +322,7 @@ describe('Authentication API', () => {
         .set('Authorization', `Bearer ${authToken}`)
         .send({
           currentPassword: 'wrongpassword',
-          newPassword: 'NewTest@789012'
+          newPassword: 'Changed@789012'
         });
       
       expect(res.statusCode).toBe(401);
@@ -162,5 +341,255 @@ describe('Authentication API', () => {
       expect(res.body.success).toBe(true);
       expect(res.body.message).toBe('Logged out successfully');
     });
+
+    it('should reject the access token after logout', async () => {
+      const res = await request(app)
+        .get('/api/auth/me')
+        .set('Authorization', `Bearer ${authToken}`);
+      
+      expect(res.statusCode).toBe(401);
+      expect(res.body.success).toBe(false);
+    });
+  });
+
+  // Test password reset by email
+  describe('Password reset', () => {
+    it('should email the reset link without returning the token', async () => {
+      clearSentMail();
+
+      const res = await request(app)
+        .post('/api/auth/forgotpassword')
+        .send({ email: testUser.email });
+      
+      expect(res.statusCode).toBe(200);
+      expect(res.body.success).toBe(true);
+      expect(JSON.stringify(res.body)).not.toMatch(/[a-f0-9]{64}/);
+
+      const [message] = getSentMail();
+      expect(message.to).toBe(testUser.email);
+      expect(message.text).toMatch(/reset-password\/[a-f0-9]{64}/);
+    });
+
+    it('should reset the password with the emailed token', async () => {
+      const [message] = getSentMail();
+      const resetToken = message.text.match(/reset-password\/([a-f0-9]{64})/)[1];
+
+      const res = await request(app)
+        .put(`/api/auth/resetpassword/${resetToken}`)
+        .send({ password: 'Reset@123456' });
+      
+      expect(res.statusCode).toBe(200);
+      expect(res.body.data.token).toBeDefined();
+      testUser.password = 'Reset@123456';
+    });
+  });
+
+  // Test passwordless login
+  describe('Magic link login', () => {
+    const magicToken = () => getSentMail()[0].text.match(/magic-link\/([a-f0-9]{64})/)[1];
+
+    it('should give the same response for unknown emails', async () => {
+      clearSentMail();
+
+      const known = await request(app)
+        .post('/api/auth/magic-link')
+        .send({ email: testUser.email });
+      const unknown = await request(app)
+        .post('/api/auth/magic-link')
+        .send({ email: 'nobody@example.com' });
+      
+      expect(known.statusCode).toBe(200);
+      expect(unknown.statusCode).toBe(200);
+      expect(unknown.body).toEqual(known.body);
+      expect(getSentMail()).toHaveLength(1);
+    });
+
+    it('should log in once with the emailed link', async () => {
+      const token = magicToken();
+
+      const res = await request(app)
+        .post('/api/auth/magic-link/consume')
+        .send({ token });
+      
+      expect(res.statusCode).toBe(200);
+      expect(res.body.data.token).toBeDefined();
+
+      const reuse = await request(app)
+        .post('/api/auth/magic-link/consume')
+        .send({ token });
+      
+      expect(reuse.statusCode).toBe(400);
+    });
+
+    it('should only accept a bound link with its browser key', async () => {
+      clearSentMail();
+      const requested = await request(app)
+        .post('/api/auth/magic-link')
+        .send({ email: testUser.email, bindToBrowser: true });
+      const { browserKey } = requested.body.data;
+
+      const otherBrowser = await request(app)
+        .post('/api/auth/magic-link/consume')
+        .send({ token: magicToken() });
+      expect(otherBrowser.statusCode).toBe(401);
+
+      // The failed attempt used up the link, so ask for a new one
+      clearSentMail();
+      const again = await request(app)
+        .post('/api/auth/magic-link')
+        .send({ email: testUser.email, bindToBrowser: true });
+
+      const res = await request(app)
+        .post('/api/auth/magic-link/consume')
+        .send({ token: magicToken(), browserKey: again.body.data.browserKey });
+      
+      expect(browserKey).not.toBe(again.body.data.browserKey);
+      expect(res.statusCode).toBe(200);
+    });
+
+    it('should reject an expired link', async () => {
+      clearSentMail();
+      await request(app)
+        .post('/api/auth/magic-link')
+        .send({ email: testUser.email });
+      await User.updateOne({ email: testUser.email }, { magicLinkExpires: Date.now() - 1000 });
+
+      const res = await request(app)
+        .post('/api/auth/magic-link/consume')
+        .send({ token: magicToken() });
+      
+      expect(res.statusCode).toBe(400);
+    });
+  });
+
+  // Test transparent password hash upgrades
+  describe('Password hash upgrades', () => {
+    const upgradeUser = {
+      name: 'Upgrade Account',
+      email: 'upgrade@example.com',
+      password: 'Velvet#Orbit42'
+    };
+    const hashing = { ...config.passwordHashing };
+
+    beforeAll(async () => {
+      await User.create(upgradeUser);
+      Object.assign(config.passwordHashing, { algorithm: 'scrypt', scryptLogCost: 12 });
+    });
+
+    afterAll(() => {
+      Object.assign(config.passwordHashing, hashing);
+    });
+
+    it('should rehash an outdated password hash at login', async () => {
+      const before = await User.findOne({ email: upgradeUser.email }).select('+password +passwordHistory');
+      expect(before.password).toMatch(/^\$2[aby]\$/);
+
+      const res = await request(app)
+        .post('/api/auth/login')
+        .send({ email: upgradeUser.email, password: upgradeUser.password });
+      expect(res.statusCode).toBe(200);
+
+      const after = await User.findOne({ email: upgradeUser.email }).select('+password +passwordHistory');
+      expect(after.password).toMatch(/^\$scrypt\$ln=12,r=8,p=1\$/);
+      expect(after.passwordHistory).toEqual([after.password]);
+      expect(after.passwordChangedAt).toBeUndefined();
+    });
+
+    it('should keep accepting the password after the upgrade', async () => {
+      const res = await request(app)
+        .post('/api/auth/login')
+        .send({ email: upgradeUser.email, password: upgradeUser.password });
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body.data.token).toBeDefined();
+    });
+  });
+
+  // Test account lockout
+  describe('Account lockout', () => {
+    const lockoutUser = {
+      name: 'Lockout User',
+      email: 'lockout@example.com',
+      password: 'Lockout@123456'
+    };
+
+    beforeAll(async () => {
+      await User.create(lockoutUser);
+    });
+
+    it('should throttle an immediate retry after a failed login', async () => {
+      const first = await request(app)
+        .post('/api/auth/login')
+        .send({ email: lockoutUser.email, password: 'wrongpassword' });
+      
+      expect(first.statusCode).toBe(401);
+
+      const retry = await request(app)
+        .post('/api/auth/login')
+        .send({ email: lockoutUser.email, password: lockoutUser.password });
+      
+      expect(retry.statusCode).toBe(429);
+      expect(retry.body.error.code).toBe('LOGIN_THROTTLED');
+    });
+
+    it('should refuse a locked account even with the right password', async () => {
+      await User.updateOne(
+        { email: lockoutUser.email },
+        { failedLoginAttempts: 5, lockUntil: Date.now() + 60 * 1000 }
+      );
+
+      const res = await request(app)
+        .post('/api/auth/login')
+        .send({ email: lockoutUser.email, password: lockoutUser.password });
+      
+      expect(res.statusCode).toBe(423);
+      expect(res.body.error.code).toBe('ACCOUNT_LOCKED');
+    });
+
+    it('should unlock automatically once the lock expires', async () => {
+      await User.updateOne(
+        { email: lockoutUser.email },
+        { lockUntil: Date.now() - 1000 }
+      );
+
+      const res = await request(app)
+        .post('/api/auth/login')
+        .send({ email: lockoutUser.email, password: lockoutUser.password });
+      
+      expect(res.statusCode).toBe(200);
+      expect(res.body.data.token).toBeDefined();
+    });
+
+    it('should throttle unknown emails like existing accounts', async () => {
+      const first = await request(app)
+        .post('/api/auth/login')
+        .send({ email: 'nobody@example.com', password: 'wrongpassword' });
+      
+      expect(first.statusCode).toBe(401);
+
+      const retry = await request(app)
+        .post('/api/auth/login')
+        .send({ email: 'nobody@example.com', password: 'wrongpassword' });
+      
+      expect(retry.statusCode).toBe(429);
+      expect(retry.body.error.code).toBe('LOGIN_THROTTLED');
+    });
+
+    it('should count concurrent first failures for a new unknown email', async () => {
+      const email = 'nobody-concurrent@example.com';
+      const responses = await Promise.all([1, 2, 3].map(() => request(app)
+        .post('/api/auth/login')
+        .send({ email, password: 'wrongpassword' })));
+
+      expect(responses.map(res => res.statusCode)).not.toContain(500);
+      expect(await LoginThrottle.countDocuments({ email })).toBe(1);
+    });
+
+    it('should ignore a failed login for a removed account', async () => {
+      const user = await User.create({ ...lockoutUser, email: 'removed@example.com' });
+      await User.deleteOne({ _id: user._id });
+
+      await expect(user.registerFailedLogin()).resolves.toBe(false);
+    });
   });
 });
\ No newline at end of file
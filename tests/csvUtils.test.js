@@ -0,0 +1,72 @@
+import { Readable } from 'stream';
+import { readLines, parseCsv, formatCsvRow, MAX_RECORD_LENGTH } from '../src/utils/csvUtils.js';
+
+/**
+ * Collect what an async generator yields
+ */
+const collect = async (generator) => {
+  const items = [];
+  for await (const item of generator) {
+    items.push(item);
+  }
+  return items;
+};
+
+// Chunks split wherever the test says, as an upload might arrive
+const streamOf = (...chunks) => Readable.from(chunks.map(chunk => Buffer.from(chunk)));
+
+describe('CSV parsing', () => {
+  it('should parse quoted fields with commas, quotes and line breaks', async () => {
+    const records = await collect(parseCsv(streamOf(
+      'name,email\r\n',
+      '"Doe, Jane","jane@example.com"\r\n',
+      '"Say ""hi""\nthere",x@example.com'
+    )));
+
+    expect(records).toEqual([
+      ['name', 'email'],
+      ['Doe, Jane', 'jane@example.com'],
+      ['Say "hi"\nthere', 'x@example.com']
+    ]);
+  });
+
+  it('should handle records and characters split across chunks', async () => {
+    const euro = Buffer.from('€');
+    const stream = Readable.from([
+      Buffer.from('\uFEFFa,"b'),
+      Buffer.from('""c",'),
+      euro.subarray(0, 1),
+      Buffer.concat([euro.subarray(1), Buffer.from('\n\n1,2\n')])
+    ]);
+
+    expect(await collect(parseCsv(stream))).toEqual([['a', 'b"c', '€'], ['1', '2']]);
+  });
+
+  it('should reject unterminated quotes and oversized records', async () => {
+    await expect(collect(parseCsv(streamOf('a,"b\n')))).rejects.toThrow('Unterminated quoted field');
+    await expect(collect(parseCsv(streamOf('x'.repeat(MAX_RECORD_LENGTH + 1)))))
+      .rejects.toThrow('Record is longer');
+  });
+
+  it('should read lines ending in either line break', async () => {
+    expect(await collect(readLines(streamOf('{"a":1}\r\n{"b"', ':2}\n\n{"c":3}')))).toEqual([
+      '{"a":1}',
+      '{"b":2}',
+      '',
+      '{"c":3}'
+    ]);
+  });
+});
+
+describe('CSV formatting', () => {
+  it('should quote fields only where needed', () => {
+    expect(formatCsvRow(['plain', 'a,b', 'say "hi"', null, 3, true]))
+      .toBe('plain,"a,b","say ""hi""",,3,true\r\n');
+    expect(formatCsvRow([new Date('2024-01-02T03:04:05Z')])).toBe('2024-01-02T03:04:05.000Z\r\n');
+  });
+
+  it('should keep spreadsheets from running fields as formulas', () => {
+    expect(formatCsvRow(['=HYPERLINK("x")', '+1', '-1', '@SUM(A1)']))
+      .toBe('"\'=HYPERLINK(""x"")",\'+1,\'-1,\'@SUM(A1)\r\n');
+  });
+});
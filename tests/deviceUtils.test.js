@@ -0,0 +1,23 @@
+import { getDeviceLabel, MAX_LABEL_LENGTH } from '../src/utils/deviceUtils.js';
+
+const chromeOnWindows = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0 Safari/537.36';
+
+describe('Device labels', () => {
+  it('should describe the browser and operating system', () => {
+    expect(getDeviceLabel(chromeOnWindows)).toBe('Chrome on Windows');
+    expect(getDeviceLabel(undefined)).toBe('Unknown device');
+  });
+
+  it('should prefer the label sent by the client', () => {
+    expect(getDeviceLabel(chromeOnWindows, '  Work laptop ')).toBe('Work laptop');
+  });
+
+  it('should cut long labels to what a session stores', () => {
+    expect(getDeviceLabel(chromeOnWindows, 'x'.repeat(500))).toHaveLength(MAX_LABEL_LENGTH);
+  });
+
+  it('should ignore labels that are not text', () => {
+    expect(getDeviceLabel(chromeOnWindows, { $gt: '' })).toBe('Chrome on Windows');
+    expect(getDeviceLabel(chromeOnWindows, '   ')).toBe('Chrome on Windows');
+  });
+});
@@ -0,0 +1,110 @@
+import crypto from 'crypto';
+import { isoCBOR } from '@simplewebauthn/server/helpers';
+
+/**
+ * Software WebAuthn authenticator for tests
+ * Creates an ES256 credential with "none" attestation and answers
+ * registration and authentication ceremonies the way a browser would.
+ */
+
+// Authenticator data flags
+const FLAG_UP = 0x01;
+const FLAG_UV = 0x04;
+const FLAG_AT = 0x40;
+
+const sha256 = (data) => crypto.createHash('sha256').update(data).digest();
+
+/**
+ * Create a software authenticator
+ * @param {Object} options - origin and rpId the ceremonies run for
+ * @returns {Object} - Authenticator with createCredential and getAssertion
+ */
+const createSoftAuthenticator = ({ origin, rpId }) => {
+  const { privateKey, publicKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+  const credentialId = crypto.randomBytes(16);
+  let counter = 0;
+
+  const clientData = (type, challenge) => Buffer.from(JSON.stringify({
+    type,
+    challenge,
+    origin,
+    crossOrigin: false
+  }));
+
+  const authenticatorData = (flags, attestedCredentialData = Buffer.alloc(0)) => {
+    const count = Buffer.alloc(4);
+    count.writeUInt32BE(counter);
+    return Buffer.concat([sha256(rpId), Buffer.from([flags]), count, attestedCredentialData]);
+  };
+
+  const cosePublicKey = () => {
+    const jwk = publicKey.export({ format: 'jwk' });
+    return isoCBOR.encode(new Map([
+      [1, 2], // kty: EC2
+      [3, -7], // alg: ES256
+      [-1, 1], // crv: P-256
+      [-2, Buffer.from(jwk.x, 'base64url')],
+      [-3, Buffer.from(jwk.y, 'base64url')]
+    ]));
+  };
+
+  return {
+    credentialId: credentialId.toString('base64url'),
+
+    /**
+     * Answer navigator.credentials.create()
+     * @param {Object} options - Registration options from the server
+     * @returns {Object} - RegistrationResponseJSON
+     */
+    createCredential(options) {
+      const idLength = Buffer.alloc(2);
+      idLength.writeUInt16BE(credentialId.length);
+      const attested = Buffer.concat([Buffer.alloc(16), idLength, credentialId, Buffer.from(cosePublicKey())]);
+
+      const attestationObject = isoCBOR.encode(new Map([
+        ['fmt', 'none'],
+        ['attStmt', new Map()],
+        ['authData', authenticatorData(FLAG_UP | FLAG_UV | FLAG_AT, attested)]
+      ]));
+
+      return {
+        id: credentialId.toString('base64url'),
+        rawId: credentialId.toString('base64url'),
+        type: 'public-key',
+        response: {
+          clientDataJSON: clientData('webauthn.create', options.challenge).toString('base64url'),
+          attestationObject: Buffer.from(attestationObject).toString('base64url'),
+          transports: ['internal']
+        },
+        clientExtensionResults: {}
+      };
+    },
+
+    /**
+     * Answer navigator.credentials.get()
+     * @param {Object} options - Authentication options from the server
+     * @param {Object} settings - userVerified: whether to set the UV flag
+     * @returns {Object} - AuthenticationResponseJSON
+     */
+    getAssertion(options, { userVerified = true } = {}) {
+      counter += 1;
+      const data = authenticatorData(FLAG_UP | (userVerified ? FLAG_UV : 0));
+      const clientDataJSON = clientData('webauthn.get', options.challenge);
+      const signature = crypto.sign('sha256', Buffer.concat([data, sha256(clientDataJSON)]), privateKey);
+
+      return {
+        id: credentialId.toString('base64url'),
+        rawId: credentialId.toString('base64url'),
+        type: 'public-key',
+        response: {
+          clientDataJSON: clientDataJSON.toString('base64url'),
+          authenticatorData: data.toString('base64url'),
+          signature: signature.toString('base64url')
+        },
+        clientExtensionResults: {}
+      };
+    }
+  };
+};
+
+export { createSoftAuthenticator };
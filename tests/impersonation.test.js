@@ -0,0 +1,166 @@
+import request from 'supertest';
+import mongoose from 'mongoose';
+import jwt from 'jsonwebtoken';
+import { app, server } from '../src/server.js';
+import User from '../src/models/userModel.js';
+import Role from '../src/models/roleModel.js';
+import AuditEvent from '../src/models/auditEventModel.js';
+import { config } from '../src/config/config.js';
+
+let admin;
+let adminToken;
+let helpdesk;
+let customer;
+let impersonationToken;
+
+const impersonate = (token, user, body = {}) => request(app)
+  .post(`/api/users/${user._id}/impersonate`)
+  .set('Authorization', `Bearer ${token}`)
+  .send(body);
+
+// Connect to test database before tests
+beforeAll(async () => {
+  await mongoose.connect(config.mongoUri + '-test');
+  await Promise.all([User.deleteMany({}), AuditEvent.deleteMany({}), Role.deleteMany({ isSystem: false })]);
+  await Role.create([
+    { name: 'helpdesk', permissions: ['users:read', 'users:update'] },
+    { name: 'support', permissions: ['users:read', 'users:impersonate'] }
+  ]);
+
+  admin = await User.create({
+    name: 'Support Admin',
+    email: 'support-admin@example.com',
+    password: 'Admin@123456',
+    role: 'admin'
+  });
+  adminToken = admin.generateAuthToken();
+
+  helpdesk = await User.create({
+    name: 'Helpdesk User',
+    email: 'helpdesk@example.com',
+    password: 'Helpdesk@123456',
+    role: 'helpdesk'
+  });
+  customer = await User.create({
+    name: 'Customer',
+    email: 'customer@example.com',
+    password: 'Customer@123456'
+  });
+});
+
+// Close database connection after tests
+afterAll(async () => {
+  await mongoose.connection.close();
+  server.close();
+});
+
+describe('Impersonation', () => {
+  it('should issue a short-lived token naming the user and the admin', async () => {
+    const res = await impersonate(adminToken, helpdesk, { reason: 'Ticket 4711' });
+
+    expect(res.statusCode).toBe(200);
+    impersonationToken = res.body.data.token;
+
+    const decoded = jwt.decode(impersonationToken);
+    expect(decoded.id).toBe(helpdesk._id.toString());
+    expect(decoded.act).toEqual({ sub: admin._id.toString() });
+    expect(decoded.sid).toBeUndefined();
+
+    const event = await AuditEvent.findOne({ action: 'user.impersonate' });
+    expect(event.actor.email).toBe(admin.email);
+    expect(event.target.id).toBe(helpdesk._id.toString());
+    expect(event.metadata.reason).toBe('Ticket 4711');
+  });
+
+  it('should act as the user and tell who is impersonating', async () => {
+    const res = await request(app)
+      .get('/api/auth/me')
+      .set('Authorization', `Bearer ${impersonationToken}`);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.data.user.email).toBe(helpdesk.email);
+    expect(res.body.data.user.permissions).toEqual(['users:read', 'users:update']);
+    expect(res.body.data.user.impersonatedBy.email).toBe(admin.email);
+  });
+
+  it('should attribute changes to the admin', async () => {
+    await request(app)
+      .put(`/api/users/${customer._id}`)
+      .set('Authorization', `Bearer ${impersonationToken}`)
+      .send({ name: 'Renamed Customer' });
+
+    const event = await AuditEvent.findOne({ action: 'user.update' });
+    expect(event.actor.user.toString()).toBe(admin._id.toString());
+    expect(event.actor.onBehalfOf.email).toBe(helpdesk.email);
+  });
+
+  it('should block sign-in changes, deletion and further impersonation', async () => {
+    const password = await request(app)
+      .put('/api/auth/updatepassword')
+      .set('Authorization', `Bearer ${impersonationToken}`)
+      .send({ currentPassword: 'Helpdesk@123456', newPassword: 'Changed@123456' });
+    expect(password.statusCode).toBe(403);
+    expect(password.body.error.code).toBe('IMPERSONATION_FORBIDDEN');
+
+    const totpSetup = await request(app)
+      .post('/api/auth/mfa/totp/setup')
+      .set('Authorization', `Bearer ${impersonationToken}`);
+    expect(totpSetup.statusCode).toBe(403);
+
+    const totpVerify = await request(app)
+      .post('/api/auth/mfa/totp/verify')
+      .set('Authorization', `Bearer ${impersonationToken}`)
+      .send({ code: '123456' });
+    expect(totpVerify.statusCode).toBe(403);
+
+    const deletion = await request(app)
+      .post('/api/users/me/deletion')
+      .set('Authorization', `Bearer ${impersonationToken}`)
+      .send({ password: 'Helpdesk@123456' });
+    expect(deletion.statusCode).toBe(403);
+
+    const nested = await impersonate(impersonationToken, customer);
+    expect(nested.statusCode).toBe(403);
+  });
+
+  it('should refuse self-impersonation and users with more permissions', async () => {
+    expect((await impersonate(adminToken, admin)).statusCode).toBe(400);
+
+    const supportAgent = await User.create({
+      name: 'Support Agent',
+      email: 'support-agent@example.com',
+      password: 'Support@123456',
+      role: 'support'
+    });
+    const supportToken = supportAgent.generateAuthToken();
+
+    expect((await impersonate(supportToken, helpdesk)).statusCode).toBe(403);
+    expect((await impersonate(supportToken, customer)).statusCode).toBe(200);
+
+    const plainToken = customer.generateAuthToken();
+    expect((await impersonate(plainToken, helpdesk)).statusCode).toBe(403);
+  });
+
+  it('should stop working when the admin loses the permission to impersonate', async () => {
+    const res = await impersonate(adminToken, customer);
+    expect(res.statusCode).toBe(200);
+
+    await User.updateOne({ _id: admin._id }, { role: 'helpdesk' });
+    const revoked = await request(app)
+      .get('/api/auth/me')
+      .set('Authorization', `Bearer ${res.body.data.token}`);
+    await User.updateOne({ _id: admin._id }, { role: 'admin' });
+
+    expect(revoked.statusCode).toBe(401);
+  });
+
+  it('should stop working when the admin is deactivated', async () => {
+    await User.updateOne({ _id: admin._id }, { isActive: false });
+
+    const res = await request(app)
+      .get('/api/auth/me')
+      .set('Authorization', `Bearer ${impersonationToken}`);
+
+    expect(res.statusCode).toBe(401);
+  });
+});
@@ -0,0 +1,161 @@
+import request from 'supertest';
+import mongoose from 'mongoose';
+import { app, server } from '../src/server.js';
+import User from '../src/models/userModel.js';
+import { config } from '../src/config/config.js';
+import { getSentMail, clearSentMail } from '../src/services/mail/mailService.js';
+
+let admin;
+let adminToken;
+let invitationId;
+
+const invitationToken = () => getSentMail()[0].text.match(/invitation\/([a-f0-9]{64})/)[1];
+
+// Connect to test database before tests
+beforeAll(async () => {
+  await mongoose.connect(config.mongoUri + '-test');
+  await User.deleteMany({});
+
+  admin = await User.create({
+    name: 'Inviting Admin',
+    email: 'inviting-admin@example.com',
+    password: 'Admin@123456',
+    role: 'admin'
+  });
+  adminToken = admin.generateAuthToken();
+});
+
+// Close database connection after tests
+afterAll(async () => {
+  await mongoose.connection.close();
+  server.close();
+});
+
+describe('Invitations', () => {
+  it('should create a pending user and email an invitation', async () => {
+    clearSentMail();
+
+    const res = await request(app)
+      .post('/api/users/invitations')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ email: 'invitee@example.com' });
+
+    expect(res.statusCode).toBe(201);
+    expect(res.body.data.invitation.email).toBe('invitee@example.com');
+    expect(res.body.data.invitation.invitedBy.email).toBe(admin.email);
+    invitationId = res.body.data.invitation.id;
+
+    const [message] = getSentMail();
+    expect(message.to).toBe('invitee@example.com');
+    expect(message.text).toContain(admin.name);
+
+    const duplicate = await request(app)
+      .post('/api/users/invitations')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ email: 'invitee@example.com' });
+    expect(duplicate.statusCode).toBe(409);
+  });
+
+  it('should not let pending users sign in or reset a password', async () => {
+    const reset = await request(app)
+      .post('/api/auth/forgotpassword')
+      .send({ email: 'invitee@example.com' });
+    expect(reset.statusCode).toBe(404);
+
+    clearSentMail();
+    await request(app)
+      .post('/api/auth/magic-link')
+      .send({ email: 'invitee@example.com' });
+    expect(getSentMail()).toHaveLength(0);
+  });
+
+  it('should list pending invitations', async () => {
+    const res = await request(app)
+      .get('/api/users/invitations')
+      .set('Authorization', `Bearer ${adminToken}`);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.data.invitations.map(invitation => invitation.email)).toEqual(['invitee@example.com']);
+    expect(res.body.data.invitations[0].expired).toBe(false);
+  });
+
+  it('should replace the token when an invitation is resent', async () => {
+    clearSentMail();
+    await request(app)
+      .post(`/api/users/invitations/${invitationId}/resend`)
+      .set('Authorization', `Bearer ${adminToken}`);
+    const oldToken = invitationToken();
+
+    clearSentMail();
+    const res = await request(app)
+      .post(`/api/users/invitations/${invitationId}/resend`)
+      .set('Authorization', `Bearer ${adminToken}`);
+    expect(res.statusCode).toBe(200);
+
+    const stale = await request(app)
+      .post('/api/auth/invitations/accept')
+      .send({ token: oldToken, name: 'Invited Person', password: 'Invited@123456' });
+    expect(stale.statusCode).toBe(400);
+  });
+
+  it('should let the invitee choose a name and password', async () => {
+    const token = invitationToken();
+
+    const res = await request(app)
+      .post('/api/auth/invitations/accept')
+      .send({ token, name: 'Invited Person', password: 'Invited@123456' });
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.data.token).toBeDefined();
+    expect(res.body.data.user.name).toBe('Invited Person');
+
+    const user = await User.findById(invitationId);
+    expect(user.invitation.invitedBy.equals(admin._id)).toBe(true);
+    expect(user.invitation.acceptedAt).toBeDefined();
+    expect(user.emailVerified).toBe(true);
+
+    const again = await request(app)
+      .post('/api/auth/invitations/accept')
+      .send({ token, password: 'Another@123456' });
+    expect(again.statusCode).toBe(400);
+
+    const login = await request(app)
+      .post('/api/auth/login')
+      .send({ email: 'invitee@example.com', password: 'Invited@123456' });
+    expect(login.statusCode).toBe(200);
+  });
+
+  it('should record who invited whom', async () => {
+    const res = await request(app)
+      .get('/api/users/invitations?status=accepted')
+      .set('Authorization', `Bearer ${adminToken}`);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.data.invitations[0].invitedBy.email).toBe(admin.email);
+    expect(res.body.data.invitations[0].acceptedAt).toBeDefined();
+  });
+
+  it('should revoke pending invitations only', async () => {
+    const accepted = await request(app)
+      .delete(`/api/users/invitations/${invitationId}`)
+      .set('Authorization', `Bearer ${adminToken}`);
+    expect(accepted.statusCode).toBe(404);
+
+    clearSentMail();
+    const invite = await request(app)
+      .post('/api/users/invitations')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ email: 'revoked@example.com', name: 'Revoked Person' });
+    const token = invitationToken();
+
+    const res = await request(app)
+      .delete(`/api/users/invitations/${invite.body.data.invitation.id}`)
+      .set('Authorization', `Bearer ${adminToken}`);
+    expect(res.statusCode).toBe(200);
+
+    const accept = await request(app)
+      .post('/api/auth/invitations/accept')
+      .send({ token, password: 'Revoked@123456' });
+    expect(accept.statusCode).toBe(400);
+  });
+});
@@ -0,0 +1,79 @@
+import crypto from 'crypto';
+import request from 'supertest';
+import mongoose from 'mongoose';
+import jwt from 'jsonwebtoken';
+import { app, server } from '../src/server.js';
+import SigningKey from '../src/models/signingKeyModel.js';
+import { config } from '../src/config/config.js';
+import { rotateKeys } from '../src/services/keyService.js';
+import { generateToken, verifyToken } from '../src/utils/tokenUtils.js';
+
+const originalAlgorithm = config.jwt.algorithm;
+
+// Connect to test database and switch to asymmetric signing
+beforeAll(async () => {
+  await mongoose.connect(config.mongoUri + '-test');
+  await SigningKey.deleteMany({});
+  config.jwt.algorithm = 'RS256';
+});
+
+// Restore configuration and close database connection
+afterAll(async () => {
+  config.jwt.algorithm = originalAlgorithm;
+  await mongoose.connection.close();
+  server.close();
+});
+
+describe('Asymmetric JWT signing', () => {
+  let firstKid;
+  let firstToken;
+
+  it('should sign tokens with RS256 and a kid', async () => {
+    firstKid = await rotateKeys();
+    firstToken = generateToken({ id: 'user-1' });
+
+    const { header } = jwt.decode(firstToken, { complete: true });
+    expect(header.alg).toBe('RS256');
+    expect(header.kid).toBe(firstKid);
+
+    const decoded = await verifyToken(firstToken);
+    expect(decoded.id).toBe('user-1');
+  });
+
+  it('should publish the public key in the JWKS', async () => {
+    const res = await request(app).get('/.well-known/jwks.json');
+
+    expect(res.statusCode).toBe(200);
+    const jwk = res.body.keys.find(key => key.kid === firstKid);
+    expect(jwk).toBeDefined();
+    expect(jwk.d).toBeUndefined();
+
+    // A downstream service can verify with the published key alone
+    const publicKey = crypto.createPublicKey({ key: jwk, format: 'jwk' });
+    expect(jwt.verify(firstToken, publicKey, { algorithms: ['RS256'] }).id).toBe('user-1');
+  });
+
+  it('should keep verifying tokens of a retired key after rotation', async () => {
+    const secondKid = await rotateKeys();
+    expect(secondKid).not.toBe(firstKid);
+
+    const decoded = await verifyToken(firstToken);
+    expect(decoded.id).toBe('user-1');
+
+    const res = await request(app).get('/.well-known/jwks.json');
+    expect(res.body.keys.map(key => key.kid)).toEqual(expect.arrayContaining([firstKid, secondKid]));
+  });
+
+  it('should accept legacy HS256 tokens while migrating', async () => {
+    const legacyToken = jwt.sign({ id: 'user-1' }, config.jwt.secret, { expiresIn: '5m' });
+
+    const decoded = await verifyToken(legacyToken);
+    expect(decoded.id).toBe('user-1');
+  });
+
+  it('should reject HS256 tokens claiming a kid', async () => {
+    const forged = jwt.sign({ id: 'user-1' }, config.jwt.secret, { keyid: firstKid });
+
+    await expect(verifyToken(forged)).rejects.toThrow();
+  });
+});
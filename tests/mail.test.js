@@ -0,0 +1,43 @@
+import {
+  buildLink,
+  sendPasswordResetEmail,
+  getSentMail,
+  clearSentMail
+} from '../src/services/mail/mailService.js';
+import { escapeHtml } from '../src/services/mail/templates.js';
+
+describe('Mail service', () => {
+  beforeEach(() => {
+    clearSentMail();
+  });
+
+  it('should use the memory driver under test', async () => {
+    await sendPasswordResetEmail({ name: 'Test User', email: 'test@example.com' }, 'abc123');
+
+    const sent = getSentMail();
+    expect(sent).toHaveLength(1);
+    expect(sent[0].to).toBe('test@example.com');
+    expect(sent[0].from).toBeDefined();
+  });
+
+  it('should put the reset link in the text and html bodies', async () => {
+    await sendPasswordResetEmail({ name: 'Test User', email: 'test@example.com' }, 'abc123');
+
+    const [message] = getSentMail();
+    expect(message.subject).toBe('Reset your password');
+    expect(message.text).toContain('/reset-password/abc123');
+    expect(message.html).toContain('/reset-password/abc123');
+  });
+
+  it('should escape user data in html bodies', async () => {
+    await sendPasswordResetEmail({ name: '<script>alert(1)</script>', email: 'test@example.com' }, 'abc123');
+
+    const [message] = getSentMail();
+    expect(message.html).not.toContain('<script>');
+    expect(message.html).toContain(escapeHtml('<script>'));
+  });
+
+  it('should join base URLs and tokens with a single slash', () => {
+    expect(buildLink('https://app.example.com/reset/', 'tok')).toBe('https://app.example.com/reset/tok');
+  });
+});
@@ -0,0 +1,217 @@
+import request from 'supertest';
+import mongoose from 'mongoose';
+import jwt from 'jsonwebtoken';
+import { app, server } from '../src/server.js';
+import User from '../src/models/userModel.js';
+import AuditEvent from '../src/models/auditEventModel.js';
+import { config } from '../src/config/config.js';
+import { generateTotp } from '../src/utils/totp.js';
+
+// Test user data
+const mfaUser = {
+  name: 'MFA User',
+  email: 'mfa@example.com',
+  password: 'Mfa@123456'
+};
+
+let authToken;
+let secret;
+let recoveryCodes;
+
+// TOTP codes can only be used once, so later steps use the next time step
+const codeAt = (offsetSteps = 0) => generateTotp(secret, Date.now() + offsetSteps * 30 * 1000);
+
+// Connect to test database before tests
+beforeAll(async () => {
+  // Use a separate test database
+  await mongoose.connect(config.mongoUri + '-test');
+  
+  // Clear users and audit events
+  await User.deleteMany({});
+  await AuditEvent.deleteMany({});
+  
+  const user = await User.create(mfaUser);
+  authToken = user.generateAuthToken();
+});
+
+// Close database connection after tests
+afterAll(async () => {
+  await mongoose.connection.close();
+  server.close();
+});
+
+describe('MFA API', () => {
+  describe('POST /api/auth/mfa/totp/setup', () => {
+    it('should return a secret and otpauth URI', async () => {
+      const res = await request(app)
+        .post('/api/auth/mfa/totp/setup')
+        .set('Authorization', `Bearer ${authToken}`);
+      
+      expect(res.statusCode).toBe(200);
+      expect(res.body.data.otpauthUri).toMatch(/^otpauth:\/\/totp\//);
+      secret = res.body.data.secret;
+    });
+  });
+
+  describe('POST /api/auth/mfa/totp/verify', () => {
+    it('should reject a wrong code', async () => {
+      const res = await request(app)
+        .post('/api/auth/mfa/totp/verify')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ code: '000000' === codeAt() ? '111111' : '000000' });
+      
+      expect(res.statusCode).toBe(400);
+      expect(res.body.success).toBe(false);
+    });
+
+    it('should enable MFA and return recovery codes', async () => {
+      const res = await request(app)
+        .post('/api/auth/mfa/totp/verify')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ code: codeAt() });
+      
+      expect(res.statusCode).toBe(200);
+      expect(res.body.data.recoveryCodes).toHaveLength(10);
+      recoveryCodes = res.body.data.recoveryCodes;
+
+      const event = await AuditEvent.findOne({ action: 'auth.mfa_enable' });
+      expect(event.actor.email).toBe(mfaUser.email);
+      expect(event.target.label).toBe(mfaUser.email);
+    });
+  });
+
+  describe('POST /api/auth/mfa/challenge', () => {
+    let mfaToken;
+
+    it('should return a challenge token instead of an access token', async () => {
+      const res = await request(app)
+        .post('/api/auth/login')
+        .send({ email: mfaUser.email, password: mfaUser.password });
+      
+      expect(res.statusCode).toBe(200);
+      expect(res.body.data.mfaRequired).toBe(true);
+      expect(res.body.data.token).toBeUndefined();
+      mfaToken = res.body.data.mfaToken;
+    });
+
+    it('should not accept the challenge token as an access token', async () => {
+      const res = await request(app)
+        .get('/api/auth/me')
+        .set('Authorization', `Bearer ${mfaToken}`);
+      
+      expect(res.statusCode).toBe(401);
+    });
+
+    it('should complete login with a recovery code only once', async () => {
+      const res = await request(app)
+        .post('/api/auth/mfa/challenge')
+        .send({ mfaToken, recoveryCode: recoveryCodes[0] });
+      
+      expect(res.statusCode).toBe(200);
+      expect(res.body.data.token).toBeDefined();
+      expect(res.body.data.refreshToken).toBeDefined();
+
+      const login = await request(app)
+        .post('/api/auth/login')
+        .send({ email: mfaUser.email, password: mfaUser.password });
+
+      const reuse = await request(app)
+        .post('/api/auth/mfa/challenge')
+        .send({ mfaToken: login.body.data.mfaToken, recoveryCode: recoveryCodes[0] });
+      
+      expect(reuse.statusCode).toBe(401);
+    });
+
+    it('should complete login with a fresh TOTP code', async () => {
+      const login = await request(app)
+        .post('/api/auth/login')
+        .send({ email: mfaUser.email, password: mfaUser.password });
+
+      const res = await request(app)
+        .post('/api/auth/mfa/challenge')
+        .send({ mfaToken: login.body.data.mfaToken, code: codeAt(1) });
+      
+      expect(res.statusCode).toBe(200);
+      expect(res.body.data.token).toBeDefined();
+    });
+
+    it('should accept a TOTP code only once across concurrent challenges', async () => {
+      await User.updateOne({ email: mfaUser.email }, { $unset: { 'mfa.lastUsedStep': 1 } });
+
+      const logins = await Promise.all([1, 2].map(() => request(app)
+        .post('/api/auth/login')
+        .send({ email: mfaUser.email, password: mfaUser.password })));
+
+      const code = codeAt(1);
+      const responses = await Promise.all(logins.map(login => request(app)
+        .post('/api/auth/mfa/challenge')
+        .send({ mfaToken: login.body.data.mfaToken, code })));
+
+      expect(responses.map(res => res.statusCode).sort()).toEqual([200, 401]);
+    });
+  });
+
+  describe('Mandatory enrollment', () => {
+    const adminUser = {
+      name: 'MFA Admin',
+      email: 'mfa-admin@example.com',
+      password: 'Admin@123456',
+      role: 'admin'
+    };
+
+    beforeAll(async () => {
+      await User.create(adminUser);
+      config.mfa.requiredRoles = ['admin'];
+    });
+
+    afterAll(() => {
+      config.mfa.requiredRoles = [];
+    });
+
+    it('should not accept the enrollment token once MFA is enabled', async () => {
+      const login = await request(app)
+        .post('/api/auth/login')
+        .send({ email: adminUser.email, password: adminUser.password });
+
+      expect(login.body.data.mfaEnrollmentRequired).toBe(true);
+      const { enrollmentToken } = login.body.data;
+
+      const setup = await request(app)
+        .post('/api/auth/mfa/totp/setup')
+        .set('Authorization', `Bearer ${enrollmentToken}`);
+
+      const enrollmentCode = generateTotp(setup.body.data.secret);
+      const res = await request(app)
+        .post('/api/auth/mfa/totp/verify')
+        .set('Authorization', `Bearer ${enrollmentToken}`)
+        .send({ code: enrollmentCode });
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body.data.token).toBeDefined();
+
+      const reuse = await request(app)
+        .post('/api/auth/mfa/totp/setup')
+        .set('Authorization', `Bearer ${enrollmentToken}`);
+
+      expect(reuse.statusCode).toBe(401);
+    });
+  });
+
+  describe('PUT /api/auth/resetpassword/:resettoken', () => {
+    it('should ask for the second factor after a password reset', async () => {
+      const user = await User.findOne({ email: mfaUser.email });
+      const resetToken = user.generatePasswordResetToken();
+      await user.save({ validateBeforeSave: false });
+
+      const res = await request(app)
+        .put(`/api/auth/resetpassword/${resetToken}`)
+        .send({ password: 'Reset@Mfa123456' });
+      
+      expect(res.statusCode).toBe(200);
+      expect(res.body.data.mfaRequired).toBe(true);
+      expect(res.body.data.token).toBeUndefined();
+      expect(res.body.data.refreshToken).toBeUndefined();
+      expect(jwt.decode(res.body.data.mfaToken).purpose).toBe('mfa_pending');
+    });
+  });
+});
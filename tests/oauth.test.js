@@ -0,0 +1,348 @@
+import crypto from 'crypto';
+import request from 'supertest';
+import mongoose from 'mongoose';
+import { app, server } from '../src/server.js';
+import User from '../src/models/userModel.js';
+import OAuthClient from '../src/models/oauthClientModel.js';
+import SigningKey from '../src/models/signingKeyModel.js';
+import AuditEvent from '../src/models/auditEventModel.js';
+import { config } from '../src/config/config.js';
+import { rotateKeys } from '../src/services/keyService.js';
+import { verifyToken } from '../src/utils/tokenUtils.js';
+
+const redirectUri = 'https://app.example.com/callback';
+const originalAlgorithm = config.jwt.algorithm;
+
+let adminToken;
+let userToken;
+let client;
+let clientSecret;
+
+/**
+ * Create a PKCE verifier and its S256 challenge
+ * @returns {Object} - verifier and challenge
+ */
+const createPkce = () => {
+  const verifier = crypto.randomBytes(32).toString('base64url');
+  const challenge = crypto.createHash('sha256').update(verifier).digest('base64url');
+  return { verifier, challenge };
+};
+
+/**
+ * Run an authorization request as the regular user
+ * @param {Object} params - Extra query parameters
+ * @returns {Promise<URL>} - Redirect URL returned by the API
+ */
+const authorizeAs = async (params) => {
+  const res = await request(app)
+    .get('/api/oauth/authorize')
+    .set('Authorization', `Bearer ${userToken}`)
+    .query({ client_id: client.clientId, redirect_uri: redirectUri, response_type: 'code', ...params });
+
+  expect(res.statusCode).toBe(200);
+  return new URL(res.body.data.redirectTo);
+};
+
+// Connect to test database, sign with RS256 (required for OpenID Connect)
+// and create an admin and a regular user
+beforeAll(async () => {
+  await mongoose.connect(config.mongoUri + '-test');
+  await User.deleteMany({});
+  await OAuthClient.deleteMany({});
+  await SigningKey.deleteMany({});
+  await AuditEvent.deleteMany({});
+  config.jwt.algorithm = 'RS256';
+  await rotateKeys();
+
+  const admin = await User.create({
+    name: 'OAuth Admin',
+    email: 'oauth-admin@example.com',
+    password: 'Admin@123456',
+    role: 'admin'
+  });
+  adminToken = admin.generateAuthToken();
+
+  const user = await User.create({
+    name: 'OAuth User',
+    email: 'oauth-user@example.com',
+    password: 'User@123456',
+    emailVerified: true
+  });
+  userToken = user.generateAuthToken();
+});
+
+// Restore configuration and close database connection
+afterAll(async () => {
+  config.jwt.algorithm = originalAlgorithm;
+  await mongoose.connection.close();
+  server.close();
+});
+
+describe('OAuth client registration', () => {
+  it('should register a client and return its secret once', async () => {
+    const res = await request(app)
+      .post('/api/oauth/clients')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({
+        name: 'Internal App',
+        redirectUris: [redirectUri],
+        grantTypes: ['authorization_code', 'client_credentials'],
+        scopes: ['openid', 'profile', 'email', 'reports:read']
+      });
+
+    expect(res.statusCode).toBe(201);
+    expect(res.body.data.clientSecret).toBeDefined();
+    expect(res.body.data.client.clientSecretHash).toBeUndefined();
+    client = res.body.data.client;
+    clientSecret = res.body.data.clientSecret;
+  });
+
+  it('should audit client registration and secret rotation', async () => {
+    const rotate = await request(app)
+      .post(`/api/oauth/clients/${client._id}/secret`)
+      .set('Authorization', `Bearer ${adminToken}`);
+    expect(rotate.statusCode).toBe(200);
+    clientSecret = rotate.body.data.clientSecret;
+
+    const created = await AuditEvent.findOne({ action: 'oauth_client.create', 'target.label': client.clientId });
+    expect(created.actor.email).toBe('oauth-admin@example.com');
+    expect(created.changes.map(change => change.toObject())).toEqual(expect.arrayContaining([
+      expect.objectContaining({ field: 'redirectUris', after: [redirectUri] })
+    ]));
+
+    const rotated = await AuditEvent.findOne({ action: 'oauth_client.secret_rotate', 'target.id': client._id });
+    expect(rotated).not.toBeNull();
+  });
+
+  it('should not let regular users register clients', async () => {
+    const res = await request(app)
+      .post('/api/oauth/clients')
+      .set('Authorization', `Bearer ${userToken}`)
+      .send({ name: 'Rogue App', redirectUris: [redirectUri] });
+
+    expect(res.statusCode).toBe(403);
+  });
+
+  it('should not let public clients use client credentials', async () => {
+    const res = await request(app)
+      .post('/api/oauth/clients')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({
+        name: 'Public App',
+        tokenEndpointAuthMethod: 'none',
+        redirectUris: [redirectUri],
+        grantTypes: ['client_credentials']
+      });
+
+    expect(res.statusCode).toBe(400);
+  });
+});
+
+describe('Authorization code grant', () => {
+  it('should send a browser without a token to the consent page', async () => {
+    const res = await request(app)
+      .get('/api/oauth/authorize')
+      .query({ client_id: client.clientId, redirect_uri: redirectUri, response_type: 'code', state: 'xyz' });
+
+    expect(res.statusCode).toBe(302);
+    const location = new URL(res.headers.location);
+    expect(`${location.origin}${location.pathname}`).toBe(config.oauth.consentUrl);
+    expect(location.searchParams.get('client_id')).toBe(client.clientId);
+    expect(location.searchParams.get('redirect_uri')).toBe(redirectUri);
+    expect(location.searchParams.get('state')).toBe('xyz');
+  });
+
+  it('should not send a browser to the consent page for an unknown client', async () => {
+    const res = await request(app)
+      .get('/api/oauth/authorize')
+      .query({ client_id: 'unknown-client', redirect_uri: redirectUri, response_type: 'code' });
+
+    expect(res.statusCode).toBe(400);
+    expect(res.headers.location).toBeUndefined();
+  });
+
+  it('should reject an unregistered redirect URI without redirecting', async () => {
+    const res = await request(app)
+      .get('/api/oauth/authorize')
+      .set('Authorization', `Bearer ${userToken}`)
+      .query({ client_id: client.clientId, redirect_uri: 'https://evil.example.com/', response_type: 'code' });
+
+    expect(res.statusCode).toBe(400);
+  });
+
+  it('should report a missing PKCE challenge through the redirect', async () => {
+    const url = await authorizeAs({ scope: 'openid', state: 'xyz' });
+
+    expect(url.searchParams.get('error')).toBe('invalid_request');
+    expect(url.searchParams.get('state')).toBe('xyz');
+  });
+
+  it('should issue tokens and an ID token for a valid code', async () => {
+    const { verifier, challenge } = createPkce();
+    const url = await authorizeAs({
+      scope: 'openid profile email',
+      state: 'abc',
+      nonce: 'nonce-123',
+      code_challenge: challenge,
+      code_challenge_method: 'S256'
+    });
+    expect(url.searchParams.get('state')).toBe('abc');
+    const code = url.searchParams.get('code');
+
+    const res = await request(app)
+      .post('/api/oauth/token')
+      .auth(client.clientId, clientSecret)
+      .type('form')
+      .send({ grant_type: 'authorization_code', code, redirect_uri: redirectUri, code_verifier: verifier });
+
+    expect(res.statusCode).toBe(200);
+    expect(res.headers['cache-control']).toBe('no-store');
+    expect(res.body.token_type).toBe('Bearer');
+
+    const idToken = await verifyToken(res.body.id_token, {
+      issuer: config.oauth.issuer,
+      audience: client.clientId
+    });
+    expect(idToken.nonce).toBe('nonce-123');
+    expect(idToken.email).toBe('oauth-user@example.com');
+    expect(idToken.email_verified).toBe(true);
+    expect(idToken.name).toBe('OAuth User');
+
+    // The access token works on /userinfo but not on the API itself
+    const info = await request(app)
+      .get('/api/oauth/userinfo')
+      .set('Authorization', `Bearer ${res.body.access_token}`);
+    expect(info.statusCode).toBe(200);
+    expect(info.body.sub).toBe(idToken.sub);
+    expect(info.body.email).toBe('oauth-user@example.com');
+
+    const me = await request(app)
+      .get('/api/auth/me')
+      .set('Authorization', `Bearer ${res.body.access_token}`);
+    expect(me.statusCode).toBe(401);
+
+    // Codes are single-use
+    const replay = await request(app)
+      .post('/api/oauth/token')
+      .auth(client.clientId, clientSecret)
+      .type('form')
+      .send({ grant_type: 'authorization_code', code, redirect_uri: redirectUri, code_verifier: verifier });
+    expect(replay.statusCode).toBe(400);
+    expect(replay.body.error).toBe('invalid_grant');
+  });
+
+  it('should reject a code redeemed with the wrong verifier', async () => {
+    const { challenge } = createPkce();
+    const url = await authorizeAs({ scope: 'openid', code_challenge: challenge, code_challenge_method: 'S256' });
+
+    const res = await request(app)
+      .post('/api/oauth/token')
+      .auth(client.clientId, clientSecret)
+      .type('form')
+      .send({
+        grant_type: 'authorization_code',
+        code: url.searchParams.get('code'),
+        redirect_uri: redirectUri,
+        code_verifier: createPkce().verifier
+      });
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.error).toBe('invalid_grant');
+  });
+
+  it('should refuse the openid scope when tokens are signed with HS256', async () => {
+    config.jwt.algorithm = 'HS256';
+    try {
+      const { challenge } = createPkce();
+      const url = await authorizeAs({ scope: 'openid', code_challenge: challenge, code_challenge_method: 'S256' });
+
+      expect(url.searchParams.get('error')).toBe('invalid_scope');
+      expect(url.searchParams.get('code')).toBeNull();
+    } finally {
+      config.jwt.algorithm = 'RS256';
+    }
+  });
+
+  it('should reject a wrong client secret', async () => {
+    const res = await request(app)
+      .post('/api/oauth/token')
+      .auth(client.clientId, 'wrong-secret')
+      .type('form')
+      .send({ grant_type: 'client_credentials' });
+
+    expect(res.statusCode).toBe(401);
+    expect(res.body.error).toBe('invalid_client');
+  });
+});
+
+describe('Client credentials grant', () => {
+  it('should issue a token for the client itself', async () => {
+    const res = await request(app)
+      .post('/api/oauth/token')
+      .auth(client.clientId, clientSecret)
+      .type('form')
+      .send({ grant_type: 'client_credentials', scope: 'reports:read' });
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.scope).toBe('reports:read');
+    expect(res.body.id_token).toBeUndefined();
+
+    const decoded = await verifyToken(res.body.access_token, { issuer: config.oauth.issuer });
+    expect(decoded.sub).toBe(client.clientId);
+  });
+
+  it('should only accept the authentication method the client registered', async () => {
+    const res = await request(app)
+      .post('/api/oauth/token')
+      .type('form')
+      .send({ grant_type: 'client_credentials', client_id: client.clientId, client_secret: clientSecret });
+
+    expect(res.statusCode).toBe(401);
+    expect(res.body.error).toBe('invalid_client');
+  });
+
+  it('should reject a malformed Basic header', async () => {
+    const res = await request(app)
+      .post('/api/oauth/token')
+      .set('Authorization', `Basic ${Buffer.from('%:%').toString('base64')}`)
+      .type('form')
+      .send({ grant_type: 'client_credentials' });
+
+    expect(res.statusCode).toBe(401);
+    expect(res.body.error).toBe('invalid_client');
+  });
+
+  it('should reject scopes the client was not granted', async () => {
+    const res = await request(app)
+      .post('/api/oauth/token')
+      .auth(client.clientId, clientSecret)
+      .type('form')
+      .send({ grant_type: 'client_credentials', scope: 'admin:all' });
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.error).toBe('invalid_scope');
+  });
+});
+
+describe('GET /.well-known/openid-configuration', () => {
+  it('should describe the endpoints', async () => {
+    const res = await request(app).get('/.well-known/openid-configuration');
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.issuer).toBe(config.oauth.issuer);
+    expect(res.body.token_endpoint).toBe(`${config.oauth.issuer}/api/oauth/token`);
+    expect(res.body.code_challenge_methods_supported).toEqual(['S256']);
+    expect(res.body.id_token_signing_alg_values_supported).toEqual(['RS256']);
+  });
+
+  it('should not be published when tokens are signed with HS256', async () => {
+    config.jwt.algorithm = 'HS256';
+    try {
+      const res = await request(app).get('/.well-known/openid-configuration');
+
+      expect(res.statusCode).toBe(404);
+    } finally {
+      config.jwt.algorithm = 'RS256';
+    }
+  });
+});
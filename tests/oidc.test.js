@@ -0,0 +1,295 @@
+import crypto from 'crypto';
+import express from 'express';
+import request from 'supertest';
+import mongoose from 'mongoose';
+import jwt from 'jsonwebtoken';
+import { app, server } from '../src/server.js';
+import User from '../src/models/userModel.js';
+import { config } from '../src/config/config.js';
+
+// Mock OpenID Connect provider signing ID tokens with its own RSA key
+const { publicKey, privateKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+const providerJwk = { ...publicKey.export({ format: 'jwk' }), kid: 'mock-key', use: 'sig', alg: 'RS256' };
+const authorizations = new Map();
+let providerServer;
+let issuer;
+
+// The identity the mock provider vouches for on the next authorization
+let nextIdentity;
+
+const provider = express();
+provider.use(express.urlencoded({ extended: false }));
+
+provider.get('/.well-known/openid-configuration', (req, res) => {
+  res.json({
+    issuer,
+    authorization_endpoint: `${issuer}/authorize`,
+    token_endpoint: `${issuer}/token`,
+    jwks_uri: `${issuer}/jwks`
+  });
+});
+
+provider.get('/jwks', (req, res) => {
+  res.json({ keys: [providerJwk] });
+});
+
+provider.post('/token', (req, res) => {
+  const grant = authorizations.get(req.body.code);
+  authorizations.delete(req.body.code);
+
+  const challenge = crypto.createHash('sha256').update(req.body.code_verifier || '').digest('base64url');
+  if (!grant || grant.codeChallenge !== challenge) {
+    return res.status(400).json({ error: 'invalid_grant' });
+  }
+
+  const idToken = jwt.sign({ ...grant.identity, nonce: grant.nonce }, privateKey, {
+    algorithm: 'RS256',
+    keyid: 'mock-key',
+    issuer,
+    audience: req.body.client_id,
+    expiresIn: '5m'
+  });
+  res.json({ access_token: 'mock-access-token', token_type: 'Bearer', id_token: idToken });
+});
+
+/**
+ * Walk through the authorization step the browser would perform
+ * @param {Object} res - Response that started the flow (redirect or authorizationUrl)
+ * @returns {Object} - query (code and state) for the callback and the browser's cookie
+ */
+const authorize = (res) => {
+  const authorizationUrl = res.headers.location || res.body.data.authorizationUrl;
+  const params = new URL(authorizationUrl).searchParams;
+  const code = crypto.randomBytes(16).toString('hex');
+  authorizations.set(code, {
+    identity: nextIdentity,
+    nonce: params.get('nonce'),
+    codeChallenge: params.get('code_challenge')
+  });
+  return {
+    query: { code, state: params.get('state') },
+    cookie: (res.headers['set-cookie'] || []).map(header => header.split(';')[0]).join('; ')
+  };
+};
+
+/**
+ * Start a login and return what the browser brings to the callback
+ * @returns {Promise<Object>} - query and cookie
+ */
+const startLogin = async () => {
+  const res = await request(app).get('/api/auth/oidc/mock/start');
+  expect(res.statusCode).toBe(302);
+  return authorize(res);
+};
+
+/**
+ * Return to the callback as the browser would
+ * @param {Object} flow - query and cookie from authorize
+ * @returns {Promise<Object>} - Callback response
+ */
+const callback = ({ query, cookie }) => request(app)
+  .get('/api/auth/oidc/mock/callback')
+  .set('Cookie', cookie)
+  .query(query);
+
+// Start the mock provider, register it and connect to the test database
+beforeAll(async () => {
+  await new Promise(resolve => {
+    providerServer = provider.listen(0, resolve);
+  });
+  issuer = `http://127.0.0.1:${providerServer.address().port}`;
+  config.oidc.providers.mock = { issuer, clientId: 'test-client', clientSecret: 'test-secret' };
+
+  await mongoose.connect(config.mongoUri + '-test');
+  await User.deleteMany({});
+  await User.create({
+    name: 'Existing User',
+    email: 'existing@example.com',
+    password: 'Existing@123'
+  });
+});
+
+// Remove the provider and close connections
+afterAll(async () => {
+  delete config.oidc.providers.mock;
+  await mongoose.connection.close();
+  providerServer.close();
+  server.close();
+});
+
+describe('OpenID Connect login', () => {
+  it('should redirect to the provider with PKCE, state and nonce', async () => {
+    const res = await request(app).get('/api/auth/oidc/mock/start');
+
+    expect(res.statusCode).toBe(302);
+    const url = new URL(res.headers.location);
+    expect(url.origin + url.pathname).toBe(`${issuer}/authorize`);
+    expect(url.searchParams.get('client_id')).toBe('test-client');
+    expect(url.searchParams.get('code_challenge_method')).toBe('S256');
+    expect(url.searchParams.get('state')).toBeTruthy();
+    expect(url.searchParams.get('nonce')).toBeTruthy();
+  });
+
+  it('should return 404 for an unknown provider', async () => {
+    const res = await request(app).get('/api/auth/oidc/unknown/start');
+
+    expect(res.statusCode).toBe(404);
+  });
+
+  it('should create a new user on first login', async () => {
+    nextIdentity = { sub: 'new-subject', email: 'newcomer@example.com', email_verified: true, name: 'Newcomer' };
+    const flow = await startLogin();
+
+    const res = await callback(flow);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.data.token).toBeDefined();
+    expect(res.body.data.refreshToken).toBeDefined();
+    expect(res.body.data.user.email).toBe('newcomer@example.com');
+
+    const user = await User.findOne({ email: 'newcomer@example.com' }).select('+password');
+    expect(user.password).toBeUndefined();
+    expect(user.emailVerified).toBe(true);
+    expect(user.identities[0].subject).toBe('new-subject');
+  });
+
+  it('should log the same identity into the same account again', async () => {
+    const flow = await startLogin();
+
+    const res = await callback(flow);
+
+    expect(res.statusCode).toBe(200);
+    expect(await User.countDocuments({ email: 'newcomer@example.com' })).toBe(1);
+  });
+
+  it('should not allow reusing a state', async () => {
+    const flow = await startLogin();
+    await callback(flow);
+
+    const res = await callback(flow);
+
+    expect(res.statusCode).toBe(400);
+  });
+
+  it('should reject a callback with a forged state', async () => {
+    const { query, cookie } = await startLogin();
+
+    const res = await callback({ query: { code: query.code, state: 'forged-state' }, cookie });
+
+    expect(res.statusCode).toBe(400);
+  });
+
+  it('should reject a callback in another browser than the one that started', async () => {
+    const { query } = await startLogin();
+
+    const res = await callback({ query, cookie: '' });
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.error.message).toBe('Authorization was not started in this browser');
+  });
+
+  it('should not sign in to service accounts', async () => {
+    await User.create({ name: 'Build Bot', email: 'bot@example.com', accountType: 'service' });
+    nextIdentity = { sub: 'bot-subject', email: 'bot@example.com', email_verified: true };
+
+    const res = await callback(await startLogin());
+
+    expect(res.statusCode).toBe(403);
+    expect((await User.findOne({ email: 'bot@example.com' })).identities).toHaveLength(0);
+  });
+
+  it('should not link to an existing account on an unverified email', async () => {
+    nextIdentity = { sub: 'unverified-subject', email: 'existing@example.com', email_verified: false };
+    const flow = await startLogin();
+
+    const res = await callback(flow);
+
+    expect(res.statusCode).toBe(401);
+    const user = await User.findOne({ email: 'existing@example.com' });
+    expect(user.identities).toHaveLength(0);
+  });
+
+  it('should link to an existing account on a verified email', async () => {
+    nextIdentity = { sub: 'existing-subject', email: 'existing@example.com', email_verified: true };
+    const flow = await startLogin();
+
+    const res = await callback(flow);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.data.user.email).toBe('existing@example.com');
+    const user = await User.findOne({ email: 'existing@example.com' });
+    expect(user.identities[0].subject).toBe('existing-subject');
+  });
+});
+
+describe('Linked identities', () => {
+  let authToken;
+  let identityId;
+
+  beforeAll(async () => {
+    const res = await request(app)
+      .post('/api/auth/login')
+      .send({ email: 'existing@example.com', password: 'Existing@123' });
+    authToken = res.body.data.token;
+  });
+
+  it('should link another identity to the current user', async () => {
+    const start = await request(app)
+      .post('/api/auth/oidc/mock/link')
+      .set('Authorization', `Bearer ${authToken}`);
+    expect(start.statusCode).toBe(200);
+
+    nextIdentity = { sub: 'second-subject', email: 'other@example.com', email_verified: true };
+    const res = await callback(authorize(start));
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.data.identity.provider).toBe('mock');
+  });
+
+  it('should reject linking an identity that belongs to another user', async () => {
+    const start = await request(app)
+      .post('/api/auth/oidc/mock/link')
+      .set('Authorization', `Bearer ${authToken}`);
+
+    nextIdentity = { sub: 'new-subject', email: 'newcomer@example.com', email_verified: true };
+    const res = await callback(authorize(start));
+
+    expect(res.statusCode).toBe(409);
+  });
+
+  it('should list linked identities', async () => {
+    const res = await request(app)
+      .get('/api/auth/identities')
+      .set('Authorization', `Bearer ${authToken}`);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.data.identities).toHaveLength(2);
+    identityId = res.body.data.identities[1].id;
+  });
+
+  it('should unlink an identity', async () => {
+    const res = await request(app)
+      .delete(`/api/auth/identities/${identityId}`)
+      .set('Authorization', `Bearer ${authToken}`);
+
+    expect(res.statusCode).toBe(200);
+    const user = await User.findOne({ email: 'existing@example.com' });
+    expect(user.identities).toHaveLength(1);
+  });
+
+  it('should not unlink the only sign-in method of a passwordless account', async () => {
+    nextIdentity = { sub: 'new-subject', email: 'newcomer@example.com', email_verified: true };
+    const login = await callback(await startLogin());
+    const token = login.body.data.token;
+
+    const identities = await request(app)
+      .get('/api/auth/identities')
+      .set('Authorization', `Bearer ${token}`);
+
+    const res = await request(app)
+      .delete(`/api/auth/identities/${identities.body.data.identities[0].id}`)
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(res.statusCode).toBe(400);
+  });
+});
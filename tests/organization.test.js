@@ -0,0 +1,313 @@
+import request from 'supertest';
+import mongoose from 'mongoose';
+import { app, server } from '../src/server.js';
+import User from '../src/models/userModel.js';
+import Role from '../src/models/roleModel.js';
+import Session from '../src/models/sessionModel.js';
+import Organization from '../src/models/organizationModel.js';
+import { config } from '../src/config/config.js';
+
+let adminToken;
+let acmeId;
+let globexId;
+let orgAdmin;
+let orgAdminToken;
+let member;
+let outsider;
+
+// Connect to test database before tests
+beforeAll(async () => {
+  await mongoose.connect(config.mongoUri + '-test');
+  await Promise.all([
+    User.deleteMany({}),
+    Role.deleteMany({}),
+    Session.deleteMany({}),
+    Organization.deleteMany({})
+  ]);
+
+  const admin = await User.create({
+    name: 'Platform Admin',
+    email: 'platform-admin@example.com',
+    password: 'Admin@123456',
+    role: 'admin'
+  });
+  orgAdmin = await User.create({
+    name: 'Acme Admin',
+    email: 'acme-admin@example.com',
+    password: 'Acme@123456789'
+  });
+  member = await User.create({
+    name: 'Acme Member',
+    email: 'acme-member@example.com',
+    password: 'Member@123456'
+  });
+  outsider = await User.create({
+    name: 'Globex Member',
+    email: 'globex-member@example.com',
+    password: 'Globex@123456'
+  });
+  adminToken = admin.generateAuthToken();
+});
+
+// Close database connection after tests
+afterAll(async () => {
+  await mongoose.connection.close();
+  server.close();
+});
+
+describe('Organizations API', () => {
+  it('should let platform admins create organizations', async () => {
+    const acme = await request(app)
+      .post('/api/organizations')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ name: 'Acme Corp' });
+
+    expect(acme.statusCode).toBe(201);
+    expect(acme.body.data.organization.slug).toBe('acme-corp');
+    acmeId = acme.body.data.organization._id;
+
+    const globex = await request(app)
+      .post('/api/organizations')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ name: 'Globex', slug: 'globex' });
+    globexId = globex.body.data.organization._id;
+
+    const duplicate = await request(app)
+      .post('/api/organizations')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ name: 'Acme Corp' });
+    expect(duplicate.statusCode).toBe(409);
+  });
+
+  it('should add members with a role per organization', async () => {
+    const promote = await request(app)
+      .put(`/api/organizations/${acmeId}/members/${orgAdmin._id}`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ role: 'admin' });
+    expect(promote.statusCode).toBe(200);
+    expect(promote.body.data.member.role).toBe('admin');
+
+    await request(app)
+      .put(`/api/organizations/${acmeId}/members/${member._id}`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({});
+    await request(app)
+      .put(`/api/organizations/${globexId}/members/${outsider._id}`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({});
+
+    const res = await request(app)
+      .get(`/api/organizations/${acmeId}/members`)
+      .set('Authorization', `Bearer ${adminToken}`);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.data.members.map(m => m.email).sort())
+      .toEqual(['acme-admin@example.com', 'acme-member@example.com']);
+  });
+
+  it('should not let non-admins manage organizations', async () => {
+    const res = await request(app)
+      .post('/api/organizations')
+      .set('Authorization', `Bearer ${member.generateAuthToken()}`)
+      .send({ name: 'Rogue' });
+
+    expect(res.statusCode).toBe(403);
+  });
+});
+
+describe('Acting inside an organization', () => {
+  it('should sign users with one membership into that organization', async () => {
+    const res = await request(app)
+      .post('/api/auth/login')
+      .send({ email: 'acme-admin@example.com', password: 'Acme@123456789' });
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.data.organization).toBe(acmeId);
+    orgAdminToken = res.body.data.token;
+  });
+
+  it('should limit the user list to members of the organization', async () => {
+    const res = await request(app)
+      .get('/api/users')
+      .set('Authorization', `Bearer ${orgAdminToken}`);
+
+    expect(res.statusCode).toBe(200);
+    const emails = res.body.data.users.map(user => user.email);
+    expect(emails).toContain('acme-member@example.com');
+    expect(emails).not.toContain('globex-member@example.com');
+    expect(emails).not.toContain('platform-admin@example.com');
+  });
+
+  it('should hide users of other organizations', async () => {
+    const res = await request(app)
+      .get(`/api/users/${outsider._id}`)
+      .set('Authorization', `Bearer ${orgAdminToken}`);
+
+    expect(res.statusCode).toBe(404);
+  });
+
+  it('should not grant platform permissions to organization admins', async () => {
+    const res = await request(app)
+      .get('/api/organizations')
+      .set('Authorization', `Bearer ${orgAdminToken}`);
+
+    expect(res.statusCode).toBe(403);
+  });
+
+  it('should change membership roles, not the global role', async () => {
+    const res = await request(app)
+      .put(`/api/users/${member._id}/role`)
+      .set('Authorization', `Bearer ${orgAdminToken}`)
+      .send({ role: 'admin' });
+
+    expect(res.statusCode).toBe(200);
+    const updated = await User.findById(member._id);
+    expect(updated.role).toBe('user');
+    expect(updated.getMembership(acmeId).role).toBe('admin');
+  });
+
+  it('should not change accounts that reach beyond the organization', async () => {
+    const shared = await User.create({
+      name: 'Shared Member',
+      email: 'shared-member@example.com',
+      password: 'Shared@123456',
+      memberships: [{ organization: acmeId }, { organization: globexId }]
+    });
+    const staff = await User.create({
+      name: 'Platform Staff',
+      email: 'platform-staff@example.com',
+      password: 'Staff@123456',
+      role: 'admin',
+      memberships: [{ organization: acmeId }]
+    });
+
+    for (const user of [shared, staff]) {
+      const update = await request(app)
+        .put(`/api/users/${user._id}`)
+        .set('Authorization', `Bearer ${orgAdminToken}`)
+        .send({ email: `taken-${user._id}@example.com` });
+      expect(update.statusCode).toBe(403);
+
+      const logout = await request(app)
+        .post(`/api/users/${user._id}/logout-all`)
+        .set('Authorization', `Bearer ${orgAdminToken}`);
+      expect(logout.statusCode).toBe(403);
+
+      const mfa = await request(app)
+        .delete(`/api/users/${user._id}/mfa`)
+        .set('Authorization', `Bearer ${orgAdminToken}`);
+      expect(mfa.statusCode).toBe(403);
+
+      expect((await User.findById(user._id)).email).toBe(user.email);
+    }
+
+    // The membership is still the organization's to change or remove
+    const role = await request(app)
+      .put(`/api/users/${shared._id}`)
+      .set('Authorization', `Bearer ${orgAdminToken}`)
+      .send({ role: 'admin' });
+    expect(role.statusCode).toBe(200);
+
+    const removed = await request(app)
+      .delete(`/api/users/${staff._id}`)
+      .set('Authorization', `Bearer ${orgAdminToken}`);
+    expect(removed.statusCode).toBe(200);
+
+    const kept = await User.findById(staff._id);
+    expect(kept.deletedAt).toBeFalsy();
+    expect(kept.getMembership(acmeId)).toBeUndefined();
+  });
+
+  it('should change accounts that belong to the organization alone', async () => {
+    const res = await request(app)
+      .put(`/api/users/${member._id}`)
+      .set('Authorization', `Bearer ${orgAdminToken}`)
+      .send({ name: 'Renamed Member', isActive: true });
+
+    expect(res.statusCode).toBe(200);
+    expect((await User.findById(member._id)).name).toBe('Renamed Member');
+  });
+
+  it('should switch organizations and revoke the previous token', async () => {
+    const list = await request(app)
+      .get('/api/auth/organizations')
+      .set('Authorization', `Bearer ${orgAdminToken}`);
+    expect(list.statusCode).toBe(200);
+    expect(list.body.data.organizations[0].current).toBe(true);
+
+    const denied = await request(app)
+      .post('/api/auth/organizations/switch')
+      .set('Authorization', `Bearer ${orgAdminToken}`)
+      .send({ organization: globexId });
+    expect(denied.statusCode).toBe(403);
+
+    const res = await request(app)
+      .post('/api/auth/organizations/switch')
+      .set('Authorization', `Bearer ${orgAdminToken}`)
+      .send({ organization: null });
+    expect(res.statusCode).toBe(200);
+    expect(res.body.data.organization).toBeNull();
+
+    const stale = await request(app)
+      .get('/api/auth/me')
+      .set('Authorization', `Bearer ${orgAdminToken}`);
+    expect(stale.statusCode).toBe(401);
+
+    // Without an organization the global user role applies
+    const global = await request(app)
+      .get('/api/users')
+      .set('Authorization', `Bearer ${res.body.data.token}`);
+    expect(global.statusCode).toBe(403);
+  });
+
+  it('should reject tokens of deactivated organizations', async () => {
+    const login = await request(app)
+      .post('/api/auth/login')
+      .send({ email: 'globex-member@example.com', password: 'Globex@123456' });
+
+    await request(app)
+      .put(`/api/organizations/${globexId}`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ isActive: false });
+
+    const res = await request(app)
+      .get('/api/auth/me')
+      .set('Authorization', `Bearer ${login.body.data.token}`);
+
+    expect(res.statusCode).toBe(401);
+
+    // Signing in again starts outside the deactivated organization
+    const again = await request(app)
+      .post('/api/auth/login')
+      .send({ email: 'globex-member@example.com', password: 'Globex@123456' });
+    expect(again.statusCode).toBe(200);
+    expect(again.body.data.organization).toBeUndefined();
+
+    const me = await request(app)
+      .get('/api/auth/me')
+      .set('Authorization', `Bearer ${again.body.data.token}`);
+    expect(me.statusCode).toBe(200);
+  });
+
+  it('should keep global admins with one membership outside it at login', async () => {
+    await User.create({
+      name: 'Acme Operator',
+      email: 'acme-operator@example.com',
+      password: 'Operator@123456',
+      role: 'admin',
+      memberships: [{ organization: acmeId }]
+    });
+
+    const res = await request(app)
+      .post('/api/auth/login')
+      .send({ email: 'acme-operator@example.com', password: 'Operator@123456' });
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.data.organization).toBeUndefined();
+
+    const organizations = await request(app)
+      .get('/api/organizations')
+      .set('Authorization', `Bearer ${res.body.data.token}`);
+    expect(organizations.statusCode).toBe(200);
+  });
+});
@@ -0,0 +1,143 @@
+import request from 'supertest';
+import mongoose from 'mongoose';
+import { app, server } from '../src/server.js';
+import User from '../src/models/userModel.js';
+import { config } from '../src/config/config.js';
+
+// Test user data
+const historyUser = {
+  name: 'History User',
+  email: 'history@example.com',
+  password: 'Harbor#Lantern1'
+};
+
+let authToken;
+
+/**
+ * Collect the policy reason codes of a rejected password
+ * @param {Object} res - Supertest response
+ * @returns {String[]} - Reason codes
+ */
+const reasonCodes = (res) => (res.body.error.details || []).map(reason => reason.code);
+
+// Connect to test database before tests
+beforeAll(async () => {
+  await mongoose.connect(config.mongoUri + '-test');
+  await User.deleteMany({});
+
+  const user = await User.create(historyUser);
+  authToken = user.generateAuthToken();
+});
+
+// Close database connection after tests
+afterAll(async () => {
+  config.passwordPolicy.maxAgeDays = 0;
+  await mongoose.connection.close();
+  server.close();
+});
+
+describe('Password history', () => {
+  it('should reject the current password as the new one', async () => {
+    const user = await User.findOne({ email: historyUser.email });
+    const resetToken = user.generatePasswordResetToken();
+    await user.save({ validateBeforeSave: false });
+
+    const res = await request(app)
+      .put(`/api/auth/resetpassword/${resetToken}`)
+      .send({ password: historyUser.password });
+
+    expect(res.statusCode).toBe(400);
+    expect(reasonCodes(res)).toContain('REUSED');
+  });
+
+  it('should reject a recent password after it was changed', async () => {
+    const changed = await request(app)
+      .put('/api/auth/updatepassword')
+      .set('Authorization', `Bearer ${authToken}`)
+      .send({ currentPassword: historyUser.password, newPassword: 'Harbor#Lantern2' });
+    expect(changed.statusCode).toBe(200);
+    authToken = changed.body.data.token;
+
+    const res = await request(app)
+      .put('/api/auth/updatepassword')
+      .set('Authorization', `Bearer ${authToken}`)
+      .send({ currentPassword: 'Harbor#Lantern2', newPassword: historyUser.password });
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.error.code).toBe('PASSWORD_POLICY');
+    expect(reasonCodes(res)).toEqual(['REUSED']);
+    historyUser.password = 'Harbor#Lantern2';
+  });
+
+  it('should keep only the configured number of hashes', async () => {
+    const user = await User.findOne({ email: historyUser.email }).select('+passwordHistory');
+    expect(user.passwordHistory).toHaveLength(2);
+    expect(user.passwordHistory.length).toBeLessThanOrEqual(config.passwordPolicy.historySize);
+  });
+});
+
+describe('Maximum password age', () => {
+  let changeToken;
+
+  beforeAll(async () => {
+    config.passwordPolicy.maxAgeDays = 90;
+    await User.updateOne(
+      { email: historyUser.email },
+      { passwordChangedAt: Date.now() - 100 * 24 * 60 * 60 * 1000 }
+    );
+  });
+
+  it('should require a password change at login', async () => {
+    const res = await request(app)
+      .post('/api/auth/login')
+      .send({ email: historyUser.email, password: historyUser.password });
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.data.passwordChangeRequired).toBe(true);
+    expect(res.body.data.token).toBeUndefined();
+    changeToken = res.body.data.passwordChangeToken;
+  });
+
+  it('should not accept the change token as an access token', async () => {
+    const res = await request(app)
+      .get('/api/auth/me')
+      .set('Authorization', `Bearer ${changeToken}`);
+
+    expect(res.statusCode).toBe(401);
+  });
+
+  it('should not accept a recent password as the replacement', async () => {
+    const res = await request(app)
+      .post('/api/auth/password-change')
+      .set('Authorization', `Bearer ${changeToken}`)
+      .send({ newPassword: 'Harbor#Lantern1' });
+
+    expect(res.statusCode).toBe(400);
+    expect(reasonCodes(res)).toContain('REUSED');
+  });
+
+  it('should finish the login once the password is changed', async () => {
+    const res = await request(app)
+      .post('/api/auth/password-change')
+      .set('Authorization', `Bearer ${changeToken}`)
+      .send({ newPassword: 'Harbor#Lantern3' });
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.data.token).toBeDefined();
+    expect(res.body.data.refreshToken).toBeDefined();
+
+    const me = await request(app)
+      .get('/api/auth/me')
+      .set('Authorization', `Bearer ${res.body.data.token}`);
+    expect(me.statusCode).toBe(200);
+  });
+
+  it('should not accept the change token twice', async () => {
+    const res = await request(app)
+      .post('/api/auth/password-change')
+      .set('Authorization', `Bearer ${changeToken}`)
+      .send({ newPassword: 'Harbor#Lantern4' });
+
+    expect(res.statusCode).toBe(401);
+  });
+});
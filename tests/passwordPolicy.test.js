@@ -0,0 +1,95 @@
+import crypto from 'crypto';
+import os from 'os';
+import path from 'path';
+import { mkdtemp, rm, writeFile } from 'fs/promises';
+import { config } from '../src/config/config.js';
+import {
+  scorePassword,
+  isBreachedPassword,
+  evaluatePassword,
+  assertPasswordAllowed
+} from '../src/services/passwordPolicyService.js';
+
+const user = { name: 'Jane Doe', email: 'jane.doe@example.com' };
+const breachedPassword = 'Summer@2024!';
+
+let breachedDir;
+
+// Write a range file containing the breached password
+beforeAll(async () => {
+  breachedDir = await mkdtemp(path.join(os.tmpdir(), 'breached-'));
+  const hash = crypto.createHash('sha1').update(breachedPassword).digest('hex').toUpperCase();
+  await writeFile(
+    path.join(breachedDir, `${hash.slice(0, 5)}.txt`),
+    `0018A45C4D1DEF81644B54AB7F969B88D65:3\r\n${hash.slice(5)}:42\r\n`
+  );
+});
+
+afterAll(async () => {
+  config.passwordPolicy.breachedPasswordsDir = '';
+  await rm(breachedDir, { recursive: true, force: true });
+});
+
+describe('Password policy', () => {
+  describe('scorePassword', () => {
+    it('should score predictable passwords lower', () => {
+      expect(scorePassword('aaaaaaaa')).toBe(0);
+      expect(scorePassword('abcdefgh12345678')).toBeLessThan(scorePassword('kq7Rw2mZp9Lx'));
+    });
+
+    it('should give long mixed passwords the top score', () => {
+      expect(scorePassword('Tr0ub4dor&3-horse-Battery')).toBe(4);
+    });
+  });
+
+  describe('evaluatePassword', () => {
+    it('should accept a password meeting every rule', async () => {
+      const result = await evaluatePassword('Velvet#Orbit42', user);
+      expect(result.valid).toBe(true);
+      expect(result.reasons).toEqual([]);
+    });
+
+    it('should report every failed rule', async () => {
+      const result = await evaluatePassword('jane', user);
+      const codes = result.reasons.map(reason => reason.code);
+
+      expect(result.valid).toBe(false);
+      expect(codes).toEqual(expect.arrayContaining([
+        'TOO_SHORT',
+        'MISSING_UPPERCASE',
+        'MISSING_NUMBER',
+        'MISSING_SYMBOL',
+        'CONTAINS_PERSONAL_INFO',
+        'TOO_WEAK'
+      ]));
+    });
+
+    it('should reject parts of the email address', async () => {
+      const result = await evaluatePassword('Doe#Velvet42', { email: user.email });
+      expect(result.reasons.map(reason => reason.code)).toEqual(['CONTAINS_PERSONAL_INFO']);
+    });
+  });
+
+  describe('breached passwords', () => {
+    it('should skip the check when no list is configured', async () => {
+      config.passwordPolicy.breachedPasswordsDir = '';
+      expect(await isBreachedPassword(breachedPassword)).toBe(false);
+    });
+
+    it('should find passwords in the range files', async () => {
+      config.passwordPolicy.breachedPasswordsDir = breachedDir;
+      expect(await isBreachedPassword(breachedPassword)).toBe(true);
+      expect(await isBreachedPassword('Velvet#Orbit42')).toBe(false);
+    });
+
+    it('should reject breached passwords with the PASSWORD_POLICY code', async () => {
+      config.passwordPolicy.breachedPasswordsDir = breachedDir;
+
+      await expect(assertPasswordAllowed(breachedPassword, user)).rejects.toMatchObject({
+        statusCode: 400,
+        errorCode: 'PASSWORD_POLICY',
+        details: [expect.objectContaining({ code: 'BREACHED' })]
+      });
+    });
+  });
+});
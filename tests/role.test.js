@@ -0,0 +1,168 @@
+import request from 'supertest';
+import mongoose from 'mongoose';
+import { app, server } from '../src/server.js';
+import User from '../src/models/userModel.js';
+import Role from '../src/models/roleModel.js';
+import ApiKey from '../src/models/apiKeyModel.js';
+import { config } from '../src/config/config.js';
+import { migrateRoles } from '../src/services/roleService.js';
+
+let admin;
+let adminToken;
+let supportUser;
+let supportToken;
+let supportRoleId;
+
+// Connect to test database before tests
+beforeAll(async () => {
+  await mongoose.connect(config.mongoUri + '-test');
+  await Promise.all([User.deleteMany({}), Role.deleteMany({}), ApiKey.deleteMany({})]);
+
+  admin = await User.create({
+    name: 'Role Admin',
+    email: 'role-admin@example.com',
+    password: 'Admin@123456',
+    role: 'admin'
+  });
+  supportUser = await User.create({
+    name: 'Support Agent',
+    email: 'support@example.com',
+    password: 'Support@123456'
+  });
+  adminToken = admin.generateAuthToken();
+  supportToken = supportUser.generateAuthToken();
+});
+
+// Close database connection after tests
+afterAll(async () => {
+  await mongoose.connection.close();
+  server.close();
+});
+
+describe('Role migration', () => {
+  it('should store built-in roles and upgrade legacy API key scopes', async () => {
+    const legacyKey = await ApiKey.create({
+      name: 'Legacy job',
+      keyId: 'legacy000001',
+      prefix: 'sua_legacy000001',
+      keyHash: 'legacy-hash',
+      user: admin._id,
+      scopes: ['users:read', 'users:write']
+    });
+
+    await migrateRoles();
+    await migrateRoles();
+
+    const roles = await Role.find().sort({ name: 1 });
+    expect(roles.map(role => role.name)).toEqual(['admin', 'user']);
+    expect(roles.every(role => role.isSystem)).toBe(true);
+
+    const migrated = await ApiKey.findById(legacyKey._id);
+    expect(migrated.scopes).toEqual(expect.arrayContaining(['users:read', 'users:create', 'users:delete']));
+    expect(migrated.scopes).not.toContain('users:write');
+  });
+});
+
+describe('Roles API', () => {
+  it('should let admins create roles with selected permissions', async () => {
+    const res = await request(app)
+      .post('/api/roles')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ name: 'Support', description: 'Help desk', permissions: ['users:read', 'users:update', 'sessions:revoke'] });
+
+    expect(res.statusCode).toBe(201);
+    expect(res.body.data.role.name).toBe('support');
+    supportRoleId = res.body.data.role._id;
+  });
+
+  it('should reject unknown permissions', async () => {
+    const res = await request(app)
+      .post('/api/roles')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ name: 'broken', permissions: ['everything'] });
+
+    expect(res.statusCode).toBe(400);
+  });
+
+  it('should assign roles to users', async () => {
+    const res = await request(app)
+      .put(`/api/users/${supportUser._id}/role`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ role: 'support' });
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.data.user.role).toBe('support');
+  });
+
+  it('should refuse roles that do not exist', async () => {
+    const res = await request(app)
+      .put(`/api/users/${supportUser._id}/role`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ role: 'missing' });
+
+    expect(res.statusCode).toBe(400);
+  });
+
+  it('should list the permissions of the current user', async () => {
+    const res = await request(app)
+      .get('/api/auth/me')
+      .set('Authorization', `Bearer ${supportToken}`);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.data.user.permissions).toEqual(['users:read', 'users:update', 'sessions:revoke']);
+  });
+
+  it('should allow the granted permissions only', async () => {
+    const list = await request(app)
+      .get('/api/users')
+      .set('Authorization', `Bearer ${supportToken}`);
+    expect(list.statusCode).toBe(200);
+
+    const remove = await request(app)
+      .delete(`/api/users/${admin._id}`)
+      .set('Authorization', `Bearer ${supportToken}`);
+    expect(remove.statusCode).toBe(403);
+
+    const roles = await request(app)
+      .post('/api/roles')
+      .set('Authorization', `Bearer ${supportToken}`)
+      .send({ name: 'sneaky', permissions: ['users:delete'] });
+    expect(roles.statusCode).toBe(403);
+  });
+
+  it('should not let users assign roles beyond their own permissions', async () => {
+    await Role.updateOne({ _id: supportRoleId }, { $push: { permissions: 'roles:assign' } });
+
+    const promote = await request(app)
+      .put(`/api/users/${supportUser._id}/role`)
+      .set('Authorization', `Bearer ${supportToken}`)
+      .send({ role: 'admin' });
+    expect(promote.statusCode).toBe(403);
+
+    const demote = await request(app)
+      .put(`/api/users/${admin._id}/role`)
+      .set('Authorization', `Bearer ${supportToken}`)
+      .send({ role: 'user' });
+    expect(demote.statusCode).toBe(403);
+
+    const viaUpdate = await request(app)
+      .put(`/api/users/${supportUser._id}`)
+      .set('Authorization', `Bearer ${supportToken}`)
+      .send({ role: 'admin' });
+    expect(viaUpdate.statusCode).toBe(403);
+  });
+
+  it('should protect built-in and assigned roles', async () => {
+    const adminRole = await Role.findOne({ name: 'admin' });
+
+    const builtIn = await request(app)
+      .delete(`/api/roles/${adminRole._id}`)
+      .set('Authorization', `Bearer ${adminToken}`);
+    expect(builtIn.statusCode).toBe(400);
+
+    const assigned = await request(app)
+      .delete(`/api/roles/${supportRoleId}`)
+      .set('Authorization', `Bearer ${adminToken}`);
+    expect(assigned.statusCode).toBe(409);
+  });
+});
@@ -0,0 +1,72 @@
+import bcrypt from 'bcryptjs';
+import {
+  parsePasswordHash,
+  hashPassword,
+  comparePassword,
+  passwordNeedsRehash
+} from '../src/utils/securityUtils.js';
+
+// Low costs keep the tests fast
+const bcryptSettings = { algorithm: 'bcrypt', bcryptRounds: 4 };
+const scryptSettings = {
+  algorithm: 'scrypt',
+  scryptLogCost: 10,
+  scryptBlockSize: 8,
+  scryptParallelization: 1
+};
+
+describe('Password hashing', () => {
+  it('should encode the algorithm and parameters in scrypt hashes', async () => {
+    const hash = await hashPassword('Velvet#Orbit42', scryptSettings);
+
+    expect(hash).toMatch(/^\$scrypt\$ln=10,r=8,p=1\$[A-Za-z0-9+/]+\$[A-Za-z0-9+/]+$/);
+    expect(parsePasswordHash(hash)).toMatchObject({ algorithm: 'scrypt', params: { ln: 10, r: 8, p: 1 } });
+  });
+
+  it('should verify hashes of either algorithm', async () => {
+    const scryptHash = await hashPassword('Velvet#Orbit42', scryptSettings);
+    const bcryptHash = await hashPassword('Velvet#Orbit42', bcryptSettings);
+
+    expect(await comparePassword('Velvet#Orbit42', scryptHash)).toBe(true);
+    expect(await comparePassword('Velvet#Orbit43', scryptHash)).toBe(false);
+    expect(await comparePassword('Velvet#Orbit42', bcryptHash)).toBe(true);
+    expect(await comparePassword('Velvet#Orbit43', bcryptHash)).toBe(false);
+  });
+
+  it('should verify hashes made before the encoded format', async () => {
+    const legacyHash = await bcrypt.hash('Velvet#Orbit42', await bcrypt.genSalt(4));
+    expect(await comparePassword('Velvet#Orbit42', legacyHash)).toBe(true);
+  });
+
+  it('should not match unrecognised hashes', async () => {
+    expect(await comparePassword('Velvet#Orbit42', 'plain-text')).toBe(false);
+    expect(await comparePassword('Velvet#Orbit42', undefined)).toBe(false);
+  });
+
+  it('should reject unsupported algorithms', async () => {
+    await expect(hashPassword('Velvet#Orbit42', { algorithm: 'md5' })).rejects.toThrow();
+  });
+
+  describe('passwordNeedsRehash', () => {
+    it('should flag hashes of another algorithm', async () => {
+      const hash = await hashPassword('Velvet#Orbit42', bcryptSettings);
+      expect(passwordNeedsRehash(hash, scryptSettings)).toBe(true);
+    });
+
+    it('should flag hashes with other parameters', async () => {
+      const bcryptHash = await hashPassword('Velvet#Orbit42', bcryptSettings);
+      const scryptHash = await hashPassword('Velvet#Orbit42', scryptSettings);
+
+      expect(passwordNeedsRehash(bcryptHash, { ...bcryptSettings, bcryptRounds: 5 })).toBe(true);
+      expect(passwordNeedsRehash(scryptHash, { ...scryptSettings, scryptLogCost: 11 })).toBe(true);
+    });
+
+    it('should leave current hashes alone', async () => {
+      const bcryptHash = await hashPassword('Velvet#Orbit42', bcryptSettings);
+      const scryptHash = await hashPassword('Velvet#Orbit42', scryptSettings);
+
+      expect(passwordNeedsRehash(bcryptHash, bcryptSettings)).toBe(false);
+      expect(passwordNeedsRehash(scryptHash, scryptSettings)).toBe(false);
+    });
+  });
+});
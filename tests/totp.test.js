@@ -0,0 +1,55 @@
+import {
+  base32Encode,
+  base32Decode,
+  generateTotp,
+  verifyTotp,
+  buildOtpauthUri
+} from '../src/utils/totp.js';
+
+// RFC 6238 appendix B test secret ("12345678901234567890")
+const rfcSecret = base32Encode(Buffer.from('12345678901234567890'));
+
+describe('TOTP utilities', () => {
+  describe('base32', () => {
+    it('should round-trip arbitrary data', () => {
+      const data = Buffer.from('secure-user-auth');
+      expect(base32Decode(base32Encode(data)).equals(data)).toBe(true);
+    });
+
+    it('should reject invalid characters', () => {
+      expect(() => base32Decode('ABC1')).toThrow();
+    });
+  });
+
+  describe('generateTotp', () => {
+    it('should match the RFC 6238 SHA-1 test vectors', () => {
+      expect(generateTotp(rfcSecret, 59 * 1000, 8)).toBe('94287082');
+      expect(generateTotp(rfcSecret, 1111111109 * 1000, 8)).toBe('07081804');
+      expect(generateTotp(rfcSecret, 1234567890 * 1000, 8)).toBe('89005924');
+    });
+  });
+
+  describe('verifyTotp', () => {
+    const now = 1700000000 * 1000;
+
+    it('should accept the current code and codes one step away', () => {
+      expect(verifyTotp(rfcSecret, generateTotp(rfcSecret, now), 1, now)).not.toBeNull();
+      expect(verifyTotp(rfcSecret, generateTotp(rfcSecret, now - 30000), 1, now)).not.toBeNull();
+    });
+
+    it('should reject codes outside the window or malformed codes', () => {
+      expect(verifyTotp(rfcSecret, generateTotp(rfcSecret, now - 90000), 1, now)).toBeNull();
+      expect(verifyTotp(rfcSecret, '12345', 1, now)).toBeNull();
+      expect(verifyTotp(rfcSecret, undefined, 1, now)).toBeNull();
+    });
+  });
+
+  describe('buildOtpauthUri', () => {
+    it('should include issuer, account and secret', () => {
+      const uri = buildOtpauthUri('JBSWY3DPEHPK3PXP', 'test@example.com', 'Secure User Auth');
+      expect(uri.startsWith('otpauth://totp/Secure%20User%20Auth%3Atest%40example.com?')).toBe(true);
+      expect(uri).toContain('secret=JBSWY3DPEHPK3PXP');
+      expect(uri).toContain('issuer=Secure+User+Auth');
+    });
+  });
+});
@@ -1,8 +1,10 @@
-const request = require('supertest');
-const mongoose = require('mongoose');
-const { app, server } = require('../src/server');
-const User = require('../src/models/userModel');
-const { config } = require('../src/config/config');
+import request from 'supertest';
+import mongoose from 'mongoose';
+import { app, server } from '../src/server.js';
+import User from '../src/models/userModel.js';
+import { config } from '../src/config/config.js';
+import { purgeDeletedUsers } from '../src/services/accountDeletionService.js';
+import { getSentMail, clearSentMail } from '../src/services/mail/mailService.js';
 
 // Test user data
 const adminUser = {
@@ -70,6 +72,60 @@ describe('User API', () => {
       expect(res.statusCode).toBe(403);
       expect(res.body.success).toBe(false);
     });
+
+    it('should search and filter users', async () => {
+      const search = await request(app)
+        .get('/api/users?q=REGULAR')
+        .set('Authorization', `Bearer ${adminToken}`);
+      
+      expect(search.statusCode).toBe(200);
+      expect(search.body.data.users.map(user => user.email)).toEqual([regularUser.email]);
+      
+      const filtered = await request(app)
+        .get('/api/users?role=admin&isActive=true')
+        .set('Authorization', `Bearer ${adminToken}`);
+      
+      expect(filtered.body.data.users.map(user => user.email)).toEqual([adminUser.email]);
+      
+      const future = await request(app)
+        .get(`/api/users?createdFrom=${new Date(Date.now() + 60000).toISOString()}`)
+        .set('Authorization', `Bearer ${adminToken}`);
+      
+      expect(future.body.data.users).toHaveLength(0);
+    });
+
+    it('should page through users with a cursor', async () => {
+      const first = await request(app)
+        .get('/api/users?sort=name&limit=1')
+        .set('Authorization', `Bearer ${adminToken}`);
+      
+      expect(first.statusCode).toBe(200);
+      expect(first.body.data.users[0].name).toBe(adminUser.name);
+      expect(first.body.pagination.hasMore).toBe(true);
+      
+      const second = await request(app)
+        .get(`/api/users?sort=name&limit=1&cursor=${first.body.pagination.nextCursor}`)
+        .set('Authorization', `Bearer ${adminToken}`);
+      
+      expect(second.statusCode).toBe(200);
+      expect(second.body.data.users[0].name).toBe(regularUser.name);
+      expect(second.body.pagination.hasMore).toBe(false);
+      expect(second.body.pagination.nextCursor).toBeNull();
+      
+      const mismatched = await request(app)
+        .get(`/api/users?sort=-name&cursor=${first.body.pagination.nextCursor}`)
+        .set('Authorization', `Bearer ${adminToken}`);
+      
+      expect(mismatched.statusCode).toBe(400);
+    });
+
+    it('should reject sort fields that are not allowed', async () => {
+      const res = await request(app)
+        .get('/api/users?sort=password')
+        .set('Authorization', `Bearer ${adminToken}`);
+      
+      expect(res.statusCode).toBe(400);
+    });
   });
 
   // Test get user by ID (admin only)
@@ -110,7 +166,7 @@ describe('User API', () => {
       const newUser = {
         name: 'New Test User',
         email: 'newtest@example.com',
-        password: 'NewTest@123456',
+        password: 'Welcome@123456',
         role: 'user'
       };
 
@@ -158,6 +214,24 @@ describe('User API', () => {
       expect(res.body.data.user.name).toBe(updateData.name);
     });
 
+    it('should send a verification email to a changed address', async () => {
+      clearSentMail();
+
+      const res = await request(app)
+        .put(`/api/users/${userId}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ email: 'changed-by-admin@example.com' });
+      
+      expect(res.statusCode).toBe(200);
+      const [message] = getSentMail();
+      expect(message.to).toBe('changed-by-admin@example.com');
+      expect(message.subject).toBe('Verify your email address');
+      expect((await User.findById(userId)).emailVerified).toBe(false);
+
+      // Later tests log in with the original address
+      await User.updateOne({ _id: userId }, { email: regularUser.email });
+    });
+
     it('should not allow regular users to update other users', async () => {
       const updateData = {
         name: 'Unauthorized Update'
@@ -236,5 +310,138 @@ describe('User API', () => {
       expect(res.statusCode).toBe(400);
       expect(res.body.success).toBe(false);
     });
+
+    it('should keep deleted users restorable', async () => {
+      const userToDelete = await User.create({
+        name: 'Restore Me',
+        email: 'restore@example.com',
+        password: 'Restore@123456'
+      });
+      const deletedToken = userToDelete.generateAuthToken();
+
+      await request(app)
+        .delete(`/api/users/${userToDelete._id}`)
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      const stored = await User.findById(userToDelete._id).setOptions({ withDeleted: true });
+      expect(stored.deletedAt).toBeDefined();
+
+      const me = await request(app)
+        .get('/api/auth/me')
+        .set('Authorization', `Bearer ${deletedToken}`);
+      expect(me.statusCode).toBe(401);
+
+      const login = await request(app)
+        .post('/api/auth/login')
+        .send({ email: 'restore@example.com', password: 'Restore@123456' });
+      expect(login.statusCode).toBe(401);
+
+      const listed = await request(app)
+        .get('/api/users?deleted=true')
+        .set('Authorization', `Bearer ${adminToken}`);
+      expect(listed.body.data.users.map(user => user.email)).toContain('restore@example.com');
+
+      const res = await request(app)
+        .post(`/api/users/${userToDelete._id}/restore`)
+        .set('Authorization', `Bearer ${adminToken}`);
+      expect(res.statusCode).toBe(200);
+
+      const restoredLogin = await request(app)
+        .post('/api/auth/login')
+        .send({ email: 'restore@example.com', password: 'Restore@123456' });
+      expect(restoredLogin.statusCode).toBe(200);
+    });
+
+    it('should free the email of deleted users when configured', async () => {
+      config.accountDeletion.emailPolicy = 'release';
+      const userToDelete = await User.create({
+        name: 'Release Me',
+        email: 'release@example.com',
+        password: 'Release@123456'
+      });
+
+      await request(app)
+        .delete(`/api/users/${userToDelete._id}`)
+        .set('Authorization', `Bearer ${adminToken}`);
+      config.accountDeletion.emailPolicy = 'reserve';
+
+      const replacement = await request(app)
+        .post('/api/users')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ name: 'New Owner', email: 'release@example.com', password: 'NewOwner@123456' });
+      expect(replacement.statusCode).toBe(201);
+
+      const restore = await request(app)
+        .post(`/api/users/${userToDelete._id}/restore`)
+        .set('Authorization', `Bearer ${adminToken}`);
+      expect(restore.statusCode).toBe(409);
+    });
+
+    it('should purge users deleted before the retention period', async () => {
+      const expired = await User.create({
+        name: 'Purge Me',
+        email: 'purge@example.com',
+        password: 'Purge@123456',
+        deletedAt: Date.now() - (config.accountDeletion.retentionDays + 1) * 24 * 60 * 60 * 1000
+      });
+
+      await purgeDeletedUsers();
+
+      expect(await User.exists({ _id: expired._id }).setOptions({ withDeleted: true })).toBeNull();
+      expect(await User.exists({ email: 'restore@example.com' })).not.toBeNull();
+    });
+  });
+
+  // Test account unlock (admin only)
+  describe('POST /api/users/:id/unlock', () => {
+    it('should unlock a locked account as admin', async () => {
+      await User.updateOne(
+        { _id: userId },
+        { failedLoginAttempts: 5, lockUntil: Date.now() + 60 * 1000 }
+      );
+
+      const res = await request(app)
+        .post(`/api/users/${userId}/unlock`)
+        .set('Authorization', `Bearer ${adminToken}`);
+      
+      expect(res.statusCode).toBe(200);
+      expect(res.body.success).toBe(true);
+
+      const user = await User.findById(userId);
+      expect(user.failedLoginAttempts).toBe(0);
+      expect(user.lockUntil).toBeUndefined();
+    });
+  });
+
+  // Test forced logout (admin only)
+  describe('POST /api/users/:id/logout-all', () => {
+    it('should not allow regular users to log out other users', async () => {
+      const res = await request(app)
+        .post(`/api/users/${userId}/logout-all`)
+        .set('Authorization', `Bearer ${userToken}`);
+      
+      expect(res.statusCode).toBe(403);
+      expect(res.body.success).toBe(false);
+    });
+
+    it('should invalidate all existing tokens of the user', async () => {
+      // Token timestamps have second precision
+      await new Promise(resolve => setTimeout(resolve, 1000));
+
+      const res = await request(app)
+        .post(`/api/users/${userId}/logout-all`)
+        .set('Authorization', `Bearer ${adminToken}`);
+      
+      expect(res.statusCode).toBe(200);
+      expect(res.body.success).toBe(true);
+
+      const profile = await request(app)
+        .put('/api/users/profile')
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ name: 'Should Fail' });
+      
+      expect(profile.statusCode).toBe(401);
+      expect(profile.body.success).toBe(false);
+    });
   });
 });
\ No newline at end of file
@@ -0,0 +1,208 @@
+import request from 'supertest';
+import mongoose from 'mongoose';
+import { app, server } from '../src/server.js';
+import User from '../src/models/userModel.js';
+import Role from '../src/models/roleModel.js';
+import AuditEvent from '../src/models/auditEventModel.js';
+import { config } from '../src/config/config.js';
+
+let adminToken;
+
+// Reads NDJSON responses, which supertest does not buffer as text
+const readText = (response, callback) => {
+  let body = '';
+  response.on('data', chunk => { body += chunk; });
+  response.on('end', () => callback(null, body));
+};
+
+const importCsv = (csv, query = '') => request(app)
+  .post(`/api/users/import${query}`)
+  .set('Authorization', `Bearer ${adminToken}`)
+  .set('Content-Type', 'text/csv')
+  .send(csv);
+
+// Connect to test database before tests
+beforeAll(async () => {
+  await mongoose.connect(config.mongoUri + '-test');
+  await User.deleteMany({});
+  await Role.deleteMany({ isSystem: false });
+  await AuditEvent.deleteMany({});
+
+  const admin = await User.create({
+    name: 'Import Admin',
+    email: 'import-admin@example.com',
+    password: 'Admin@123456',
+    role: 'admin'
+  });
+  adminToken = admin.generateAuthToken();
+});
+
+// Close database connection after tests
+afterAll(async () => {
+  await mongoose.connection.close();
+  server.close();
+});
+
+describe('User import', () => {
+  const csv = [
+    'name,email,password,role',
+    'Ada Lovelace,ada@example.com,Velvet#Orbit42,',
+    '"Hopper, Grace",grace@example.com,Copper!Lantern77,admin',
+    'X,not-an-email,,',
+    'Ada Again,ADA@example.com,Velvet#Orbit42,',
+    'Weak Password,weak@example.com,password,'
+  ].join('\n');
+
+  it('should report what would happen in a dry run without creating users', async () => {
+    const res = await importCsv(csv, '?dryRun=true');
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.data.dryRun).toBe(true);
+    expect(res.body.data.summary).toEqual({ total: 5, created: 2, updated: 0, skipped: 0, failed: 3 });
+    expect(res.body.data.results.map(result => result.status))
+      .toEqual(['created', 'created', 'failed', 'failed', 'failed']);
+    expect(await User.countDocuments({ email: { $in: ['ada@example.com', 'grace@example.com'] } })).toBe(0);
+  });
+
+  it('should create users and report failed rows', async () => {
+    const res = await importCsv(csv);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.data.summary).toEqual({ total: 5, created: 2, updated: 0, skipped: 0, failed: 3 });
+
+    const [ada, grace, invalid, duplicate, weak] = res.body.data.results;
+    expect(ada).toMatchObject({ row: 1, email: 'ada@example.com', status: 'created' });
+    expect(grace.status).toBe('created');
+    expect(invalid.details).toEqual(expect.arrayContaining([
+      { name: 'Name must be between 2 and 50 characters' },
+      { email: 'Please provide a valid email' },
+      { password: 'Password is required' }
+    ]));
+    expect(duplicate.error).toBe('Email appears more than once in this import');
+    expect(weak.error).toBe('Password does not meet the password policy');
+
+    const created = await User.findById(grace.id);
+    expect(created.name).toBe('Hopper, Grace');
+    expect(created.role).toBe('admin');
+    expect(await created.matchPassword('Copper!Lantern77')).toBe(true);
+
+    const events = await AuditEvent.find({ action: 'user.create', 'metadata.import': true });
+    expect(events).toHaveLength(2);
+    expect(await AuditEvent.countDocuments({ action: 'user.import' })).toBe(1);
+  });
+
+  it('should fail, skip or update rows with existing emails', async () => {
+    const existing = 'name,email,password,role\nAda King,ada@example.com,Velvet#Orbit42,admin\n';
+
+    const failed = await importCsv(existing);
+    expect(failed.body.data.results[0]).toMatchObject({
+      status: 'failed',
+      error: 'User with this email already exists'
+    });
+
+    const skipped = await importCsv(existing, '?onConflict=skip');
+    expect(skipped.body.data.results[0].status).toBe('skipped');
+
+    const updated = await importCsv(existing, '?onConflict=update');
+    expect(updated.body.data.results[0].status).toBe('updated');
+
+    const ada = await User.findOne({ email: 'ada@example.com' });
+    expect(ada.name).toBe('Ada King');
+    expect(ada.role).toBe('admin');
+    // Passwords of existing users are never changed by an import
+    expect(await ada.matchPassword('Velvet#Orbit42')).toBe(true);
+  });
+
+  it('should need users:update to update existing users', async () => {
+    await Role.create({ name: 'importer', permissions: ['users:create'] });
+    const importer = await User.create({
+      name: 'Importer',
+      email: 'importer@example.com',
+      password: 'Admin@123456',
+      role: 'importer'
+    });
+
+    const res = await request(app)
+      .post('/api/users/import?onConflict=update')
+      .set('Authorization', `Bearer ${importer.generateAuthToken()}`)
+      .set('Content-Type', 'text/csv')
+      .send('name,email,password\nAda,ada@example.com,Velvet#Orbit42\n');
+
+    expect(res.statusCode).toBe(403);
+  });
+
+  it('should import NDJSON and reject bodies it cannot stream', async () => {
+    const ndjson = [
+      JSON.stringify({ name: 'Build Bot', email: 'bot@example.com', accountType: 'service' }),
+      'not json'
+    ].join('\n');
+
+    const res = await request(app)
+      .post('/api/users/import')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .set('Content-Type', 'application/x-ndjson')
+      .send(ndjson);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.data.results).toEqual([
+      expect.objectContaining({ row: 1, status: 'created' }),
+      { row: 2, status: 'failed', error: 'Row is not valid JSON' }
+    ]);
+    expect((await User.findOne({ email: 'bot@example.com' })).accountType).toBe('service');
+
+    const json = await request(app)
+      .post('/api/users/import')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send([{ name: 'Json User', email: 'json@example.com' }]);
+    expect(json.statusCode).toBe(415);
+  });
+
+  it('should stop reading after the row limit', async () => {
+    const { maxRows } = config.userImport;
+    config.userImport.maxRows = 1;
+
+    try {
+      const res = await importCsv('name,email,password\nOne,one@example.com,Velvet#Orbit42\nTwo,two@example.com,Velvet#Orbit42\n');
+
+      expect(res.body.data.summary.total).toBe(1);
+      expect(res.body.data.aborted).toEqual({ row: 2, reason: 'Imports are limited to 1 rows' });
+      expect(await User.exists({ email: 'two@example.com' })).toBeNull();
+    } finally {
+      config.userImport.maxRows = maxRows;
+    }
+  });
+});
+
+describe('User export', () => {
+  it('should export matching users as CSV', async () => {
+    const res = await request(app)
+      .get('/api/users/export?q=example.com&sort=email')
+      .set('Authorization', `Bearer ${adminToken}`);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.headers['content-type']).toMatch(/text\/csv/);
+
+    const lines = res.text.trim().split('\r\n');
+    expect(lines[0]).toBe('id,name,email,role,accountType,isActive,emailVerified,createdAt,lastLogin,deletedAt');
+    expect(lines).toHaveLength(1 + await User.countDocuments());
+    expect(lines[1]).toContain(',Ada King,ada@example.com,admin,user,true,');
+    expect(lines.some(line => line.includes('"Hopper, Grace"'))).toBe(true);
+  });
+
+  it('should export NDJSON with the filters of the user list', async () => {
+    const res = await request(app)
+      .get('/api/users/export?format=ndjson&role=admin')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .buffer(true)
+      .parse(readText);
+
+    expect(res.statusCode).toBe(200);
+    const users = res.body.trim().split('\n').map(line => JSON.parse(line));
+    expect(users.map(user => user.email).sort())
+      .toEqual(['ada@example.com', 'grace@example.com', 'import-admin@example.com']);
+    expect(users[0]).not.toHaveProperty('password');
+
+    const event = await AuditEvent.findOne({ action: 'user.export' }).sort({ createdAt: -1 });
+    expect(event.metadata).toEqual({ format: 'ndjson', count: 3 });
+  });
+});
@@ -0,0 +1,203 @@
+import request from 'supertest';
+import mongoose from 'mongoose';
+import { app, server } from '../src/server.js';
+import User from '../src/models/userModel.js';
+import AuditEvent from '../src/models/auditEventModel.js';
+import { config } from '../src/config/config.js';
+import { createSoftAuthenticator } from './helpers/softAuthenticator.js';
+
+const passkeyUser = {
+  name: 'Passkey User',
+  email: 'passkey@example.com',
+  password: 'Passkey@123'
+};
+
+const authenticator = createSoftAuthenticator({
+  origin: config.webauthn.origins[0],
+  rpId: config.webauthn.rpId
+});
+
+let authToken;
+
+/**
+ * Run the login ceremony with the software authenticator
+ * @param {Object} settings - Passed to getAssertion
+ * @returns {Promise<Object>} - Verify response
+ */
+const loginWithPasskey = async (settings) => {
+  const options = await request(app).post('/api/auth/webauthn/login/options').send({});
+  expect(options.statusCode).toBe(200);
+
+  return request(app)
+    .post('/api/auth/webauthn/login/verify')
+    .send({ response: authenticator.getAssertion(options.body.data.options, settings) });
+};
+
+// Connect to test database and sign in with a password
+beforeAll(async () => {
+  await mongoose.connect(config.mongoUri + '-test');
+  await User.deleteMany({});
+  await AuditEvent.deleteMany({});
+
+  const user = await User.create(passkeyUser);
+  authToken = (await request(app)
+    .post('/api/auth/login')
+    .send({ email: user.email, password: passkeyUser.password })).body.data.token;
+});
+
+// Close database connection after tests
+afterAll(async () => {
+  await mongoose.connection.close();
+  server.close();
+});
+
+describe('Passkey registration', () => {
+  it('should register a passkey', async () => {
+    const options = await request(app)
+      .post('/api/auth/webauthn/register/options')
+      .set('Authorization', `Bearer ${authToken}`);
+    expect(options.statusCode).toBe(200);
+    expect(options.body.data.options.rp.id).toBe(config.webauthn.rpId);
+    expect(options.body.data.options.authenticatorSelection.residentKey).toBe('required');
+
+    const res = await request(app)
+      .post('/api/auth/webauthn/register/verify')
+      .set('Authorization', `Bearer ${authToken}`)
+      .send({ response: authenticator.createCredential(options.body.data.options), name: 'Test key' });
+
+    expect(res.statusCode).toBe(201);
+    expect(res.body.data.passkey.name).toBe('Test key');
+
+    const user = await User.findOne({ email: passkeyUser.email });
+    expect(user.passkeys[0].credentialId).toBe(authenticator.credentialId);
+    expect(user.passkeys[0].transports).toEqual(['internal']);
+
+    const event = await AuditEvent.findOne({ action: 'auth.passkey_register' });
+    expect(event.actor.email).toBe(passkeyUser.email);
+    expect(event.metadata.name).toBe('Test key');
+  });
+
+  it('should not accept a registration without a fresh challenge', async () => {
+    const res = await request(app)
+      .post('/api/auth/webauthn/register/verify')
+      .set('Authorization', `Bearer ${authToken}`)
+      .send({ response: authenticator.createCredential({ challenge: 'bm90LWlzc3VlZA' }) });
+
+    expect(res.statusCode).toBe(400);
+  });
+});
+
+describe('Passkey login', () => {
+  it('should sign in with a passkey and update the counter', async () => {
+    const res = await loginWithPasskey();
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.data.token).toBeDefined();
+    expect(res.body.data.refreshToken).toBeDefined();
+
+    const user = await User.findOne({ email: passkeyUser.email });
+    expect(user.passkeys[0].counter).toBe(1);
+    expect(user.passkeys[0].lastUsedAt).toBeDefined();
+  });
+
+  it('should not list the passkeys of an account', async () => {
+    const known = await request(app).post('/api/auth/webauthn/login/options').send({ email: passkeyUser.email });
+    const unknown = await request(app).post('/api/auth/webauthn/login/options').send({ email: 'nobody@example.com' });
+
+    expect(known.statusCode).toBe(200);
+    expect(known.body.data.options.allowCredentials).toEqual([]);
+    expect(unknown.body.data.options.allowCredentials).toEqual([]);
+  });
+
+  it('should not accept the same assertion twice', async () => {
+    const options = await request(app).post('/api/auth/webauthn/login/options').send({});
+    const assertion = authenticator.getAssertion(options.body.data.options);
+
+    const first = await request(app).post('/api/auth/webauthn/login/verify').send({ response: assertion });
+    expect(first.statusCode).toBe(200);
+
+    const replay = await request(app).post('/api/auth/webauthn/login/verify').send({ response: assertion });
+    expect(replay.statusCode).toBe(400);
+  });
+
+  it('should reject a tampered signature', async () => {
+    const options = await request(app).post('/api/auth/webauthn/login/options').send({});
+    const assertion = authenticator.getAssertion(options.body.data.options);
+    const signature = Buffer.from(assertion.response.signature, 'base64url');
+    signature[signature.length - 1] ^= 0xff;
+    assertion.response.signature = signature.toString('base64url');
+
+    const res = await request(app).post('/api/auth/webauthn/login/verify').send({ response: assertion });
+
+    expect(res.statusCode).toBe(401);
+  });
+});
+
+describe('Passkey management', () => {
+  let passkeyId;
+
+  it('should list and rename passkeys', async () => {
+    const list = await request(app)
+      .get('/api/auth/webauthn/passkeys')
+      .set('Authorization', `Bearer ${authToken}`);
+    expect(list.statusCode).toBe(200);
+    expect(list.body.data.passkeys).toHaveLength(1);
+    passkeyId = list.body.data.passkeys[0].id;
+
+    const res = await request(app)
+      .put(`/api/auth/webauthn/passkeys/${passkeyId}`)
+      .set('Authorization', `Bearer ${authToken}`)
+      .send({ name: 'Laptop' });
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.data.passkey.name).toBe('Laptop');
+  });
+
+  it('should turn off password login', async () => {
+    const res = await request(app)
+      .put('/api/auth/webauthn/password-login')
+      .set('Authorization', `Bearer ${authToken}`)
+      .send({ enabled: false });
+    expect(res.statusCode).toBe(200);
+
+    const login = await request(app)
+      .post('/api/auth/login')
+      .send({ email: passkeyUser.email, password: passkeyUser.password });
+    expect(login.statusCode).toBe(401);
+    expect(login.body.error.code).toBe('PASSWORD_LOGIN_DISABLED');
+
+    const event = await AuditEvent.findOne({ action: 'auth.password_login_change' });
+    expect(event.changes.map(change => change.toObject())).toEqual([
+      { field: 'passwordLoginDisabled', before: false, after: true }
+    ]);
+
+    // Nor can a password be set again through a reset email
+    const forgot = await request(app)
+      .post('/api/auth/forgotpassword')
+      .send({ email: passkeyUser.email });
+    expect(forgot.statusCode).toBe(404);
+  });
+
+  it('should keep the last passkey while password login is off', async () => {
+    const res = await request(app)
+      .delete(`/api/auth/webauthn/passkeys/${passkeyId}`)
+      .set('Authorization', `Bearer ${authToken}`);
+
+    expect(res.statusCode).toBe(400);
+  });
+
+  it('should delete a passkey once password login is back on', async () => {
+    await request(app)
+      .put('/api/auth/webauthn/password-login')
+      .set('Authorization', `Bearer ${authToken}`)
+      .send({ enabled: true });
+
+    const res = await request(app)
+      .delete(`/api/auth/webauthn/passkeys/${passkeyId}`)
+      .set('Authorization', `Bearer ${authToken}`);
+    expect(res.statusCode).toBe(200);
+
+    const login = await loginWithPasskey();
+    expect(login.statusCode).toBe(401);
+  });
+});